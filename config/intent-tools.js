@@ -0,0 +1,227 @@
+/**
+ * Intent Tools Configuration
+ *
+ * Intents understood by the WhatsApp chatbot, declared as Anthropic tool
+ * definitions. Intent detection sends these tools to Claude and dispatches on
+ * the returned tool_use block: the tool name is the intent and the tool input
+ * holds the extracted parameters (vessel identifier(s), time range, output format).
+ *
+ * To add an intent, add a tool here and a handler in the webhook; the
+ * detection prompt and the list of supported intents follow automatically.
+ */
+
+/**
+ * Shared schema fragments
+ */
+const VESSEL_IDENTIFIER = {
+  type: ['string', 'null'],
+  description: 'Vessel name exactly as written (e.g. "GCL YAMUNA") or 7-digit IMO number as a string ' +
+    '(e.g. "9481219"). Prefer the IMO if both are given. If the message refers to a vessel indirectly ' +
+    '("it", "that vessel") use the last vessel discussed. null if no vessel can be identified.',
+};
+
+const CONFIDENCE = {
+  type: 'string',
+  enum: ['high', 'medium', 'low'],
+  description: 'high: intent and vessel clear; medium: intent clear but vessel uncertain; low: unclear.',
+};
+
+const TIME_RANGE = {
+  type: 'object',
+  description: 'Time window the user asked about, if any.',
+  properties: {
+    months: {
+      type: ['integer', 'null'],
+      minimum: 1,
+      description: 'Number of months back from today (e.g. "in 6 months" -> 6).',
+    },
+  },
+};
+
+const OUTPUT_FORMAT = {
+  type: 'string',
+  enum: ['chat', 'excel', 'email'],
+  description: 'How the user wants the result: "excel" if they ask for a spreadsheet/download, ' +
+    '"email" if they ask to have it emailed, otherwise "chat".',
+};
+
+/**
+ * Build a tool whose only parameter is a single vessel
+ * @param {string} name - Intent name
+ * @param {string} description - When to use the tool
+ */
+function singleVesselTool(name, description) {
+  return {
+    name,
+    description,
+    input_schema: {
+      type: 'object',
+      properties: {
+        vessel_identifier: VESSEL_IDENTIFIER,
+        confidence: CONFIDENCE,
+      },
+      required: ['vessel_identifier'],
+    },
+  };
+}
+
+const INTENT_TOOLS = [
+  singleVesselTool('risk_score', 'The user wants a vessel\'s risk score.'),
+  singleVesselTool('risk_level', 'The user wants a vessel\'s risk level classification.'),
+  singleVesselTool('recommendations', 'The user wants PSC recommendations for a vessel.'),
+  singleVesselTool('vessel_info', 'The user wants general information about a vessel.'),
+  {
+    name: 'fleet_overview',
+    description: 'The user asks about the whole fleet or several vessels at once, e.g. "which of my vessels ' +
+      'are high risk?", "top 5 riskiest ships", "how many vessels per risk level?", "which ships haven\'t ' +
+      'been inspected in 6 months?". Needs no vessel identifier.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        fleet_query: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['top_risk', 'risk_level', 'risk_counts', 'not_inspected'],
+              description: 'top_risk: N riskiest vessels; risk_level: vessels at a given level; ' +
+                'risk_counts: number of vessels per risk level; not_inspected: not inspected within the time range.',
+            },
+            limit: {
+              type: ['integer', 'null'],
+              minimum: 1,
+              description: 'Number of vessels for top_risk.',
+            },
+            risk_level: {
+              type: ['string', 'null'],
+              enum: ['HIGH', 'MEDIUM', 'LOW', null],
+              description: 'Risk level for risk_level queries.',
+            },
+          },
+          required: ['type'],
+        },
+        time_range: TIME_RANGE,
+        output_format: OUTPUT_FORMAT,
+        confidence: CONFIDENCE,
+      },
+      required: ['fleet_query'],
+    },
+  },
+  {
+    name: 'risk_trend',
+    description: 'The user asks how a vessel\'s risk has changed over time, e.g. "has YAMUNA\'s risk gone up ' +
+      'since last month?", "risk trend for GCL TAPI over 6 months".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        vessel_identifier: VESSEL_IDENTIFIER,
+        time_range: TIME_RANGE,
+        output_format: OUTPUT_FORMAT,
+        confidence: CONFIDENCE,
+      },
+      required: ['vessel_identifier'],
+    },
+  },
+  {
+    name: 'manage_alerts',
+    description: 'The user wants to start, stop or review risk change alerts, e.g. "alert me on GCL GANGA", ' +
+      '"notify me if TAPI goes above 60", "unsubscribe", "stop alerts for GCL YAMUNA", "list alerts".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['subscribe', 'unsubscribe', 'list'],
+          description: 'subscribe: start alerts for a vessel; unsubscribe: stop alerts for a vessel, or for ' +
+            'all vessels if none is named; list: show current alerts.',
+        },
+        vessel_identifier: {
+          ...VESSEL_IDENTIFIER,
+          description: 'Vessel name or IMO to subscribe to or unsubscribe from. null for list, and for ' +
+            'unsubscribe when no vessel is named.',
+        },
+        score_threshold: {
+          type: ['number', 'null'],
+          minimum: 1,
+          description: 'Risk score the user wants to be alerted at, if given ("above 60" -> 60).',
+        },
+        confidence: CONFIDENCE,
+      },
+      required: ['action'],
+    },
+  },
+  {
+    name: 'manage_digest',
+    description: 'The user wants to start, stop, change or check the scheduled fleet digest, e.g. "send me a ' +
+      'weekly digest", "make it daily", "I\'m on Singapore time", "stop digest", "digest settings".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['subscribe', 'unsubscribe', 'status'],
+          description: 'subscribe: start the digest or change its settings; unsubscribe: stop it; ' +
+            'status: show the current settings.',
+        },
+        frequency: {
+          type: ['string', 'null'],
+          enum: ['daily', 'weekly', null],
+          description: 'How often the digest should arrive, if given.',
+        },
+        time_zone: {
+          type: ['string', 'null'],
+          description: 'IANA time zone for the user\'s location, if given (e.g. "Singapore time" -> ' +
+            '"Asia/Singapore", "Mumbai" -> "Asia/Kolkata").',
+        },
+        confidence: CONFIDENCE,
+      },
+      required: ['action'],
+    },
+  },
+  {
+    name: 'compare_vessels',
+    description: 'The user wants to compare 2 to 5 named vessels side by side, e.g. "compare GCL YAMUNA ' +
+      'and GCL TAPI", "GCL GANGA vs 9481219".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        vessel_identifiers: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 2,
+          maxItems: 5,
+          description: 'Every vessel name or IMO mentioned, in the order given.',
+        },
+        output_format: OUTPUT_FORMAT,
+        confidence: CONFIDENCE,
+      },
+      required: ['vessel_identifiers'],
+    },
+  },
+];
+
+/**
+ * Intent names, derived from the tool definitions
+ */
+const SUPPORTED_INTENTS = INTENT_TOOLS.map(tool => tool.name);
+
+/**
+ * Extract the intent call from a Claude Messages API response
+ * @param {any} response - Parsed Messages API response body
+ * @returns {{intent: string, input: Record<string, any>} | null} Intent and tool input, or null if no known tool was called
+ */
+function parseIntentToolUse(response) {
+  const blocks = Array.isArray(response?.content) ? response.content : [];
+  const toolUse = blocks.find((/** @type {any} */ block) => block && block.type === 'tool_use');
+  if (!toolUse || !SUPPORTED_INTENTS.includes(toolUse.name)) {
+    return null;
+  }
+  const input = toolUse.input && typeof toolUse.input === 'object' ? toolUse.input : {};
+  return { intent: toolUse.name, input };
+}
+
+module.exports = {
+  INTENT_TOOLS,
+  SUPPORTED_INTENTS,
+  parseIntentToolUse,
+};
@@ -6,60 +6,48 @@
  */
 
 /**
- * Intent Detection Prompt
- * Extracts vessel identifier and intent from user message
- * @param {string} userMessage - The user's message
- * @returns {string} Complete prompt string for Claude API
+ * Format recent conversation history as prompt context
+ * @param {any} conversation - History from stateManager.getConversation()
+ * @returns {string} Context block, or empty string when there is no history
  */
-function intentDetection(userMessage) {
-  return `You are a maritime vessel data assistant. Extract the vessel identifier and intent from this user message.
-
-User message: "${userMessage}"
-
-Your task:
-1. Extract vessel identifier:
-   - Vessel name (e.g., "GCL YAMUNA", "MSC OSCAR")
-   - OR IMO number (7 digits, e.g., "9481219")
-   - If both present, prefer IMO number
-
-2. Detect intent (one of):
-   - risk_score: User wants the vessel's risk score
-   - risk_level: User wants the vessel's risk level classification
-   - recommendations: User wants vessel recommendations
-   - vessel_info: User wants general vessel information
-   - unknown: Intent cannot be determined
-
-3. Assess confidence:
-   - high: Clear intent and vessel identifier found
-   - medium: Intent clear but vessel identifier uncertain
-   - low: Unclear intent or no vessel identifier
-
-Output format (JSON only, no other text):
-{
-  "vessel_identifier": "vessel_name_or_imo_or_null",
-  "intent": "risk_score|risk_level|recommendations|vessel_info|unknown",
-  "confidence": "high|medium|low"
+function formatConversationContext(conversation) {
+  if (!conversation || (!conversation.lastVessel && !(conversation.turns || []).length)) {
+    return '';
+  }
+
+  const lines = ['Conversation so far (oldest first):'];
+  (conversation.turns || []).forEach((/** @type {any} */ turn) => {
+    const details = [turn.intent, turn.vesselName].filter(Boolean).join(', ');
+    lines.push(`- User: "${turn.message}"${details ? ` (${details})` : ''}`);
+  });
+  if (conversation.lastVessel) {
+    lines.push(`Last vessel discussed: ${conversation.lastVessel.name} (IMO ${conversation.lastVessel.imo})`);
+  }
+  if (conversation.lastIntent) {
+    lines.push(`Last intent: ${conversation.lastIntent}`);
+  }
+  return `\n${lines.join('\n')}\n`;
 }
 
+/**
+ * Intent Detection Prompt
+ * System prompt sent alongside the intent tools (config/intent-tools.js).
+ * The tools describe each intent and its parameters, so this prompt stays generic.
+ * @param {any} [conversation] - Recent conversation history used to resolve follow-ups
+ * @returns {string} System prompt for Claude API
+ */
+function intentDetection(conversation = null) {
+  return `You are a maritime vessel data assistant for a WhatsApp chatbot.
+Work out what the user is asking for and call the one tool that matches it.
+${formatConversationContext(conversation)}
 Rules:
-- Return JSON only, no explanations
-- If vessel name found, use exact name as provided
-- If IMO found, return as string (e.g., "9481219")
-- If intent unclear, use "unknown"
-- Be strict with confidence assessment
-
-Examples:
-User: "What is the risk score for GCL YAMUNA?"
-Output: {"vessel_identifier": "GCL YAMUNA", "intent": "risk_score", "confidence": "high"}
-
-User: "Show me recommendations for 9481219"
-Output: {"vessel_identifier": "9481219", "intent": "recommendations", "confidence": "high"}
-
-User: "Get risk level"
-Output: {"vessel_identifier": null, "intent": "risk_level", "confidence": "medium"}
-
-User: "Hello"
-Output: {"vessel_identifier": null, "intent": "unknown", "confidence": "low"}`;
+- Always answer with exactly one tool call when the request matches a tool
+- If the request matches no tool (greetings, unrelated questions), reply with a short plain-text sentence and call no tool
+- Copy vessel names exactly as the user wrote them; give IMO numbers as strings (e.g. "9481219")
+- If the user refers to a vessel indirectly ("it", "its", "that vessel", "the same ship") or omits
+  the vessel in a follow-up, use the last vessel discussed (if any)
+- If the vessel cannot be identified, pass null rather than guessing
+- Be strict with confidence assessment`;
 }
 
 /**
@@ -1,12 +1,23 @@
-const fs = require('fs');
 const path = require('path');
+const downloadTokens = require('../../utils/download-tokens');
+const reportStorage = require('../../utils/report-storage');
+const stateManager = require('../../utils/state-manager');
 
-const TEMP_DIR = '/tmp';
 const MAX_FILE_AGE_MS = 10 * 60 * 1000; // 10 minutes
 
+// Sweep expired reports at most this often per instance (an S3 sweep lists the whole bucket)
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+let lastCleanupAt = 0;
+
+// Report file extensions that may be served
+const ALLOWED_EXTENSIONS = ['.xlsx', '.pdf'];
+
+// Redeemed tokens are recorded in the state store; per-instance memory can't enforce single use
+stateManager.warnIfMemoryStore('Single-use download links');
+
 /**
  * Validate filename to prevent directory traversal and ensure security
- * Only allows alphanumeric characters, dashes, underscores, and .xlsx extension
+ * Only allows alphanumeric characters, dashes, underscores, and a .xlsx or .pdf extension
  * @param {string} filename - The filename to validate
  * @returns {boolean} - True if valid, false otherwise
  */
@@ -15,13 +26,14 @@ function validateFilename(filename) {
     return false;
   }
 
-  // Must end with .xlsx
-  if (!filename.toLowerCase().endsWith('.xlsx')) {
+  // Must end with .xlsx or .pdf
+  const extension = ALLOWED_EXTENSIONS.find(ext => filename.toLowerCase().endsWith(ext));
+  if (!extension) {
     return false;
   }
 
-  // Remove .xlsx extension for validation
-  const nameWithoutExt = filename.slice(0, -5);
+  // Remove extension for validation
+  const nameWithoutExt = filename.slice(0, -extension.length);
 
   // Only allow alphanumeric, dash, and underscore
   // This prevents directory traversal (../, ..\, etc.) and other malicious patterns
@@ -32,13 +44,13 @@ function validateFilename(filename) {
 
 /**
  * Extract vessel and date information from filename
- * Expected format: recommendations_{vessel}_{timestamp}.xlsx
+ * Expected format: recommendations_{vessel}_{timestamp}.xlsx (or .pdf, or checklist_{vessel}_{timestamp}.xlsx)
  * @param {string} filename - The filename to parse
  * @returns {{vessel: string, date: string}} - Extracted vessel and date
  */
 function parseFilename(filename) {
-  // Remove .xlsx extension
-  const nameWithoutExt = filename.slice(0, -5);
+  // Remove extension
+  const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
   
   // Split by underscore
   const parts = nameWithoutExt.split('_');
@@ -68,56 +80,38 @@ function parseFilename(filename) {
 }
 
 /**
- * Clean up old files in /tmp directory (older than MAX_FILE_AGE_MS)
- * This is a best-effort cleanup that runs on each request
+ * Remove expired reports if the last sweep on this instance is old enough (best-effort)
+ * Downloads delete their own file and expired files are refused anyway, so the
+ * sweep only catches reports nobody fetched.
+ * @param {import('../../utils/report-storage').ReportStore} reportStore
+ * @param {number} [now] - Current time (epoch ms)
+ * @returns {Promise<boolean>} True if a sweep ran
  */
-function cleanupOldFiles() {
+async function cleanupIfDue(reportStore, now = Date.now()) {
+  if (now - lastCleanupAt < CLEANUP_INTERVAL_MS) {
+    return false;
+  }
+  lastCleanupAt = now;
   try {
-    if (!fs.existsSync(TEMP_DIR)) {
-      return;
-    }
-
-    const files = fs.readdirSync(TEMP_DIR);
-    const now = Date.now();
-
-    files.forEach((/** @type {string} */ file) => {
-      // Only process .xlsx files
-      if (!file.toLowerCase().endsWith('.xlsx')) {
-        return;
-      }
-
-      try {
-        const filepath = path.join(TEMP_DIR, file);
-        const stats = fs.statSync(filepath);
-        const fileAge = now - stats.mtimeMs;
-
-        if (fileAge > MAX_FILE_AGE_MS) {
-          fs.unlinkSync(filepath);
-          console.log(`Cleaned up expired file: ${file}`);
-        }
-      } catch (err) {
-        // Ignore errors for individual files (may have been deleted already)
-        const errorMessage = err instanceof Error ? err.message : String(err);
-        console.warn(`Error cleaning up file ${file}:`, errorMessage);
-      }
-    });
+    await reportStore.cleanupOldFiles(MAX_FILE_AGE_MS);
   } catch (err) {
     // Ignore cleanup errors - don't fail the request
     const errorMessage = err instanceof Error ? err.message : String(err);
     console.warn('Error during cleanup:', errorMessage);
   }
+  return true;
 }
 
 /**
  * Netlify serverless function handler
- * Serves Excel files from /tmp directory with security validation
+ * Serves Excel and PDF reports from the report store for signed, single-use download tokens
  * @param {any} event - Netlify function event object
  * @returns {Promise<any>} - HTTP response
  */
 exports.handler = async (event) => {
   console.log('[download-excel] Request received', { 
     method: event.httpMethod,
-    query: event.queryStringParameters 
+    hasToken: !!(event.queryStringParameters || {}).token
   });
 
   // Only accept GET requests
@@ -131,49 +125,70 @@ exports.handler = async (event) => {
   }
 
   try {
-    // Clean up old files on each request (best-effort)
-    cleanupOldFiles();
+    const reportStore = reportStorage.getReportStore();
+
+    await cleanupIfDue(reportStore);
 
-    // Get filename from query parameters
+    // Verify the signed download token (signature and expiry)
     const queryParams = event.queryStringParameters || {};
-    const file = queryParams.file;
+    const token = queryParams.token;
 
-    if (!file || typeof file !== 'string') {
+    if (!token || typeof token !== 'string') {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing file parameter' }),
+        body: JSON.stringify({ error: 'Missing token parameter' }),
+      };
+    }
+
+    const verification = downloadTokens.verifyDownloadToken(token);
+    if (!verification.valid || !verification.payload) {
+      console.warn('[download-excel] Rejected download token', { reason: verification.reason });
+      if (verification.reason === 'expired') {
+        return {
+          statusCode: 410,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'Download link has expired' }),
+        };
+      }
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Invalid download link' }),
       };
     }
 
+    const tokenPayload = verification.payload;
+    const file = tokenPayload.file;
+
     // Validate filename for security
     if (!validateFilename(file)) {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          error: 'Invalid filename. Only alphanumeric characters, dashes, underscores, and .xlsx extension are allowed.' 
+          error: 'Invalid filename. Only alphanumeric characters, dashes, underscores, and .xlsx or .pdf extensions are allowed.' 
         }),
       };
     }
 
-    // Construct file path (path.join prevents directory traversal)
-    const filepath = path.join(TEMP_DIR, path.basename(file));
-
-    // Additional security check: ensure the resolved path is still within TEMP_DIR
-    const resolvedPath = path.resolve(filepath);
-    const resolvedTempDir = path.resolve(TEMP_DIR);
-    
-    if (!resolvedPath.startsWith(resolvedTempDir)) {
+    // Load the report (validateFilename keeps the key free of path characters)
+    let report;
+    try {
+      report = await reportStore.get(file);
+    } catch (readError) {
+      console.error('Error reading file:', readError);
       return {
-        statusCode: 403,
+        statusCode: 500,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Access denied' }),
+        body: JSON.stringify({ 
+          error: 'Failed to read file',
+          message: readError instanceof Error ? readError.message : String(readError)
+        }),
       };
     }
 
-    // Check if file exists
-    if (!fs.existsSync(filepath)) {
+    if (!report) {
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -182,13 +197,12 @@ exports.handler = async (event) => {
     }
 
     // Check file age (should be less than 10 minutes)
-    const stats = fs.statSync(filepath);
-    const fileAge = Date.now() - stats.mtimeMs;
+    const fileAge = Date.now() - report.lastModified;
 
     if (fileAge > MAX_FILE_AGE_MS) {
       // File expired, delete it
       try {
-        fs.unlinkSync(filepath);
+        await reportStore.delete(file);
       } catch (err) {
         console.error('Error deleting expired file:', err);
       }
@@ -199,31 +213,44 @@ exports.handler = async (event) => {
       };
     }
 
-    // Read file
-    let fileBuffer;
-    try {
-      fileBuffer = fs.readFileSync(filepath);
-    } catch (readError) {
-      console.error('Error reading file:', readError);
+    // Enforce single use right before streaming
+    if (!(await downloadTokens.consumeDownloadToken(tokenPayload))) {
+      console.warn('[download-excel] Download token already used', { file });
       return {
-        statusCode: 500,
+        statusCode: 410,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          error: 'Failed to read file',
-          message: readError instanceof Error ? readError.message : String(readError)
-        }),
+        body: JSON.stringify({ error: 'Download link has already been used' }),
       };
     }
 
+    // Audit trail: which phone the redeemed link was issued to
+    console.log('[download-excel] Serving file', {
+      file,
+      phoneNumber: tokenPayload.phone ? tokenPayload.phone.substring(0, 4) + '****' : 'unknown',
+    });
+
+    const fileBuffer = report.body;
+
     // Parse filename to extract vessel and date for Content-Disposition
     const { vessel, date } = parseFilename(file);
-    const displayFilename = `Recommendations_${vessel}_${date}.xlsx`;
+    const extension = path.extname(file).toLowerCase();
+    let displayFilename = `Recommendations_${vessel}_${date}${extension}`;
+    if (file.startsWith('fleet_overview_')) {
+      displayFilename = `Fleet_Overview_${date}${extension}`;
+    } else if (file.startsWith('comparison_')) {
+      displayFilename = `Vessel_Comparison_${date}${extension}`;
+    } else if (file.startsWith('risk_trend_')) {
+      // risk_trend_{imo}_{timestamp}: the IMO is the third part
+      displayFilename = `Risk_Trend_${file.split('_')[2] || 'Vessel'}_${date}${extension}`;
+    } else if (file.startsWith('checklist_')) {
+      displayFilename = `Inspection_Checklist_${vessel}_${date}${extension}`;
+    }
 
     // Prepare response
     const response = {
       statusCode: 200,
       headers: {
-        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Type': reportStorage.contentTypeForKey(file),
         'Content-Disposition': `attachment; filename="${displayFilename}"`,
         'Content-Length': fileBuffer.length.toString(),
         'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -234,11 +261,15 @@ exports.handler = async (event) => {
       isBase64Encoded: true,
     };
 
+    // Media fetches (Twilio MediaUrl) leave the file for the user's download link
+    if (tokenPayload.keep) {
+      return response;
+    }
+
     // Delete file after sending (cleanup)
-    // Note: In serverless environments, the file will be deleted after the function completes
     // We attempt to delete it here, but if it fails, it's not critical
     try {
-      fs.unlinkSync(filepath);
+      await reportStore.delete(file);
       console.log(`File deleted after serving: ${file}`);
     } catch (deleteError) {
       // Log but don't fail the request - file will be cleaned up by age check anyway
@@ -260,3 +291,5 @@ exports.handler = async (event) => {
     };
   }
 };
+
+exports.cleanupIfDue = cleanupIfDue;
@@ -0,0 +1,147 @@
+const fetch = require('node-fetch');
+const apiClient = require('../../utils/api-client');
+const userRegistry = require('../../utils/user-registry');
+const reportStorage = require('../../utils/report-storage');
+const fleetDigest = require('../../utils/fleet-digest');
+const stateManager = require('../../utils/state-manager');
+const { sendTrackedMessage } = require('../../utils/delivery-tracker');
+const { generateFleetExcelFile } = require('./generate-excel');
+
+// Digest settings are saved by the webhook and read here, in another function instance
+stateManager.warnIfMemoryStore('Fleet digests');
+
+// send-email builds and sends the message; the whole run must fit the scheduled function's window
+const EMAIL_TIMEOUT_MS = 15000;
+
+/**
+ * Email a digest with the fleet workbook attached through the send-email function
+ * @param {import('../../utils/fleet-digest').FleetDigest} digest
+ * @param {string} recipientEmail
+ * @param {string} reportTitle
+ * @param {{ timeoutMs?: number }} [options] - timeoutMs bounds the send-email call (default 15s)
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function emailDigest(digest, recipientEmail, reportTitle, options = {}) {
+  const reportFile = `fleet_digest_${Date.now()}.xlsx`;
+  const buffer = await generateFleetExcelFile(digest.vessels, { title: reportTitle, counts: digest.riskLevelCounts });
+  await reportStorage.getReportStore().put(reportFile, Buffer.from(buffer), {
+    contentType: reportStorage.contentTypeForKey(reportFile),
+  });
+
+  const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/.netlify/functions/send-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        reportType: 'digest',
+        recipientEmail,
+        reportTitle,
+        reportFile,
+        digest: {
+          vesselCount: digest.vessels.length,
+          riskLevelCounts: digest.riskLevelCounts,
+          riskChanges: digest.riskChanges,
+          topRisk: digest.topRisk,
+          campaigns: digest.campaigns,
+        },
+      }),
+      timeout: options.timeoutMs || EMAIL_TIMEOUT_MS,
+    });
+  } catch (err) {
+    // send-email may still be sending, so its report is left for the report sweep
+    console.error('Digest email failed', { error: err instanceof Error ? err.message : String(err) });
+    return false;
+  }
+
+  if (!response.ok) {
+    // send-email removes the report itself on errors it handles; this covers the rest
+    await reportStorage.getReportStore().delete(reportFile).catch(() => false);
+    console.error('Digest email failed', { status: response.status });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send digests to every opted-in user whose delivery time has come
+ * @param {number} [now] - Epoch ms
+ * @returns {Promise<{sent: number, emailed: number, failed: number}>}
+ */
+async function runFleetDigest(now = Date.now()) {
+  /** @type {Array<{user: import('../../utils/user-registry').RegisteredUser, settings: import('../../utils/fleet-digest').DigestSettings, localDate: string}>} */
+  const due = [];
+  for (const user of userRegistry.listUsers()) {
+    const settings = await fleetDigest.getSettings(user.phone);
+    if (!settings) {
+      continue;
+    }
+    const { due: isDue, localDate } = fleetDigest.isDue(settings, now);
+    if (isDue) {
+      due.push({ user, settings, localDate });
+    }
+  }
+  if (due.length === 0) {
+    return { sent: 0, emailed: 0, failed: 0 };
+  }
+
+  const dashboardData = await apiClient.fetchDashboardData();
+  if (!dashboardData) {
+    throw new Error('Dashboard data unavailable');
+  }
+
+  let sent = 0;
+  let emailed = 0;
+  let failed = 0;
+
+  for (const { user, settings, localDate } of due) {
+    const to = `whatsapp:+${user.phone}`;
+    try {
+      const digest = await fleetDigest.buildDigest(user, dashboardData, { frequency: settings.frequency, now });
+      const reportTitle = `${settings.frequency === 'daily' ? 'Daily' : 'Weekly'} fleet digest – ${localDate}`;
+
+      // Only the user's own address: a broadcast must not fall back to the default recipient
+      const emailOk = user.email ? await emailDigest(digest, user.email, reportTitle) : false;
+      const result = await sendTrackedMessage(to, fleetDigest.formatDigestTeaser(digest, emailOk ? user.email : null), {
+        subject: reportTitle,
+      });
+
+      // Marked sent even if WhatsApp failed: the tracker retries it or emails it
+      await fleetDigest.updateSettings(user.phone, { lastSentDate: localDate });
+      sent++;
+      if (emailOk) {
+        emailed++;
+      }
+      if (!result.ok) {
+        console.warn('Digest teaser not accepted by Twilio', { requestId: result.requestId, error: result.error });
+      }
+    } catch (err) {
+      failed++;
+      console.error('Digest failed', {
+        phone: user.phone.substring(0, 4) + '****',
+        error: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+
+  return { sent, emailed, failed };
+}
+
+/**
+ * Netlify scheduled function (see netlify.toml) that sends the fleet digests.
+ * @returns {Promise<any>} HTTP response
+ */
+exports.handler = async () => {
+  try {
+    const result = await runFleetDigest();
+    console.log('Fleet digest run completed', result);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (err) {
+    console.error('Fleet digest run failed', err instanceof Error ? err.message : String(err));
+    return { statusCode: 500, body: 'Error' };
+  }
+};
+
+exports.runFleetDigest = runFleetDigest;
+exports.emailDigest = emailDigest;
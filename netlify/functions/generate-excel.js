@@ -1,9 +1,34 @@
 const ExcelJS = require('exceljs');
-const fs = require('fs');
-const path = require('path');
+const downloadTokens = require('../../utils/download-tokens');
+const reportStorage = require('../../utils/report-storage');
+const { parseRecommendationsText } = require('../../utils/recommendations-parser');
+const { generatePdfFile } = require('../../utils/pdf-report');
+const excelChart = require('../../utils/excel-chart');
+const riskHistory = require('../../utils/risk-history');
 
-// File storage directory (Netlify serverless functions have /tmp available)
-const TEMP_DIR = '/tmp';
+// Report formats for vessel recommendations (comparisons are Excel only)
+const REPORT_FORMATS = ['excel', 'pdf', 'checklist'];
+
+// Sheet holding the risk score history and its line chart
+const RISK_TREND_SHEET = 'Risk Trend';
+
+// Status dropdown values for the checklist workbook
+const CHECKLIST_STATUSES = ['Not started', 'In progress', 'Done', 'N/A'];
+
+// Severity sections with their row colours (same as the recommendations sheets)
+const CHECKLIST_SEVERITIES = [
+  { key: 'CRITICAL', color: 'FFC7CE' },
+  { key: 'MODERATE', color: 'FFEB9C' },
+  { key: 'RECOMMENDED', color: 'C6EFCE' },
+];
+
+// Checklist fields of a recommendation item, as [label, field names]
+/** @type {Array<[string, string[]]>} */
+const CHECKLIST_FIELDS = [
+  ['Internal', ['internalChecklist', 'internal_checklist']],
+  ['External', ['externalChecklist', 'external_checklist']],
+  ['General', ['generalChecklist', 'general_checklist']],
+];
 
 /**
  * Netlify serverless function handler
@@ -39,6 +64,44 @@ exports.handler = async (event) => {
       };
     }
 
+    // Phone number the report is for (carried in the signed download token)
+    const phoneNumber = String(requestData.phoneNumber || requestData.fromNumber || '');
+
+    // format=pdf (body or query string) renders the recommendations report as a PDF;
+    // format=checklist renders it as a tickable inspection checklist workbook
+    const format = String(requestData.format || (event.queryStringParameters || {}).format || 'excel').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      console.warn('[generate-excel] Unsupported format', { format });
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: `Unsupported format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}` }),
+      };
+    }
+
+    // Vessel comparison: one column per vessel
+    if (Array.isArray(requestData.comparison)) {
+      if (requestData.comparison.length < 2) {
+        console.warn('[generate-excel] Comparison needs at least two vessels');
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'Comparison needs at least two vessels' }),
+        };
+      }
+      if (format !== 'excel') {
+        console.warn('[generate-excel] Unsupported comparison format', { format });
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `Comparisons are only available as Excel; "${format}" is not supported` }),
+        };
+      }
+      console.log('[generate-excel] Generating comparison Excel file', { vesselCount: requestData.comparison.length });
+      const comparisonBuffer = await generateComparisonExcelFile(requestData.comparison);
+      return await saveAndRespond(`comparison_${Date.now()}.xlsx`, comparisonBuffer, phoneNumber);
+    }
+
     const vesselData = requestData.vesselData || requestData;
     const recommendationsData = requestData.recommendationsData || vesselData.recommendationsData || {};
     const vesselName = vesselData.name || vesselData.vesselName || 'Unknown';
@@ -53,41 +116,33 @@ exports.handler = async (event) => {
       };
     }
 
-    console.log('[generate-excel] Generating Excel file', { vesselName, imo });
-
-    // Generate Excel file
-    const excelBuffer = await generateExcelFile(vesselData, recommendationsData);
-
     // Extract IMO for filename (already extracted above)
     const timestamp = Date.now();
-    const filename = `recommendations_${imo}_${timestamp}.xlsx`;
-    const filepath = path.join(TEMP_DIR, filename);
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync(TEMP_DIR)) {
-      fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+    if (format === 'pdf') {
+      console.log('[generate-excel] Generating PDF file', { vesselName, imo });
+      const pdfBuffer = await generatePdfFile(vesselData, recommendationsData);
+      return await saveAndRespond(`recommendations_${imo}_${timestamp}.pdf`, pdfBuffer, phoneNumber);
     }
 
-    // Save file
-    fs.writeFileSync(filepath, /** @type {any} */ (excelBuffer), 'binary');
-    const fileSizeKB = (excelBuffer.length / 1024).toFixed(2);
-    console.log('[generate-excel] File saved', { filename, sizeKB: fileSizeKB });
+    if (format === 'checklist') {
+      console.log('[generate-excel] Generating checklist Excel file', { vesselName, imo });
+      const checklistBuffer = await generateChecklistExcelFile(vesselData, recommendationsData);
+      return await saveAndRespond(`checklist_${imo}_${timestamp}.xlsx`, checklistBuffer, phoneNumber);
+    }
 
-    // Generate download URL
-    const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
-    const downloadUrl = `${baseUrl}/.netlify/functions/download-excel?file=${encodeURIComponent(filename)}`;
+    console.log('[generate-excel] Generating Excel file', { vesselName, imo });
 
-    console.log('[generate-excel] Excel generation successful', { filename, downloadUrl });
+    // Recorded risk snapshots become the Risk Trend sheet
+    const trend = await riskHistory.getRiskTrend(imo, { months: riskHistory.REPORT_TREND_MONTHS });
 
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: true,
-        filename: filename,
-        downloadUrl: downloadUrl,
-      }),
-    };
+    // Generate Excel file
+    const excelBuffer = await generateExcelFile(vesselData, recommendationsData, {
+      riskHistory: trend ? trend.snapshots : [],
+    });
+
+    const filename = `recommendations_${imo}_${timestamp}.xlsx`;
+    return await saveAndRespond(filename, excelBuffer, phoneNumber);
   } catch (error) {
     console.error('Error generating Excel:', error);
     const errorMessage = error instanceof Error ? error.message : String(error);
@@ -102,12 +157,43 @@ exports.handler = async (event) => {
   }
 };
 
+/**
+ * Save a generated report (workbook or PDF) to report storage and build the handler response
+ * @param {string} filename
+ * @param {any} excelBuffer
+ * @param {string} phoneNumber - Requesting phone number (may be empty)
+ */
+async function saveAndRespond(filename, excelBuffer, phoneNumber) {
+  // Save file
+  await reportStorage.getReportStore().put(filename, Buffer.from(excelBuffer), {
+    contentType: reportStorage.contentTypeForKey(filename),
+  });
+  const fileSizeKB = (excelBuffer.length / 1024).toFixed(2);
+  console.log('[generate-excel] File saved', { filename, sizeKB: fileSizeKB });
+
+  // Generate signed, single-use download URL
+  const downloadUrl = downloadTokens.buildDownloadUrl(filename, phoneNumber);
+
+  console.log('[generate-excel] Report generation successful', { filename });
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: true,
+      filename: filename,
+      downloadUrl: downloadUrl,
+    }),
+  };
+}
+
 /**
  * Generate Excel file with all sheets
  * @param {any} vesselData
  * @param {any} recommendationsData
+ * @param {{riskHistory?: import('../../utils/risk-history').RiskSnapshot[]}} [options] - Risk snapshots for the Risk Trend sheet, oldest first
  */
-async function generateExcelFile(vesselData, recommendationsData) {
+async function generateExcelFile(vesselData, recommendationsData, options = {}) {
   const workbook = new ExcelJS.Workbook();
   
   // Extract vessel data
@@ -190,6 +276,12 @@ async function generateExcelFile(vesselData, recommendationsData) {
   summarySheet.getColumn(1).width = 25;
   summarySheet.getColumn(2).width = 40;
 
+  // Raw-text reports are parsed into the structured shape; whatever the parser
+  // cannot place goes to a Raw Report sheet
+  const resolved = resolveRecommendationsData(recommendationsData);
+  const unparsedLines = resolved.unparsed;
+  recommendationsData = resolved.data;
+
   // SHEET 2: CRITICAL Recommendations
   const criticalData = recommendationsData.CRITICAL || recommendationsData.critical || [];
   const criticalSheet = workbook.addWorksheet('CRITICAL Recommendations');
@@ -209,11 +301,551 @@ async function generateExcelFile(vesselData, recommendationsData) {
   const campaignsSheet = workbook.addWorksheet('Campaigns');
   addCampaignsSheet(campaignsSheet, recommendationsData);
 
+  // SHEET 6: Raw Report (only for raw-text reports with unparsed lines)
+  if (unparsedLines.length > 0) {
+    const rawSheet = workbook.addWorksheet('Raw Report');
+    addRawReportSheet(rawSheet, unparsedLines);
+  }
+
+  // SHEET 7: Risk Trend (only when risk snapshots have been recorded)
+  const snapshots = options.riskHistory || [];
+  if (snapshots.length > 0) {
+    addRiskTrendSheet(workbook.addWorksheet(RISK_TREND_SHEET), snapshots);
+  }
+
   // Generate Excel buffer
+  const buffer = await workbook.xlsx.writeBuffer();
+  return snapshots.length > 0
+    ? await addRiskTrendChart(buffer, snapshots, `Risk Score – ${vesselName}`)
+    : buffer;
+}
+
+/**
+ * Generate risk trend Excel file
+ * The recorded snapshots with a line chart of the risk score
+ * @param {any} vesselData - Vessel (name, imo)
+ * @param {import('../../utils/risk-history').RiskSnapshot[]} snapshots - Risk snapshots, oldest first
+ */
+async function generateRiskTrendExcelFile(vesselData, snapshots) {
+  const workbook = new ExcelJS.Workbook();
+  const vesselName = vesselData.name || vesselData.vesselName || 'Unknown Vessel';
+  const list = Array.isArray(snapshots) ? snapshots : [];
+
+  addRiskTrendSheet(workbook.addWorksheet(RISK_TREND_SHEET), list);
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return list.length > 0
+    ? await addRiskTrendChart(buffer, list, `Risk Score – ${vesselName}`)
+    : buffer;
+}
+
+/**
+ * Generate fleet overview Excel file
+ * @param {Array<any>} vessels - Vessel summaries from fleet-analytics (name, imo, riskScore, riskLevel, lastInspectionDate, lastInspectionPort)
+ * @param {{title?: string, counts?: Array<{riskLevel: string, count: number}>}} [options]
+ */
+async function generateFleetExcelFile(vessels, options = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const title = options.title || 'Fleet Overview';
+
+  const reportGenerated = new Date().toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  // SHEET 1: Fleet Overview
+  const fleetSheet = workbook.addWorksheet('Fleet Overview');
+  const columns = [
+    { header: 'Vessel Name', key: 'name', width: 28 },
+    { header: 'IMO Number', key: 'imo', width: 14 },
+    { header: 'Risk Score', key: 'riskScore', width: 12 },
+    { header: 'Risk Level', key: 'riskLevel', width: 14 },
+    { header: 'Last Inspection Date', key: 'lastInspectionDate', width: 22 },
+    { header: 'Last Inspection Port', key: 'lastInspectionPort', width: 30 },
+  ];
+  fleetSheet.columns = columns;
+  styleHeaderRow(fleetSheet.getRow(1));
+
+  (Array.isArray(vessels) ? vessels : []).forEach((/** @type {any} */ vessel) => {
+    const row = fleetSheet.addRow({
+      name: vessel.name,
+      imo: vessel.imo,
+      riskScore: vessel.riskScore ?? 'N/A',
+      riskLevel: vessel.riskLevel || 'N/A',
+      lastInspectionDate: vessel.lastInspectionDate || 'Never',
+      lastInspectionPort: vessel.lastInspectionPort || 'N/A',
+    });
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  });
+
+  if (fleetSheet.rowCount > 1) {
+    fleetSheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: fleetSheet.rowCount, column: columns.length },
+    };
+  }
+  fleetSheet.views = [
+    {
+      state: 'frozen',
+      ySplit: 1,
+    },
+  ];
+
+  // SHEET 2: Summary
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.addRow(['Field', 'Value']);
+  styleHeaderRow(summarySheet.getRow(1));
+  summarySheet.addRow(['Report', title]);
+  summarySheet.addRow(['Vessels Listed', Array.isArray(vessels) ? vessels.length : 0]);
+  (options.counts || []).forEach(({ riskLevel, count }) => {
+    summarySheet.addRow([`${riskLevel} (fleet)`, count]);
+  });
+  summarySheet.addRow(['Report Generated', reportGenerated]);
+  for (let i = 2; i <= summarySheet.rowCount; i++) {
+    summarySheet.getRow(i).border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  }
+  summarySheet.getColumn(1).width = 25;
+  summarySheet.getColumn(2).width = 40;
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return buffer;
+}
+
+/**
+ * Generate vessel comparison Excel file
+ * One row per metric, one column per vessel
+ * @param {Array<any>} vessels - Vessel summaries (fleet-analytics fields plus optional recommendationsCounts)
+ */
+async function generateComparisonExcelFile(vessels) {
+  const workbook = new ExcelJS.Workbook();
+  const list = Array.isArray(vessels) ? vessels : [];
+
+  /** @param {any} counts @param {string} key */
+  const count = (counts, key) => (counts ? counts[key] ?? 0 : 'N/A');
+
+  /** @type {Array<[string, (v: any) => any]>} */
+  const metrics = [
+    ['IMO Number', v => v.imo || 'N/A'],
+    ['Risk Score', v => v.riskScore ?? 'N/A'],
+    ['Risk Level', v => v.riskLevel || 'N/A'],
+    ['Last Inspection Date', v => v.lastInspectionDate || 'Never'],
+    ['Last Inspection Port', v => v.lastInspectionPort || 'N/A'],
+    ['Critical Recommendations', v => count(v.recommendationsCounts, 'critical')],
+    ['Moderate Recommendations', v => count(v.recommendationsCounts, 'moderate')],
+    ['Recommended Actions', v => count(v.recommendationsCounts, 'recommended')],
+    ['Total Recommendations', v => (v.recommendationsCounts
+      ? ['critical', 'moderate', 'recommended'].reduce((sum, key) => sum + (v.recommendationsCounts[key] || 0), 0)
+      : 'N/A')],
+  ];
+
+  const sheet = workbook.addWorksheet('Comparison');
+  sheet.addRow(['Metric', ...list.map(v => v.name || 'Unknown Vessel')]);
+  styleHeaderRow(sheet.getRow(1));
+
+  metrics.forEach(([label, getValue]) => {
+    const row = sheet.addRow([label, ...list.map(getValue)]);
+    row.getCell(1).font = { bold: true };
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  });
+
+  sheet.getColumn(1).width = 28;
+  list.forEach((_, index) => {
+    sheet.getColumn(index + 2).width = 22;
+    sheet.getColumn(index + 2).alignment = { horizontal: 'center' };
+  });
+  sheet.views = [
+    {
+      state: 'frozen',
+      xSplit: 1,
+      ySplit: 1,
+    },
+  ];
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return buffer;
+}
+
+/**
+ * Add risk trend sheet with one row per snapshot
+ * @param {any} worksheet
+ * @param {import('../../utils/risk-history').RiskSnapshot[]} snapshots - Risk snapshots, oldest first
+ */
+function addRiskTrendSheet(worksheet, snapshots) {
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Risk Score', key: 'riskScore', width: 12 },
+    { header: 'Risk Level', key: 'riskLevel', width: 14 },
+    { header: 'Last Inspection Date', key: 'lastInspectionDate', width: 22 },
+    { header: 'Last Inspection Port', key: 'lastInspectionPort', width: 30 },
+  ];
+  styleHeaderRow(worksheet.getRow(1));
+
+  snapshots.forEach(snapshot => {
+    const row = worksheet.addRow({
+      date: snapshot.date,
+      // Blank (not N/A) so the chart shows a gap instead of plotting text
+      riskScore: snapshot.riskScore ?? null,
+      riskLevel: snapshot.riskLevel || 'N/A',
+      lastInspectionDate: snapshot.lastInspectionDate || 'Never',
+      lastInspectionPort: snapshot.lastInspectionPort || 'N/A',
+    });
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  });
+
+  // Freeze header row
+  worksheet.views = [
+    {
+      state: 'frozen',
+      ySplit: 1,
+    },
+  ];
+}
+
+/**
+ * Add the risk score line chart next to the Risk Trend sheet's table
+ * @param {any} buffer - Workbook buffer from ExcelJS
+ * @param {import('../../utils/risk-history').RiskSnapshot[]} snapshots - Rows of the Risk Trend sheet
+ * @param {string} title - Chart title
+ * @returns {Promise<any>} Workbook buffer with the chart
+ */
+async function addRiskTrendChart(buffer, snapshots, title) {
+  const lastRow = snapshots.length + 1;
+  return excelChart.addLineChart(buffer, {
+    sheetName: RISK_TREND_SHEET,
+    title,
+    categoriesRef: excelChart.rangeRef(RISK_TREND_SHEET, 'A', 2, lastRow),
+    categories: snapshots.map(snapshot => snapshot.date),
+    series: [{
+      name: 'Risk Score',
+      ref: excelChart.rangeRef(RISK_TREND_SHEET, 'B', 2, lastRow),
+      values: snapshots.map(snapshot => snapshot.riskScore),
+    }],
+    from: { col: 6, row: 1 },
+    to: { col: 16, row: 21 },
+    yAxisTitle: 'Risk Score',
+  });
+}
+
+/**
+ * Generate inspection checklist Excel file
+ * One row per checklist item with Done/Responsible/Due Date/Evidence columns
+ * for crews to tick off, plus a Progress sheet counting completion per severity
+ * @param {any} vesselData
+ * @param {any} recommendationsData
+ */
+async function generateChecklistExcelFile(vesselData, recommendationsData) {
+  const workbook = new ExcelJS.Workbook();
+  // Progress formulas are recalculated when the workbook is opened
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const vesselName = vesselData.name || vesselData.vesselName || 'Unknown Vessel';
+  const imo = vesselData.imo || vesselData.imoNumber || 'N/A';
+  const reportGenerated = new Date().toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const { data } = resolveRecommendationsData(recommendationsData);
+  const items = checklistItems(data);
+
+  // SHEET 1: Progress (filled in below, once the checklist rows exist)
+  const progressSheet = workbook.addWorksheet('Progress');
+
+  // SHEET 2: Checklist
+  const checklistSheet = workbook.addWorksheet('Checklist');
+  const columns = [
+    { header: 'Severity', key: 'severity', width: 14 },
+    { header: 'Category', key: 'category', width: 28 },
+    { header: 'Checklist', key: 'checklist', width: 12 },
+    { header: 'Item', key: 'item', width: 60 },
+    { header: 'Done', key: 'status', width: 14 },
+    { header: 'Responsible', key: 'responsible', width: 20 },
+    { header: 'Due Date', key: 'dueDate', width: 14 },
+    { header: 'Evidence', key: 'evidence', width: 40 },
+  ];
+  checklistSheet.columns = columns;
+  styleHeaderRow(checklistSheet.getRow(1));
+
+  items.forEach(entry => {
+    const row = checklistSheet.addRow({ ...entry, status: CHECKLIST_STATUSES[0] });
+    row.alignment = { vertical: 'top', wrapText: true };
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+    const severity = CHECKLIST_SEVERITIES.find(({ key }) => key === entry.severity);
+    row.getCell('severity').fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: severity ? severity.color : 'FFFFFF' },
+    };
+    row.getCell('status').dataValidation = {
+      type: 'list',
+      allowBlank: false,
+      formulae: [`"${CHECKLIST_STATUSES.join(',')}"`],
+      showErrorMessage: true,
+      errorTitle: 'Invalid status',
+      error: `Choose one of: ${CHECKLIST_STATUSES.join(', ')}`,
+    };
+    row.getCell('dueDate').numFmt = 'yyyy-mm-dd';
+    row.getCell('dueDate').dataValidation = {
+      type: 'date',
+      operator: 'greaterThan',
+      allowBlank: true,
+      formulae: [new Date(Date.UTC(2000, 0, 1))],
+      showErrorMessage: true,
+      errorTitle: 'Invalid date',
+      error: 'Enter a due date (YYYY-MM-DD)',
+    };
+  });
+
+  const lastRow = checklistSheet.rowCount;
+  if (lastRow > 1) {
+    // Overdue items first: rules are applied in priority order
+    checklistSheet.addConditionalFormatting({
+      ref: `A2:H${lastRow}`,
+      rules: [
+        {
+          type: 'expression',
+          priority: 1,
+          formulae: ['AND($G2<>"",$G2<TODAY(),$E2<>"Done",$E2<>"N/A")'],
+          style: {
+            font: { color: { argb: 'FF9C0006' }, bold: true },
+            fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFC7CE' } },
+          },
+        },
+        {
+          type: 'expression',
+          priority: 2,
+          formulae: ['$E2="Done"'],
+          style: {
+            font: { color: { argb: 'FF006100' } },
+            fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFC6EFCE' } },
+          },
+        },
+        {
+          type: 'expression',
+          priority: 3,
+          formulae: ['$E2="In progress"'],
+          style: {
+            font: { color: { argb: 'FF9C5700' } },
+            fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFEB9C' } },
+          },
+        },
+        {
+          type: 'expression',
+          priority: 4,
+          formulae: ['$E2="N/A"'],
+          style: {
+            font: { color: { argb: 'FF7F7F7F' }, italic: true },
+          },
+        },
+      ],
+    });
+
+    checklistSheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: lastRow, column: columns.length },
+    };
+  }
+
+  // Freeze header row
+  checklistSheet.views = [
+    {
+      state: 'frozen',
+      ySplit: 1,
+    },
+  ];
+
+  addProgressSheet(progressSheet, items, { vesselName, imo, reportGenerated });
+
   const buffer = await workbook.xlsx.writeBuffer();
   return buffer;
 }
 
+/**
+ * Flatten recommendations into one checklist row per checklist item
+ * Items without checklists contribute their recommendations instead, so every
+ * item has something to tick off.
+ * @param {any} recommendationsData - Structured recommendations (CRITICAL/MODERATE/RECOMMENDED)
+ * @returns {Array<{severity: string, category: string, checklist: string, item: string}>}
+ */
+function checklistItems(recommendationsData) {
+  /** @param {any} value @returns {string[]} */
+  const toList = value => {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => String(item).trim()).filter(item => item);
+  };
+
+  /** @type {Array<{severity: string, category: string, checklist: string, item: string}>} */
+  const rows = [];
+  CHECKLIST_SEVERITIES.forEach(({ key }) => {
+    const recommendations = recommendationsData[key] || recommendationsData[key.toLowerCase()] || [];
+    if (!Array.isArray(recommendations)) {
+      return;
+    }
+    recommendations.forEach((/** @type {any} */ rec) => {
+      if (typeof rec === 'string') {
+        rows.push({ severity: key, category: rec, checklist: 'Action', item: rec });
+        return;
+      }
+      const category = rec.category || rec.name || 'General';
+      const before = rows.length;
+      CHECKLIST_FIELDS.forEach(([label, fields]) => {
+        const field = fields.find(name => rec[name]);
+        toList(field ? rec[field] : null).forEach(item => {
+          rows.push({ severity: key, category, checklist: label, item });
+        });
+      });
+      if (rows.length === before) {
+        const actions = toList(rec.recommendations || rec.generalRecommendations || rec.general_recommendations ||
+          rec.description || rec.recommendation || rec.text);
+        (actions.length > 0 ? actions : [category]).forEach(item => {
+          rows.push({ severity: key, category, checklist: 'Action', item });
+        });
+      }
+    });
+  });
+  return rows;
+}
+
+/**
+ * Add progress summary sheet
+ * Counts are COUNTIFS formulas over the Checklist sheet (whole columns, so rows
+ * crews add are counted too); cached results reflect the untouched checklist.
+ * @param {any} worksheet
+ * @param {Array<{severity: string}>} items - Checklist rows
+ * @param {{vesselName: string, imo: string, reportGenerated: string}} info
+ */
+function addProgressSheet(worksheet, items, info) {
+  worksheet.addRow(['Vessel Name', info.vesselName]);
+  worksheet.addRow(['IMO Number', info.imo]);
+  worksheet.addRow(['Report Generated', info.reportGenerated]);
+  for (let i = 1; i <= 3; i++) {
+    worksheet.getRow(i).getCell(1).font = { bold: true };
+  }
+  worksheet.addRow([]);
+
+  const header = worksheet.addRow(['Severity', 'Items', 'Done', 'In Progress', 'Not Started', 'N/A', 'Overdue', 'Completion']);
+  styleHeaderRow(header);
+  const firstRow = header.number + 1;
+
+  /** @param {string} criteria - Extra COUNTIFS criteria after the severity */
+  const countIfs = criteria => `COUNTIFS(Checklist!$A:$A,$A{row}${criteria})`;
+  /** @type {Array<[string, (total: number) => number]>} */
+  const counts = [
+    [countIfs(''), total => total],
+    [countIfs(',Checklist!$E:$E,"Done"'), () => 0],
+    [countIfs(',Checklist!$E:$E,"In progress"'), () => 0],
+    [countIfs(',Checklist!$E:$E,"Not started"'), total => total],
+    [countIfs(',Checklist!$E:$E,"N/A"'), () => 0],
+    [countIfs(',Checklist!$G:$G,"<"&TODAY(),Checklist!$E:$E,"<>Done",Checklist!$E:$E,"<>N/A"'), () => 0],
+  ];
+
+  CHECKLIST_SEVERITIES.forEach(({ key, color }, index) => {
+    const rowNumber = firstRow + index;
+    const total = items.filter(item => item.severity === key).length;
+    const row = worksheet.addRow([
+      key,
+      ...counts.map(([formula, result]) => ({ formula: formula.replace('{row}', String(rowNumber)), result: result(total) })),
+      // Completion excludes N/A items
+      { formula: `IF(B${rowNumber}-F${rowNumber}=0,0,C${rowNumber}/(B${rowNumber}-F${rowNumber}))`, result: 0 },
+    ]);
+    row.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+  });
+
+  const lastRow = firstRow + CHECKLIST_SEVERITIES.length - 1;
+  const totalNumber = lastRow + 1;
+  const totalRow = worksheet.addRow([
+    'Total',
+    ...['B', 'C', 'D', 'E', 'F', 'G'].map(column => ({
+      formula: `SUM(${column}${firstRow}:${column}${lastRow})`,
+      result: column === 'B' || column === 'E' ? items.length : 0,
+    })),
+    { formula: `IF(B${totalNumber}-F${totalNumber}=0,0,C${totalNumber}/(B${totalNumber}-F${totalNumber}))`, result: 0 },
+  ]);
+  totalRow.font = { bold: true };
+
+  for (let i = firstRow; i <= totalNumber; i++) {
+    const row = worksheet.getRow(i);
+    row.getCell(8).numFmt = '0%';
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  }
+
+  worksheet.getColumn(1).width = 20;
+  worksheet.getColumn(2).width = 30;
+  for (let i = 3; i <= 8; i++) {
+    worksheet.getColumn(i).width = 13;
+  }
+}
+
+/**
+ * Parse raw-text recommendations into the structured shape
+ * @param {any} recommendationsData
+ * @returns {{data: any, unparsed: string[]}} Structured data and the lines the parser could not place
+ */
+function resolveRecommendationsData(recommendationsData) {
+  if (typeof recommendationsData.rawText !== 'string') {
+    return { data: recommendationsData, unparsed: [] };
+  }
+  const parsed = parseRecommendationsText(recommendationsData.rawText);
+  return { data: { ...recommendationsData, ...parsed }, unparsed: parsed.unparsed };
+}
+
+/**
+ * Apply the standard dark blue header styling to a row
+ * @param {any} headerRow
+ */
+function styleHeaderRow(headerRow) {
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF1F4E78' }, // Dark blue
+  };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.border = {
+    top: { style: 'thin' },
+    left: { style: 'thin' },
+    bottom: { style: 'thin' },
+    right: { style: 'thin' },
+  };
+}
+
 /**
  * Add recommendations sheet with styling
  * @param {any} worksheet
@@ -441,5 +1073,42 @@ function addCampaignsSheet(worksheet, recommendationsData) {
   ];
 }
 
-// Export helper function for testing
+/**
+ * Add raw report sheet with the report lines the parser could not place
+ * @param {any} worksheet
+ * @param {string[]} lines - Unparsed report lines, in report order
+ */
+function addRawReportSheet(worksheet, lines) {
+  worksheet.columns = [
+    { header: 'Line', key: 'line', width: 8 },
+    { header: 'Report Text', key: 'text', width: 100 },
+  ];
+  styleHeaderRow(worksheet.getRow(1));
+
+  lines.forEach((text, index) => {
+    const row = worksheet.addRow({ line: index + 1, text });
+    row.alignment = { vertical: 'top', wrapText: true };
+    row.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
+  });
+
+  // Freeze header row
+  worksheet.views = [
+    {
+      state: 'frozen',
+      ySplit: 1,
+    },
+  ];
+}
+
+// Export helper functions for testing
 exports.generateExcelFile = generateExcelFile;
+exports.generateFleetExcelFile = generateFleetExcelFile;
+exports.generateComparisonExcelFile = generateComparisonExcelFile;
+exports.generateChecklistExcelFile = generateChecklistExcelFile;
+exports.generateRiskTrendExcelFile = generateRiskTrendExcelFile;
+exports.generatePdfFile = generatePdfFile;
@@ -0,0 +1,80 @@
+const deliveryTracker = require('../../utils/delivery-tracker');
+const twilioSignature = require('../../utils/twilio-signature');
+
+/**
+ * Build a plain-text response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} body - Response body
+ */
+function textResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/plain' },
+    body,
+  };
+}
+
+/**
+ * Netlify serverless function handler for Twilio message status callbacks.
+ * Twilio posts MessageSid / MessageStatus (queued, sent, delivered, read,
+ * failed, undelivered) for each message sent with this URL as its
+ * StatusCallback; requestId in the query string ties it to the originating request.
+ * @param {any} event - Netlify function event object
+ * @returns {Promise<any>} HTTP response
+ */
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return textResponse(405, 'Method Not Allowed');
+  }
+
+  const requestId = event.queryStringParameters?.requestId;
+  if (!requestId) {
+    return textResponse(400, 'Missing requestId');
+  }
+
+  const rawBody = event.isBase64Encoded && event.body
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+  const params = new URLSearchParams(rawBody || '');
+
+  // Callbacks are signed against the exact URL registered with the message
+  const signatureCheck = twilioSignature.validateTwilioRequest(
+    event,
+    params,
+    undefined,
+    deliveryTracker.buildStatusCallbackUrl(requestId)
+  );
+  if (!signatureCheck.skipped && !signatureCheck.valid) {
+    console.warn('Rejected status callback with invalid Twilio signature', { reason: signatureCheck.reason });
+    return textResponse(403, 'Forbidden');
+  }
+
+  const sid = params.get('MessageSid') || params.get('SmsSid');
+  const status = params.get('MessageStatus') || params.get('SmsStatus');
+  if (!sid || !status) {
+    return textResponse(400, 'Missing MessageSid or MessageStatus');
+  }
+  const errorCode = params.get('ErrorCode');
+
+  try {
+    const record = await deliveryTracker.recordStatus(requestId, { sid, status, errorCode });
+    if (!record) {
+      // Expired or unknown request; acknowledge so Twilio doesn't retry
+      console.warn('Status callback for unknown request', { requestId, sid, status });
+      return textResponse(200, 'OK');
+    }
+    console.log('Message status', { requestId, sid, status, errorCode });
+
+    if (deliveryTracker.isFailedStatus(status)) {
+      const reason = errorCode ? `${status} (error ${errorCode})` : status;
+      const message = record.messages[sid];
+      const outcome = await deliveryTracker.handleDeliveryFailure(requestId, reason, message?.attempt, message?.part);
+      console.log('Delivery failure handled', { requestId, outcome });
+    }
+
+    return textResponse(200, 'OK');
+  } catch (err) {
+    console.error('Error handling status callback', err instanceof Error ? err.message : String(err));
+    return textResponse(500, 'Error');
+  }
+};
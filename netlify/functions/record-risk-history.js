@@ -0,0 +1,39 @@
+const apiClient = require('../../utils/api-client');
+const riskHistory = require('../../utils/risk-history');
+const stateManager = require('../../utils/state-manager');
+
+// Snapshots are written here and read by the webhook and generate-excel, in other function instances
+stateManager.warnIfMemoryStore('Risk history');
+
+/**
+ * Record today's risk snapshot for every vessel in the dashboard
+ * Runs on a schedule rather than on user requests, so the webhook never waits
+ * on hundreds of storage writes.
+ * @returns {Promise<{recorded: number}>} Vessels recorded
+ */
+async function recordRiskHistory() {
+  // Always record fresh data, not this instance's cached copy
+  apiClient.clearCache();
+  const dashboardData = await apiClient.fetchDashboardData();
+  if (!dashboardData) {
+    throw new Error('Dashboard data unavailable');
+  }
+  return { recorded: await riskHistory.recordSnapshots(dashboardData) };
+}
+
+/**
+ * Netlify scheduled function (see netlify.toml) that records risk history snapshots.
+ * @returns {Promise<any>} HTTP response
+ */
+exports.handler = async () => {
+  try {
+    const result = await recordRiskHistory();
+    console.log('Risk history recorded', result);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (err) {
+    console.error('Risk history run failed', err instanceof Error ? err.message : String(err));
+    return { statusCode: 500, body: 'Error' };
+  }
+};
+
+exports.recordRiskHistory = recordRiskHistory;
@@ -0,0 +1,100 @@
+const apiClient = require('../../utils/api-client');
+const fleetAnalytics = require('../../utils/fleet-analytics');
+const userRegistry = require('../../utils/user-registry');
+const alertSubscriptions = require('../../utils/alert-subscriptions');
+const stateManager = require('../../utils/state-manager');
+const { sendTrackedMessage } = require('../../utils/delivery-tracker');
+
+// Subscriptions are saved by the webhook and read here, in another function instance
+stateManager.warnIfMemoryStore('Risk alerts');
+
+/**
+ * Check subscribed vessels for risk changes and notify their subscribers
+ * Vessels seen for the first time only get a baseline snapshot. A subscriber
+ * whose alert fails keeps the snapshot they last heard about, so the next run
+ * retries their alert; other subscribers aren't alerted twice.
+ * @returns {Promise<{vessels: number, alerts: number, failed: number}>} Vessels checked and alerts sent
+ */
+async function runRiskAlerts() {
+  const subscribers = await alertSubscriptions.listSubscribers();
+  const subscribedImos = new Set(subscribers.flatMap(subscriber => subscriber.vessels.map(entry => entry.imo)));
+  if (subscribedImos.size === 0) {
+    return { vessels: 0, alerts: 0, failed: 0 };
+  }
+
+  // Always compare against fresh data, not this instance's cached copy
+  apiClient.clearCache();
+  const dashboardData = await apiClient.fetchDashboardData();
+  if (!dashboardData) {
+    throw new Error('Dashboard data unavailable');
+  }
+
+  let vessels = 0;
+  let alerts = 0;
+  let failed = 0;
+
+  for (const vessel of fleetAnalytics.getDashboardVessels(dashboardData)) {
+    const { imo, ...current } = alertSubscriptions.snapshotVessel(vessel);
+    if (!subscribedImos.has(imo)) {
+      continue;
+    }
+    vessels++;
+
+    const previous = await alertSubscriptions.getSnapshot(imo);
+    if (previous) {
+      for (const subscriber of subscribers) {
+        const subscription = subscriber.vessels.find(entry => entry.imo === imo);
+        // Access is re-checked in case the user's registry entry changed since subscribing
+        if (!subscription || !userRegistry.canAccessVessel(userRegistry.getUser(subscriber.to), imo)) {
+          continue;
+        }
+
+        const pending = await alertSubscriptions.getPendingSnapshot(subscriber.to, imo);
+        const changes = alertSubscriptions.detectChanges(pending || previous, current, subscription.threshold);
+        if (changes.length === 0) {
+          if (pending) {
+            await alertSubscriptions.clearPendingSnapshot(subscriber.to, imo);
+          }
+          continue;
+        }
+
+        const result = await sendTrackedMessage(
+          subscriber.to,
+          alertSubscriptions.formatAlertMessage(subscription, current, changes),
+          { subject: `Risk alert for ${current.name} (IMO ${imo})` }
+        );
+        if (result.ok) {
+          alerts++;
+          if (pending) {
+            await alertSubscriptions.clearPendingSnapshot(subscriber.to, imo);
+          }
+        } else {
+          failed++;
+          await alertSubscriptions.savePendingSnapshot(subscriber.to, imo, previous);
+          console.error('Risk alert not sent', { imo, requestId: result.requestId, error: result.error });
+        }
+      }
+    }
+
+    await alertSubscriptions.saveSnapshot(imo, current);
+  }
+
+  return { vessels, alerts, failed };
+}
+
+/**
+ * Netlify scheduled function (see netlify.toml) that sends risk change alerts.
+ * @returns {Promise<any>} HTTP response
+ */
+exports.handler = async () => {
+  try {
+    const result = await runRiskAlerts();
+    console.log('Risk alerts run completed', result);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (err) {
+    console.error('Risk alerts run failed', err instanceof Error ? err.message : String(err));
+    return { statusCode: 500, body: 'Error' };
+  }
+};
+
+exports.runRiskAlerts = runRiskAlerts;
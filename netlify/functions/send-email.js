@@ -1,8 +1,7 @@
 const sgMail = require('@sendgrid/mail');
-const fs = require('fs');
 const path = require('path');
+const reportStorage = require('../../utils/report-storage');
 
-const TEMP_DIR = '/tmp';
 const DEFAULT_SENDER_NAME = 'KIVAAN Vessel Intelligence';
 
 /**
@@ -25,9 +24,10 @@ function initializeSendGrid() {
  * @param {number} recommendedCount - Count of recommended items
  * @param {string|number} riskScore - Risk score
  * @param {string} riskLevel - Risk level
+ * @param {string} [attachmentLabel] - What is attached ("Excel file", "PDF report", "inspection checklist workbook")
  * @returns {string} HTML email content
  */
-function generateEmailHTML(vesselName, vesselIMO, criticalCount, moderateCount, recommendedCount, riskScore, riskLevel) {
+function generateEmailHTML(vesselName, vesselIMO, criticalCount, moderateCount, recommendedCount, riskScore, riskLevel, attachmentLabel = 'Excel file') {
   return `
 <!DOCTYPE html>
 <html>
@@ -76,7 +76,7 @@ function generateEmailHTML(vesselName, vesselIMO, criticalCount, moderateCount,
     <li>Risk Score: <strong>${escapeHtml(String(riskScore))}</strong> (${escapeHtml(String(riskLevel))})</li>
   </ul>
   
-  <p>The attached Excel file contains:</p>
+  <p>The attached ${attachmentLabel} contains:</p>
   <ul>
     <li>Complete recommendations by priority</li>
     <li>Internal & external checklists</li>
@@ -100,9 +100,10 @@ function generateEmailHTML(vesselName, vesselIMO, criticalCount, moderateCount,
  * @param {number} recommendedCount - Count of recommended items
  * @param {string|number} riskScore - Risk score
  * @param {string} riskLevel - Risk level
+ * @param {string} [attachmentLabel] - What is attached ("Excel file", "PDF report", "inspection checklist workbook")
  * @returns {string} Plain text email content
  */
-function generateEmailText(vesselName, vesselIMO, criticalCount, moderateCount, recommendedCount, riskScore, riskLevel) {
+function generateEmailText(vesselName, vesselIMO, criticalCount, moderateCount, recommendedCount, riskScore, riskLevel, attachmentLabel = 'Excel file') {
   return `Vessel Recommendations Report
 
 Hello,
@@ -115,7 +116,7 @@ Report Summary:
 - Recommended Items: ${recommendedCount}
 - Risk Score: ${riskScore} (${riskLevel})
 
-The attached Excel file contains:
+The attached ${attachmentLabel} contains:
 - Complete recommendations by priority
 - Internal & external checklists
 - Campaign trends and general guidance
@@ -126,6 +127,309 @@ Best regards,
 ${DEFAULT_SENDER_NAME}`;
 }
 
+/**
+ * Generate HTML email template for fleet reports
+ * @param {string} reportTitle - Fleet report title (e.g. "Top 5 highest-risk vessels")
+ * @param {number} vesselCount - Number of vessels in the attached report
+ * @param {Array<{riskLevel: string, count: number}>} riskLevelCounts - Fleet-wide counts per risk level
+ * @returns {string} HTML email content
+ */
+function generateFleetEmailHTML(reportTitle, vesselCount, riskLevelCounts) {
+  const countItems = riskLevelCounts
+    .map(({ riskLevel, count }) => `<li>${escapeHtml(String(riskLevel))}: <strong>${count}</strong></li>`)
+    .join('\n    ');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h2 {
+      color: #1F4E78;
+      border-bottom: 2px solid #1F4E78;
+      padding-bottom: 10px;
+    }
+    h3 {
+      color: #1F4E78;
+      margin-top: 20px;
+    }
+    ul {
+      margin: 10px 0;
+      padding-left: 20px;
+    }
+    li {
+      margin: 5px 0;
+    }
+    strong {
+      color: #1F4E78;
+    }
+  </style>
+</head>
+<body>
+  <h2>Fleet Report: ${escapeHtml(reportTitle)}</h2>
+  <p>Hello,</p>
+  <p>Here's your fleet report. The attached Excel file lists <strong>${vesselCount}</strong> vessel(s).</p>
+  
+  <h3>Fleet Risk Levels:</h3>
+  <ul>
+    ${countItems}
+  </ul>
+  
+  <p>Best regards,<br>${DEFAULT_SENDER_NAME}</p>
+</body>
+</html>
+  `.trim();
+}
+
+/**
+ * Generate plain text email template for fleet reports
+ * @param {string} reportTitle - Fleet report title
+ * @param {number} vesselCount - Number of vessels in the attached report
+ * @param {Array<{riskLevel: string, count: number}>} riskLevelCounts - Fleet-wide counts per risk level
+ * @returns {string} Plain text email content
+ */
+function generateFleetEmailText(reportTitle, vesselCount, riskLevelCounts) {
+  return `Fleet Report: ${reportTitle}
+
+Hello,
+
+Here's your fleet report. The attached Excel file lists ${vesselCount} vessel(s).
+
+Fleet Risk Levels:
+${riskLevelCounts.map(({ riskLevel, count }) => `- ${riskLevel}: ${count}`).join('\n')}
+
+Best regards,
+${DEFAULT_SENDER_NAME}`;
+}
+
+/**
+ * @typedef {Object} DigestSummary
+ * @property {number} vesselCount - Number of vessels in the attached workbook
+ * @property {Array<{riskLevel: string, count: number}>} riskLevelCounts
+ * @property {Array<{name: string, imo: string, fromLevel: string, toLevel: string, fromScore: number|null, toScore: number|null}>} riskChanges
+ * @property {Array<{name: string, imo: string, riskScore: number|null, riskLevel: string}>} topRisk
+ * @property {Array<{name: string, regimes: string[], start: string, end: string}>} campaigns
+ */
+
+/**
+ * Normalize the digest summary posted by the fleet-digest function
+ * @param {any} digest
+ * @returns {DigestSummary}
+ */
+function normalizeDigestSummary(digest) {
+  /** @param {any} list */
+  const toArray = list => (Array.isArray(list) ? list : []);
+  return {
+    vesselCount: Number(digest?.vesselCount) || 0,
+    riskLevelCounts: toArray(digest?.riskLevelCounts),
+    riskChanges: toArray(digest?.riskChanges),
+    topRisk: toArray(digest?.topRisk),
+    campaigns: toArray(digest?.campaigns),
+  };
+}
+
+/**
+ * Describe a PSC campaign on one line
+ * @param {{name: string, regimes: string[], start: string, end: string}} campaign
+ * @returns {string}
+ */
+function describeCampaign(campaign) {
+  const regimes = Array.isArray(campaign.regimes) && campaign.regimes.length > 0 ? ` (${campaign.regimes.join(', ')})` : '';
+  return `${campaign.name}${regimes}: ${campaign.start} to ${campaign.end}`;
+}
+
+/**
+ * Generate HTML email template for the scheduled fleet digest
+ * @param {string} reportTitle - Digest title (e.g. "Weekly fleet digest – 2025-10-13")
+ * @param {DigestSummary} digest
+ * @returns {string} HTML email content
+ */
+function generateDigestEmailHTML(reportTitle, digest) {
+  /** @param {string[]} items @param {string} empty */
+  const list = (items, empty) => items.length > 0
+    ? `<ul>\n    ${items.map(item => `<li>${item}</li>`).join('\n    ')}\n  </ul>`
+    : `<p>${empty}</p>`;
+
+  const changes = list(digest.riskChanges.map(change =>
+    `${escapeHtml(change.name)} (IMO ${escapeHtml(String(change.imo))}): ` +
+    `${escapeHtml(change.fromLevel)} → <strong>${escapeHtml(change.toLevel)}</strong> ` +
+    `(score ${change.fromScore ?? 'N/A'} → ${change.toScore ?? 'N/A'})`
+  ), 'No risk level changes.');
+  const topRisk = list(digest.topRisk.map(vessel =>
+    `${escapeHtml(vessel.name)}: <strong>${vessel.riskScore ?? 'N/A'}</strong> (${escapeHtml(vessel.riskLevel)})`
+  ), 'No risk scores available.');
+  const campaigns = list(digest.campaigns.map(campaign => escapeHtml(describeCampaign(campaign))), 'No campaigns announced.');
+  const counts = list(digest.riskLevelCounts.map(({ riskLevel, count }) =>
+    `${escapeHtml(String(riskLevel))}: <strong>${count}</strong>`
+  ), 'No vessels.');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h2 {
+      color: #1F4E78;
+      border-bottom: 2px solid #1F4E78;
+      padding-bottom: 10px;
+    }
+    h3 {
+      color: #1F4E78;
+      margin-top: 20px;
+    }
+    ul {
+      margin: 10px 0;
+      padding-left: 20px;
+    }
+    li {
+      margin: 5px 0;
+    }
+    strong {
+      color: #1F4E78;
+    }
+  </style>
+</head>
+<body>
+  <h2>${escapeHtml(reportTitle)}</h2>
+  <p>Hello,</p>
+  <p>Here's your fleet digest. The attached Excel file lists your <strong>${digest.vesselCount}</strong> vessel(s).</p>
+
+  <h3>Risk Level Changes:</h3>
+  ${changes}
+
+  <h3>Top-Risk Vessels:</h3>
+  ${topRisk}
+
+  <h3>Upcoming PSC Campaigns:</h3>
+  ${campaigns}
+
+  <h3>Fleet Risk Levels:</h3>
+  ${counts}
+
+  <p>Best regards,<br>${DEFAULT_SENDER_NAME}</p>
+</body>
+</html>
+  `.trim();
+}
+
+/**
+ * Generate plain text email template for the scheduled fleet digest
+ * @param {string} reportTitle - Digest title
+ * @param {DigestSummary} digest
+ * @returns {string} Plain text email content
+ */
+function generateDigestEmailText(reportTitle, digest) {
+  /** @param {string[]} items @param {string} empty */
+  const list = (items, empty) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : empty);
+
+  return `${reportTitle}
+
+Hello,
+
+Here's your fleet digest. The attached Excel file lists your ${digest.vesselCount} vessel(s).
+
+Risk Level Changes:
+${list(digest.riskChanges.map(change =>
+  `${change.name} (IMO ${change.imo}): ${change.fromLevel} -> ${change.toLevel} (score ${change.fromScore ?? 'N/A'} -> ${change.toScore ?? 'N/A'})`
+), 'No risk level changes.')}
+
+Top-Risk Vessels:
+${list(digest.topRisk.map(vessel => `${vessel.name}: ${vessel.riskScore ?? 'N/A'} (${vessel.riskLevel})`), 'No risk scores available.')}
+
+Upcoming PSC Campaigns:
+${list(digest.campaigns.map(describeCampaign), 'No campaigns announced.')}
+
+Fleet Risk Levels:
+${list(digest.riskLevelCounts.map(({ riskLevel, count }) => `${riskLevel}: ${count}`), 'No vessels.')}
+
+Best regards,
+${DEFAULT_SENDER_NAME}`;
+}
+
+/**
+ * Generate HTML email template for a WhatsApp message that could not be delivered
+ * @param {string} reportTitle - What the message was about (e.g. "Recommendations for GCL YAMUNA")
+ * @param {string} messageText - Message content as sent to WhatsApp
+ * @returns {string} HTML email content
+ */
+function generateMessageEmailHTML(reportTitle, messageText) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h2 {
+      color: #1F4E78;
+      border-bottom: 2px solid #1F4E78;
+      padding-bottom: 10px;
+    }
+    pre {
+      font-family: Arial, sans-serif;
+      white-space: pre-wrap;
+      background-color: #F5F7FA;
+      padding: 15px;
+    }
+  </style>
+</head>
+<body>
+  <h2>${escapeHtml(reportTitle)}</h2>
+  <p>Hello,</p>
+  <p>We couldn't deliver this message to you on WhatsApp, so here it is by email.</p>
+  
+  <pre>${escapeHtml(messageText)}</pre>
+  
+  <p>Best regards,<br>${DEFAULT_SENDER_NAME}</p>
+</body>
+</html>
+  `.trim();
+}
+
+/**
+ * Generate plain text email template for an undelivered WhatsApp message
+ * @param {string} reportTitle - What the message was about
+ * @param {string} messageText - Message content as sent to WhatsApp
+ * @returns {string} Plain text email content
+ */
+function generateMessageEmailText(reportTitle, messageText) {
+  return `${reportTitle}
+
+Hello,
+
+We couldn't deliver this message to you on WhatsApp, so here it is by email.
+
+${messageText}
+
+Best regards,
+${DEFAULT_SENDER_NAME}`;
+}
+
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
@@ -146,24 +450,16 @@ function escapeHtml(text) {
 }
 
 /**
- * Read Excel file from /tmp directory
- * @param {string} excelFilePath - Path to Excel file
- * @returns {Buffer} File buffer
+ * Read Excel file from the report store
+ * @param {string} reportFile - Report file id (filename in the report store)
+ * @returns {Promise<Buffer>} File buffer
  */
-function readExcelFile(excelFilePath) {
-  // Ensure path is within TEMP_DIR for security
-  const resolvedPath = path.resolve(excelFilePath);
-  const resolvedTempDir = path.resolve(TEMP_DIR);
-  
-  if (!resolvedPath.startsWith(resolvedTempDir)) {
-    throw new Error('Invalid file path: file must be in /tmp directory');
-  }
-
-  if (!fs.existsSync(excelFilePath)) {
-    throw new Error(`Excel file not found: ${excelFilePath}`);
+async function readExcelFile(reportFile) {
+  const report = await reportStorage.getReportStore().get(reportFile);
+  if (!report) {
+    throw new Error(`Excel file not found: ${reportFile}`);
   }
-
-  return fs.readFileSync(excelFilePath);
+  return report.body;
 }
 
 /**
@@ -184,7 +480,8 @@ exports.handler = async (event) => {
     };
   }
 
-  let excelFilePath = null;
+  /** @type {string|null} */
+  let reportFile = null;
 
   try {
     // Initialize SendGrid
@@ -208,10 +505,14 @@ exports.handler = async (event) => {
     }
 
     // Extract required parameters
+    const reportType = requestData.reportType || requestData.report_type || 'recommendations';
     const recipientEmail = requestData.recipientEmail || requestData.email;
     const vesselName = requestData.vesselName || requestData.vessel_name || 'Unknown Vessel';
     const vesselIMO = requestData.vesselIMO || requestData.vessel_imo || requestData.imo || 'N/A';
-    excelFilePath = requestData.excelFilePath || requestData.excel_file_path;
+    // reportFile is a report store id; excelFilePath is still accepted from older callers
+    const excelFilePath = requestData.excelFilePath || requestData.excel_file_path;
+    reportFile = requestData.reportFile || requestData.report_file ||
+      (excelFilePath ? path.basename(excelFilePath) : null);
     
     // Extract recommendations counts
     const recommendationsCounts = requestData.recommendationsCounts || requestData.recommendations_counts || {};
@@ -245,11 +546,21 @@ exports.handler = async (event) => {
       };
     }
 
-    if (!excelFilePath) {
+    // Undelivered WhatsApp messages are emailed as text, without an attachment
+    const isMessage = reportType === 'message';
+
+    // The attachment type (Excel workbook or PDF) follows the report file's extension
+    const attachmentType = reportStorage.contentTypeForKey(reportFile || '');
+    let attachmentLabel = attachmentType === 'application/pdf' ? 'PDF report' : 'Excel file';
+    if (String(reportFile || '').startsWith('checklist_')) {
+      attachmentLabel = 'inspection checklist workbook';
+    }
+
+    if (!reportFile && !isMessage) {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing excelFilePath' }),
+        body: JSON.stringify({ error: 'Missing reportFile' }),
       };
     }
 
@@ -266,9 +577,12 @@ exports.handler = async (event) => {
     }
 
     // Read Excel file
-    let excelBuffer;
+    /** @type {Buffer|null} */
+    let excelBuffer = null;
     try {
-      excelBuffer = readExcelFile(excelFilePath);
+      if (reportFile) {
+        excelBuffer = await readExcelFile(reportFile);
+      }
     } catch (readError) {
       const errorMessage = readError instanceof Error ? readError.message : String(readError);
       return {
@@ -282,27 +596,52 @@ exports.handler = async (event) => {
     }
 
     // Generate email content
-    const htmlContent = generateEmailHTML(
-      vesselName,
-      vesselIMO,
-      criticalCount,
-      moderateCount,
-      recommendedCount,
-      riskScore,
-      riskLevel
-    );
-    const textContent = generateEmailText(
-      vesselName,
-      vesselIMO,
-      criticalCount,
-      moderateCount,
-      recommendedCount,
-      riskScore,
-      riskLevel
-    );
-
-    // Extract filename from path
-    const filename = path.basename(excelFilePath);
+    let subject;
+    let htmlContent;
+    let textContent;
+    if (isMessage) {
+      const reportTitle = requestData.reportTitle || 'PSC Bot message';
+      const messageText = String(requestData.messageText || requestData.message_text || '');
+      subject = reportTitle;
+      htmlContent = generateMessageEmailHTML(reportTitle, messageText);
+      textContent = generateMessageEmailText(reportTitle, messageText);
+    } else if (reportType === 'fleet') {
+      const reportTitle = requestData.reportTitle || 'Fleet Overview';
+      const fleetSummary = requestData.fleetSummary || {};
+      const riskLevelCounts = Array.isArray(fleetSummary.riskLevelCounts) ? fleetSummary.riskLevelCounts : [];
+      const vesselCount = fleetSummary.vesselCount || 0;
+      subject = `Fleet Report - ${reportTitle}`;
+      htmlContent = generateFleetEmailHTML(reportTitle, vesselCount, riskLevelCounts);
+      textContent = generateFleetEmailText(reportTitle, vesselCount, riskLevelCounts);
+    } else if (reportType === 'digest') {
+      const reportTitle = requestData.reportTitle || 'Fleet digest';
+      const digest = normalizeDigestSummary(requestData.digest);
+      subject = reportTitle;
+      htmlContent = generateDigestEmailHTML(reportTitle, digest);
+      textContent = generateDigestEmailText(reportTitle, digest);
+    } else {
+      subject = `Vessel Recommendations Report - ${vesselName}`;
+      htmlContent = generateEmailHTML(
+        vesselName,
+        vesselIMO,
+        criticalCount,
+        moderateCount,
+        recommendedCount,
+        riskScore,
+        riskLevel,
+        attachmentLabel
+      );
+      textContent = generateEmailText(
+        vesselName,
+        vesselIMO,
+        criticalCount,
+        moderateCount,
+        recommendedCount,
+        riskScore,
+        riskLevel,
+        attachmentLabel
+      );
+    }
 
     // Prepare email message
     const msg = {
@@ -311,24 +650,26 @@ exports.handler = async (event) => {
         email: senderEmail,
         name: senderName,
       },
-      subject: `Vessel Recommendations Report - ${vesselName}`,
+      subject,
       text: textContent,
       html: htmlContent,
-      attachments: [
-        {
-          content: excelBuffer.toString('base64'),
-          filename: filename,
-          type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          disposition: 'attachment',
-        },
-      ],
+      ...(excelBuffer && reportFile ? {
+        attachments: [
+          {
+            content: excelBuffer.toString('base64'),
+            filename: reportFile,
+            type: attachmentType,
+            disposition: 'attachment',
+          },
+        ],
+      } : {}),
     };
 
     // Send email via SendGrid
     console.log('[send-email] Sending email', { 
       to: recipientEmail, 
       vesselName, 
-      attachmentSize: (excelBuffer.length / 1024).toFixed(2) + ' KB' 
+      attachmentSize: excelBuffer ? (excelBuffer.length / 1024).toFixed(2) + ' KB' : 'none' 
     });
     
     let sendResult;
@@ -374,14 +715,13 @@ exports.handler = async (event) => {
 
     // Clean up Excel file after successful send
     try {
-      if (fs.existsSync(excelFilePath)) {
-        fs.unlinkSync(excelFilePath);
-        console.log(`Cleaned up Excel file: ${excelFilePath}`);
+      if (reportFile && await reportStorage.getReportStore().delete(reportFile)) {
+        console.log(`Cleaned up Excel file: ${reportFile}`);
       }
     } catch (cleanupError) {
       // Log but don't fail the request - file will be cleaned up by age check anyway
       const errorMessage = cleanupError instanceof Error ? cleanupError.message : String(cleanupError);
-      console.warn(`Warning: Could not delete Excel file ${excelFilePath} after sending:`, errorMessage);
+      console.warn(`Warning: Could not delete Excel file ${reportFile} after sending:`, errorMessage);
     }
 
     // Return success response
@@ -401,11 +741,9 @@ exports.handler = async (event) => {
     const errorMessage = error instanceof Error ? error.message : String(error);
 
     // Clean up Excel file on error (best effort)
-    if (excelFilePath) {
+    if (reportFile) {
       try {
-        if (fs.existsSync(excelFilePath)) {
-          fs.unlinkSync(excelFilePath);
-        }
+        await reportStorage.getReportStore().delete(reportFile);
       } catch (cleanupError) {
         // Ignore cleanup errors
         console.warn('Error during cleanup:', cleanupError);
@@ -1,44 +1,27 @@
+const crypto = require('crypto');
 const fetch = require('node-fetch');
-const fs = require('fs');
-const path = require('path');
 
 // Import utility modules
 const systemPrompts = require('../../config/system-prompts');
+const intentTools = require('../../config/intent-tools');
 const apiClient = require('../../utils/api-client');
 const stateManager = require('../../utils/state-manager');
 const vesselLookup = require('../../utils/vessel-lookup');
-
-// Import Excel generation function
-const { generateExcelFile } = require('./generate-excel');
-const TEMP_DIR = '/tmp';
-
-// Phone number to email mapping (for testing/demo purposes)
-// In production, this should be stored in a database or retrieved from user profile
-const PHONE_TO_EMAIL = {
-  // Add phone numbers (with country code) mapped to emails
-  // Example: '+1234567890': 'user@example.com',
-  // You can also use environment variable for default email
-};
-
-/**
- * Get email address for a phone number
- * @param {string} phoneNumber - Phone number
- * @returns {string|null} Email address or null if not found
- */
-function getEmailForPhone(phoneNumber) {
-  // Check mapping first
-  if (PHONE_TO_EMAIL[phoneNumber]) {
-    return PHONE_TO_EMAIL[phoneNumber];
-  }
-  
-  // Fallback to environment variable for testing
-  const defaultEmail = process.env.DEFAULT_RECIPIENT_EMAIL || process.env.TEST_RECIPIENT_EMAIL;
-  if (defaultEmail) {
-    return defaultEmail;
-  }
-  
-  return null;
-}
+const fleetAnalytics = require('../../utils/fleet-analytics');
+const twilioSignature = require('../../utils/twilio-signature');
+const userRegistry = require('../../utils/user-registry');
+const downloadTokens = require('../../utils/download-tokens');
+const reportStorage = require('../../utils/report-storage');
+const twilioClient = require('../../utils/twilio-client');
+const recommendationsFormatter = require('../../utils/recommendations-formatter');
+const recommendationsParser = require('../../utils/recommendations-parser');
+const riskHistory = require('../../utils/risk-history');
+const alertSubscriptions = require('../../utils/alert-subscriptions');
+const fleetDigest = require('../../utils/fleet-digest');
+const imoUtils = require('../../utils/imo');
+
+// Import Excel generation functions
+const { generateExcelFile, generateFleetExcelFile, generateComparisonExcelFile, generateChecklistExcelFile, generateRiskTrendExcelFile, generatePdfFile } = require('./generate-excel');
 
 /**
  * Calculate recommendations counts from recommendationsData
@@ -96,12 +79,22 @@ function calculateRecommendationsCounts(recommendationsData) {
 const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
 // Allow faster/cheaper model override via env var to reduce latency
 const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
-const SUPPORTED_INTENTS = [
-  'risk_score',
-  'risk_level',
-  'recommendations',
-  'vessel_info',
-];
+// Derived from the intent tool definitions (config/intent-tools.js)
+const SUPPORTED_INTENTS = intentTools.SUPPORTED_INTENTS;
+
+// Vessel comparison bounds and per-vessel recommendations timeout (webhook must answer within 15s)
+const COMPARE_MIN_VESSELS = 2;
+const COMPARE_MAX_VESSELS = 5;
+const COMPARE_RECOMMENDATIONS_TIMEOUT_MS = 6000;
+
+// Time allowed for sending a report as a media message, retries included (webhook must answer within 15s)
+const MEDIA_SEND_TIMEOUT_MS = 5000;
+
+// Maximum vessels listed in a fleet reply (the Excel export has the full list)
+const FLEET_REPLY_MAX_VESSELS = 10;
+
+// Vessels listed when a name matches several
+const DISAMBIGUATION_MAX_OPTIONS = 5;
 
 // Rate limiting configuration
 const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
@@ -169,14 +162,76 @@ function isStateExpired(state) {
 
 /**
  * Create user-friendly vessel not found message
+ * All-digit identifiers are IMO numbers: a malformed one gets the invalid IMO
+ * message, a valid one that isn't in the mappings is reported as unknown.
  * @param {string} vesselIdentifier - Vessel name or IMO that was searched
  * @returns {string} Error message
  */
 function createVesselNotFoundMessage(vesselIdentifier) {
+  if (/^\d+$/.test(vesselIdentifier.trim())) {
+    const check = imoUtils.validateImo(vesselIdentifier);
+    if (!check.valid) {
+      return createInvalidImoMessage(check);
+    }
+    return `I couldn't find a vessel with IMO ${check.imo}. It's a valid IMO number, but not one of the vessels I know.\n\n` +
+           `Please check the number, or try the vessel name: 'Risk score for GCL YAMUNA'`;
+  }
   return `I couldn't find a vessel named '${vesselIdentifier}'. Please check the spelling or try using the IMO number.\n\n` +
          `Try: 'Risk score for GCL YAMUNA' or 'Vessel 9481219'`;
 }
 
+/**
+ * Create message for a malformed IMO number
+ * @param {import('../../utils/imo').ImoCheck} check - Failed check from imoUtils.validateImo
+ * @returns {string} Error message
+ */
+function createInvalidImoMessage(check) {
+  return `⚠️ '${check.imo}' isn't a valid IMO number: ${imoUtils.describeImoError(check)}.\n\n` +
+         `Please check the number (e.g. 'IMO 9481219'), or send the vessel name instead.`;
+}
+
+/**
+ * Create the note shown when a vessel was named by a former name
+ * @param {import('../../utils/vessel-lookup').VesselCandidate | null} match - Candidate the name resolved to
+ * @returns {string | null} Note, or null if the current name, an alias or an IMO was used
+ */
+function createFormerNameNote(match) {
+  if (!match || match.matchedBy !== 'former_name') {
+    return null;
+  }
+  const former = vesselLookup.getFormerName(match.imo, match.matchedName);
+  const period = former?.from && former.until
+    ? ` (used ${former.from} to ${former.until})`
+    : (former?.until ? ` (used until ${former.until})` : '');
+  return `ℹ️ ${former?.name || match.matchedName} is a former name${period}. This vessel is now ${match.name} (IMO ${match.imo}).`;
+}
+
+/**
+ * Put a note at the top of a TwiML reply
+ * Replies without a message (e.g. media-only) are returned unchanged.
+ * @param {any} response - Response from xmlResponse
+ * @param {string | null} note
+ * @returns {any}
+ */
+function prependNote(response, note) {
+  if (!note || typeof response?.body !== 'string' || !response.body.includes('<Message>')) {
+    return response;
+  }
+  return { ...response, body: response.body.replace('<Message>', `<Message>${escapeXml(note)}\n\n`) };
+}
+
+/**
+ * Create registration message for numbers missing from the user registry
+ * @returns {string} Formatted message
+ */
+function createRegistrationMessage() {
+  const contact = process.env.REGISTRATION_CONTACT_EMAIL;
+  return `👋 Hi! This number isn't registered for PSC vessel intelligence yet.\n\n` +
+         `To get access, please ask your company administrator to register your WhatsApp number` +
+         (contact ? ` or email ${contact}.` : '.') +
+         `\n\nOnce registered, you can ask things like 'Risk score for GCL YAMUNA'.`;
+}
+
 /**
  * Create unclear intent message
  * @returns {string} Error message
@@ -185,7 +240,13 @@ function createUnclearIntentMessage() {
   return `I'm not sure what you're asking. Try:\n` +
          `• 'Risk score for GCL YAMUNA'\n` +
          `• 'Risk level of GCL TAPI'\n` +
-         `• 'Recommendations for GCL GANGA'`;
+         `• 'Recommendations for GCL GANGA'\n` +
+         `• 'Tell me about GCL SABARMATI'\n` +
+         `• 'Which of my vessels are high risk?'\n` +
+         `• 'Compare GCL YAMUNA and GCL TAPI'\n` +
+         `• 'Has GCL YAMUNA\'s risk gone up since last month?'\n` +
+         `• 'Alert me on GCL GANGA'\n` +
+         `• 'Send me a weekly fleet digest'`;
 }
 
 /**
@@ -220,7 +281,24 @@ exports.handler = async (event) => {
     }
 
     // Parse Twilio webhook parameters
-    const params = new URLSearchParams(event.body || '');
+    const rawBody = event.isBase64Encoded && event.body
+      ? Buffer.from(event.body, 'base64').toString('utf8')
+      : event.body;
+    const params = new URLSearchParams(rawBody || '');
+
+    // Reject requests that weren't signed by Twilio
+    const signatureCheck = twilioSignature.validateTwilioRequest(event, params);
+    if (signatureCheck.skipped) {
+      log('warn', 'Twilio signature validation disabled (TWILIO_SKIP_SIGNATURE_VALIDATION=true)');
+    } else if (!signatureCheck.valid) {
+      log('warn', 'Rejected request with invalid Twilio signature', { reason: signatureCheck.reason });
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'Forbidden',
+      };
+    }
+
     const userMessage = params.get('Body') || '';
     const fromNumber = params.get('From') || '';
     const toNumber = params.get('To') || '';
@@ -235,6 +313,13 @@ exports.handler = async (event) => {
       return xmlResponse(generateTwiMLResponse('Error: Missing sender information.'));
     }
 
+    // Only registered users may query fleet data
+    const user = userRegistry.getUser(fromNumber);
+    if (!user) {
+      log('warn', 'Message from unregistered number', { fromNumber: fromNumber.substring(0, 4) + '****' });
+      return xmlResponse(generateTwiMLResponse(createRegistrationMessage()));
+    }
+
     // Check rate limit
     const rateLimit = checkRateLimit(fromNumber);
     if (!rateLimit.allowed) {
@@ -250,18 +335,23 @@ exports.handler = async (event) => {
     }
 
     // Check if user has pending state
-    const existingState = stateManager.getState(fromNumber);
+    const existingState = await stateManager.getState(fromNumber);
     
     if (existingState) {
       // Check if state has expired
       if (isStateExpired(existingState)) {
         log('info', 'State expired', { phoneNumber: fromNumber, stateAge: Date.now() - (existingState.timestamp || 0) });
-        stateManager.clearState(fromNumber);
+        await stateManager.clearState(fromNumber);
         return xmlResponse(generateTwiMLResponse(
           'Your session expired. Please send your request again.'
         ));
       }
       
+      // Answer to a "which vessel did you mean?" list; "2" picks a vessel here, not email
+      if (existingState.intent === 'disambiguation') {
+        return await handleDisambiguationReply(existingState, userMessage, fromNumber, user);
+      }
+
       // User has pending state - check if responding to follow-up
       const normalizedMessage = userMessage.toLowerCase().trim();
       const isDownload = normalizedMessage === '1' || 
@@ -270,25 +360,39 @@ exports.handler = async (event) => {
       const isEmail = normalizedMessage === '2' || 
                      normalizedMessage === 'email' || 
                      normalizedMessage.includes('email');
-      
-      if (isDownload) {
-        // User wants to download Excel
-        log('info', 'Excel download requested', { phoneNumber: fromNumber, vessel: existingState.vesselName });
-        return await handleExcelRequest(existingState, fromNumber);
+      // "3" downloads a PDF and "4" a checklist workbook; "pdf" or "checklist"
+      // also switches a download or email to that format
+      const isPdf = normalizedMessage === '3' || normalizedMessage.includes('pdf');
+      const isChecklist = normalizedMessage === '4' || normalizedMessage.includes('checklist');
+      /** @type {'excel'|'pdf'|'checklist'} */
+      const format = isPdf ? 'pdf' : isChecklist ? 'checklist' : 'excel';
+
+      if (format !== 'excel' && !supportsFormat(existingState, format)) {
+        // Keep state so user can pick Excel or email instead
+        return xmlResponse(generateTwiMLResponse(
+          `📄 ${format === 'pdf' ? 'PDF' : 'The inspection checklist'} is only available for vessel recommendations reports.\n\n` +
+          `Reply '1' to download as Excel or '2' to receive it via email.`
+        ));
+      }
+
+      if (isDownload || ((isPdf || isChecklist) && !isEmail)) {
+        // User wants to download the report
+        log('info', 'Report download requested', { phoneNumber: fromNumber, vessel: existingState.vesselName, format });
+        return await handleExcelRequest(existingState, fromNumber, format);
       } else if (isEmail) {
         // User wants email delivery
-        log('info', 'Email delivery requested', { phoneNumber: fromNumber, vessel: existingState.vesselName });
-        return await handleEmailRequest(existingState, fromNumber);
+        log('info', 'Email delivery requested', { phoneNumber: fromNumber, vessel: existingState.vesselName, format });
+        return await handleEmailRequest(existingState, fromNumber, format);
       } else {
         // Not a valid follow-up response - clear state and process as new query
         log('info', 'Invalid follow-up response, clearing state', { phoneNumber: fromNumber, message: userMessage });
-        stateManager.clearState(fromNumber);
-        return await processNewQuery(userMessage, fromNumber);
+        await stateManager.clearState(fromNumber);
+        return await processNewQuery(userMessage, fromNumber, user);
       }
     } else {
       // No existing state - process as new query
       log('info', 'Processing new query', { phoneNumber: fromNumber, messageLength: userMessage.length });
-      return await processNewQuery(userMessage, fromNumber);
+      return await processNewQuery(userMessage, fromNumber, user);
     }
   } catch (err) {
     const errorMessage = err instanceof Error ? err.message : String(err);
@@ -306,27 +410,40 @@ exports.handler = async (event) => {
 
 /**
  * Process a new user query
- * Uses intentDetection prompt to determine intent and vessel identifier
- * Routes to appropriate handler based on intent
+ * Sends the intent tools to Claude and routes on the returned tool_use block
  * @param {string} userMessage - User's message
  * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
  * @returns {Promise<any>} TwiML response
  */
-async function processNewQuery(userMessage, fromNumber) {
+async function processNewQuery(userMessage, fromNumber, user) {
   try {
     log('info', 'Starting intent detection', { phoneNumber: fromNumber, message: userMessage });
+
+    // Explicit "IMO 9481219" mentions are checked before asking Claude, so a
+    // mistyped number is reported rather than guessed at
+    const imoMentions = imoUtils.extractImos(userMessage);
+    const invalidImo = imoMentions.find(check => !check.valid);
+    if (invalidImo) {
+      log('warn', 'Invalid IMO number in message', { phoneNumber: fromNumber, imo: invalidImo.imo, reason: invalidImo.reason });
+      return xmlResponse(generateTwiMLResponse(createInvalidImoMessage(invalidImo)));
+    }
+
+    // Load recent conversation so follow-ups can refer to the last vessel
+    const conversation = await stateManager.getConversation(fromNumber);
     
-    // Call Claude API with intentDetection prompt
-    const prompt = systemPrompts.intentDetection(userMessage);
-    
+    // Call Claude API with the intent tools; the tool it picks is the intent
     const payload = {
       model: CLAUDE_MODEL,
-      max_tokens: 200,
+      max_tokens: 300,
       temperature: 0,
+      system: systemPrompts.intentDetection(conversation),
+      tools: intentTools.INTENT_TOOLS,
+      tool_choice: { type: 'auto' },
       messages: [
         {
           role: 'user',
-          content: prompt,
+          content: userMessage,
         },
       ],
     };
@@ -362,409 +479,1369 @@ async function processNewQuery(userMessage, fromNumber) {
     }
 
     const data = await resp.json();
-    const contentText = (data?.content?.[0]?.text || '').trim();
-    
-    // Log the raw response for debugging
-    log('info', 'Anthropic API response received', {
-      phoneNumber: fromNumber,
-      responseLength: contentText.length,
-      responsePreview: contentText.substring(0, 200)
-    });
+    const toolCall = intentTools.parseIntentToolUse(data);
 
-    // Parse JSON response
-    let intentResult;
-    try {
-      // Extract JSON from response (handle markdown code blocks if present)
-      const jsonMatch = contentText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        intentResult = JSON.parse(jsonMatch[0]);
-      } else {
-        intentResult = JSON.parse(contentText);
-      }
-    } catch (parseErr) {
-      log('error', 'Failed to parse intent detection response', { 
+    // No tool call means Claude could not map the message to an intent
+    if (!toolCall) {
+      const textBlock = (data?.content || []).find((/** @type {any} */ block) => block && block.type === 'text');
+      log('warn', 'Unclear or unsupported intent', { 
         phoneNumber: fromNumber, 
-        parseError: parseErr instanceof Error ? parseErr.message : String(parseErr),
-        responseText: contentText.substring(0, 500),
-        fullResponse: contentText
+        stopReason: data?.stop_reason,
+        responsePreview: String(textBlock?.text || '').substring(0, 200),
+        message: userMessage 
       });
-      // Log full response for debugging
-      console.error('Full content text that failed to parse:', contentText);
       return xmlResponse(generateTwiMLResponse(createUnclearIntentMessage()));
     }
 
-    const { vessel_identifier, intent, confidence } = intentResult || {};
+    const { intent, input } = toolCall;
+
+    // A single IMO in the message is the vessel, whatever name Claude picked
+    const imoMention = imoMentions.length === 1 ? imoMentions[0] : null;
+    if (imoMention && takesVesselIdentifier(intent) && input.vessel_identifier !== imoMention.imo) {
+      log('info', 'Vessel identifier taken from IMO in message', { phoneNumber: fromNumber, detected: input.vessel_identifier, imo: imoMention.imo });
+      input.vessel_identifier = imoMention.imo;
+    }
+
+    const { vessel_identifier, confidence, output_format } = input;
     
     log('info', 'Intent detected', { 
       phoneNumber: fromNumber, 
       intent, 
       confidence, 
-      vesselIdentifier: vessel_identifier 
+      vesselIdentifier: vessel_identifier,
+      outputFormat: output_format
     });
 
-    // Validate intent
-    if (!intent || intent === 'unknown' || !SUPPORTED_INTENTS.includes(intent)) {
-      log('warn', 'Unclear or unsupported intent', { 
-        phoneNumber: fromNumber, 
-        intent, 
-        message: userMessage 
-      });
-      return xmlResponse(generateTwiMLResponse(createUnclearIntentMessage()));
+    return await routeIntent(intent, input, userMessage, fromNumber, user, conversation);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in processNewQuery', { 
+      phoneNumber: fromNumber, 
+      error: errorMessage 
+    });
+    return xmlResponse(generateTwiMLResponse(
+      'Sorry, something went wrong while processing your request. Please try again in a moment.'
+    ));
+  }
+}
+
+/**
+ * Route a detected intent to its handler
+ * Also used to resume an intent once the user has picked a vessel from a list.
+ * Errors are left to the caller.
+ * @param {string} intent - Intent name (tool name)
+ * @param {Record<string, any>} input - Intent tool input
+ * @param {string} userMessage - Message the intent was detected from
+ * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
+ * @param {any} conversation - Recent conversation from the state manager
+ * @returns {Promise<any>} TwiML response
+ */
+async function routeIntent(intent, input, userMessage, fromNumber, user, conversation) {
+  const { vessel_identifier, vessel_identifiers, fleet_query, time_range, output_format } = input;
+
+  // Fleet-wide questions don't need a vessel identifier
+  if (intent === 'fleet_overview') {
+    await stateManager.recordTurn(fromNumber, { message: userMessage, intent });
+    const fleetQuery = { ...(fleet_query || {}), months: time_range?.months };
+    const reply = await handleFleetOverviewIntent(fleetQuery, fromNumber, user);
+    return await deliverRequestedFormat(output_format, intent, reply, fromNumber);
+  }
+
+  // Comparisons carry their own list of identifiers
+  if (intent === 'compare_vessels') {
+    await stateManager.recordTurn(fromNumber, { message: userMessage, intent });
+    const identifiers = Array.isArray(vessel_identifiers) ? vessel_identifiers : [vessel_identifier];
+    const reply = await handleCompareVesselsIntent(identifiers.filter(Boolean).map(String), fromNumber, user);
+    return await deliverRequestedFormat(output_format, intent, reply, fromNumber);
+  }
+
+  // Digest settings apply to the user's whole fleet
+  if (intent === 'manage_digest') {
+    await stateManager.recordTurn(fromNumber, { message: userMessage, intent });
+    return await handleManageDigestIntent(input.action, input.frequency, input.time_zone, fromNumber);
+  }
+
+  // Alert commands; "list alerts" and a plain "unsubscribe" name no vessel
+  if (intent === 'manage_alerts') {
+    await stateManager.recordTurn(fromNumber, { message: userMessage, intent });
+    const identifier = typeof vessel_identifier === 'string' ? vessel_identifier.trim() : null;
+    const match = identifier && input.action !== 'list' ? matchVesselName(identifier, user) : null;
+    if (match?.candidates) {
+      return await askWhichVessel(identifier || '', match.candidates, intent, input, userMessage, fromNumber);
+    }
+    const reply = await handleManageAlertsIntent(input.action, match ? match.identifier : identifier, input.score_threshold, fromNumber, user);
+    return prependNote(reply, createFormerNameNote(match?.via || null));
+  }
+
+  // Validate vessel identifier (with fallback for recommendations)
+  let resolvedIdentifier = typeof vessel_identifier === 'string' ? vessel_identifier.trim() : null;
+  if (!resolvedIdentifier && intent === 'recommendations') {
+    resolvedIdentifier = fallbackVesselIdentifier(userMessage);
+    if (resolvedIdentifier) {
+      log('info', 'Fallback vessel identifier resolved', { phoneNumber: fromNumber, resolvedIdentifier });
+    }
+  }
+
+  // Fall back to the vessel from the previous turn for follow-up questions
+  if (!resolvedIdentifier && conversation?.lastVessel) {
+    resolvedIdentifier = conversation.lastVessel.name;
+    log('info', 'Vessel identifier carried over from conversation', { phoneNumber: fromNumber, resolvedIdentifier });
+  }
+
+  if (!resolvedIdentifier) {
+    log('warn', 'Missing vessel identifier', { phoneNumber: fromNumber, intent });
+    return xmlResponse(generateTwiMLResponse(
+      'I need a vessel name or IMO number to help you.\n\n' +
+      'Please include the vessel name or IMO in your message.\n\n' +
+      'Example: "What is the risk score for GCL YAMUNA?"'
+    ));
+  }
+
+  // Malformed IMO numbers are rejected before any lookup (MMSIs have 9 digits)
+  if (/^\d+$/.test(resolvedIdentifier) && !imoUtils.isValidImo(resolvedIdentifier) &&
+      !vesselLookup.getVesselByMMSI(resolvedIdentifier)) {
+    log('warn', 'Invalid IMO number', { phoneNumber: fromNumber, vesselIdentifier: resolvedIdentifier });
+    return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(resolvedIdentifier)));
+  }
+
+  // Several vessels match the name about equally well: ask which one was meant
+  const match = matchVesselName(resolvedIdentifier, user);
+  if (match.candidates) {
+    return await askWhichVessel(resolvedIdentifier, match.candidates, intent, input, userMessage, fromNumber);
+  }
+  resolvedIdentifier = match.identifier;
+
+  // Vessels outside the user's scope are treated as not found
+  const resolvedVessel = lookupVessel(resolvedIdentifier);
+  const resolvedImo = resolvedVessel
+    ? resolvedVessel.imo
+    : (/^\d+$/.test(resolvedIdentifier.trim()) ? resolvedIdentifier.trim() : null);
+  if (!userRegistry.canAccessVessel(user, resolvedImo)) {
+    log('warn', 'Vessel outside user scope', { phoneNumber: fromNumber, company: user.company, vesselIdentifier: resolvedIdentifier });
+    return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(resolvedIdentifier)));
+  }
+
+  // Remember this turn so the next message can refer back to it
+  await stateManager.recordTurn(fromNumber, {
+    message: userMessage,
+    intent,
+    vessel: resolvedVessel,
+  });
+
+  // Route to appropriate handler based on intent
+  let reply;
+  switch (intent) {
+    case 'risk_score':
+      reply = await handleRiskScoreIntent(resolvedIdentifier, fromNumber);
+      break;
+    
+    case 'risk_level':
+      reply = await handleRiskLevelIntent(resolvedIdentifier, fromNumber);
+      break;
+    
+    case 'recommendations':
+      reply = await handleRecommendationsIntent(resolvedIdentifier, fromNumber);
+      break;
+    
+    case 'vessel_info':
+      reply = await handleVesselInfoIntent(resolvedIdentifier, fromNumber);
+      break;
+    
+    case 'risk_trend': {
+      const trend = await handleRiskTrendIntent(resolvedIdentifier, time_range?.months, fromNumber);
+      reply = await deliverRequestedFormat(output_format, intent, trend, fromNumber);
+      break;
+    }
+    
+    default:
+      return xmlResponse(generateTwiMLResponse(
+        `Intent "${intent}" is not yet supported. Please try: risk score, risk level, recommendations, vessel info, risk trend, or alerts.`
+      ));
+  }
+
+  // Say so when the user asked by a former name
+  return prependNote(reply, createFormerNameNote(match.via));
+}
+
+/**
+ * Match a vessel name against the vessels the user can see
+ * IMOs pass through unchanged and MMSIs are replaced by the vessel's name. A clear
+ * best match (by name, alias, former name or call sign) is replaced by its current
+ * name and returned as `via`; if several candidates score about the same they are
+ * returned for the user to pick.
+ * @param {string} vesselIdentifier - Vessel name, IMO, MMSI or call sign from the intent
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
+ * @returns {{identifier: string, candidates: import('../../utils/vessel-lookup').VesselCandidate[] | null, via: import('../../utils/vessel-lookup').VesselCandidate | null}}
+ */
+function matchVesselName(vesselIdentifier, user) {
+  const trimmed = vesselIdentifier.trim();
+  if (/^\d+$/.test(trimmed)) {
+    const byMmsi = vesselLookup.getVesselByMMSI(trimmed);
+    return { identifier: byMmsi ? byMmsi.name : trimmed, candidates: null, via: null };
+  }
+
+  // Out-of-scope vessels are neither suggested nor picked
+  const candidates = vesselLookup.findVesselCandidates(trimmed, { limit: Infinity })
+    .filter(candidate => userRegistry.canAccessVessel(user, candidate.imo));
+  if (vesselLookup.isAmbiguous(candidates)) {
+    // One extra so the reply can say the list is incomplete
+    return { identifier: trimmed, candidates: candidates.slice(0, DISAMBIGUATION_MAX_OPTIONS + 1), via: null };
+  }
+  const [best] = candidates;
+  return { identifier: best ? best.name : trimmed, candidates: null, via: best || null };
+}
+
+/**
+ * Reply with a numbered list of matching vessels and remember the pending intent
+ * @param {string} vesselIdentifier - Name the user gave
+ * @param {import('../../utils/vessel-lookup').VesselCandidate[]} candidates - Matches, best first
+ * @param {string} intent - Intent to resume once a vessel is picked
+ * @param {Record<string, any>} input - Intent tool input
+ * @param {string} userMessage - Original message
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function askWhichVessel(vesselIdentifier, candidates, intent, input, userMessage, fromNumber) {
+  const options = candidates.slice(0, DISAMBIGUATION_MAX_OPTIONS);
+
+  await stateManager.saveState(fromNumber, {
+    intent: 'disambiguation',
+    pendingIntent: intent,
+    pendingInput: input,
+    lastQuery: userMessage,
+    candidates: options.map(({ name, imo }) => ({ name, imo })),
+  });
+
+  log('info', 'Ambiguous vessel name, asking user to pick', {
+    phoneNumber: fromNumber,
+    intent,
+    vesselIdentifier,
+    candidates: options.map(candidate => candidate.name),
+  });
+
+  return xmlResponse(generateTwiMLResponse(
+    `🔎 Several vessels match '${vesselIdentifier}':\n\n` +
+    options.map((candidate, i) => `${i + 1}. ${candidate.name} (IMO ${candidate.imo})` +
+      (candidate.matchedBy === 'former_name' ? ` – formerly ${candidate.matchedName}` : '')).join('\n') +
+    (candidates.length > options.length ? `\n\nMore vessels match. If yours isn't listed, send its full name or IMO.` : '') +
+    `\n\nReply with the number or the vessel name.`
+  ));
+}
+
+/**
+ * Find the vessel a pick-list reply refers to
+ * Accepts the number from the list, a listed vessel's full name or IMO, or the
+ * exact name or IMO of any other vessel.
+ * @param {Array<{name: string, imo: string}>} candidates - Vessels offered, in list order
+ * @param {string} reply - User's reply
+ * @returns {{name: string, imo: string} | null}
+ */
+function pickVesselFromReply(candidates, reply) {
+  const answer = reply.trim().replace(/[.)]$/, '');
+  if (/^\d{1,2}$/.test(answer)) {
+    return candidates[Number(answer) - 1] || null;
+  }
+
+  const upper = answer.toUpperCase();
+  const listed = candidates.find(candidate => candidate.name.toUpperCase() === upper || candidate.imo === answer);
+  if (listed) {
+    return listed;
+  }
+
+  if (/^\d+$/.test(answer)) {
+    return vesselLookup.getVesselByIMO(answer);
+  }
+  const [best] = vesselLookup.findVesselCandidates(answer, { limit: 1 });
+  return best && best.score === 1 ? { name: best.name, imo: best.imo } : null;
+}
+
+/**
+ * Handle a reply to the "which vessel?" list
+ * A pick resumes the original intent with that vessel; anything else is treated as a new query.
+ * @param {any} state - Disambiguation state saved by askWhichVessel
+ * @param {string} userMessage - User's reply
+ * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleDisambiguationReply(state, userMessage, fromNumber, user) {
+  const candidates = Array.isArray(state.candidates) ? state.candidates : [];
+  const vessel = pickVesselFromReply(candidates, userMessage);
+
+  if (!vessel) {
+    if (/^\d{1,2}$/.test(userMessage.trim())) {
+      // Keep state so the user can pick again
+      return xmlResponse(generateTwiMLResponse(
+        `Please reply with a number from 1 to ${candidates.length}, or the vessel name.`
+      ));
+    }
+    log('info', 'No vessel picked from list, clearing state', { phoneNumber: fromNumber, message: userMessage });
+    await stateManager.clearState(fromNumber);
+    return await processNewQuery(userMessage, fromNumber, user);
+  }
+
+  await stateManager.clearState(fromNumber);
+  log('info', 'Vessel picked from list', { phoneNumber: fromNumber, intent: state.pendingIntent, vessel: vessel.name });
+
+  try {
+    const conversation = await stateManager.getConversation(fromNumber);
+    const input = { ...(state.pendingInput || {}), vessel_identifier: vessel.name };
+    return await routeIntent(state.pendingIntent, input, state.lastQuery || userMessage, fromNumber, user, conversation);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleDisambiguationReply', {
+      phoneNumber: fromNumber,
+      error: errorMessage
+    });
+    return xmlResponse(generateTwiMLResponse(
+      'Sorry, something went wrong while processing your request. Please try again in a moment.'
+    ));
+  }
+}
+
+/**
+ * Deliver a report straight away when the user asked for Excel or email
+ * Intents that offer the "1"/"2" menu save a report state; if the intent tool
+ * reported output_format "excel" or "email", skip the menu and deliver it.
+ * @param {string|undefined} outputFormat - output_format from the intent tool
+ * @param {string} intent - Intent that produced the reply
+ * @param {any} reply - TwiML response from the intent handler
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function deliverRequestedFormat(outputFormat, intent, reply, fromNumber) {
+  if (outputFormat !== 'excel' && outputFormat !== 'email') {
+    return reply;
+  }
+
+  const state = await stateManager.getState(fromNumber);
+  if (!state || state.intent !== intent) {
+    // Nothing to export (e.g. no matching vessels); keep the handler's reply
+    return reply;
+  }
+
+  log('info', 'Delivering report in requested format', { phoneNumber: fromNumber, intent, outputFormat });
+  return outputFormat === 'excel'
+    ? await handleExcelRequest(state, fromNumber)
+    : await handleEmailRequest(state, fromNumber);
+}
+
+/**
+ * Check whether a follow-up state's report can be rendered in a format
+ * (PDF and checklist are vessel recommendations only; fleet, comparison and risk trend reports are Excel)
+ * @param {any} state - Conversation state saved with the follow-up menu
+ * @param {'excel'|'pdf'|'checklist'} format - Report format
+ * @returns {boolean}
+ */
+function supportsFormat(state, format) {
+  return format === 'excel' || !['fleet_overview', 'compare_vessels', 'risk_trend'].includes(state.intent);
+}
+
+/**
+ * Build the report file for a follow-up state
+ * @param {any} state - Conversation state saved with the follow-up menu
+ * @param {'excel'|'pdf'|'checklist'} [format] - Report format (PDF and checklist for vessel recommendations only)
+ * @returns {Promise<{buffer: any, filename: string, title: string} | null>} Report, or null if the state has no report data
+ */
+async function buildReportForState(state, format = 'excel') {
+  const timestamp = Date.now();
+
+  if (state.intent === 'fleet_overview') {
+    if (!Array.isArray(state.fleetVessels) || state.fleetVessels.length === 0) {
+      return null;
+    }
+    const reportTitle = state.reportTitle || 'Fleet Overview';
+    const buffer = await generateFleetExcelFile(state.fleetVessels, { title: reportTitle, counts: state.fleetCounts });
+    return { buffer, filename: `fleet_overview_${timestamp}.xlsx`, title: `fleet report "${reportTitle}"` };
+  }
+
+  if (state.intent === 'compare_vessels') {
+    if (!Array.isArray(state.comparison) || state.comparison.length === 0) {
+      return null;
+    }
+    const buffer = await generateComparisonExcelFile(state.comparison);
+    return { buffer, filename: `comparison_${timestamp}.xlsx`, title: `vessel comparison report` };
+  }
+
+  if (state.intent === 'risk_trend') {
+    if (!state.riskTrend || !Array.isArray(state.riskTrend.snapshots) || state.riskTrend.snapshots.length === 0) {
+      return null;
+    }
+    const buffer = await generateRiskTrendExcelFile({ name: state.vesselName, imo: state.vesselIMO }, state.riskTrend.snapshots);
+    return { buffer, filename: `risk_trend_${state.vesselIMO}_${timestamp}.xlsx`, title: `risk trend report for ${state.vesselName}` };
+  }
+
+  // Retrieve vessel data and recommendations data from state
+  const vesselData = state.vesselData || {};
+  const recommendationsData = state.recommendationsData || {};
+  if (!vesselData || Object.keys(vesselData).length === 0) {
+    return null;
+  }
+
+  // Extract IMO for filename
+  const imo = vesselData.imo || vesselData.imoNumber || state.vesselIMO || 'unknown';
+
+  // Generate the report file using internal function calls
+  let buffer;
+  if (format === 'pdf') {
+    buffer = await generatePdfFile(vesselData, recommendationsData);
+  } else if (format === 'checklist') {
+    buffer = await generateChecklistExcelFile(vesselData, recommendationsData);
+  } else {
+    // Recorded risk snapshots become the workbook's Risk Trend sheet
+    const trend = await riskHistory.getRiskTrend(imo, { months: riskHistory.REPORT_TREND_MONTHS });
+    buffer = await generateExcelFile(vesselData, recommendationsData, { riskHistory: trend ? trend.snapshots : [] });
+  }
+
+  const vesselName = state.vesselName || vesselData.name || vesselData.vesselName || 'Unknown Vessel';
+  if (format === 'checklist') {
+    return {
+      buffer,
+      filename: `checklist_${imo}_${timestamp}.xlsx`,
+      title: `inspection checklist for ${vesselName}`,
+    };
+  }
+  return {
+    buffer,
+    filename: `recommendations_${imo}_${timestamp}.${format === 'pdf' ? 'pdf' : 'xlsx'}`,
+    title: `${format === 'pdf' ? 'PDF ' : ''}recommendations report for ${vesselName}`,
+  };
+}
+
+/**
+ * Save a generated report to report storage
+ * @param {string} filename - Report filename (storage key)
+ * @param {any} buffer - File contents
+ * @returns {Promise<string>} Storage key
+ */
+async function saveReportFile(filename, buffer) {
+  await reportStorage.getReportStore().put(filename, Buffer.from(buffer), {
+    contentType: reportStorage.contentTypeForKey(filename),
+  });
+  return filename;
+}
+
+/**
+ * Remove a report from storage (best effort)
+ * @param {string|null} reportFile - Storage key
+ * @param {string} fromNumber - User's phone number (for logging)
+ */
+async function discardReportFile(reportFile, fromNumber) {
+  if (!reportFile) {
+    return;
+  }
+  try {
+    await reportStorage.getReportStore().delete(reportFile);
+  } catch (cleanupError) {
+    log('warn', 'Error cleaning up report file', { 
+      phoneNumber: fromNumber, 
+      error: cleanupError instanceof Error ? cleanupError.message : String(cleanupError) 
+    });
+  }
+}
+
+/**
+ * Send a stored report to the user as a WhatsApp media message
+ * Twilio fetches the file through its own download token, which leaves the
+ * report in storage so the link in the reply still works.
+ * @param {string} title - Report title for the message body
+ * @param {string} filename - Report file id in report storage
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<boolean>} True if Twilio accepted the media message
+ */
+async function sendReportAsMedia(title, filename, fromNumber) {
+  const mediaUrl = downloadTokens.buildDownloadUrl(filename, fromNumber, { keepFile: true });
+  // One retry at most: the webhook must answer Twilio within 15 seconds
+  const result = await twilioClient.sendWhatsAppMessage(fromNumber, `📊 ${title}`, {
+    mediaUrl,
+    maxRetries: 1,
+    timeoutMs: MEDIA_SEND_TIMEOUT_MS,
+  });
+  if (!result.ok) {
+    log('warn', 'Media delivery failed, falling back to download link', { 
+      phoneNumber: fromNumber, 
+      filename, 
+      error: result.error 
+    });
+  }
+  return result.ok;
+}
+
+/**
+ * Handle Excel (or PDF) download request
+ * @param {any} state - Conversation state with vessel data
+ * @param {string} fromNumber - User's phone number
+ * @param {'excel'|'pdf'|'checklist'} [format] - Report format
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleExcelRequest(state, fromNumber, format = 'excel') {
+  try {
+    const report = await buildReportForState(state, format);
+
+    if (!report) {
+      await stateManager.clearState(fromNumber);
+      return xmlResponse(generateTwiMLResponse(
+        '❌ Error: Vessel data not found. Please start a new query.'
+      ));
+    }
+
+    const { filename } = report;
+    await saveReportFile(filename, report.buffer);
+
+    // Generate signed, single-use download URL
+    const downloadUrl = downloadTokens.buildDownloadUrl(filename, fromNumber);
+
+    // Clear state after successful generation
+    await stateManager.clearState(fromNumber);
+
+    // Send the workbook itself into the chat; the link is the fallback
+    const mediaSent = await sendReportAsMedia(report.title, filename, fromNumber);
+
+    // Send message with download link
+    const message = mediaSent
+      ? `📊 I've sent your ${report.title} as an attachment in this chat.\n\n` +
+        `If it doesn't arrive, download it here:\n${downloadUrl}\n\n⚠️ Link works once and expires in 10 minutes.`
+      : `📊 Here's your ${report.title}:\n\n${downloadUrl}\n\n⚠️ Link works once and expires in 10 minutes.`;
+    
+    log('info', 'Report file generated successfully', { phoneNumber: fromNumber, report: report.title, filename, mediaSent });
+    
+    return xmlResponse(generateTwiMLResponse(message));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleExcelRequest', { 
+      phoneNumber: fromNumber, 
+      error: errorMessage 
+    });
+    
+    // Clear state on error to prevent stuck state
+    await stateManager.clearState(fromNumber);
+    
+    return xmlResponse(generateTwiMLResponse(
+      `❌ Sorry, I encountered an error generating the ${format === 'pdf' ? 'PDF' : 'Excel file'}.\n\n` +
+      `Please try again or contact support.`
+    ));
+  }
+}
+
+/**
+ * Handle email delivery request
+ * @param {any} state - Conversation state with vessel data
+ * @param {string} fromNumber - User's phone number
+ * @param {'excel'|'pdf'|'checklist'} [format] - Format of the attached report
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleEmailRequest(state, fromNumber, format = 'excel') {
+  /** @type {string|null} */
+  let reportFile = null;
+  
+  try {
+    // Get recipient email from phone number mapping or default
+    const recipientEmail = userRegistry.getEmailForPhone(fromNumber);
+    if (!recipientEmail) {
+      // Keep state so user can still download
+      return xmlResponse(generateTwiMLResponse(
+        `❌ Email address not found for your phone number.\n\n` +
+        `Please use the download option instead. Reply '1' to download.`
+      ));
+    }
+
+    // Generate the report file using internal function calls (same as download flow)
+    const report = await buildReportForState(state, format);
+
+    if (!report) {
+      await stateManager.clearState(fromNumber);
+      return xmlResponse(generateTwiMLResponse(
+        '❌ Error: Vessel data not found. Please start a new query.'
+      ));
+    }
+
+    reportFile = await saveReportFile(report.filename, report.buffer);
+
+    // Call send-email function via HTTP
+    const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
+    const sendEmailUrl = `${baseUrl}/.netlify/functions/send-email`;
+
+    /** @type {Record<string, any>} */
+    let emailPayload;
+    if (state.intent === 'fleet_overview') {
+      emailPayload = {
+        reportType: 'fleet',
+        recipientEmail: recipientEmail,
+        reportTitle: state.reportTitle || 'Fleet Overview',
+        reportFile: reportFile,
+        fleetSummary: {
+          vesselCount: state.fleetVessels.length,
+          riskLevelCounts: state.fleetCounts || [],
+        },
+      };
+    } else if (state.intent === 'risk_trend') {
+      // Risk trends use the fleet email template, scoped to the one vessel
+      emailPayload = {
+        reportType: 'fleet',
+        recipientEmail: recipientEmail,
+        reportTitle: `Risk trend: ${state.vesselName}`,
+        reportFile: reportFile,
+        fleetSummary: {
+          vesselCount: 1,
+          riskLevelCounts: [{ riskLevel: state.riskTrend.to.riskLevel, count: 1 }],
+        },
+      };
+    } else if (state.intent === 'compare_vessels') {
+      // Comparisons use the fleet email template, scoped to the compared vessels
+      emailPayload = {
+        reportType: 'fleet',
+        recipientEmail: recipientEmail,
+        reportTitle: `Vessel comparison: ${state.comparison.map((/** @type {any} */ v) => v.name).join(' vs ')}`,
+        reportFile: reportFile,
+        fleetSummary: {
+          vesselCount: state.comparison.length,
+          riskLevelCounts: fleetAnalytics.countByRiskLevel(state.comparison),
+        },
+      };
+    } else {
+      const vesselData = state.vesselData || {};
+      const recommendationsData = state.recommendationsData || {};
+
+      // Calculate recommendations counts
+      const counts = calculateRecommendationsCounts(recommendationsData);
+
+      emailPayload = {
+        recipientEmail: recipientEmail,
+        vesselName: state.vesselName || vesselData.name || vesselData.vesselName || 'Unknown Vessel',
+        vesselIMO: state.vesselIMO || vesselData.imo || vesselData.imoNumber || 'N/A',
+        reportFile: reportFile,
+        recommendationsCounts: {
+          critical: counts.critical,
+          moderate: counts.moderate,
+          recommended: counts.recommended,
+        },
+        // Extract risk information
+        riskScore: vesselData.riskScore || vesselData.risk_score || 'N/A',
+        riskLevel: vesselData.riskLevel || vesselData.risk_level || 'N/A',
+      };
+    }
+
+    const emailResponse = await fetch(sendEmailUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(emailPayload),
+    });
+
+    if (!emailResponse.ok) {
+      const errorData = await emailResponse.json().catch(() => ({}));
+      const errorMessage = errorData.message || errorData.error || `HTTP ${emailResponse.status}`;
+      
+      // Clean up report file on error
+      await discardReportFile(reportFile, fromNumber);
+
+      // Keep state so user can try download instead
+      return xmlResponse(generateTwiMLResponse(
+        `⚠️ Email delivery failed. Would you like to download instead? Reply '1'`
+      ));
+    }
+
+    const emailResult = await emailResponse.json();
+
+    // Clear state after successful email send
+    await stateManager.clearState(fromNumber);
+
+    // Send confirmation message
+    const message = `✅ Your ${report.title} has been sent to ${recipientEmail}. Please check your inbox.`;
+    
+    log('info', 'Email sent successfully', { phoneNumber: fromNumber, report: report.title, recipientEmail });
+    
+    return xmlResponse(generateTwiMLResponse(message));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleEmailRequest', { 
+      phoneNumber: fromNumber, 
+      error: errorMessage 
+    });
+    
+    // Clean up report file on error (best effort)
+    await discardReportFile(reportFile, fromNumber);
+
+    // Keep state so user can try download instead
+    return xmlResponse(generateTwiMLResponse(
+      `⚠️ Email delivery failed. Would you like to download instead? Reply '1'`
+    ));
+  }
+}
+
+/**
+ * Handle risk score intent
+ * @param {string} vesselIdentifier - Vessel name or IMO
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleRiskScoreIntent(vesselIdentifier, fromNumber) {
+  try {
+    log('info', 'Processing risk score intent', { phoneNumber: fromNumber, vesselIdentifier });
+    
+    // 1. Resolve vessel identifier to IMO using vessel-lookup
+    let vesselLookupResult = null;
+    let imo = null;
+    let vesselName = null;
+
+    // Check if identifier is an IMO (numeric)
+    if (/^\d+$/.test(vesselIdentifier.trim())) {
+      // It's an IMO number
+      imo = vesselIdentifier.trim();
+      vesselLookupResult = vesselLookup.getVesselByIMO(imo);
+      if (vesselLookupResult) {
+        vesselName = vesselLookupResult.name;
+      }
+    } else {
+      // It's a vessel name - look it up
+      vesselLookupResult = vesselLookup.getVesselByName(vesselIdentifier);
+      if (vesselLookupResult) {
+        imo = vesselLookupResult.imo;
+        vesselName = vesselLookupResult.name;
+      }
+    }
+
+    if (!imo) {
+      log('warn', 'Vessel not found in lookup', { phoneNumber: fromNumber, vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    }
+
+    // 2. Fetch vessel data using api-client
+    let vesselData;
+    try {
+      vesselData = await apiClient.fetchVesselByName(vesselName || vesselIdentifier);
+    } catch (apiError) {
+      log('error', 'Dashboard API failed', { 
+        phoneNumber: fromNumber, 
+        vesselName: vesselName || vesselIdentifier,
+        error: apiError instanceof Error ? apiError.message : String(apiError)
+      });
+      return xmlResponse(generateTwiMLResponse(
+        'Sorry, I\'m having trouble accessing vessel data right now. Please try again in a moment.'
+      ));
+    }
+    
+    if (!vesselData) {
+      log('warn', 'Vessel data not found in API', { phoneNumber: fromNumber, vesselName: vesselName || vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    }
+
+    log('info', 'Vessel data fetched successfully', { phoneNumber: fromNumber, vesselName, imo });
+
+    // 3. Call Claude API with riskScoreAnalysis prompt
+    const prompt = systemPrompts.riskScoreAnalysis(vesselData);
+    const analysis = await callClaude(prompt);
+
+    if (!analysis) {
+      log('error', 'Claude API analysis failed', { phoneNumber: fromNumber, vesselName });
+      return xmlResponse(generateTwiMLResponse(
+        `Sorry, I couldn't analyze the risk score for "${vesselName || vesselIdentifier}". Please try again in a moment.`
+      ));
+    }
+
+    log('info', 'Risk score analysis completed', { phoneNumber: fromNumber, vesselName });
+    
+    // 4. Return analyzed response as TwiML
+    return xmlResponse(generateTwiMLResponse(analysis));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleRiskScoreIntent', { 
+      phoneNumber: fromNumber, 
+      vesselIdentifier, 
+      error: errorMessage 
+    });
+    return xmlResponse(generateTwiMLResponse(
+      'Sorry, something went wrong while fetching the risk score. Please try again in a moment.'
+    ));
+  }
+}
+
+/**
+ * Handle risk level intent
+ * @param {string} vesselIdentifier - Vessel name or IMO
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleRiskLevelIntent(vesselIdentifier, fromNumber) {
+  try {
+    log('info', 'Processing risk level intent', { phoneNumber: fromNumber, vesselIdentifier });
+    
+    // 1. Resolve vessel identifier to IMO using vessel-lookup
+    let vesselLookupResult = null;
+    let imo = null;
+    let vesselName = null;
+
+    // Check if identifier is an IMO (numeric)
+    if (/^\d+$/.test(vesselIdentifier.trim())) {
+      // It's an IMO number
+      imo = vesselIdentifier.trim();
+      vesselLookupResult = vesselLookup.getVesselByIMO(imo);
+      if (vesselLookupResult) {
+        vesselName = vesselLookupResult.name;
+      }
+    } else {
+      // It's a vessel name - look it up
+      vesselLookupResult = vesselLookup.getVesselByName(vesselIdentifier);
+      if (vesselLookupResult) {
+        imo = vesselLookupResult.imo;
+        vesselName = vesselLookupResult.name;
+      }
+    }
+
+    if (!imo) {
+      log('warn', 'Vessel not found in lookup', { phoneNumber: fromNumber, vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    }
+
+    // 2. Fetch vessel data using api-client
+    let vesselData;
+    try {
+      vesselData = await apiClient.fetchVesselByName(vesselName || vesselIdentifier);
+    } catch (apiError) {
+      log('error', 'Dashboard API failed', { 
+        phoneNumber: fromNumber, 
+        vesselName: vesselName || vesselIdentifier,
+        error: apiError instanceof Error ? apiError.message : String(apiError)
+      });
+      return xmlResponse(generateTwiMLResponse(
+        'Sorry, I\'m having trouble accessing vessel data right now. Please try again in a moment.'
+      ));
+    }
+    
+    if (!vesselData) {
+      log('warn', 'Vessel data not found in API', { phoneNumber: fromNumber, vesselName: vesselName || vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    }
+
+    log('info', 'Vessel data fetched successfully', { phoneNumber: fromNumber, vesselName, imo });
+
+    // 3. Call Claude API with riskLevelAnalysis prompt
+    const prompt = systemPrompts.riskLevelAnalysis(vesselData);
+    const analysis = await callClaude(prompt);
+
+    if (!analysis) {
+      log('error', 'Claude API analysis failed', { phoneNumber: fromNumber, vesselName });
+      return xmlResponse(generateTwiMLResponse(
+        `Sorry, I couldn't analyze the risk level for "${vesselName || vesselIdentifier}". Please try again in a moment.`
+      ));
+    }
+
+    log('info', 'Risk level analysis completed', { phoneNumber: fromNumber, vesselName });
+    
+    // 4. Return analyzed response as TwiML
+    return xmlResponse(generateTwiMLResponse(analysis));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleRiskLevelIntent', { 
+      phoneNumber: fromNumber, 
+      vesselIdentifier, 
+      error: errorMessage 
+    });
+    return xmlResponse(generateTwiMLResponse(
+      'Sorry, something went wrong while fetching the risk level. Please try again in a moment.'
+    ));
+  }
+}
+
+/**
+ * Handle recommendations intent
+ * @param {string} vesselIdentifier - Vessel name or IMO
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleRecommendationsIntent(vesselIdentifier, fromNumber) {
+  try {
+    log('info', 'Processing recommendations intent (async worker)', { phoneNumber: fromNumber, vesselIdentifier });
+
+    // Fire-and-forget background worker; don't block webhook
+    triggerRecommendationsWorker(fromNumber, vesselIdentifier);
+
+      return xmlResponse(generateTwiMLResponse(
+      `📋 I’m preparing recommendations for ${vesselIdentifier}. I’ll send them shortly as a separate message.`
+    ));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleRecommendationsIntent', { 
+      phoneNumber: fromNumber, 
+      vesselIdentifier, 
+      error: errorMessage 
+    });
+    return xmlResponse(generateTwiMLResponse(
+      `📋 I’m preparing recommendations for ${vesselIdentifier}. I’ll send them shortly.`
+    ));
+  }
+}
+
+/**
+ * Handle risk trend intent
+ * Compares the vessel's latest recorded risk snapshot with the one at the start
+ * of the requested period and offers the history as an Excel export with a chart
+ * @param {string} vesselIdentifier - Vessel name or IMO
+ * @param {number|null|undefined} months - Period in months (default 1)
+ * @param {string} fromNumber - User's phone number
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleRiskTrendIntent(vesselIdentifier, months, fromNumber) {
+  try {
+    log('info', 'Processing risk trend intent', { phoneNumber: fromNumber, vesselIdentifier, months });
+
+    const vessel = lookupVessel(vesselIdentifier);
+    if (!vessel) {
+      log('warn', 'Vessel not found in lookup', { phoneNumber: fromNumber, vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    }
+
+    const trend = await riskHistory.getRiskTrend(vessel.imo, { months: months ?? null });
+
+    if (!trend) {
+      return xmlResponse(generateTwiMLResponse(
+        `📈 No risk history has been recorded for ${vessel.name} yet.\n\n` +
+        `Snapshots are recorded once a day, so please ask again tomorrow.`
+      ));
+    }
+
+    await stateManager.saveState(fromNumber, {
+      intent: 'risk_trend',
+      vesselName: vessel.name,
+      vesselIMO: vessel.imo,
+      riskTrend: trend,
+    });
+
+    log('info', 'Risk trend completed', { phoneNumber: fromNumber, vessel: vessel.name, snapshots: trend.snapshots.length });
+
+    return xmlResponse(generateTwiMLResponse(
+      formatRiskTrendMessage(vessel.name, trend) +
+      '\n\nReply "1" to download the history as Excel (with chart) or "2" to receive it via email.'
+    ));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    log('error', 'Error in handleRiskTrendIntent', { 
+      phoneNumber: fromNumber, 
+      vesselIdentifier, 
+      error: errorMessage 
+    });
+    return xmlResponse(generateTwiMLResponse(
+      'Sorry, something went wrong while fetching the risk trend. Please try again in a moment.'
+    ));
+  }
+}
+
+/**
+ * Format a risk trend as a WhatsApp message
+ * @param {string} vesselName - Vessel name
+ * @param {import('../../utils/risk-history').RiskTrend} trend - Trend from risk-history
+ * @returns {string} Formatted message
+ */
+function formatRiskTrendMessage(vesselName, trend) {
+  const { from, to } = trend;
+  const period = trend.months === 1 ? 'last month' : `last ${trend.months} months`;
+  let message = `📈 *Risk trend for ${vesselName}* (${period})\n\n`;
+
+  if (trend.snapshots.length < 2) {
+    return message +
+      `Risk score: ${to.riskScore ?? 'N/A'} (${to.riskLevel})\n\n` +
+      `Only one snapshot has been recorded so far (${to.date}), so there is nothing to compare yet.`;
+  }
+
+  let change = '';
+  if (trend.scoreDelta !== null) {
+    change = trend.scoreDelta > 0 ? ` (▲ +${trend.scoreDelta})` : trend.scoreDelta < 0 ? ` (▼ ${trend.scoreDelta})` : ' (no change)';
+  }
+  message += `Risk score: ${from.riskScore ?? 'N/A'} → ${to.riskScore ?? 'N/A'}${change}\n`;
+  message += trend.levelChanged
+    ? `Risk level: ${from.riskLevel} → ${to.riskLevel}\n`
+    : `Risk level: ${to.riskLevel} (unchanged)\n`;
+  message += trend.inspectedSince
+    ? `Last inspection: ${to.lastInspectionDate || 'Never'}${to.lastInspectionPort ? ` at ${to.lastInspectionPort}` : ''} (new since ${from.date})\n`
+    : `Last inspection: ${to.lastInspectionDate || 'Never'} (unchanged)\n`;
+  message += `\nCompared ${from.date} with ${to.date} (${trend.snapshots.length} snapshots).`;
+
+  if (trend.partial) {
+    message += `\nℹ️ History only goes back to ${from.date}.`;
+  }
+  return message;
+}
+
+/**
+ * Handle manage alerts intent
+ * Subscribes to, unsubscribes from or lists risk change alerts (sent by the risk-alerts function)
+ * @param {string|undefined} action - subscribe, unsubscribe or list
+ * @param {string|null} vesselIdentifier - Vessel name or IMO (null for list / unsubscribe from all)
+ * @param {number|null|undefined} threshold - Risk score threshold requested by the user
+ * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
+ * @returns {Promise<any>} TwiML response
+ */
+async function handleManageAlertsIntent(action, vesselIdentifier, threshold, fromNumber, user) {
+  try {
+    log('info', 'Processing manage alerts intent', { phoneNumber: fromNumber, action, vesselIdentifier, threshold });
+
+    if (action === 'list') {
+      const subscriptions = await alertSubscriptions.getSubscriptions(fromNumber);
+      if (subscriptions.length === 0) {
+        return xmlResponse(generateTwiMLResponse(
+          `🔔 You have no risk alerts set up.\n\nSend 'Alert me on GCL GANGA' to start one.`
+        ));
+      }
+      return xmlResponse(generateTwiMLResponse(
+        `🔔 *Your risk alerts* (${subscriptions.length})\n\n` +
+        subscriptions.map(entry => `• ${entry.name} (IMO ${entry.imo}) – score threshold ${entry.threshold}`).join('\n') +
+        `\n\nYou're notified when the risk level changes, the score crosses its threshold or a new inspection is recorded.`
+      ));
+    }
+
+    if (action === 'unsubscribe' && !vesselIdentifier) {
+      const removed = await alertSubscriptions.unsubscribe(fromNumber);
+      return xmlResponse(generateTwiMLResponse(removed.length > 0
+        ? `🔕 Stopped risk alerts for ${removed.length} vessel${removed.length === 1 ? '' : 's'}.`
+        : '🔔 You have no risk alerts set up.'
+      ));
+    }
+
+    if (!vesselIdentifier) {
+      return xmlResponse(generateTwiMLResponse(
+        'Which vessel should I alert you about?\n\nExample: "Alert me on GCL GANGA"'
+      ));
+    }
+
+    // Vessels outside the user's scope are treated as not found
+    const vessel = lookupVessel(vesselIdentifier);
+    if (!vessel || !userRegistry.canAccessVessel(user, vessel.imo)) {
+      log('warn', 'Alert vessel not found or outside user scope', { phoneNumber: fromNumber, vesselIdentifier });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
     }
 
-    // Validate vessel identifier (with fallback for recommendations)
-    let resolvedIdentifier = vessel_identifier;
-    if (!resolvedIdentifier && intent === 'recommendations') {
-      resolvedIdentifier = fallbackVesselIdentifier(userMessage);
-      if (resolvedIdentifier) {
-        log('info', 'Fallback vessel identifier resolved', { phoneNumber: fromNumber, resolvedIdentifier });
-      }
+    if (action === 'unsubscribe') {
+      const removed = await alertSubscriptions.unsubscribe(fromNumber, vessel.imo);
+      return xmlResponse(generateTwiMLResponse(removed.length > 0
+        ? `🔕 Stopped risk alerts for ${vessel.name}.`
+        : `🔔 You don't have risk alerts for ${vessel.name}.`
+      ));
     }
 
-    if (!resolvedIdentifier) {
-      log('warn', 'Missing vessel identifier', { phoneNumber: fromNumber, intent });
+    const { status, subscription } = await alertSubscriptions.subscribe(fromNumber, vessel, { threshold: threshold ?? null });
+    if (!subscription) {
       return xmlResponse(generateTwiMLResponse(
-        'I need a vessel name or IMO number to help you.\n\n' +
-        'Please include the vessel name or IMO in your message.\n\n' +
-        'Example: "What is the risk score for GCL YAMUNA?"'
+        `⚠️ You already have alerts for ${alertSubscriptions.MAX_SUBSCRIPTIONS} vessels, the maximum.\n\n` +
+        `Send 'unsubscribe <vessel>' to make room, or 'list alerts' to see them.`
       ));
     }
 
-    // Route to appropriate handler based on intent
-    switch (intent) {
-      case 'risk_score':
-        return await handleRiskScoreIntent(resolvedIdentifier, fromNumber);
-      
-      case 'risk_level':
-        return await handleRiskLevelIntent(resolvedIdentifier, fromNumber);
-      
-      case 'recommendations':
-        return await handleRecommendationsIntent(resolvedIdentifier, fromNumber);
-      
-      case 'vessel_info':
-        // TODO: Implement handleVesselInfoIntent
-        return await handleVesselInfoIntent(resolvedIdentifier, fromNumber);
-      
-      default:
-        return xmlResponse(generateTwiMLResponse(
-          `Intent "${intent}" is not yet supported. Please try: risk score, risk level, recommendations, or vessel info.`
-        ));
-    }
+    log('info', 'Alert subscription saved', { phoneNumber: fromNumber, vessel: vessel.name, status, threshold: subscription.threshold });
+
+    return xmlResponse(generateTwiMLResponse(
+      `🔔 ${status === 'updated' ? 'Updated your' : 'You\'ll now get'} risk alerts for ${vessel.name} (IMO ${vessel.imo}).\n\n` +
+      `I'll message you when its risk level changes, its risk score crosses ${subscription.threshold} ` +
+      `or a new inspection is recorded.\n\nSend 'list alerts' to see your alerts or 'unsubscribe ${vessel.name}' to stop.`
+    ));
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in processNewQuery', { 
-      phoneNumber: fromNumber, 
-      error: errorMessage 
+    log('error', 'Error in handleManageAlertsIntent', {
+      phoneNumber: fromNumber,
+      action,
+      error: errorMessage
     });
     return xmlResponse(generateTwiMLResponse(
-      'Sorry, something went wrong while processing your request. Please try again in a moment.'
+      'Sorry, something went wrong while updating your alerts. Please try again in a moment.'
     ));
   }
 }
 
 /**
- * Handle Excel download request
- * @param {any} state - Conversation state with vessel data
+ * Handle manage digest intent
+ * Opts in to, out of or shows the scheduled fleet digest (sent by the fleet-digest function)
+ * @param {string|undefined} action - subscribe, unsubscribe or status
+ * @param {string|null|undefined} frequency - daily or weekly
+ * @param {string|null|undefined} timeZone - IANA time zone
  * @param {string} fromNumber - User's phone number
  * @returns {Promise<any>} TwiML response
  */
-async function handleExcelRequest(state, fromNumber) {
+async function handleManageDigestIntent(action, frequency, timeZone, fromNumber) {
   try {
-    // Retrieve vessel data and recommendations data from state
-    const vesselData = state.vesselData || {};
-    const recommendationsData = state.recommendationsData || {};
-    const vesselName = state.vesselName || vesselData.name || vesselData.vesselName || 'Unknown Vessel';
-
-    if (!vesselData || Object.keys(vesselData).length === 0) {
-      stateManager.clearState(fromNumber);
-      return xmlResponse(generateTwiMLResponse(
-        '❌ Error: Vessel data not found. Please start a new query.'
+    log('info', 'Processing manage digest intent', { phoneNumber: fromNumber, action, frequency, timeZone });
+
+    /** @param {import('../../utils/fleet-digest').DigestSettings} settings */
+    const describe = settings => `${settings.frequency === 'daily' ? 'every day' : 'every Monday'} ` +
+      `at ${String(fleetDigest.DIGEST_HOUR).padStart(2, '0')}:00 ${settings.timeZone}`;
+
+    if (action === 'status') {
+      const settings = await fleetDigest.getSettings(fromNumber);
+      return xmlResponse(generateTwiMLResponse(settings && settings.enabled
+        ? `📬 Your ${settings.frequency} fleet digest arrives ${describe(settings)}.\n\n` +
+          `Send 'make my digest daily' or 'I'm on Singapore time' to change it, or 'stop digest' to unsubscribe.`
+        : `📬 You're not subscribed to the fleet digest.\n\nSend 'Send me a weekly fleet digest' to start one.`
       ));
     }
 
-    // Generate Excel file using internal function call
-    const excelBuffer = await generateExcelFile(vesselData, recommendationsData);
-
-    // Extract IMO for filename
-    const imo = vesselData.imo || vesselData.imoNumber || state.vesselIMO || 'unknown';
-    const timestamp = Date.now();
-    const filename = `recommendations_${imo}_${timestamp}.xlsx`;
-    const filepath = path.join(TEMP_DIR, filename);
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync(TEMP_DIR)) {
-      fs.mkdirSync(TEMP_DIR, { recursive: true });
+    if (action === 'unsubscribe') {
+      const settings = await fleetDigest.getSettings(fromNumber);
+      if (!settings || !settings.enabled) {
+        return xmlResponse(generateTwiMLResponse(`📬 You're not subscribed to the fleet digest.`));
+      }
+      await fleetDigest.updateSettings(fromNumber, { enabled: false });
+      return xmlResponse(generateTwiMLResponse(`🔕 Your fleet digest has been stopped.`));
     }
 
-    // Save file to /tmp directory
-    fs.writeFileSync(filepath, /** @type {any} */ (excelBuffer), 'binary');
+    if (timeZone && !fleetDigest.isValidTimeZone(timeZone)) {
+      return xmlResponse(generateTwiMLResponse(
+        `⚠️ I don't recognise the time zone '${timeZone}'.\n\nTry a city, e.g. "I'm on Singapore time".`
+      ));
+    }
 
-    // Generate download URL
-    const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
-    const downloadUrl = `${baseUrl}/.netlify/functions/download-excel?file=${encodeURIComponent(filename)}`;
+    const settings = await fleetDigest.updateSettings(fromNumber, {
+      enabled: true,
+      frequency: frequency || null,
+      timeZone: timeZone || null,
+    });
+    const email = userRegistry.getUser(fromNumber)?.email;
 
-    // Clear state after successful generation
-    stateManager.clearState(fromNumber);
+    log('info', 'Digest settings saved', { phoneNumber: fromNumber, frequency: settings.frequency, timeZone: settings.timeZone });
 
-    // Send message with download link
-    const message = `📊 Here's your recommendations report for ${vesselName}:\n\n${downloadUrl}\n\n⚠️ Link expires in 10 minutes.`;
-    
-    log('info', 'Excel file generated successfully', { phoneNumber: fromNumber, vesselName, filename });
-    
-    return xmlResponse(generateTwiMLResponse(message));
+    return xmlResponse(generateTwiMLResponse(
+      `📬 Your ${settings.frequency} fleet digest will arrive ${describe(settings)}.\n\n` +
+      `It covers risk level changes, your top-risk vessels and upcoming PSC campaigns` +
+      (email ? `; the full digest and fleet workbook are emailed to ${email}.` : '.') +
+      `\n\nSend 'stop digest' to unsubscribe.`
+    ));
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in handleExcelRequest', { 
-      phoneNumber: fromNumber, 
-      error: errorMessage 
+    log('error', 'Error in handleManageDigestIntent', {
+      phoneNumber: fromNumber,
+      action,
+      error: errorMessage
     });
-    
-    // Clear state on error to prevent stuck state
-    stateManager.clearState(fromNumber);
-    
     return xmlResponse(generateTwiMLResponse(
-      `❌ Sorry, I encountered an error generating the Excel file.\n\n` +
-      `Please try again or contact support.`
+      'Sorry, something went wrong while updating your digest settings. Please try again in a moment.'
     ));
   }
 }
 
 /**
- * Handle email delivery request
- * @param {any} state - Conversation state with vessel data
+ * Handle fleet overview intent
+ * Answers fleet-wide questions from the cached dashboard data and offers a fleet Excel export
+ * @param {{type?: string, limit?: number, months?: number, risk_level?: string}} fleetQuery - Query extracted by intent detection
  * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (limits the fleet to their vessels)
  * @returns {Promise<any>} TwiML response
  */
-async function handleEmailRequest(state, fromNumber) {
-  let excelFilePath = null;
-  
+async function handleFleetOverviewIntent(fleetQuery, fromNumber, user) {
   try {
-    // Retrieve vessel data and recommendations data from state
-    const vesselData = state.vesselData || {};
-    const recommendationsData = state.recommendationsData || {};
-    const vesselName = state.vesselName || vesselData.name || vesselData.vesselName || 'Unknown Vessel';
-    const vesselIMO = state.vesselIMO || vesselData.imo || vesselData.imoNumber || 'N/A';
-
-    if (!vesselData || Object.keys(vesselData).length === 0) {
-      stateManager.clearState(fromNumber);
-      return xmlResponse(generateTwiMLResponse(
-        '❌ Error: Vessel data not found. Please start a new query.'
-      ));
-    }
+    log('info', 'Processing fleet overview intent', { phoneNumber: fromNumber, fleetQuery });
 
-    // Get recipient email from phone number mapping or default
-    const recipientEmail = getEmailForPhone(fromNumber);
-    if (!recipientEmail) {
-      // Keep state so user can still download
+    const dashboardData = await apiClient.fetchDashboardData();
+    if (!dashboardData) {
+      log('error', 'Dashboard API failed', { phoneNumber: fromNumber });
       return xmlResponse(generateTwiMLResponse(
-        `❌ Email address not found for your phone number.\n\n` +
-        `Please use the download option instead. Reply '1' to download.`
+        'Sorry, I\'m having trouble accessing vessel data right now. Please try again in a moment.'
       ));
     }
 
-    // Generate Excel file using internal function call (same as download flow)
-    const excelBuffer = await generateExcelFile(vesselData, recommendationsData);
+    const userVessels = userRegistry.filterVesselsForUser(user, fleetAnalytics.getDashboardVessels(dashboardData));
+    const result = fleetAnalytics.runFleetQuery(userVessels, fleetQuery);
 
-    // Extract IMO for filename
-    const imo = vesselData.imo || vesselData.imoNumber || state.vesselIMO || 'unknown';
-    const timestamp = Date.now();
-    const filename = `recommendations_${imo}_${timestamp}.xlsx`;
-    excelFilePath = path.join(TEMP_DIR, filename);
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync(TEMP_DIR)) {
-      fs.mkdirSync(TEMP_DIR, { recursive: true });
+    if (result.total === 0) {
+      return xmlResponse(generateTwiMLResponse('No vessels found in your fleet data.'));
     }
 
-    // Save file to /tmp directory
-    fs.writeFileSync(excelFilePath, /** @type {any} */ (excelBuffer), 'binary');
-
-    // Calculate recommendations counts
-    const counts = calculateRecommendationsCounts(recommendationsData);
-
-    // Extract risk information
-    const riskScore = vesselData.riskScore || vesselData.risk_score || 'N/A';
-    const riskLevel = vesselData.riskLevel || vesselData.risk_level || 'N/A';
-
-    // Call send-email function via HTTP
-    const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
-    const sendEmailUrl = `${baseUrl}/.netlify/functions/send-email`;
-
-    const emailPayload = {
-      recipientEmail: recipientEmail,
-      vesselName: vesselName,
-      vesselIMO: vesselIMO,
-      excelFilePath: excelFilePath,
-      recommendationsCounts: {
-        critical: counts.critical,
-        moderate: counts.moderate,
-        recommended: counts.recommended,
-      },
-      riskScore: riskScore,
-      riskLevel: riskLevel,
-    };
-
-    const emailResponse = await fetch(sendEmailUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(emailPayload),
-    });
-
-    if (!emailResponse.ok) {
-      const errorData = await emailResponse.json().catch(() => ({}));
-      const errorMessage = errorData.message || errorData.error || `HTTP ${emailResponse.status}`;
-      
-      // Clean up Excel file on error
-      if (excelFilePath && fs.existsSync(excelFilePath)) {
-        try {
-          fs.unlinkSync(excelFilePath);
-        } catch (cleanupError) {
-          console.warn('Error cleaning up Excel file:', cleanupError);
-        }
-      }
+    let message = formatFleetOverviewMessage(result);
 
-      // Keep state so user can try download instead
-      return xmlResponse(generateTwiMLResponse(
-        `⚠️ Email delivery failed. Would you like to download instead? Reply '1'`
-      ));
+    // Offer the full list as an Excel export when there is something to export
+    if (result.vessels.length > 0) {
+      await stateManager.saveState(fromNumber, {
+        intent: 'fleet_overview',
+        reportTitle: result.title,
+        fleetVessels: result.vessels,
+        fleetCounts: result.counts,
+      });
+      message += '\n\nWant the full list? Reply "1" to download as Excel or "2" to receive it via email.';
     }
 
-    const emailResult = await emailResponse.json();
-
-    // Clear state after successful email send
-    stateManager.clearState(fromNumber);
+    log('info', 'Fleet overview completed', { phoneNumber: fromNumber, type: result.type, vessels: result.vessels.length });
 
-    // Send confirmation message
-    const message = `✅ Recommendations report for ${vesselName} has been sent to ${recipientEmail}. Please check your inbox.`;
-    
-    log('info', 'Email sent successfully', { phoneNumber: fromNumber, vesselName, recipientEmail });
-    
     return xmlResponse(generateTwiMLResponse(message));
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in handleEmailRequest', { 
+    log('error', 'Error in handleFleetOverviewIntent', { 
       phoneNumber: fromNumber, 
       error: errorMessage 
     });
-    
-    // Clean up Excel file on error (best effort)
-    if (excelFilePath && fs.existsSync(excelFilePath)) {
-      try {
-        fs.unlinkSync(excelFilePath);
-      } catch (cleanupError) {
-        log('warn', 'Error cleaning up Excel file', { 
-          phoneNumber: fromNumber, 
-          error: cleanupError instanceof Error ? cleanupError.message : String(cleanupError) 
-        });
-      }
-    }
-
-    // Keep state so user can try download instead
     return xmlResponse(generateTwiMLResponse(
-      `⚠️ Email delivery failed. Would you like to download instead? Reply '1'`
+      'Sorry, something went wrong while fetching the fleet overview. Please try again in a moment.'
     ));
   }
 }
 
 /**
- * Handle risk score intent
- * @param {string} vesselIdentifier - Vessel name or IMO
+ * Format a fleet query result as a compact WhatsApp list
+ * @param {ReturnType<typeof fleetAnalytics.runFleetQuery>} result - Fleet query result
+ * @returns {string} Formatted message
+ */
+function formatFleetOverviewMessage(result) {
+  let message = `🚢 *${result.title}*\n\n`;
+
+  if (result.type === 'risk_counts') {
+    result.counts.forEach(({ riskLevel, count }) => {
+      message += `• ${riskLevel}: ${count}\n`;
+    });
+    message += `\nTotal: ${result.total} vessels`;
+    return message;
+  }
+
+  if (result.vessels.length === 0) {
+    return message + 'No vessels match this query. 👍';
+  }
+
+  result.vessels.slice(0, FLEET_REPLY_MAX_VESSELS).forEach((vessel, index) => {
+    const detail = result.type === 'not_inspected'
+      ? `last inspected ${vessel.lastInspectionDate || 'never'}`
+      : `${vessel.riskScore ?? 'N/A'} (${vessel.riskLevel})`;
+    message += `${index + 1}. ${vessel.name} – ${detail}\n`;
+  });
+
+  if (result.vessels.length > FLEET_REPLY_MAX_VESSELS) {
+    message += `... and ${result.vessels.length - FLEET_REPLY_MAX_VESSELS} more\n`;
+  }
+
+  message += `\n${result.vessels.length} of ${result.total} vessels`;
+  return message;
+}
+
+/**
+ * Handle vessel comparison intent
+ * Resolves 2-5 vessels, fetches their dashboard data and recommendation counts,
+ * and replies with a side-by-side table plus an Excel comparison export
+ * @param {string[]} vesselIdentifiers - Vessel names or IMOs
  * @param {string} fromNumber - User's phone number
+ * @param {import('../../utils/user-registry').RegisteredUser} user - Registered user (scopes vessel access)
  * @returns {Promise<any>} TwiML response
  */
-async function handleRiskScoreIntent(vesselIdentifier, fromNumber) {
+async function handleCompareVesselsIntent(vesselIdentifiers, fromNumber, user) {
   try {
-    log('info', 'Processing risk score intent', { phoneNumber: fromNumber, vesselIdentifier });
-    
-    // 1. Resolve vessel identifier to IMO using vessel-lookup
-    let vesselLookupResult = null;
-    let imo = null;
-    let vesselName = null;
+    log('info', 'Processing compare vessels intent', { phoneNumber: fromNumber, vesselIdentifiers });
+
+    // 1. Resolve each identifier, dropping duplicates (e.g. name and IMO of the same vessel)
+    /** @type {Array<{name: string, imo: string}>} */
+    const resolved = [];
+    /** @type {string[]} */
+    const notFound = [];
+    const invalidImo = vesselIdentifiers
+      .filter(identifier => /^\d+$/.test(identifier.trim()) && !vesselLookup.getVesselByMMSI(identifier))
+      .map(identifier => imoUtils.validateImo(identifier))
+      .find(check => !check.valid);
+    if (invalidImo) {
+      return xmlResponse(generateTwiMLResponse(createInvalidImoMessage(invalidImo)));
+    }
 
-    // Check if identifier is an IMO (numeric)
-    if (/^\d+$/.test(vesselIdentifier.trim())) {
-      // It's an IMO number
-      imo = vesselIdentifier.trim();
-      vesselLookupResult = vesselLookup.getVesselByIMO(imo);
-      if (vesselLookupResult) {
-        vesselName = vesselLookupResult.name;
-      }
-    } else {
-      // It's a vessel name - look it up
-      vesselLookupResult = vesselLookup.getVesselByName(vesselIdentifier);
-      if (vesselLookupResult) {
-        imo = vesselLookupResult.imo;
-        vesselName = vesselLookupResult.name;
+    for (const identifier of vesselIdentifiers) {
+      const match = lookupVessel(identifier);
+      if (!match || !userRegistry.canAccessVessel(user, match.imo)) {
+        notFound.push(identifier);
+      } else if (!resolved.some(v => v.imo === match.imo)) {
+        resolved.push(match);
       }
     }
 
-    if (!imo) {
-      log('warn', 'Vessel not found in lookup', { phoneNumber: fromNumber, vesselIdentifier });
-      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
+    if (notFound.length > 0) {
+      log('warn', 'Vessels not found in lookup', { phoneNumber: fromNumber, notFound });
+      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(notFound.join("', '"))));
     }
 
-    // 2. Fetch vessel data using api-client
-    let vesselData;
-    try {
-      vesselData = await apiClient.fetchVesselByName(vesselName || vesselIdentifier);
-    } catch (apiError) {
-      log('error', 'Dashboard API failed', { 
-        phoneNumber: fromNumber, 
-        vesselName: vesselName || vesselIdentifier,
-        error: apiError instanceof Error ? apiError.message : String(apiError)
-      });
+    if (resolved.length < COMPARE_MIN_VESSELS || resolved.length > COMPARE_MAX_VESSELS) {
       return xmlResponse(generateTwiMLResponse(
-        'Sorry, I\'m having trouble accessing vessel data right now. Please try again in a moment.'
+        `Please name between ${COMPARE_MIN_VESSELS} and ${COMPARE_MAX_VESSELS} different vessels to compare.\n\n` +
+        `Example: "Compare GCL YAMUNA and GCL TAPI"`
       ));
     }
-    
-    if (!vesselData) {
-      log('warn', 'Vessel data not found in API', { phoneNumber: fromNumber, vesselName: vesselName || vesselIdentifier });
-      return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
-    }
 
-    log('info', 'Vessel data fetched successfully', { phoneNumber: fromNumber, vesselName, imo });
+    // 2. Fetch dashboard data (cached) and recommendations (in parallel, short timeout)
+    // Warm the dashboard cache first so the parallel lookups share one request
+    await apiClient.fetchDashboardData();
+    const comparison = await Promise.all(resolved.map(async (vessel) => {
+      const [vesselData, recommendationsData] = await Promise.all([
+        apiClient.fetchVesselByName(vessel.name),
+        apiClient.fetchRecommendations(vessel.imo, { timeoutMs: COMPARE_RECOMMENDATIONS_TIMEOUT_MS }),
+      ]);
+      const summary = fleetAnalytics.summarizeVessel(vesselData || vessel);
+      return {
+        ...summary,
+        name: vessel.name,
+        imo: vessel.imo,
+        // Raw-text reports are counted from their parsed sections; missing ones can't be counted
+        recommendationsCounts: recommendationsData
+          ? calculateRecommendationsCounts(typeof recommendationsData.rawText === 'string'
+            ? recommendationsParser.parseRecommendationsText(recommendationsData.rawText)
+            : recommendationsData)
+          : null,
+      };
+    }));
 
-    // 3. Call Claude API with riskScoreAnalysis prompt
-    const prompt = systemPrompts.riskScoreAnalysis(vesselData);
-    const analysis = await callClaude(prompt);
+    // 3. Offer the comparison as an Excel export
+    await stateManager.saveState(fromNumber, {
+      intent: 'compare_vessels',
+      comparison,
+    });
 
-    if (!analysis) {
-      log('error', 'Claude API analysis failed', { phoneNumber: fromNumber, vesselName });
-      return xmlResponse(generateTwiMLResponse(
-        `Sorry, I couldn't analyze the risk score for "${vesselName || vesselIdentifier}". Please try again in a moment.`
-      ));
-    }
+    log('info', 'Vessel comparison completed', { phoneNumber: fromNumber, vessels: comparison.map(v => v.name) });
 
-    log('info', 'Risk score analysis completed', { phoneNumber: fromNumber, vesselName });
-    
-    // 4. Return analyzed response as TwiML
-    return xmlResponse(generateTwiMLResponse(analysis));
+    return xmlResponse(generateTwiMLResponse(
+      formatComparisonMessage(comparison) +
+      '\n\nReply "1" to download the comparison as Excel or "2" to receive it via email.'
+    ));
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in handleRiskScoreIntent', { 
+    log('error', 'Error in handleCompareVesselsIntent', { 
       phoneNumber: fromNumber, 
-      vesselIdentifier, 
       error: errorMessage 
     });
     return xmlResponse(generateTwiMLResponse(
-      'Sorry, something went wrong while fetching the risk score. Please try again in a moment.'
+      'Sorry, something went wrong while comparing the vessels. Please try again in a moment.'
     ));
   }
 }
 
 /**
- * Handle risk level intent
+ * Format a vessel comparison as a monospace side-by-side table
+ * @param {Array<any>} comparison - Compared vessel summaries
+ * @returns {string} Formatted message
+ */
+function formatComparisonMessage(comparison) {
+  const COLUMN_WIDTH = 11;
+  /** @param {any} value */
+  const cell = (value) => String(value ?? 'N/A').substring(0, COLUMN_WIDTH - 1).padEnd(COLUMN_WIDTH);
+  /** @param {any} counts @param {string} key */
+  const count = (counts, key) => (counts ? counts[key] : 'N/A');
+
+  /** @type {Array<[string, (v: any) => any]>} */
+  const rows = [
+    ['Vessel', v => v.name],
+    ['Risk score', v => v.riskScore],
+    ['Risk level', v => v.riskLevel],
+    ['Last insp.', v => v.lastInspectionDate || 'Never'],
+    ['Critical', v => count(v.recommendationsCounts, 'critical')],
+    ['Moderate', v => count(v.recommendationsCounts, 'moderate')],
+    ['Recommend.', v => count(v.recommendationsCounts, 'recommended')],
+  ];
+
+  const table = rows
+    .map(([label, getValue]) => cell(label) + comparison.map(v => cell(getValue(v))).join(''))
+    .map(line => line.trimEnd())
+    .join('\n');
+
+  return `📊 *Vessel comparison*\n\n\`\`\`\n${table}\n\`\`\``;
+}
+
+/**
+ * Handle vessel info intent
  * @param {string} vesselIdentifier - Vessel name or IMO
  * @param {string} fromNumber - User's phone number
  * @returns {Promise<any>} TwiML response
  */
-async function handleRiskLevelIntent(vesselIdentifier, fromNumber) {
+async function handleVesselInfoIntent(vesselIdentifier, fromNumber) {
   try {
-    log('info', 'Processing risk level intent', { phoneNumber: fromNumber, vesselIdentifier });
-    
+    log('info', 'Processing vessel info intent', { phoneNumber: fromNumber, vesselIdentifier });
+
     // 1. Resolve vessel identifier to IMO using vessel-lookup
     let vesselLookupResult = null;
     let imo = null;
@@ -806,7 +1883,7 @@ async function handleRiskLevelIntent(vesselIdentifier, fromNumber) {
         'Sorry, I\'m having trouble accessing vessel data right now. Please try again in a moment.'
       ));
     }
-    
+
     if (!vesselData) {
       log('warn', 'Vessel data not found in API', { phoneNumber: fromNumber, vesselName: vesselName || vesselIdentifier });
       return xmlResponse(generateTwiMLResponse(createVesselNotFoundMessage(vesselIdentifier)));
@@ -814,77 +1891,55 @@ async function handleRiskLevelIntent(vesselIdentifier, fromNumber) {
 
     log('info', 'Vessel data fetched successfully', { phoneNumber: fromNumber, vesselName, imo });
 
-    // 3. Call Claude API with riskLevelAnalysis prompt
-    const prompt = systemPrompts.riskLevelAnalysis(vesselData);
-    const analysis = await callClaude(prompt);
-
-    if (!analysis) {
-      log('error', 'Claude API analysis failed', { phoneNumber: fromNumber, vesselName });
-      return xmlResponse(generateTwiMLResponse(
-        `Sorry, I couldn't analyze the risk level for "${vesselName || vesselIdentifier}". Please try again in a moment.`
-      ));
-    }
-
-    log('info', 'Risk level analysis completed', { phoneNumber: fromNumber, vesselName });
-    
-    // 4. Return analyzed response as TwiML
-    return xmlResponse(generateTwiMLResponse(analysis));
+    // 3. Format the vessel card directly (no LLM call needed for structured fields)
+    return xmlResponse(generateTwiMLResponse(formatVesselInfoCard(vesselData, vesselName, imo)));
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in handleRiskLevelIntent', { 
+    log('error', 'Error in handleVesselInfoIntent', { 
       phoneNumber: fromNumber, 
       vesselIdentifier, 
       error: errorMessage 
     });
     return xmlResponse(generateTwiMLResponse(
-      'Sorry, something went wrong while fetching the risk level. Please try again in a moment.'
+      'Sorry, something went wrong while fetching the vessel information. Please try again in a moment.'
     ));
   }
 }
 
 /**
- * Handle recommendations intent
- * @param {string} vesselIdentifier - Vessel name or IMO
- * @param {string} fromNumber - User's phone number
- * @returns {Promise<any>} TwiML response
+ * Format a structured vessel information card for WhatsApp
+ * Dashboard API field names vary, so each value checks the known aliases
+ * @param {any} vesselData - Vessel object from dashboard API
+ * @param {string|null} vesselName - Resolved vessel name from vessel-lookup
+ * @param {string} imo - Resolved IMO number
+ * @returns {string} Formatted message
  */
-async function handleRecommendationsIntent(vesselIdentifier, fromNumber) {
-  try {
-    log('info', 'Processing recommendations intent (async worker)', { phoneNumber: fromNumber, vesselIdentifier });
-
-    // Fire-and-forget background worker; don't block webhook
-    triggerRecommendationsWorker(fromNumber, vesselIdentifier);
-
-      return xmlResponse(generateTwiMLResponse(
-      `📋 I’m preparing recommendations for ${vesselIdentifier}. I’ll send them shortly as a separate message.`
-    ));
-  } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    log('error', 'Error in handleRecommendationsIntent', { 
-      phoneNumber: fromNumber, 
-      vesselIdentifier, 
-      error: errorMessage 
-    });
-    return xmlResponse(generateTwiMLResponse(
-      `📋 I’m preparing recommendations for ${vesselIdentifier}. I’ll send them shortly.`
-    ));
+function formatVesselInfoCard(vesselData, vesselName, imo) {
+  const name = vesselName || vesselData.name || vesselData.vesselName || vesselData.vessel_name || 'Unknown Vessel';
+  const flag = vesselData.flag || vesselData.flagState || vesselData.flag_state || vesselData.flagName || 'N/A';
+  const vesselType = vesselData.vesselType || vesselData.vessel_type || vesselData.shipType || vesselData.ship_type || vesselData.type || 'N/A';
+  const buildYear = vesselData.yearBuilt || vesselData.year_built || vesselData.buildYear || vesselData.build_year || vesselData.built || 'N/A';
+  const riskScore = vesselData.riskScore ?? vesselData.risk_score ?? 'N/A';
+  const riskLevel = vesselData.riskLevel || vesselData.risk_level || 'N/A';
+
+  const lastInspection = vesselData.lastInspection || vesselData.last_inspection || {};
+  const lastInspectionPort = lastInspection.port || lastInspection.portName || lastInspection.port_name || 'N/A';
+  let lastInspectionDate = 'N/A';
+  const dateValue = lastInspection.date || lastInspection.inspectionDate || lastInspection.timestamp;
+  if (typeof dateValue === 'number') {
+    lastInspectionDate = new Date(dateValue).toISOString().split('T')[0] || 'N/A';
+  } else if (typeof dateValue === 'string' && dateValue) {
+    lastInspectionDate = dateValue;
   }
-}
 
-/**
- * Handle vessel info intent
- * @param {string} vesselIdentifier - Vessel name or IMO
- * @param {string} fromNumber - User's phone number
- * @returns {Promise<any>} TwiML response
- */
-async function handleVesselInfoIntent(vesselIdentifier, fromNumber) {
-  // TODO: Implement vessel info handler
-  // 1. Resolve vessel identifier to IMO using vessel-lookup
-  // 2. Fetch vessel data using api-client
-  // 3. Format and return vessel information
-  return xmlResponse(generateTwiMLResponse(
-    `Vessel info handler for "${vesselIdentifier}" - Coming soon!`
-  ));
+  return `🚢 *${name}*\n\n` +
+         `• IMO: ${vesselData.imo || vesselData.imoNumber || imo}\n` +
+         `• Flag: ${flag}\n` +
+         `• Type: ${vesselType}\n` +
+         `• Built: ${buildYear}\n\n` +
+         `📊 Risk Score: *${riskScore}* (${riskLevel})\n\n` +
+         `🔍 Last Inspection: ${lastInspectionPort} on ${lastInspectionDate}\n\n` +
+         `Reply 'Risk score for ${name}' or 'Recommendations for ${name}' for more detail.`;
 }
 
 /**
@@ -1042,7 +2097,7 @@ async function formatResponse(userMessage, intentResponse, vesselData, phoneNumb
   if (intent === 'recommendations') {
     // Save state for follow-up question
     if (phoneNumber) {
-      stateManager.saveState(phoneNumber, {
+      await stateManager.saveState(phoneNumber, {
         intent: 'recommendations',
         vesselData,
         lastQuery: userMessage,
@@ -1212,10 +2267,7 @@ function formatRecommendationsDirectly(vesselData) {
       message += `... and ${recommendations.length - 5} more recommendations.\n\n`;
     }
 
-    message += 'Report ready! How would you like to receive it?\n\n';
-    message += '1️⃣ Download as Excel file\n';
-    message += '2️⃣ Receive via email\n\n';
-    message += 'Reply with "1" or "download" for Excel, or "2" or "email" for email delivery.';
+    message += recommendationsFormatter.FOLLOW_UP_MENU;
 
     return message;
   } catch (error) {
@@ -1238,11 +2290,14 @@ function triggerRecommendationsWorker(fromNumber, vesselIdentifier) {
     }
     // Use background function so long-running jobs don't hit timeout
     const workerUrl = `${baseUrl}/.netlify/functions/recommendations-worker-background`;
+    // The request id ties the worker's message delivery status back to this request
+    const requestId = crypto.randomUUID();
+    log('info', 'Triggering recommendations worker', { requestId, vesselIdentifier });
     // Fire-and-forget; we don't await this in the webhook
     fetch(workerUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ fromNumber, vesselIdentifier }),
+      body: JSON.stringify({ fromNumber, vesselIdentifier, requestId }),
     }).catch(err => {
       console.error('Failed to trigger recommendations worker', err);
     });
@@ -1320,7 +2375,7 @@ async function handleEmailDelivery(fromNumber, vesselData) {
       // Check if email is required
       if (errorData.requiresEmail) {
         // Save state to ask for email
-        stateManager.saveState(fromNumber, {
+        await stateManager.saveState(fromNumber, {
           intent: 'recommendations',
           vesselData,
           waitingForEmail: true,
@@ -1493,6 +2548,31 @@ function anthropicHeaders() {
   return headers;
 }
 
+/**
+ * Whether an intent's tool takes a single vessel identifier
+ * @param {string} intent - Intent name
+ * @returns {boolean}
+ */
+function takesVesselIdentifier(intent) {
+  const tool = intentTools.INTENT_TOOLS.find(t => t.name === intent);
+  return !!tool && 'vessel_identifier' in tool.input_schema.properties;
+}
+
+/**
+ * Resolve a vessel name, IMO or MMSI to its canonical mapping entry
+ * @param {string} vesselIdentifier - Vessel name, IMO or MMSI
+ * @returns {{name: string, imo: string} | null}
+ */
+function lookupVessel(vesselIdentifier) {
+  const trimmed = (vesselIdentifier || '').trim();
+  if (!trimmed) return null;
+  if (/^\d+$/.test(trimmed)) {
+    const byImo = vesselLookup.getVesselByIMO(trimmed);
+    return byImo ? { name: byImo.name, imo: byImo.imo } : vesselLookup.getVesselByMMSI(trimmed);
+  }
+  return vesselLookup.getVesselByName(trimmed);
+}
+
 /**
  * Best-effort vessel identifier extraction when LLM returns null
  * @param {string} userMessage
@@ -41,10 +41,20 @@ function loadEnvFile() {
 // Load env vars
 loadEnvFile();
 
+// Requests built here aren't signed by Twilio, so opt out of signature validation
+process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+
 // Get user message from command line or use default
 const userMessage = process.argv[2] || 'Risk score for gcl yamuna';
 const fromNumber = process.argv[3] || '+1234567890';
 
+// Register the test number with access to every vessel unless a registry is configured
+if (!process.env.USER_REGISTRY_JSON && !process.env.USER_REGISTRY_FILE) {
+  process.env.USER_REGISTRY_JSON = JSON.stringify({
+    users: [{ phone: fromNumber, company: 'Local test', role: 'admin', fleets: ['*'] }],
+  });
+}
+
 // Color codes
 const GREEN = '\x1b[32m';
 const RED = '\x1b[31m';
@@ -77,6 +77,7 @@ if (missingVars.length > 0) {
 
 // Import modules
 const systemPrompts = require('./config/system-prompts');
+const intentTools = require('./config/intent-tools');
 const apiClient = require('./utils/api-client');
 const vesselLookup = require('./utils/vessel-lookup');
 
@@ -99,16 +100,17 @@ async function testIntentDetection(userMessage) {
   log(`User message: "${userMessage}"`, 'cyan');
   
   try {
-    const prompt = systemPrompts.intentDetection(userMessage);
-    
     const payload = {
       model: CLAUDE_MODEL,
-      max_tokens: 200,
+      max_tokens: 300,
       temperature: 0,
+      system: systemPrompts.intentDetection(),
+      tools: intentTools.INTENT_TOOLS,
+      tool_choice: { type: 'auto' },
       messages: [
         {
           role: 'user',
-          content: prompt,
+          content: userMessage,
         },
       ],
     };
@@ -128,33 +130,26 @@ async function testIntentDetection(userMessage) {
     }
 
     const data = await resp.json();
-    const contentText = (data?.content?.[0]?.text || '').trim();
-    
     log(`✓ Claude API response received`, 'green');
-    log(`Raw response: ${contentText.substring(0, 200)}...`, 'cyan');
 
-    // Parse JSON response
-    let intentResult;
-    try {
-      const jsonMatch = contentText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        intentResult = JSON.parse(jsonMatch[0]);
-      } else {
-        intentResult = JSON.parse(contentText);
-      }
-      
-      log(`\n📊 Intent Detection Results:`, 'blue');
-      log(`  Intent: ${intentResult.intent || 'null'}`, intentResult.intent && intentResult.intent !== 'unknown' ? 'green' : 'yellow');
-      log(`  Vessel Identifier: ${intentResult.vessel_identifier || 'null'}`, intentResult.vessel_identifier ? 'green' : 'yellow');
-      log(`  Confidence: ${intentResult.confidence || 'null'}`, 'cyan');
-      
-      return intentResult;
-    } catch (parseErr) {
-      log(`❌ Failed to parse JSON response`, 'red');
-      log(`Parse error: ${parseErr.message}`, 'red');
-      log(`Response text: ${contentText}`, 'red');
-      return null;
+    // The tool Claude called is the intent
+    const toolCall = intentTools.parseIntentToolUse(data);
+    if (!toolCall) {
+      const textBlock = (data?.content || []).find((/** @type {any} */ block) => block.type === 'text');
+      log(`⚠ No intent tool called`, 'yellow');
+      log(`Response text: ${textBlock ? textBlock.text : ''}`, 'yellow');
+      return /** @type {any} */ ({ intent: 'unknown', vessel_identifier: null, confidence: 'low' });
     }
+
+    /** @type {any} */
+    const intentResult = { intent: toolCall.intent, ...toolCall.input };
+    log(`\n📊 Intent Detection Results:`, 'blue');
+    log(`  Intent: ${intentResult.intent}`, 'green');
+    log(`  Vessel Identifier: ${intentResult.vessel_identifier || 'null'}`, intentResult.vessel_identifier ? 'green' : 'yellow');
+    log(`  Confidence: ${intentResult.confidence || 'null'}`, 'cyan');
+    log(`  Tool input: ${JSON.stringify(toolCall.input)}`, 'cyan');
+
+    return intentResult;
   } catch (error) {
     log(`❌ Error in intent detection: ${error.message}`, 'red');
     return null;
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Test Alert Subscriptions Script
+ *
+ * Tests proactive risk change alerts:
+ * - Subscribing, re-subscribing with a new threshold, listing and unsubscribing
+ * - The per-user subscription limit
+ * - Concurrent subscribers all landing in the subscriber index
+ * - Change detection (risk level, score threshold in both directions, new inspection)
+ * - The risk-alerts run end to end: baseline on first run, alerts on changes,
+ *   nothing for users who lost access to the vessel, failed alerts retried on the next run
+ *
+ * The dashboard API and Twilio are stood in for by one tiny in-process server
+ * (DASHBOARD_API_URL and TWILIO_API_BASE_URL point at it).
+ *
+ * Usage: node test/test-alert-subscriptions.js
+ */
+
+const http = require('http');
+
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test-token';
+process.env.TWILIO_WHATSAPP_FROM = 'whatsapp:+14155238886';
+process.env.USER_REGISTRY_JSON = JSON.stringify({
+  users: [
+    { phone: '+1234567890', fleets: ['*'] },
+    { phone: '+1987654321', imos: ['9481659'] },
+  ],
+});
+
+const alertSubscriptions = require('../utils/alert-subscriptions');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+
+const MANAGER = 'whatsapp:+1234567890';
+const SUPERINTENDENT = 'whatsapp:+1987654321';
+const GANGA = { name: 'GCL GANGA', imo: '9481697' };
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build a vessel snapshot
+ * @param {number|null} riskScore
+ * @param {string} riskLevel
+ * @param {string|null} [lastInspectionDate]
+ */
+function snapshot(riskScore, riskLevel, lastInspectionDate = '2025-06-01') {
+  return { name: 'GCL GANGA', riskScore, riskLevel, lastInspectionDate, lastInspectionPort: 'Port Hedland' };
+}
+
+/**
+ * Test subscribing, updating, listing and unsubscribing
+ */
+async function testSubscribeAndUnsubscribe() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  const added = await alertSubscriptions.subscribe(MANAGER, GANGA, { now: 1000 });
+  const updated = await alertSubscriptions.subscribe(MANAGER, GANGA, { threshold: 60, now: 2000 });
+  await alertSubscriptions.subscribe(MANAGER, { name: 'GCL TAPI', imo: '9481659' });
+  await alertSubscriptions.subscribe(SUPERINTENDENT, { name: 'GCL TAPI', imo: '9481659' });
+
+  const subscriptions = await alertSubscriptions.getSubscriptions('+1 (234) 567-890');
+  const subscribersBefore = await alertSubscriptions.listSubscribers();
+
+  const removedOne = await alertSubscriptions.unsubscribe(MANAGER, '9481659');
+  const removedNone = await alertSubscriptions.unsubscribe(MANAGER, '9481219');
+  const removedAll = await alertSubscriptions.unsubscribe(SUPERINTENDENT);
+  const subscribersAfter = await alertSubscriptions.listSubscribers();
+  const index = await stateManager.getStorageAdapter().get(alertSubscriptions.INDEX_KEY);
+
+  return added.status === 'added' &&
+         added.subscription?.threshold === alertSubscriptions.DEFAULT_SCORE_THRESHOLD &&
+         updated.status === 'updated' &&
+         updated.subscription?.threshold === 60 &&
+         // Re-subscribing keeps the original subscription time
+         updated.subscription?.subscribedAt === 1000 &&
+         subscriptions.length === 2 &&
+         subscribersBefore.length === 2 &&
+         subscribersBefore[0]?.to === MANAGER &&
+         removedOne.length === 1 && removedNone.length === 0 && removedAll.length === 1 &&
+         subscribersAfter.length === 1 &&
+         subscribersAfter[0]?.vessels.map(entry => entry.imo).join(',') === '9481697' &&
+         index.join(',') === '1234567890';
+}
+
+/**
+ * Test the per-user subscription limit
+ */
+async function testSubscriptionLimit() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  for (let i = 0; i < alertSubscriptions.MAX_SUBSCRIPTIONS; i++) {
+    await alertSubscriptions.subscribe(MANAGER, { name: `VESSEL ${i}`, imo: String(9000000 + i) });
+  }
+  const overLimit = await alertSubscriptions.subscribe(MANAGER, GANGA);
+  // Updating an existing subscription is still allowed at the limit
+  const update = await alertSubscriptions.subscribe(MANAGER, { name: 'VESSEL 0', imo: '9000000' }, { threshold: 70 });
+
+  return overLimit.status === 'limit' &&
+         overLimit.subscription === null &&
+         update.status === 'updated' &&
+         (await alertSubscriptions.getSubscriptions(MANAGER)).length === alertSubscriptions.MAX_SUBSCRIPTIONS;
+}
+
+/**
+ * Test that concurrent subscribers are all added to the index
+ */
+async function testConcurrentSubscribers() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  const phones = Array.from({ length: 10 }, (_, i) => `whatsapp:+1555000${String(i).padStart(4, '0')}`);
+  await Promise.all(phones.map(phone => alertSubscriptions.subscribe(phone, GANGA)));
+  const subscribers = await alertSubscriptions.listSubscribers();
+  const lock = await stateManager.getStorageAdapter().get('alerts:index-lock');
+
+  return subscribers.length === phones.length && lock === null;
+}
+
+/**
+ * Test change detection
+ */
+function testDetectChanges() {
+  const none = alertSubscriptions.detectChanges(snapshot(35, 'MEDIUM'), snapshot(38, 'MEDIUM'), 40);
+  const up = alertSubscriptions.detectChanges(snapshot(38, 'MEDIUM'), snapshot(45, 'HIGH'), 40);
+  const down = alertSubscriptions.detectChanges(snapshot(45, 'HIGH'), snapshot(39.5, 'HIGH'), 40);
+  const inspected = alertSubscriptions.detectChanges(snapshot(45, 'HIGH'), snapshot(45, 'HIGH', '2025-10-01'), 40);
+  const missingScore = alertSubscriptions.detectChanges(snapshot(null, 'HIGH'), snapshot(45, 'HIGH'), 40);
+  const message = alertSubscriptions.formatAlertMessage(
+    { ...GANGA, threshold: 40, subscribedAt: 0 },
+    snapshot(45, 'HIGH'),
+    up
+  );
+
+  return none.length === 0 &&
+         up.map(change => change.type).join(',') === 'risk_level,score_threshold' &&
+         up[0]?.message === 'Risk level changed from MEDIUM to HIGH' &&
+         up[1]?.message === 'Risk score rose above 40 (38 → 45)' &&
+         down.length === 1 && down[0]?.message === 'Risk score fell below 40 (45 → 39.5)' &&
+         inspected.length === 1 && inspected[0]?.message === 'New inspection on 2025-10-01 at Port Hedland' &&
+         missingScore.length === 0 &&
+         message.includes('Risk alert: GCL GANGA') &&
+         message.includes('• Risk level changed from MEDIUM to HIGH') &&
+         message.includes("'unsubscribe GCL GANGA'");
+}
+
+/**
+ * Test the risk-alerts run: baseline first, then alerts for subscribers with access
+ */
+async function testRiskAlertsRun() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  /** @type {any[]} */
+  let vessels = [
+    { name: 'GCL GANGA', imo: '9481697', riskScore: 38, riskLevel: 'MEDIUM', lastInspection: { date: '2025-06-01' } },
+    { name: 'GCL TAPI', imo: '9481659', riskScore: 20, riskLevel: 'LOW', lastInspection: { date: '2025-05-01' } },
+  ];
+  /** @type {URLSearchParams[]} */
+  const messages = [];
+  let failSends = false;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (/** @type {Buffer} */ chunk) => { body += chunk.toString(); });
+    req.on('end', () => {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ vessels }));
+        return;
+      }
+      // Email fallback for failed alerts
+      if (!(req.url || '').includes('/Messages.json')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+        return;
+      }
+      if (failSends) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 21211, message: 'Invalid To number' }));
+        return;
+      }
+      messages.push(new URLSearchParams(body));
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ sid: `SM${messages.length}`, status: 'queued' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  process.env.DASHBOARD_API_URL = `http://127.0.0.1:${address.port}/dashboard/`;
+  process.env.TWILIO_API_BASE_URL = `http://127.0.0.1:${address.port}`;
+  process.env.URL = `http://127.0.0.1:${address.port}`;
+
+  try {
+    delete require.cache[require.resolve('../utils/api-client')];
+    delete require.cache[require.resolve('../netlify/functions/risk-alerts')];
+    const riskAlerts = require('../netlify/functions/risk-alerts');
+
+    const idle = await riskAlerts.runRiskAlerts();
+
+    await alertSubscriptions.subscribe(MANAGER, GANGA);
+    await alertSubscriptions.subscribe(MANAGER, { name: 'GCL TAPI', imo: '9481659' });
+    // Subscribed while they had access; the registry no longer lists GCL GANGA for them
+    await alertSubscriptions.subscribe(SUPERINTENDENT, GANGA);
+
+    const baseline = await riskAlerts.runRiskAlerts();
+    const sentAfterBaseline = messages.length;
+
+    vessels = [
+      { name: 'GCL GANGA', imo: '9481697', riskScore: 45, riskLevel: 'HIGH', lastInspection: { date: '2025-06-01' } },
+      { name: 'GCL TAPI', imo: '9481659', riskScore: 22, riskLevel: 'LOW', lastInspection: { date: '2025-05-01' } },
+    ];
+    const changed = await riskAlerts.runRiskAlerts();
+    const alert = messages[sentAfterBaseline];
+
+    // Nothing changed since the last run
+    const unchanged = await riskAlerts.runRiskAlerts();
+    const sentBeforeFailure = messages.length;
+    const snapshotAfter = await alertSubscriptions.getSnapshot('9481697');
+
+    // A failed alert is retried on the next run, against what the user last heard about
+    vessels = [
+      { name: 'GCL GANGA', imo: '9481697', riskScore: 60, riskLevel: 'CRITICAL', lastInspection: { date: '2025-06-01' } },
+      { name: 'GCL TAPI', imo: '9481659', riskScore: 22, riskLevel: 'LOW', lastInspection: { date: '2025-05-01' } },
+    ];
+    failSends = true;
+    const failedRun = await riskAlerts.runRiskAlerts();
+    const pending = await alertSubscriptions.getPendingSnapshot(MANAGER, '9481697');
+    failSends = false;
+    const retried = await riskAlerts.runRiskAlerts();
+    const retryAlert = messages[messages.length - 1];
+    const afterRetry = await riskAlerts.runRiskAlerts();
+
+    return idle.vessels === 0 &&
+           baseline.vessels === 2 && baseline.alerts === 0 && sentAfterBaseline === 0 &&
+           changed.alerts === 1 && changed.failed === 0 &&
+           sentBeforeFailure === 1 &&
+           alert?.get('To') === MANAGER &&
+           (alert?.get('Body') || '').includes('Risk level changed from MEDIUM to HIGH') &&
+           (alert?.get('Body') || '').includes('Risk score rose above 40 (38 → 45)') &&
+           unchanged.alerts === 0 &&
+           snapshotAfter?.riskScore === 45 &&
+           failedRun.failed === 1 && failedRun.alerts === 0 &&
+           pending?.riskLevel === 'HIGH' &&
+           retried.alerts === 1 && messages.length === 2 &&
+           (retryAlert?.get('Body') || '').includes('Risk level changed from HIGH to CRITICAL') &&
+           afterRetry.alerts === 0 &&
+           (await alertSubscriptions.getPendingSnapshot(MANAGER, '9481697')) === null;
+  } finally {
+    delete process.env.DASHBOARD_API_URL;
+    server.close();
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Alert Subscriptions\n');
+  console.log('='.repeat(50));
+
+  await runTest('Subscribe, update, list and unsubscribe', testSubscribeAndUnsubscribe);
+  await runTest('Subscription limit per user', testSubscriptionLimit);
+  await runTest('Concurrent subscribers', testConcurrentSubscribers);
+  await runTest('Change detection', testDetectChanges);
+  await runTest('risk-alerts run end to end', testRiskAlertsRun);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
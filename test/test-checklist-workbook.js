@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Test Checklist Workbook Script
+ *
+ * Tests the inspection checklist workbook (format=checklist):
+ * - One row per checklist item with Done/Responsible/Due Date/Evidence columns
+ * - Status dropdowns, due date validation and conditional formatting
+ * - Progress sheet formulas counting completion per severity
+ * - Raw-text reports and items without checklists
+ * - generate-excel format=checklist and download-excel naming
+ *
+ * Usage: node test/test-checklist-workbook.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test-secret';
+
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const reportStorage = require('../utils/report-storage');
+const generateExcel = require('../netlify/functions/generate-excel');
+const downloadExcel = require('../netlify/functions/download-excel');
+const sampleData = require('./sample-data.json');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Generate a checklist workbook and load it back
+ * @param {any} vesselData
+ * @param {any} recommendationsData
+ */
+async function loadChecklist(vesselData, recommendationsData) {
+  const buffer = await generateExcel.generateChecklistExcelFile(vesselData, recommendationsData);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+}
+
+/**
+ * Read a sheet's rows as arrays of cell values (row 1 first)
+ * @param {any} sheet
+ * @returns {any[][]}
+ */
+function sheetRows(sheet) {
+  /** @type {any[][]} */
+  const rows = [];
+  sheet.eachRow((/** @type {any} */ row) => {
+    rows.push(row.values.slice(1));
+  });
+  return rows;
+}
+
+/**
+ * Test one row per checklist item
+ */
+async function testChecklistRows() {
+  const workbook = await loadChecklist(sampleData.vessel, sampleData.recommendations);
+  const rows = sheetRows(workbook.getWorksheet('Checklist'));
+  const [header, ...items] = rows;
+  const covers = items.filter(row => row[1] === 'Covers (hatchway-, portable-, tarpaulins, etc.)');
+
+  return workbook.worksheets.map(sheet => sheet.name).join(',') === 'Progress,Checklist' &&
+         (header || []).join(',') === 'Severity,Category,Checklist,Item,Done,Responsible,Due Date,Evidence' &&
+         items.length === 25 &&
+         covers.length === 8 &&
+         covers.filter(row => row[2] === 'Internal').length === 3 &&
+         covers.some(row => row[2] === 'Internal' && row[3] === 'Visual inspection of all covers') &&
+         items.every(row => row[4] === 'Not started') &&
+         items.filter(row => row[0] === 'CRITICAL').length === 13 &&
+         items[items.length - 1]?.[0] === 'RECOMMENDED';
+}
+
+/**
+ * Test status dropdowns, date validation and conditional formatting
+ */
+async function testValidationAndFormatting() {
+  const workbook = await loadChecklist(sampleData.vessel, sampleData.recommendations);
+  const sheet = workbook.getWorksheet('Checklist');
+  if (!sheet) return false;
+  /** @type {any} */
+  const status = sheet.getCell('E2').dataValidation;
+  /** @type {any} */
+  const dueDate = sheet.getCell('G26').dataValidation;
+  /** @type {any[]} */
+  const formatting = /** @type {any} */ (sheet).conditionalFormattings;
+  const formulae = formatting.flatMap(cf => cf.rules.map((/** @type {any} */ rule) => rule.formulae[0]));
+
+  return status.type === 'list' &&
+         status.formulae[0] === '"Not started,In progress,Done,N/A"' &&
+         status.showErrorMessage === true &&
+         dueDate.type === 'date' &&
+         sheet.getCell('G2').numFmt === 'yyyy-mm-dd' &&
+         formatting.length === 1 &&
+         formatting[0].ref === 'A2:H26' &&
+         formulae[0] === 'AND($G2<>"",$G2<TODAY(),$E2<>"Done",$E2<>"N/A")' &&
+         formulae.includes('$E2="Done"') &&
+         formulae.includes('$E2="In progress"');
+}
+
+/**
+ * Test progress formulas and their cached results
+ */
+async function testProgressSheet() {
+  const workbook = await loadChecklist(sampleData.vessel, sampleData.recommendations);
+  const sheet = workbook.getWorksheet('Progress');
+  if (!sheet) return false;
+  /** @param {string} address */
+  const cell = address => /** @type {any} */ (sheet.getCell(address).value);
+
+  return sheet.getCell('B1').value === 'GCL YAMUNA' &&
+         sheet.getCell('B2').value === '9481219' &&
+         sheet.getCell('A5').value === 'Severity' &&
+         sheet.getCell('A6').value === 'CRITICAL' &&
+         cell('B6').formula === 'COUNTIFS(Checklist!$A:$A,$A6)' &&
+         cell('B6').result === 13 &&
+         cell('C7').formula === 'COUNTIFS(Checklist!$A:$A,$A7,Checklist!$E:$E,"Done")' &&
+         cell('E8').result === 4 &&
+         cell('G6').formula.includes('Checklist!$G:$G,"<"&TODAY()') &&
+         cell('H6').formula === 'IF(B6-F6=0,0,C6/(B6-F6))' &&
+         sheet.getCell('H6').numFmt === '0%' &&
+         sheet.getCell('A9').value === 'Total' &&
+         cell('B9').formula === 'SUM(B6:B8)' &&
+         cell('B9').result === 25;
+}
+
+/**
+ * Test raw-text reports and items without checklists
+ */
+async function testRawTextAndActions() {
+  const rawWorkbook = await loadChecklist({ name: 'GCL TAPI', imo: '9481207' }, {
+    rawText: [
+      '## CRITICAL',
+      '### Fire safety',
+      '**Internal Checklist:**',
+      '- Inspect extinguishers',
+      '## MODERATE',
+      '- Review garbage record book',
+    ].join('\n'),
+  });
+  const rawItems = sheetRows(rawWorkbook.getWorksheet('Checklist')).slice(1);
+  const actionWorkbook = await loadChecklist({ name: 'GCL TAPI', imo: '9481207' }, {
+    critical: [{ category: 'Fire safety', recommendations: ['Test fire pumps', 'Drill fire party'] }],
+    RECOMMENDED: ['Update crew list'],
+  });
+  const actionItems = sheetRows(actionWorkbook.getWorksheet('Checklist')).slice(1);
+
+  return rawItems.length === 2 &&
+         rawItems[0]?.join('|') === 'CRITICAL|Fire safety|Internal|Inspect extinguishers|Not started' &&
+         rawItems[1]?.join('|') === 'MODERATE|General|Action|Review garbage record book|Not started' &&
+         actionItems.length === 3 &&
+         actionItems[1]?.join('|') === 'CRITICAL|Fire safety|Action|Drill fire party|Not started' &&
+         actionItems[2]?.join('|') === 'RECOMMENDED|Update crew list|Action|Update crew list|Not started';
+}
+
+/**
+ * Test generate-excel format=checklist stores a workbook download-excel names as a checklist
+ */
+async function testGenerateAndDownload() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  reportStorage.setReportStore(reportStorage.createLocalReportStore({ dir }));
+
+  try {
+    const response = await generateExcel.handler({
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        vesselData: sampleData.vessel,
+        recommendationsData: sampleData.recommendations,
+        format: 'checklist',
+        phoneNumber: '+1234567890',
+      }),
+    });
+    const result = JSON.parse(response.body);
+    const token = new URL(result.downloadUrl).searchParams.get('token') || '';
+    const download = await downloadExcel.handler({ httpMethod: 'GET', queryStringParameters: { token } });
+
+    return response.statusCode === 200 &&
+           /^checklist_9481219_\d+\.xlsx$/.test(result.filename) &&
+           download.statusCode === 200 &&
+           download.headers['Content-Type'] === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' &&
+           /filename="Inspection_Checklist_9481219_[\d-]+\.xlsx"/.test(download.headers['Content-Disposition']);
+  } finally {
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Checklist Workbook\n');
+  console.log('='.repeat(50));
+
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  await runTest('One row per checklist item', testChecklistRows);
+  await runTest('Status dropdowns and conditional formatting', testValidationAndFormatting);
+  await runTest('Progress sheet formulas', testProgressSheet);
+  await runTest('Raw-text reports and items without checklists', testRawTextAndActions);
+  await runTest('generate-excel format=checklist and download', testGenerateAndDownload);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * Test Delivery Tracker Script
+ *
+ * Tests delivery tracking for outbound WhatsApp messages:
+ * - Tracked sends register the status callback URL
+ * - Status callbacks recorded against the request (out-of-order updates don't regress)
+ * - Callbacks arriving before the send returns are kept
+ * - Failed messages re-sent once, then emailed; of long messages only the failed parts
+ * - A part failing after earlier status updates still re-sends only that part
+ * - Messages Twilio refuses outright go straight to failure handling
+ * - message-status handler end to end (signature, unknown requests)
+ *
+ * Twilio and the send-email function are stood in for by one tiny in-process
+ * server (TWILIO_API_BASE_URL and URL point at it).
+ *
+ * Usage: node test/test-delivery-tracker.js
+ */
+
+const http = require('http');
+
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test-token';
+process.env.TWILIO_WHATSAPP_FROM = 'whatsapp:+14155238886';
+process.env.USER_REGISTRY_JSON = JSON.stringify({
+  users: [{ phone: '+1234567890', email: 'manager@example.com', fleets: ['*'] }],
+});
+delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+
+const deliveryTracker = require('../utils/delivery-tracker');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const twilioSignature = require('../utils/twilio-signature');
+const messageStatus = require('../netlify/functions/message-status');
+
+const TO = 'whatsapp:+1234567890';
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * @typedef {Object} FakeServices
+ * @property {http.Server} server
+ * @property {URLSearchParams[]} messages - Messages posted to the Twilio API
+ * @property {any[]} emails - Payloads posted to send-email
+ * @property {number[]} statuses - Twilio status codes to answer with, in order (201 once exhausted)
+ * @property {((params: URLSearchParams, sid: string) => Promise<void>) | null} beforeReply - Runs before an accepted message is answered
+ */
+
+/**
+ * Start a stand-in for the Twilio Messages API and the send-email function
+ * @returns {Promise<FakeServices>}
+ */
+function startFakeServices() {
+  /** @type {FakeServices} */
+  const fake = /** @type {any} */ ({ messages: [], emails: [], statuses: [], beforeReply: null });
+
+  fake.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (/** @type {Buffer} */ chunk) => { body += chunk.toString(); });
+    req.on('end', () => {
+      if ((req.url || '').startsWith('/.netlify/functions/send-email')) {
+        fake.emails.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+      }
+      const params = new URLSearchParams(body);
+      fake.messages.push(params);
+      const status = fake.statuses.shift() || 201;
+      const sid = `SM${fake.messages.length}`;
+      const hook = status < 300 && fake.beforeReply ? fake.beforeReply(params, sid) : Promise.resolve();
+      hook.then(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status < 300
+          ? { sid, status: 'queued' }
+          : { code: 21211, message: 'Invalid To number' }));
+      });
+    });
+  });
+
+  return new Promise((resolve) => {
+    fake.server.listen(0, '127.0.0.1', () => {
+      const address = fake.server.address();
+      const port = typeof address === 'object' && address ? address.port : 0;
+      process.env.TWILIO_API_BASE_URL = `http://127.0.0.1:${port}`;
+      process.env.URL = `http://127.0.0.1:${port}`;
+      resolve(fake);
+    });
+  });
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testTrackedSend(fake) {
+  const before = fake.messages.length;
+  const result = await deliveryTracker.sendTrackedMessage(TO, 'Recommendations ready', {
+    requestId: 'req-1',
+    subject: 'Recommendations for GCL YAMUNA',
+  });
+  const sent = fake.messages[before];
+  const record = await deliveryTracker.getDeliveryRecord('req-1');
+
+  return result.ok && result.requestId === 'req-1' &&
+         sent?.get('StatusCallback') === deliveryTracker.buildStatusCallbackUrl('req-1') &&
+         sent.get('StatusCallback')?.endsWith('/.netlify/functions/message-status?requestId=req-1') === true &&
+         record !== null &&
+         record.attempts === 1 &&
+         record.messages[String(result.sid)]?.status === 'queued';
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testRecordStatus(fake) {
+  const { sid } = await deliveryTracker.sendTrackedMessage(TO, 'Hello', { requestId: 'req-2' });
+  const messageSid = String(sid);
+  await deliveryTracker.recordStatus('req-2', { sid: messageSid, status: 'sent' });
+  await deliveryTracker.recordStatus('req-2', { sid: messageSid, status: 'read' });
+  // A late "delivered" callback must not overwrite "read"
+  const record = await deliveryTracker.recordStatus('req-2', { sid: messageSid, status: 'delivered' });
+  const unknown = await deliveryTracker.recordStatus('no-such-request', { sid: messageSid, status: 'sent' });
+
+  return fake.emails.length === 0 &&
+         record !== null &&
+         record.messages[messageSid]?.status === 'read' &&
+         record.history.map(entry => entry.status).join(',') === 'sent,read,delivered' &&
+         unknown === null;
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testFailureRequeueThenEmail(fake) {
+  const { sid } = await deliveryTracker.sendTrackedMessage(TO, 'Critical: check fire dampers', {
+    requestId: 'req-3',
+    subject: 'Recommendations for GCL TAPI',
+  });
+  const before = fake.messages.length;
+
+  await deliveryTracker.recordStatus('req-3', { sid: String(sid), status: 'undelivered', errorCode: '63016' });
+  const first = await deliveryTracker.handleDeliveryFailure('req-3', 'undelivered', 1);
+  // Further callbacks for the first attempt (e.g. another part, a late "failed") are ignored
+  const duplicate = await deliveryTracker.handleDeliveryFailure('req-3', 'failed', 1);
+  const resent = fake.messages.slice(before);
+
+  await deliveryTracker.recordStatus('req-3', { sid: `SM${before + 1}`, status: 'failed', errorCode: '63016' });
+  const second = await deliveryTracker.handleDeliveryFailure('req-3', 'failed', 2);
+  const email = fake.emails[fake.emails.length - 1];
+  const record = await deliveryTracker.getDeliveryRecord('req-3');
+
+  return first === 'requeued' && duplicate === 'duplicate' &&
+         resent.length === 1 && resent[0]?.get('Body') === 'Critical: check fire dampers' &&
+         (resent[0]?.get('StatusCallback') || '').endsWith('requestId=req-3') &&
+         second === 'emailed' &&
+         email?.reportType === 'message' &&
+         email.recipientEmail === 'manager@example.com' &&
+         email.reportTitle === 'Recommendations for GCL TAPI' &&
+         email.messageText === 'Critical: check fire dampers' &&
+         record?.attempts === 2 && record.fallback === 'emailed' &&
+         record.messages[String(sid)]?.errorCode === '63016';
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testEarlyCallback(fake) {
+  // Twilio reports "sent" before the send request has returned
+  fake.beforeReply = async (params, sid) => {
+    const requestId = new URL(params.get('StatusCallback') || '').searchParams.get('requestId') || '';
+    await deliveryTracker.recordStatus(requestId, { sid, status: 'sent' });
+  };
+  try {
+    const { sid } = await deliveryTracker.sendTrackedMessage(TO, 'Quick reply', { requestId: 'req-early' });
+    const record = await deliveryTracker.getDeliveryRecord('req-early');
+    return record?.messages[String(sid)]?.status === 'sent' &&
+           record.history.map(entry => entry.status).join(',') === 'sent';
+  } finally {
+    fake.beforeReply = null;
+  }
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testFailedPartResent(fake) {
+  const paragraphs = Array.from({ length: 3 }, (_, i) => `Section ${i + 1}\n` + 'x'.repeat(1200));
+  const before = fake.messages.length;
+  const result = await deliveryTracker.sendTrackedMessage(TO, paragraphs.join('\n\n'), { requestId: 'req-parts' });
+  const [, secondSid] = result.sids;
+
+  // Part 2 undelivered: only part 2 goes out again
+  await deliveryTracker.recordStatus('req-parts', { sid: String(secondSid), status: 'undelivered' });
+  const record = await deliveryTracker.getDeliveryRecord('req-parts');
+  const outcome = await deliveryTracker.handleDeliveryFailure('req-parts', 'undelivered', 1, record?.messages[String(secondSid)]?.part);
+  const resent = fake.messages.slice(before + 3);
+  const after = await deliveryTracker.getDeliveryRecord('req-parts');
+
+  return result.ok && result.parts === 3 && result.sids.length === 3 &&
+         outcome === 'requeued' &&
+         resent.length === 1 &&
+         (resent[0]?.get('Body') || '').startsWith('2/3\nSection 2') &&
+         after?.partAttempts.join(',') === '1,2,1';
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testPartFailsAfterUpdates(fake) {
+  const paragraphs = Array.from({ length: 3 }, (_, i) => `Section ${i + 1}\n` + 'x'.repeat(1200));
+  const before = fake.messages.length;
+  const result = await deliveryTracker.sendTrackedMessage(TO, paragraphs.join('\n\n'), { requestId: 'req-parts-2' });
+  const [firstSid, secondSid] = result.sids.map(String);
+
+  // Parts 1 and 2 sent, then part 2 fails; handled as message-status does
+  await deliveryTracker.recordStatus('req-parts-2', { sid: String(firstSid), status: 'sent' });
+  await deliveryTracker.recordStatus('req-parts-2', { sid: String(secondSid), status: 'sent' });
+  await deliveryTracker.recordStatus('req-parts-2', { sid: String(secondSid), status: 'failed', errorCode: '30008' });
+  const record = await deliveryTracker.getDeliveryRecord('req-parts-2');
+  const message = record?.messages[String(secondSid)];
+  const outcome = await deliveryTracker.handleDeliveryFailure('req-parts-2', 'failed', message?.attempt, message?.part);
+  const resent = fake.messages.slice(before + 3);
+  const after = await deliveryTracker.getDeliveryRecord('req-parts-2');
+
+  return result.ok && message?.part === 1 &&
+         outcome === 'requeued' &&
+         resent.length === 1 &&
+         (resent[0]?.get('Body') || '').startsWith('2/3\nSection 2') &&
+         after?.partAttempts.join(',') === '1,2,1';
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testRefusedSend(fake) {
+  const emailsBefore = fake.emails.length;
+  fake.statuses.push(400, 400);
+  const result = await deliveryTracker.sendTrackedMessage(TO, 'Recommendations unavailable', { requestId: 'req-4' });
+  const record = await deliveryTracker.getDeliveryRecord('req-4');
+
+  return !result.ok &&
+         record?.attempts === 2 &&
+         record.fallback === 'emailed' &&
+         fake.emails.length === emailsBefore + 1;
+}
+
+/**
+ * Build a signed status callback event
+ * @param {string} requestId
+ * @param {Record<string, string>} fields - Callback form fields
+ * @param {string} [signature] - Override the computed signature
+ */
+function statusEvent(requestId, fields, signature) {
+  const url = deliveryTracker.buildStatusCallbackUrl(requestId);
+  return {
+    httpMethod: 'POST',
+    queryStringParameters: { requestId },
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      'x-twilio-signature': signature || twilioSignature.computeSignature('test-token', url, fields),
+    },
+    body: new URLSearchParams(fields).toString(),
+    isBase64Encoded: false,
+  };
+}
+
+/**
+ * @param {FakeServices} fake
+ */
+async function testStatusHandler(fake) {
+  const { sid } = await deliveryTracker.sendTrackedMessage(TO, 'Hello', { requestId: 'req-5' });
+  const fields = { MessageSid: String(sid), MessageStatus: 'delivered', To: TO };
+
+  const accepted = await messageStatus.handler(statusEvent('req-5', fields));
+  const forged = await messageStatus.handler(statusEvent('req-5', { ...fields, MessageStatus: 'read' }, 'bad-signature'));
+  const missingId = await messageStatus.handler({ ...statusEvent('req-5', fields), queryStringParameters: {} });
+  const unknown = await messageStatus.handler(statusEvent('expired-request', fields));
+
+  const before = fake.messages.length;
+  const failed = await messageStatus.handler(statusEvent('req-5', { MessageSid: String(sid), MessageStatus: 'failed', ErrorCode: '30008' }));
+  const record = await deliveryTracker.getDeliveryRecord('req-5');
+
+  return accepted.statusCode === 200 &&
+         forged.statusCode === 403 &&
+         missingId.statusCode === 400 &&
+         unknown.statusCode === 200 &&
+         failed.statusCode === 200 &&
+         fake.messages.length === before + 1 &&
+         record?.fallback === 'requeued' &&
+         record.history.map(entry => entry.status).join(',') === 'delivered,failed';
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Delivery Tracker\n');
+  console.log('='.repeat(50));
+
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  const fake = await startFakeServices();
+
+  await runTest('Tracked send registers status callback', () => testTrackedSend(fake));
+  await runTest('Status callbacks recorded', () => testRecordStatus(fake));
+  await runTest('Callback before the send returns', () => testEarlyCallback(fake));
+  await runTest('Failed message re-sent, then emailed', () => testFailureRequeueThenEmail(fake));
+  await runTest('Only failed parts re-sent', () => testFailedPartResent(fake));
+  await runTest('Part failing after status updates re-sent alone', () => testPartFailsAfterUpdates(fake));
+  await runTest('Refused send handled immediately', () => testRefusedSend(fake));
+  await runTest('message-status handler', () => testStatusHandler(fake));
+
+  fake.server.close();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Test Download Tokens Script
+ *
+ * Tests signed, single-use download tokens:
+ * - Token round trip (file id, phone, expiry)
+ * - Tampered payloads and foreign secrets rejected
+ * - Expiry
+ * - Single use
+ * - download-excel handler end to end
+ * - Keep-file tokens (Twilio media fetches) leave the report in storage
+ * - Expired-report sweeps rate-limited per instance
+ *
+ * Usage: node test/test-download-tokens.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test-secret';
+
+const downloadTokens = require('../utils/download-tokens');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const reportStorage = require('../utils/report-storage');
+const downloadExcel = require('../netlify/functions/download-excel');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test a token carries the file id, phone and expiry
+ */
+async function testRoundTrip() {
+  const token = downloadTokens.createDownloadToken('recommendations_9481219_1.xlsx', 'whatsapp:+1234567890');
+  const result = downloadTokens.verifyDownloadToken(token);
+  return result.valid &&
+         result.payload?.file === 'recommendations_9481219_1.xlsx' &&
+         result.payload?.phone === '1234567890' &&
+         (result.payload?.exp || 0) > Date.now();
+}
+
+/**
+ * Test tampered or foreign tokens are rejected
+ */
+async function testTampering() {
+  const token = downloadTokens.createDownloadToken('fleet_overview_1.xlsx', '+1234567890');
+  const [encodedPayload, signature] = token.split('.');
+  const payload = JSON.parse(Buffer.from(String(encodedPayload), 'base64url').toString());
+  payload.file = 'recommendations_9481219_1.xlsx';
+  const forged = `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+
+  process.env.DOWNLOAD_TOKEN_SECRET = 'another-secret';
+  const foreign = downloadTokens.createDownloadToken('fleet_overview_1.xlsx', '+1234567890');
+  process.env.DOWNLOAD_TOKEN_SECRET = 'test-secret';
+
+  return downloadTokens.verifyDownloadToken(forged).reason === 'signature' &&
+         downloadTokens.verifyDownloadToken(foreign).reason === 'signature' &&
+         downloadTokens.verifyDownloadToken('not-a-token').reason === 'malformed' &&
+         downloadTokens.verifyDownloadToken('').reason === 'malformed';
+}
+
+/**
+ * Test expired tokens are rejected
+ */
+async function testExpiry() {
+  const token = downloadTokens.createDownloadToken('comparison_1.xlsx', '+1234567890', { ttlMs: 1000, now: Date.now() - 5000 });
+  return downloadTokens.verifyDownloadToken(token).reason === 'expired';
+}
+
+/**
+ * Test tokens can only be consumed once
+ */
+async function testSingleUse() {
+  const token = downloadTokens.createDownloadToken('comparison_2.xlsx', '+1234567890');
+  const { payload } = downloadTokens.verifyDownloadToken(token);
+  if (!payload) return false;
+  const first = await downloadTokens.consumeDownloadToken(payload);
+  const second = await downloadTokens.consumeDownloadToken(payload);
+  return first && !second;
+}
+
+/**
+ * Test the download-excel handler serves a file once per token
+ */
+async function testDownloadHandler() {
+  const filename = `recommendations_9481219_${Date.now()}.xlsx`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  const store = reportStorage.createLocalReportStore({ dir });
+  reportStorage.setReportStore(store);
+  await store.put(filename, Buffer.from('test workbook'));
+
+  try {
+    const token = downloadTokens.createDownloadToken(filename, '+1234567890');
+    /** @param {Record<string, string>} query */
+    const request = (query) => downloadExcel.handler({ httpMethod: 'GET', queryStringParameters: query });
+
+    const guessed = await request({ file: filename });
+    const forged = await request({ token: token.slice(0, -2) + 'xx' });
+    const first = await request({ token });
+    await store.put(filename, Buffer.from('test workbook'));
+    const replay = await request({ token });
+
+    return guessed.statusCode === 400 &&
+           forged.statusCode === 403 &&
+           first.statusCode === 200 &&
+           Buffer.from(first.body, 'base64').toString() === 'test workbook' &&
+           replay.statusCode === 410;
+  } finally {
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test a keep-file token (media fetch) leaves the report for the user's link
+ */
+async function testKeepFileToken() {
+  const filename = `fleet_overview_${Date.now()}.xlsx`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  const store = reportStorage.createLocalReportStore({ dir });
+  reportStorage.setReportStore(store);
+  await store.put(filename, Buffer.from('fleet workbook'));
+
+  try {
+    const mediaToken = downloadTokens.createDownloadToken(filename, '+1234567890', { keepFile: true });
+    const linkToken = downloadTokens.createDownloadToken(filename, '+1234567890');
+    /** @param {string} token */
+    const request = (token) => downloadExcel.handler({ httpMethod: 'GET', queryStringParameters: { token } });
+
+    const media = await request(mediaToken);
+    const link = await request(linkToken);
+
+    return downloadTokens.verifyDownloadToken(mediaToken).payload?.keep === true &&
+           downloadTokens.verifyDownloadToken(linkToken).payload?.keep === undefined &&
+           media.statusCode === 200 &&
+           link.statusCode === 200 &&
+           (await store.get(filename)) === null;
+  } finally {
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the download handler sweeps expired reports at most once per interval
+ */
+async function testCleanupRateLimited() {
+  let sweeps = 0;
+  const store = /** @type {any} */ ({ cleanupOldFiles: async () => { sweeps++; return 0; } });
+  const start = Date.now() + 24 * 60 * 60 * 1000;
+
+  const first = await downloadExcel.cleanupIfDue(store, start);
+  const soon = await downloadExcel.cleanupIfDue(store, start + 60 * 1000);
+  const later = await downloadExcel.cleanupIfDue(store, start + 11 * 60 * 1000);
+  return first && !soon && later && sweeps === 2;
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Download Tokens\n');
+  console.log('='.repeat(50));
+
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  await runTest('Token round trip', testRoundTrip);
+  await runTest('Tampered tokens rejected', testTampering);
+  await runTest('Expired tokens rejected', testExpiry);
+  await runTest('Single use', testSingleUse);
+  await runTest('download-excel handler', testDownloadHandler);
+  await runTest('Keep-file tokens', testKeepFileToken);
+  await runTest('Report cleanup rate-limited', testCleanupRateLimited);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test Fleet Analytics Script
+ *
+ * Tests the fleet-analytics module with sample dashboard data:
+ * - Dashboard shapes (array and { vessels: [] })
+ * - Top-N riskiest vessels
+ * - Counts per risk level
+ * - Vessels not inspected in the last N months
+ * - Vessels at a given risk level
+ *
+ * Usage: node test/test-fleet-analytics.js
+ */
+
+const fleetAnalytics = require('../utils/fleet-analytics');
+const sampleData = require('./sample-data.json');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test both dashboard data shapes are understood
+ */
+function testDashboardShapes() {
+  const fromObject = fleetAnalytics.getDashboardVessels(sampleData.dashboardData);
+  const fromArray = fleetAnalytics.getDashboardVessels(sampleData.dashboardData.vessels);
+  return fromObject.length === 3 &&
+         fromArray.length === 3 &&
+         fleetAnalytics.getDashboardVessels(null).length === 0;
+}
+
+/**
+ * Test vessel summaries normalise field aliases
+ */
+function testSummarizeVessel() {
+  const summary = fleetAnalytics.summarizeVessel({
+    vessel_name: 'TEST VESSEL',
+    imoNumber: 1234567,
+    risk_score: '52',
+    risk_level: 'high',
+    last_inspection: { timestamp: Date.UTC(2024, 0, 15), port_name: 'Rotterdam' },
+  });
+  return summary.name === 'TEST VESSEL' &&
+         summary.imo === '1234567' &&
+         summary.riskScore === 52 &&
+         summary.riskLevel === 'HIGH' &&
+         summary.lastInspectionDate === '2024-01-15' &&
+         summary.lastInspectionPort === 'Rotterdam';
+}
+
+/**
+ * Test top-N query
+ */
+function testTopRisk() {
+  const result = fleetAnalytics.runFleetQuery(sampleData.dashboardData, { type: 'top_risk', limit: 2 });
+  return result.vessels.length === 2 &&
+         result.vessels[0]?.name === 'GCL YAMUNA' &&
+         result.vessels[1]?.name === 'GCL TAPI' &&
+         result.total === 3;
+}
+
+/**
+ * Test risk level counts are ordered from highest risk
+ */
+function testRiskCounts() {
+  const result = fleetAnalytics.runFleetQuery(sampleData.dashboardData, { type: 'risk_counts' });
+  const levels = result.counts.map(c => c.riskLevel).join(',');
+  return levels === 'HIGH,MEDIUM,LOW' && result.counts.every(c => c.count === 1);
+}
+
+/**
+ * Test not-inspected query includes never-inspected vessels
+ */
+function testNotInspected() {
+  const vessels = fleetAnalytics.getDashboardVessels(sampleData.dashboardData).map(fleetAnalytics.summarizeVessel);
+  const recent = fleetAnalytics.getVesselsNotInspectedSince(vessels, 6, new Date('2024-03-01'));
+  const older = fleetAnalytics.getVesselsNotInspectedSince(vessels, 1, new Date('2024-03-01'));
+  return recent.length === 2 &&
+         !recent.some(v => v.name === 'GCL YAMUNA') &&
+         older.length === 3;
+}
+
+/**
+ * Test risk level filter
+ */
+function testRiskLevelFilter() {
+  const result = fleetAnalytics.runFleetQuery(sampleData.dashboardData, { type: 'risk_level', risk_level: 'high' });
+  return result.vessels.length === 1 && result.vessels[0]?.name === 'GCL YAMUNA';
+}
+
+/**
+ * Test unknown query types and bad limits fall back to defaults
+ */
+function testDefaults() {
+  const unknown = fleetAnalytics.runFleetQuery(sampleData.dashboardData, { type: 'bogus' });
+  const badLimit = fleetAnalytics.runFleetQuery(sampleData.dashboardData, { type: 'top_risk', limit: -3 });
+  return unknown.type === 'risk_counts' &&
+         badLimit.title === `Top ${fleetAnalytics.DEFAULT_TOP_LIMIT} highest-risk vessels`;
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Fleet Analytics Module\n');
+  console.log('='.repeat(50));
+
+  runTest('Dashboard data shapes', testDashboardShapes);
+  runTest('Vessel summary field aliases', testSummarizeVessel);
+  runTest('Top riskiest vessels', testTopRisk);
+  runTest('Counts per risk level', testRiskCounts);
+  runTest('Vessels not inspected recently', testNotInspected);
+  runTest('Risk level filter', testRiskLevelFilter);
+  runTest('Query defaults', testDefaults);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * Test Fleet Digest Script
+ *
+ * Tests the scheduled fleet digest:
+ * - Digest settings (opt-in, frequency, time zone) and their validation
+ * - Delivery timing in the user's time zone (Mondays for weekly digests, once per day)
+ * - Upcoming PSC campaigns from the campaign calendar
+ * - Digest content scoped to the user's vessels, and the WhatsApp teaser
+ * - The fleet-digest run end to end: workbook emailed through send-email, teaser on WhatsApp
+ * - A send-email call that never answers times out
+ *
+ * The dashboard API, Twilio and the send-email function are stood in for by one
+ * tiny in-process server (DASHBOARD_API_URL, TWILIO_API_BASE_URL and URL point at it).
+ *
+ * Usage: node test/test-fleet-digest.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test-token';
+process.env.TWILIO_WHATSAPP_FROM = 'whatsapp:+14155238886';
+process.env.USER_REGISTRY_JSON = JSON.stringify({
+  users: [
+    { phone: '+1234567890', email: 'manager@example.com', fleets: ['*'] },
+    { phone: '+1987654321', imos: ['9481659'] },
+    { phone: '+1555000111', email: 'nodigest@example.com', fleets: ['*'] },
+  ],
+});
+process.env.PSC_CAMPAIGNS_JSON = JSON.stringify({
+  campaigns: [
+    { name: 'CIC on Fire Safety Systems', regimes: ['Paris MoU'], start: '2025-03-01', end: '2025-05-31' },
+    { name: 'CIC on STCW', regimes: ['Paris MoU', 'Tokyo MoU'], start: '2025-09-01', end: '2025-11-30' },
+    { name: 'CIC on Ballast Water', regimes: ['Tokyo MoU'], start: '2026-09-01', end: '2026-11-30' },
+    { name: 'Undated campaign' },
+  ],
+});
+
+const fleetDigest = require('../utils/fleet-digest');
+const pscCampaigns = require('../utils/psc-campaigns');
+const riskHistory = require('../utils/risk-history');
+const userRegistry = require('../utils/user-registry');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const reportStorage = require('../utils/report-storage');
+
+const MANAGER = 'whatsapp:+1234567890';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Monday 13 October 2025, 00:30 UTC (08:30 in Singapore, still Sunday in New York)
+const MONDAY = Date.UTC(2025, 9, 13, 0, 30);
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build dashboard data for the test fleet
+ * @param {number} yamunaScore
+ * @param {string} yamunaLevel
+ */
+function dashboard(yamunaScore, yamunaLevel) {
+  return {
+    vessels: [
+      { name: 'GCL YAMUNA', imo: '9481219', riskScore: yamunaScore, riskLevel: yamunaLevel },
+      { name: 'GCL TAPI', imo: '9481659', riskScore: 35, riskLevel: 'MEDIUM' },
+      { name: 'GCL GANGA', imo: '9481697', riskScore: 25, riskLevel: 'LOW' },
+    ],
+  };
+}
+
+/**
+ * Test settings defaults, updates and validation
+ */
+async function testSettings() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  const none = await fleetDigest.getSettings(MANAGER);
+  const created = await fleetDigest.updateSettings(MANAGER, { enabled: true });
+  const changed = await fleetDigest.updateSettings('+1 234 567 890', { frequency: 'daily', timeZone: 'Asia/Singapore' });
+  // Unset fields keep their value
+  const stopped = await fleetDigest.updateSettings(MANAGER, { enabled: false });
+
+  let badZone = false;
+  try {
+    await fleetDigest.updateSettings(MANAGER, { timeZone: 'Mars/Olympus_Mons' });
+  } catch {
+    badZone = true;
+  }
+
+  return none === null &&
+         created.enabled && created.frequency === 'weekly' && created.timeZone === fleetDigest.DEFAULT_TIME_ZONE &&
+         changed.enabled && changed.frequency === 'daily' && changed.timeZone === 'Asia/Singapore' &&
+         !stopped.enabled && stopped.frequency === 'daily' && stopped.timeZone === 'Asia/Singapore' &&
+         badZone &&
+         fleetDigest.isValidTimeZone('America/New_York') && !fleetDigest.isValidTimeZone('');
+}
+
+/**
+ * Test delivery timing in the user's time zone
+ */
+function testIsDue() {
+  /** @type {import('../utils/fleet-digest').DigestSettings} */
+  const singapore = { enabled: true, frequency: 'weekly', timeZone: 'Asia/Singapore', lastSentDate: null };
+  const newYork = { ...singapore, timeZone: 'America/New_York' };
+
+  const due = fleetDigest.isDue(singapore, MONDAY);
+  const tooEarly = fleetDigest.isDue(singapore, MONDAY - 60 * 60 * 1000);
+  const alreadySent = fleetDigest.isDue({ ...singapore, lastSentDate: '2025-10-13' }, MONDAY);
+  const caughtUp = fleetDigest.isDue(singapore, MONDAY + 10 * 60 * 60 * 1000);
+  const sundayInNewYork = fleetDigest.isDue(newYork, MONDAY);
+  const dailyOnSunday = fleetDigest.isDue({ ...newYork, frequency: 'daily' }, MONDAY - 10 * 60 * 60 * 1000);
+  const disabled = fleetDigest.isDue({ ...singapore, enabled: false }, MONDAY);
+
+  return due.due && due.localDate === '2025-10-13' &&
+         !tooEarly.due &&
+         !alreadySent.due &&
+         caughtUp.due &&
+         !sundayInNewYork.due && sundayInNewYork.localDate === '2025-10-12' &&
+         dailyOnSunday.due &&
+         !disabled.due;
+}
+
+/**
+ * Test upcoming campaigns from the calendar
+ */
+function testUpcomingCampaigns() {
+  const inSeason = pscCampaigns.getUpcomingCampaigns({ now: MONDAY });
+  const august = pscCampaigns.getUpcomingCampaigns({ now: Date.UTC(2025, 7, 1) });
+  const shortLookahead = pscCampaigns.getUpcomingCampaigns({ now: Date.UTC(2025, 7, 1), days: 7 });
+
+  return inSeason.map(campaign => campaign.name).join(',') === 'CIC on STCW' &&
+         inSeason[0]?.regimes.join(',') === 'Paris MoU,Tokyo MoU' &&
+         august.length === 1 && august[0]?.start === '2025-09-01' &&
+         shortLookahead.length === 0;
+}
+
+/**
+ * Test digest content and the WhatsApp teaser
+ */
+async function testBuildDigest() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  await riskHistory.recordSnapshots(dashboard(38, 'MEDIUM'), MONDAY - 8 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(42, 'MEDIUM'), MONDAY - 6 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(47, 'HIGH'), MONDAY);
+
+  const manager = userRegistry.getUser(MANAGER);
+  const superintendent = userRegistry.getUser('+1987654321');
+  if (!manager || !superintendent) return false;
+
+  const weekly = await fleetDigest.buildDigest(manager, dashboard(47, 'HIGH'), { now: MONDAY });
+  // Within the last day YAMUNA stayed HIGH
+  const daily = await fleetDigest.buildDigest(manager, dashboard(47, 'HIGH'), { frequency: 'daily', now: MONDAY + DAY_MS });
+  const scoped = await fleetDigest.buildDigest(superintendent, dashboard(47, 'HIGH'), { now: MONDAY });
+  const teaser = fleetDigest.formatDigestTeaser(weekly, 'manager@example.com');
+  const quietTeaser = fleetDigest.formatDigestTeaser(scoped, null);
+
+  return weekly.vessels.length === 3 &&
+         weekly.riskChanges.length === 1 &&
+         // Baseline is the last snapshot before the week started (8 days ago)
+         weekly.riskChanges[0]?.fromScore === 38 && weekly.riskChanges[0]?.toLevel === 'HIGH' &&
+         weekly.topRisk.map(vessel => vessel.name).join(',') === 'GCL YAMUNA,GCL TAPI,GCL GANGA' &&
+         weekly.campaigns.length === 1 &&
+         daily.riskChanges.length === 0 &&
+         scoped.vessels.map(vessel => vessel.imo).join(',') === '9481659' &&
+         scoped.riskChanges.length === 0 &&
+         teaser.includes('weekly fleet digest* (3 vessels)') &&
+         teaser.includes('1 risk level change this week: GCL YAMUNA MEDIUM → HIGH') &&
+         teaser.includes('Highest risk: GCL YAMUNA (47, HIGH)') &&
+         teaser.includes('CIC on STCW (2025-09-01 to 2025-11-30)') &&
+         teaser.includes('emailed to manager@example.com') &&
+         quietTeaser.includes('No risk level changes this week') &&
+         !quietTeaser.includes('emailed');
+}
+
+/**
+ * Test the fleet-digest run: email with workbook, WhatsApp teaser, once per day
+ */
+async function testFleetDigestRun() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  reportStorage.setReportStore(reportStorage.createLocalReportStore({ dir }));
+
+  /** @type {URLSearchParams[]} */
+  const messages = [];
+  /** @type {any[]} */
+  const emails = [];
+  let dashboardRequests = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (/** @type {Buffer} */ chunk) => { body += chunk.toString(); });
+    req.on('end', () => {
+      res.writeHead(req.method === 'GET' || (req.url || '').includes('send-email') ? 200 : 201, { 'Content-Type': 'application/json' });
+      if (req.method === 'GET') {
+        dashboardRequests++;
+        res.end(JSON.stringify(dashboard(47, 'HIGH')));
+      } else if ((req.url || '').startsWith('/.netlify/functions/send-email')) {
+        const email = JSON.parse(body);
+        email.attachmentExists = fs.existsSync(path.join(dir, email.reportFile));
+        emails.push(email);
+        res.end(JSON.stringify({ success: true }));
+      } else {
+        messages.push(new URLSearchParams(body));
+        res.end(JSON.stringify({ sid: `SM${messages.length}`, status: 'queued' }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  process.env.DASHBOARD_API_URL = `http://127.0.0.1:${address.port}/dashboard/`;
+  process.env.TWILIO_API_BASE_URL = `http://127.0.0.1:${address.port}`;
+  process.env.URL = `http://127.0.0.1:${address.port}`;
+
+  try {
+    delete require.cache[require.resolve('../utils/api-client')];
+    delete require.cache[require.resolve('../netlify/functions/fleet-digest')];
+    const fleetDigestFunction = require('../netlify/functions/fleet-digest');
+
+    const nobodySubscribed = await fleetDigestFunction.runFleetDigest(MONDAY);
+
+    await fleetDigest.updateSettings(MANAGER, { enabled: true, timeZone: 'Asia/Singapore' });
+    await fleetDigest.updateSettings('+1987654321', { enabled: true, timeZone: 'Asia/Singapore' });
+    // Opted in, then out
+    await fleetDigest.updateSettings('+1555000111', { enabled: true, timeZone: 'Asia/Singapore' });
+    await fleetDigest.updateSettings('+1555000111', { enabled: false });
+
+    const first = await fleetDigestFunction.runFleetDigest(MONDAY);
+    const second = await fleetDigestFunction.runFleetDigest(MONDAY + 60 * 60 * 1000);
+    const email = emails[0];
+    const teaserTo = messages.map(message => message.get('To')).sort().join(',');
+
+    return nobodySubscribed.sent === 0 && dashboardRequests === 1 &&
+           first.sent === 2 && first.emailed === 1 && first.failed === 0 &&
+           second.sent === 0 &&
+           emails.length === 1 &&
+           email.reportType === 'digest' &&
+           email.recipientEmail === 'manager@example.com' &&
+           email.reportTitle === 'Weekly fleet digest – 2025-10-13' &&
+           /^fleet_digest_\d+\.xlsx$/.test(email.reportFile) && email.attachmentExists &&
+           email.digest.vesselCount === 3 &&
+           email.digest.campaigns[0]?.name === 'CIC on STCW' &&
+           messages.length === 2 &&
+           teaserTo === 'whatsapp:+1234567890,whatsapp:+1987654321' &&
+           (await fleetDigest.getSettings(MANAGER))?.lastSentDate === '2025-10-13';
+  } finally {
+    delete process.env.DASHBOARD_API_URL;
+    server.close();
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test a send-email call that never answers is abandoned instead of stalling the run
+ */
+async function testEmailTimeout() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  reportStorage.setReportStore(reportStorage.createLocalReportStore({ dir }));
+  // Accepts the request and never responds
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  process.env.URL = `http://127.0.0.1:${address.port}`;
+
+  try {
+    const fleetDigestFunction = require('../netlify/functions/fleet-digest');
+    const manager = userRegistry.getUser(MANAGER);
+    if (!manager) return false;
+    const digest = await fleetDigest.buildDigest(manager, dashboard(47, 'HIGH'), { now: MONDAY });
+    const started = Date.now();
+    const emailed = await fleetDigestFunction.emailDigest(digest, 'manager@example.com', 'Weekly fleet digest', { timeoutMs: 200 });
+    return emailed === false && Date.now() - started < 2000;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Fleet Digest\n');
+  console.log('='.repeat(50));
+
+  await runTest('Digest settings and validation', testSettings);
+  await runTest('Delivery timing in the user\'s time zone', testIsDue);
+  await runTest('Upcoming PSC campaigns', testUpcomingCampaigns);
+  await runTest('Digest content and WhatsApp teaser', testBuildDigest);
+  await runTest('fleet-digest run end to end', testFleetDigestRun);
+  await runTest('Digest email timeout', testEmailTimeout);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test IMO Numbers
+ *
+ * Tests the imo module:
+ * - Check digit validation
+ * - Extraction of "IMO 9481219" / "IMO:9481219" mentions from free text
+ * - Error descriptions for malformed numbers
+ *
+ * Usage: node test/test-imo.js
+ */
+
+const imoUtils = require('../utils/imo');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test check digit validation
+ */
+function testCheckDigit() {
+  // Real IMOs from the mappings
+  const valid = ['9481219', '9481659', '9481697', '9481661', 9287209, ' 9552989 ', 'IMO 9481219', 'imo:9481219'];
+  if (!valid.every(value => imoUtils.isValidImo(value))) return false;
+
+  // Same numbers with the last digit changed
+  const wrongCheckDigit = ['9481218', '9481650', '9287208'];
+  return wrongCheckDigit.every(value => {
+    const check = imoUtils.validateImo(value);
+    return !check.valid && check.reason === 'checksum';
+  }) && imoUtils.validateImo('9481219').reason === null;
+}
+
+/**
+ * Test malformed numbers
+ */
+function testMalformed() {
+  const malformed = ['948121', '94812190', '94812a9', '', null, undefined, 'GCL YAMUNA', '9481 219'];
+  return malformed.every(value => {
+    const check = imoUtils.validateImo(value);
+    return !check.valid && check.reason === 'format';
+  });
+}
+
+/**
+ * Test extraction from free text
+ */
+function testExtraction() {
+  const cases = {
+    'Risk score for IMO 9481219': ['9481219'],
+    'risk for imo:9481219 please': ['9481219'],
+    'IMO no. 9481219': ['9481219'],
+    'IMO number 9481219?': ['9481219'],
+    'imo#9481219': ['9481219'],
+    'IMO9481219': ['9481219'],
+    'compare IMO 9481219 and IMO-9481659': ['9481219', '9481659'],
+    // Bare numbers and words containing "imo" are ignored
+    'Vessel 9481219': [],
+    'Risk score for GCL YAMUNA': [],
+    'Limo 9481219': [],
+    // IMO regulations aren't IMO numbers
+    'Is GCL YAMUNA ready for IMO 2020 sulphur cap?': [],
+    'Which vessels meet the IMO 2023 rules?': [],
+    'IMO 123456789': [],
+  };
+  for (const [text, expected] of Object.entries(cases)) {
+    const found = imoUtils.extractImos(text).map(check => check.imo);
+    if (found.join(',') !== expected.join(',')) {
+      console.log(`  ${text}: got [${found.join(', ')}]`);
+      return false;
+    }
+  }
+
+  // Mentions of malformed numbers are returned so they can be reported
+  const [short] = imoUtils.extractImos('risk score for IMO 948121');
+  const [wrong] = imoUtils.extractImos('IMO:9481218');
+  return short?.valid === false && short.reason === 'format' &&
+         wrong?.valid === false && wrong.reason === 'checksum';
+}
+
+/**
+ * Test error descriptions
+ */
+function testDescriptions() {
+  return imoUtils.describeImoError(imoUtils.validateImo('948121')).includes('7 digits') &&
+         imoUtils.describeImoError(imoUtils.validateImo('9481218')).includes('check digit');
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing IMO Numbers\n');
+  console.log('='.repeat(50));
+
+  runTest('Check digit validation', testCheckDigit);
+  runTest('Malformed numbers', testMalformed);
+  runTest('Extraction from free text', testExtraction);
+  runTest('Error descriptions', testDescriptions);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
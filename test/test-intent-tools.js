@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test Intent Tools Script
+ *
+ * Tests the intent tool definitions used for Claude tool-use routing:
+ * - Supported intents derived from the tools
+ * - Tool definitions are well-formed Anthropic tools
+ * - tool_use blocks parsed from Messages API responses
+ * - Intent detection prompt does not hard-code the intents
+ *
+ * Usage: node test/test-intent-tools.js
+ */
+
+const intentTools = require('../config/intent-tools');
+const systemPrompts = require('../config/system-prompts');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test supported intents come from the tool names
+ */
+function testSupportedIntents() {
+  const names = intentTools.INTENT_TOOLS.map(tool => tool.name);
+  return intentTools.SUPPORTED_INTENTS.join(',') === names.join(',') &&
+         new Set(names).size === names.length &&
+         ['risk_score', 'risk_level', 'recommendations', 'vessel_info', 'fleet_overview', 'compare_vessels', 'risk_trend', 'manage_alerts', 'manage_digest']
+           .every(intent => intentTools.SUPPORTED_INTENTS.includes(intent));
+}
+
+/**
+ * Test every tool has a name, description and object schema whose required fields exist
+ */
+function testToolDefinitions() {
+  return intentTools.INTENT_TOOLS.every((/** @type {any} */ tool) => {
+    const schema = tool.input_schema;
+    return /^[a-z_]{1,64}$/.test(tool.name) &&
+           typeof tool.description === 'string' && tool.description.length > 0 &&
+           schema && schema.type === 'object' &&
+           (schema.required || []).every((/** @type {string} */ field) => field in (schema.properties || {}));
+  });
+}
+
+/**
+ * Test the tool_use block is picked out of a response
+ */
+function testParseToolUse() {
+  const result = intentTools.parseIntentToolUse({
+    stop_reason: 'tool_use',
+    content: [
+      { type: 'text', text: 'Let me look that up.' },
+      {
+        type: 'tool_use',
+        id: 'toolu_01',
+        name: 'fleet_overview',
+        input: { fleet_query: { type: 'not_inspected' }, time_range: { months: 6 }, output_format: 'excel' },
+      },
+    ],
+  });
+  return result !== null &&
+         result.intent === 'fleet_overview' &&
+         result.input.time_range?.months === 6 &&
+         result.input.output_format === 'excel';
+}
+
+/**
+ * Test responses without a known tool call are unclear
+ */
+function testNoToolUse() {
+  return intentTools.parseIntentToolUse({ content: [{ type: 'text', text: 'Hello! How can I help?' }] }) === null &&
+         intentTools.parseIntentToolUse({ content: [{ type: 'tool_use', name: 'delete_fleet', input: {} }] }) === null &&
+         intentTools.parseIntentToolUse(null) === null &&
+         intentTools.parseIntentToolUse({ content: [{ type: 'tool_use', name: 'risk_score' }] })?.intent === 'risk_score';
+}
+
+/**
+ * Test the detection prompt carries conversation context but no intent list
+ */
+function testDetectionPrompt() {
+  const prompt = systemPrompts.intentDetection({
+    lastVessel: { name: 'GCL YAMUNA', imo: '9481219' },
+    lastIntent: 'risk_score',
+    turns: [],
+  });
+  return prompt.includes('GCL YAMUNA') &&
+         ['fleet_overview', 'compare_vessels', 'vessel_info'].every(intent => !prompt.includes(intent));
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Intent Tools\n');
+  console.log('='.repeat(50));
+
+  runTest('Supported intents derived from tools', testSupportedIntents);
+  runTest('Tool definitions well-formed', testToolDefinitions);
+  runTest('tool_use block parsed', testParseToolUse);
+  runTest('Responses without a tool call', testNoToolUse);
+  runTest('Detection prompt', testDetectionPrompt);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Test Markdown to WhatsApp Script
+ *
+ * Tests conversion of markdown recommendation reports to WhatsApp formatting:
+ * - Headings, bold, italic, bold italic and strikethrough
+ * - Bullet, nested, numbered and checkbox lists
+ * - Inline code and fenced code blocks (left unformatted)
+ * - Tables rendered as aligned monospace blocks
+ * - Links, horizontal rules and blank-line collapsing
+ * - Truncation that never leaves a ``` block open
+ *
+ * Usage: node test/test-markdown-whatsapp.js
+ */
+
+const { markdownToWhatsApp, truncateWhatsApp } = require('../utils/markdown-whatsapp');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test headings and emphasis
+ */
+function testHeadingsAndEmphasis() {
+  const output = markdownToWhatsApp([
+    '# PSC Recommendations',
+    '## **CRITICAL** ##',
+    'Check **fire doors** and __dampers__, *weekly* or _daily_, not ~~monthly~~.',
+    'Report ***before departure***, ___in writing___.',
+  ].join('\n'));
+  return output === [
+    '*PSC Recommendations*',
+    '*CRITICAL*',
+    'Check *fire doors* and *dampers*, _weekly_ or _daily_, not ~monthly~.',
+    'Report *_before departure_*, *_in writing_*.',
+  ].join('\n');
+}
+
+/**
+ * Test list styles
+ */
+function testLists() {
+  const output = markdownToWhatsApp([
+    '- Inspect hatch covers',
+    '  - Port side first',
+    '* Test alarms',
+    '1. Muster crew',
+    '2) Log drill',
+    '- [ ] Update fire plan',
+    '- [x] Replace extinguisher',
+  ].join('\n'));
+  return output === [
+    '• Inspect hatch covers',
+    '  ◦ Port side first',
+    '• Test alarms',
+    '1. Muster crew',
+    '2. Log drill',
+    '☐ Update fire plan',
+    '☑ Replace extinguisher',
+  ].join('\n');
+}
+
+/**
+ * Test code is monospaced and left unformatted
+ */
+function testCode() {
+  const output = markdownToWhatsApp([
+    'Run `self-test` on the **ECDIS**',
+    '```',
+    'Zone *3* fault',
+    '```',
+  ].join('\n'));
+  return output === [
+    'Run ```self-test``` on the *ECDIS*',
+    '```',
+    'Zone *3* fault',
+    '```',
+  ].join('\n');
+}
+
+/**
+ * Test tables become aligned monospace blocks
+ */
+function testTables() {
+  const output = markdownToWhatsApp([
+    'Upcoming campaigns:',
+    '| Campaign | Period |',
+    '|----------|:------:|',
+    '| **CIC Fire Safety** | Sep–Nov 2025 |',
+    '| STCW | 2026 |',
+  ].join('\n'));
+  return output === [
+    'Upcoming campaigns:',
+    '```',
+    'Campaign        | Period',
+    'CIC Fire Safety | Sep–Nov 2025',
+    'STCW            | 2026',
+    '```',
+  ].join('\n');
+}
+
+/**
+ * Test links, rules and spacing
+ */
+function testLinksAndSpacing() {
+  const output = markdownToWhatsApp([
+    'See [AMSA guidance](https://www.amsa.gov.au/psc) or https://example.com',
+    '',
+    '',
+    '---',
+    '',
+    '> Detained vessels are published',
+  ].join('\r\n'));
+  return output === [
+    'See AMSA guidance (https://www.amsa.gov.au/psc) or https://example.com',
+    '',
+    '> Detained vessels are published',
+  ].join('\n');
+}
+
+/**
+ * Test truncation never leaves a monospace block open
+ */
+function testTruncation() {
+  const rows = Array.from({ length: 40 }, (_, i) => `Item ${String(i + 1).padStart(2)} | Open`);
+  const table = ['```', ...rows, '```'].join('\n');
+
+  // Block starts late: cut back to before it
+  const lateBlock = truncateWhatsApp(`${'Intro line\n'.repeat(30)}${table}`, 400);
+  // Block starts early: keep the rows and close it
+  const earlyBlock = truncateWhatsApp(`Intro\n${table}`, 400);
+  const short = truncateWhatsApp('Short', 400);
+
+  return lateBlock.endsWith('Intro line\n\n...[truncated]') && !lateBlock.includes('```') &&
+         earlyBlock.endsWith('| Open\n```\n\n...[truncated]') &&
+         (earlyBlock.match(/```/g) || []).length === 2 &&
+         short === 'Short';
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Markdown to WhatsApp\n');
+  console.log('='.repeat(50));
+
+  runTest('Headings and emphasis', testHeadingsAndEmphasis);
+  runTest('Lists and checkboxes', testLists);
+  runTest('Inline code and code blocks', testCode);
+  runTest('Tables as monospace blocks', testTables);
+  runTest('Links, rules and spacing', testLinksAndSpacing);
+  runTest('Truncation keeps monospace blocks closed', testTruncation);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Test PDF Report Script
+ *
+ * Tests the PDF recommendations report:
+ * - Valid PDF with cover page, severity sections, checklists and campaigns
+ * - Raw-text reports parsed into sections, with the unparsed lines kept
+ * - Risk badge colours
+ * - Text outside the standard fonts' character set (emoji, other scripts) mapped, not garbled
+ * - generate-excel format=pdf and download-excel serving the PDF; comparisons refuse format=pdf
+ *
+ * Usage: node test/test-pdf-report.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test-secret';
+
+const { generatePdfFile, riskBadgeColor } = require('../utils/pdf-report');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const reportStorage = require('../utils/report-storage');
+const generateExcel = require('../netlify/functions/generate-excel');
+const downloadExcel = require('../netlify/functions/download-excel');
+const sampleData = require('./sample-data.json');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Extract the text drawn in a PDF (one entry per text run)
+ * PDFKit writes text runs as hex strings in compressed content streams.
+ * @param {Buffer} pdf
+ * @returns {string[]}
+ */
+function pdfText(pdf) {
+  const raw = pdf.toString('latin1');
+  /** @type {string[]} */
+  const runs = [];
+  for (const match of raw.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(match[1] || '', 'latin1')).toString('latin1');
+    } catch {
+      continue;
+    }
+    for (const run of content.matchAll(/\[(.*?)\] TJ/g)) {
+      runs.push(((run[1] || '').match(/<([0-9a-f]*)>/g) || [])
+        .map(hex => Buffer.from(hex.slice(1, -1), 'hex').toString('latin1'))
+        .join(''));
+    }
+  }
+  return runs;
+}
+
+/**
+ * Count the pages in a PDF
+ * @param {Buffer} pdf
+ * @returns {number}
+ */
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+/**
+ * Test a structured report renders every section
+ */
+async function testStructuredReport() {
+  const pdf = await generatePdfFile(sampleData.vessel, sampleData.recommendations);
+  const text = pdfText(pdf);
+  const critical = text.indexOf('CRITICAL Recommendations');
+  const moderate = text.indexOf('MODERATE Recommendations');
+  const recommended = text.indexOf('RECOMMENDED');
+
+  return pdf.subarray(0, 5).toString() === '%PDF-' &&
+         pdf.toString('latin1').trimEnd().endsWith('%%EOF') &&
+         pageCount(pdf) >= 2 &&
+         // Cover page
+         text.includes('PSC Recommendations Report') &&
+         text.includes('GCL YAMUNA (IMO 9481219)') &&
+         text.includes('Port of Singapore') &&
+         // Sections in order, items, checklists
+         critical !== -1 && critical < moderate && recommended !== -1 &&
+         text.includes('1. Covers (hatchway-, portable-, tarpaulins, etc.)') &&
+         text.includes('Internal Checklist') &&
+         text.includes('Visual inspection of all covers') &&
+         text.includes('Campaigns') &&
+         !text.includes('Raw Report');
+}
+
+/**
+ * Test a raw-text report is parsed, keeping unparsed lines
+ */
+async function testRawTextReport() {
+  const pdf = await generatePdfFile({ name: 'GCL TAPI', imo: '9481207' }, {
+    rawText: [
+      '# PSC report for GCL TAPI',
+      '## CRITICAL',
+      '### Fire safety',
+      '**Internal Checklist:**',
+      '- Inspect extinguishers',
+      '## Campaigns',
+      '- CIC on STCW hours of rest: Sep 2025',
+    ].join('\n'),
+  });
+  const text = pdfText(pdf);
+  return text.includes('1. Fire safety') &&
+         text.includes('Inspect extinguishers') &&
+         text.includes('CIC on STCW hours of rest') &&
+         text.includes('No items.') &&
+         text.includes('Raw Report') &&
+         text.includes('# PSC report for GCL TAPI');
+}
+
+/**
+ * Test risk badge colours follow the risk level
+ */
+function testRiskBadgeColor() {
+  return riskBadgeColor('HIGH') === '#C00000' &&
+         riskBadgeColor('Very High') === '#C00000' &&
+         riskBadgeColor('medium') === '#ED7D31' &&
+         riskBadgeColor('LOW') === '#00B050' &&
+         riskBadgeColor('N/A') === '#7F7F7F';
+}
+
+/**
+ * Test text the standard fonts can't draw is mapped onto characters they can
+ */
+async function testUnicodeText() {
+  const pdf = await generatePdfFile({ name: 'MSC GDAŃSK ⚓', imo: '9481219', riskLevel: 'HIGH 🔴' }, {
+    rawText: [
+      '## CRITICAL',
+      '### Łódź ballast check 🚢',
+      '- Verify 船名 marking ✅',
+    ].join('\n'),
+  });
+  const text = pdfText(pdf);
+  return text.some(run => run.startsWith('MSC GDANSK') && run.endsWith('(IMO 9481219)')) &&
+         text.some(run => run.trim() === 'HIGH') &&
+         text.includes('1. Lódz ballast check') &&
+         text.some(run => run.includes('Verify ?? marking'));
+}
+
+/**
+ * Test generate-excel format=pdf stores a PDF that download-excel serves
+ */
+async function testGenerateAndDownload() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-reports-'));
+  reportStorage.setReportStore(reportStorage.createLocalReportStore({ dir }));
+
+  try {
+    /** @param {any} body @param {Record<string, string>} [query] */
+    const generate = (body, query) => generateExcel.handler({
+      httpMethod: 'POST',
+      body: JSON.stringify(body),
+      queryStringParameters: query,
+    });
+
+    const pdfResponse = await generate({
+      vesselData: sampleData.vessel,
+      recommendationsData: sampleData.recommendations,
+      format: 'pdf',
+      phoneNumber: '+1234567890',
+    });
+    const queryResponse = await generate({ vesselData: sampleData.vessel }, { format: 'pdf' });
+    const unsupported = await generate({ vesselData: sampleData.vessel, format: 'docx' });
+    const comparisonPdf = await generate({ comparison: [sampleData.vessel, sampleData.vessel], format: 'pdf' });
+
+    const pdfResult = JSON.parse(pdfResponse.body);
+    const token = new URL(pdfResult.downloadUrl).searchParams.get('token') || '';
+    const download = await downloadExcel.handler({ httpMethod: 'GET', queryStringParameters: { token } });
+
+    return pdfResponse.statusCode === 200 &&
+           /^recommendations_9481219_\d+\.pdf$/.test(pdfResult.filename) &&
+           JSON.parse(queryResponse.body).filename.endsWith('.pdf') &&
+           unsupported.statusCode === 400 &&
+           comparisonPdf.statusCode === 400 &&
+           JSON.parse(comparisonPdf.body).error.includes('only available as Excel') &&
+           download.statusCode === 200 &&
+           download.headers['Content-Type'] === 'application/pdf' &&
+           /filename="Recommendations_9481219_[\d-]+\.pdf"/.test(download.headers['Content-Disposition']) &&
+           Buffer.from(download.body, 'base64').subarray(0, 5).toString() === '%PDF-';
+  } finally {
+    reportStorage.setReportStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing PDF Report\n');
+  console.log('='.repeat(50));
+
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  await runTest('Structured report', testStructuredReport);
+  await runTest('Raw-text report', testRawTextReport);
+  await runTest('Risk badge colours', testRiskBadgeColor);
+  await runTest('Unicode text mapped for the standard fonts', testUnicodeText);
+  await runTest('generate-excel format=pdf and download', testGenerateAndDownload);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Test Recommendations Formatter Script
+ *
+ * Tests the WhatsApp digest for structured recommendations:
+ * - Grouping by severity (CRITICAL/MODERATE/RECOMMENDED keys or a flat list)
+ * - Structured vs raw-text responses
+ * - Digest with counts, categories, first recommendation and checklist actions
+ * - Top items per severity with a "more in the full report" note
+ * - Empty responses
+ *
+ * Usage: node test/test-recommendations-formatter.js
+ */
+
+const recommendationsFormatter = require('../utils/recommendations-formatter');
+const sampleData = require('./sample-data.json');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test grouping from severity keys and from a flat list
+ */
+function testGroupBySeverity() {
+  const keyed = recommendationsFormatter.groupBySeverity(sampleData.recommendations);
+  const flat = recommendationsFormatter.groupBySeverity({
+    recommendations: [
+      { category: 'Fire safety', priority: 'HIGH' },
+      { category: 'Navigation', severity: 'medium' },
+      { category: 'Lifeboats', priority: 'CRITICAL' },
+      { category: 'Housekeeping', priority: 'LOW' },
+      { category: 'Unknown', priority: 'INFO' },
+    ],
+  });
+  return keyed.CRITICAL.length === 2 && keyed.MODERATE.length === 2 && keyed.RECOMMENDED.length === 1 &&
+         flat.CRITICAL.length === 2 && flat.MODERATE.length === 1 && flat.RECOMMENDED.length === 1;
+}
+
+/**
+ * Test structured responses are told apart from raw text and empty responses
+ */
+function testIsStructured() {
+  return recommendationsFormatter.isStructured(sampleData.recommendations) &&
+         recommendationsFormatter.isStructured({ critical: [{ category: 'Fire safety' }] }) &&
+         !recommendationsFormatter.isStructured({ rawText: '## Critical\n- Fire safety' }) &&
+         !recommendationsFormatter.isStructured({ CRITICAL: [], MODERATE: [] }) &&
+         !recommendationsFormatter.isStructured(null);
+}
+
+/**
+ * Test the digest shows counts, categories, first recommendation and checklist actions
+ */
+function testDigest() {
+  const digest = recommendationsFormatter.formatRecommendationsDigest(sampleData.recommendations, {
+    vesselName: 'GCL YAMUNA',
+    imo: '9481219',
+  });
+  const critical = digest.indexOf('*CRITICAL*');
+  const moderate = digest.indexOf('*MODERATE*');
+  const recommended = digest.indexOf('*RECOMMENDED*');
+
+  return digest.startsWith('📋 *Recommendations for GCL YAMUNA (IMO 9481219)*') &&
+         digest.includes('Critical: 2') && digest.includes('Moderate: 2') && digest.includes('Recommended: 1') &&
+         critical !== -1 && critical < moderate && moderate < recommended &&
+         digest.includes('1. *Covers (hatchway-, portable-, tarpaulins, etc.)*') &&
+         digest.includes('   Inspect all hatchway covers for proper fit') &&
+         digest.includes('   ☐ Visual inspection of all covers') &&
+         digest.includes('   ☐ PSC inspection readiness') &&
+         // Only the first recommendation and at most two actions per item
+         !digest.includes('Check tarpaulin condition') &&
+         !digest.includes('Regular maintenance schedule') &&
+         !digest.includes('Report ready!');
+}
+
+/**
+ * Test only the top items per severity are listed
+ */
+function testTopItems() {
+  const critical = Array.from({ length: 5 }, (_, i) => ({ category: `Category ${i + 1}`, internalChecklist: [`Action ${i + 1}`] }));
+  const digest = recommendationsFormatter.formatRecommendationsDigest({ CRITICAL: critical }, { itemsPerSeverity: 3 });
+  return digest.includes('3. *Category 3*') &&
+         !digest.includes('Category 4') &&
+         digest.includes('... and 2 more critical item(s) in the full report.') &&
+         !digest.includes('*MODERATE*');
+}
+
+/**
+ * Test empty responses and the shared follow-up menu
+ */
+function testEmptyAndMenu() {
+  const empty = recommendationsFormatter.formatRecommendationsDigest({}, { vesselName: 'GCL TAPI' });
+  const menu = recommendationsFormatter.FOLLOW_UP_MENU;
+  return empty === '📋 No recommendations available for GCL TAPI at this time.' &&
+         menu.includes('1️⃣ Download as Excel file') && menu.includes('2️⃣ Receive via email') &&
+         menu.includes('3️⃣ Download as PDF') && menu.includes('4️⃣ Download as inspection checklist');
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Recommendations Formatter\n');
+  console.log('='.repeat(50));
+
+  runTest('Grouping by severity', testGroupBySeverity);
+  runTest('Structured vs raw-text responses', testIsStructured);
+  runTest('Digest content', testDigest);
+  runTest('Top items per severity', testTopItems);
+  runTest('Empty responses and follow-up menu', testEmptyAndMenu);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Test Recommendations Parser Script
+ *
+ * Tests parsing markdown and plain-text recommendation reports into the
+ * structured CRITICAL/MODERATE/RECOMMENDED shape:
+ * - Heading-based reports (severity ## headings, item ### headings, "Label:" fields)
+ * - Bold-line reports with numbered bold items and inline field values
+ * - Flat "Category: recommendation" lists
+ * - Plain-text reports (ALL CAPS and "Title:" headings)
+ * - Campaigns from bullet lists and tables
+ * - Text outside the sections kept as unparsed lines
+ * - Headings that merely start with a severity word ("High-level summary") don't open sections
+ * - Parsed output works with the formatter and the Excel workbook (Raw Report sheet)
+ *
+ * Usage: node test/test-recommendations-parser.js
+ */
+
+const ExcelJS = require('exceljs');
+const { parseRecommendationsText } = require('../utils/recommendations-parser');
+const recommendationsFormatter = require('../utils/recommendations-formatter');
+const { generateExcelFile } = require('../netlify/functions/generate-excel');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const HEADING_REPORT = `# PSC Recommendations — GCL YAMUNA (IMO 9481219)
+
+Summary of findings from recent inspections.
+
+## 🔴 CRITICAL Recommendations
+
+### 1. Fire safety
+**Issue Type:** Deficiency trend
+**Campaign Trend:** Increasing across the region
+**Recommendations:**
+- Review **fire door** closures
+- Test fire detection loops
+**Internal Checklist:**
+- [ ] Inspect extinguishers
+- [x] Update fire plan
+**External Checklist:**
+- SOLAS compliance verification
+
+---
+
+### 2. Covers (hatchway-, portable-, tarpaulins, etc.)
+- Inspect all hatchway covers for proper fit
+
+## 🟡 MODERATE Recommendations
+
+### Navigation equipment
+**Recommendations:**
+- Review ECDIS updates
+
+| Column | Value |
+|--------|-------|
+| Noise | ignored |
+
+## 🟢 RECOMMENDED
+
+### General maintenance
+**General Checklist:**
+- Maintenance log review
+
+## Notes
+- This list is not a recommendation
+`;
+
+const BOLD_REPORT = `PSC Risk Recommendations
+
+**CRITICAL ISSUES**
+
+1. **Covers (hatchway-, portable-, tarpaulins, etc.)**
+   - Issue Type: Structural
+   - Recommendations: Inspect all hatch covers
+   - Internal Checklist:
+     - Visual inspection of covers
+   - External: PSC readiness
+
+**Moderate**
+- Navigation equipment: Review ECDIS updates
+- Lifeboats: Check release gear
+
+**Low priority**
+- Keep engine room bilges clean
+
+**Upcoming Campaigns**
+- CIC on STCW hours of rest: Sep–Nov 2025
+  - Check rest hour records
+- Tokyo MOU Fire Safety
+`;
+
+const PLAIN_REPORT = `PSC RISK REPORT - GCL TAPI
+Prepared from the last 36 months of inspections.
+
+CRITICAL ISSUES
+Fire safety:
+- Test fire doors
+Internal Checklist:
+- Inspect extinguishers
+
+Moderate:
+- Navigation: Review ECDIS updates
+  - Check chart folios
+
+UPCOMING CAMPAIGNS
+| Campaign | Period | Focus |
+|----------|--------|-------|
+| CIC Fire Safety | Sep–Nov 2025 | Fire doors |
+
+NOTES
+Contact the office for details.
+`;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test a heading-based report
+ */
+function testHeadingReport() {
+  const parsed = parseRecommendationsText(HEADING_REPORT);
+  const fire = parsed.CRITICAL[0];
+  const covers = parsed.CRITICAL[1];
+  return parsed.CRITICAL.length === 2 && parsed.MODERATE.length === 1 && parsed.RECOMMENDED.length === 1 &&
+         fire?.category === 'Fire safety' &&
+         fire.issueType === 'Deficiency trend' &&
+         fire.campaignTrend === 'Increasing across the region' &&
+         fire.recommendations.join('|') === 'Review fire door closures|Test fire detection loops' &&
+         fire.internalChecklist.join('|') === 'Inspect extinguishers|Update fire plan' &&
+         fire.externalChecklist.join('|') === 'SOLAS compliance verification' &&
+         covers?.category === 'Covers (hatchway-, portable-, tarpaulins, etc.)' &&
+         covers.recommendations.length === 1 &&
+         parsed.MODERATE[0]?.recommendations.join('|') === 'Review ECDIS updates' &&
+         parsed.RECOMMENDED[0]?.generalChecklist.join('|') === 'Maintenance log review';
+}
+
+/**
+ * Test a report using bold lines and numbered bold items
+ */
+function testBoldReport() {
+  const parsed = parseRecommendationsText(BOLD_REPORT);
+  const covers = parsed.CRITICAL[0];
+  return parsed.CRITICAL.length === 1 &&
+         covers?.category === 'Covers (hatchway-, portable-, tarpaulins, etc.)' &&
+         covers.issueType === 'Structural' &&
+         covers.recommendations.join('|') === 'Inspect all hatch covers' &&
+         covers.internalChecklist.join('|') === 'Visual inspection of covers' &&
+         covers.externalChecklist.join('|') === 'PSC readiness';
+}
+
+/**
+ * Test flat lists become one item per line
+ */
+function testFlatLists() {
+  const parsed = parseRecommendationsText(BOLD_REPORT);
+  return parsed.MODERATE.map(item => `${item.category}=${item.recommendations[0]}`).join('|') ===
+           'Navigation equipment=Review ECDIS updates|Lifeboats=Check release gear' &&
+         parsed.RECOMMENDED.length === 1 &&
+         parsed.RECOMMENDED[0]?.category === 'General' &&
+         parsed.RECOMMENDED[0]?.recommendations[0] === 'Keep engine room bilges clean';
+}
+
+/**
+ * Test a plain-text report with ALL CAPS and "Title:" headings
+ */
+function testPlainTextReport() {
+  const parsed = parseRecommendationsText(PLAIN_REPORT);
+  const fire = parsed.CRITICAL[0];
+  const navigation = parsed.MODERATE[0];
+  return parsed.CRITICAL.length === 1 && parsed.MODERATE.length === 1 && parsed.RECOMMENDED.length === 0 &&
+         fire?.category === 'Fire safety' &&
+         fire.recommendations.join('|') === 'Test fire doors' &&
+         fire.internalChecklist.join('|') === 'Inspect extinguishers' &&
+         navigation?.category === 'Navigation' &&
+         navigation.recommendations.join('|') === 'Review ECDIS updates|Check chart folios';
+}
+
+/**
+ * Test campaigns from bullet lists and tables
+ */
+function testCampaigns() {
+  const bold = parseRecommendationsText(BOLD_REPORT);
+  const plain = parseRecommendationsText(PLAIN_REPORT);
+  // A table with a Campaign column is read even outside a campaigns section
+  const table = parseRecommendationsText('| Campaign | Period |\n|---|---|\n| STCW | 2026 |');
+  return bold.campaigns.map(c => `${c.name}=${c.recommendations.join('+')}`).join('|') ===
+           'CIC on STCW hours of rest=Sep–Nov 2025+Check rest hour records|Tokyo MOU Fire Safety=' &&
+         plain.campaigns.length === 1 &&
+         plain.campaigns[0]?.name === 'CIC Fire Safety' &&
+         plain.campaigns[0]?.recommendations.join('|') === 'Period: Sep–Nov 2025|Focus: Fire doors' &&
+         table.campaigns[0]?.name === 'STCW' && table.campaigns[0]?.recommendations[0] === 'Period: 2026';
+}
+
+/**
+ * Test text outside the sections is kept as unparsed lines, not items
+ */
+function testOutsideSections() {
+  const heading = parseRecommendationsText(HEADING_REPORT);
+  const plain = parseRecommendationsText(PLAIN_REPORT);
+  const empty = parseRecommendationsText('Thank you for using the PSC service.\n\n- Nothing to report');
+  const items = JSON.stringify([heading.CRITICAL, heading.MODERATE, heading.RECOMMENDED]);
+  return !items.includes('not a recommendation') && !items.includes('Noise') &&
+         heading.unparsed.join('|') === [
+           '# PSC Recommendations — GCL YAMUNA (IMO 9481219)',
+           'Summary of findings from recent inspections.',
+           '| Column | Value |',
+           '| Noise | ignored |',
+           '## Notes',
+           '- This list is not a recommendation',
+         ].join('|') &&
+         plain.unparsed.join('|') ===
+           'PSC RISK REPORT - GCL TAPI|Prepared from the last 36 months of inspections.|NOTES|Contact the office for details.' &&
+         empty.CRITICAL.length + empty.MODERATE.length + empty.RECOMMENDED.length === 0 &&
+         empty.unparsed.length === 2;
+}
+
+/**
+ * Test headings starting with a severity word only open a section when they name one
+ */
+function testSeverityLikeHeadings() {
+  const parsed = parseRecommendationsText([
+    '## High-level summary',
+    '- Vessel in good condition overall',
+    '## Low sulphur fuel compliance',
+    '- Keep bunker delivery notes on board',
+    '## High risk – act before next port',
+    '- Test emergency fire pump',
+    '**Low priority:**',
+    '- Touch up deck markings',
+  ].join('\n'));
+  return parsed.unparsed.join('|') === [
+    '## High-level summary',
+    '- Vessel in good condition overall',
+    '## Low sulphur fuel compliance',
+    '- Keep bunker delivery notes on board',
+  ].join('|') &&
+         parsed.CRITICAL.flatMap(item => item.recommendations).join('|') === 'Test emergency fire pump' &&
+         parsed.RECOMMENDED.flatMap(item => item.recommendations).join('|') === 'Touch up deck markings' &&
+         parsed.MODERATE.length === 0;
+}
+
+/**
+ * Test parsed output is usable by the digest formatter
+ */
+function testFormatterCompatible() {
+  const parsed = parseRecommendationsText(HEADING_REPORT);
+  const digest = recommendationsFormatter.formatRecommendationsDigest(parsed, { vesselName: 'GCL YAMUNA' });
+  return recommendationsFormatter.isStructured(parsed) &&
+         !recommendationsFormatter.isStructured(parseRecommendationsText('')) &&
+         digest.includes('Critical: 2') &&
+         digest.includes('1. *Fire safety*') &&
+         digest.includes('☐ Inspect extinguishers');
+}
+
+/**
+ * Test a raw-text report fills the workbook's severity, Campaigns and Raw Report sheets
+ */
+async function testExcelWorkbook() {
+  const buffer = await generateExcelFile({ name: 'GCL TAPI', imo: '9481207' }, { rawText: PLAIN_REPORT });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(/** @type {any} */ (buffer));
+
+  const critical = workbook.getWorksheet('CRITICAL Recommendations');
+  const campaigns = workbook.getWorksheet('Campaigns');
+  const raw = workbook.getWorksheet('Raw Report');
+  const structured = await generateExcelFile({ name: 'GCL TAPI' }, parseRecommendationsText(BOLD_REPORT));
+  const structuredWorkbook = new ExcelJS.Workbook();
+  await structuredWorkbook.xlsx.load(/** @type {any} */ (structured));
+
+  return critical?.getRow(2).getCell(1).value === 'Fire safety' &&
+         critical.getRow(2).getCell(5).value === 'Inspect extinguishers' &&
+         workbook.getWorksheet('MODERATE Recommendations')?.rowCount === 2 &&
+         campaigns?.getRow(2).getCell(1).value === 'CIC Fire Safety' &&
+         raw?.getRow(1).getCell(2).value === 'Report Text' &&
+         raw.getRow(2).getCell(2).value === 'PSC RISK REPORT - GCL TAPI' &&
+         raw.rowCount === 5 &&
+         // Structured data has no rawText, so no Raw Report sheet
+         !structuredWorkbook.getWorksheet('Raw Report');
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Recommendations Parser\n');
+  console.log('='.repeat(50));
+
+  await runTest('Heading-based report', testHeadingReport);
+  await runTest('Bold-line report', testBoldReport);
+  await runTest('Flat category lists', testFlatLists);
+  await runTest('Plain-text report', testPlainTextReport);
+  await runTest('Campaigns from lists and tables', testCampaigns);
+  await runTest('Text outside sections kept as unparsed', testOutsideSections);
+  await runTest('Headings that only start with a severity word', testSeverityLikeHeadings);
+  await runTest('Parsed output works with the formatter', testFormatterCompatible);
+  await runTest('Raw-text report in the Excel workbook', testExcelWorkbook);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
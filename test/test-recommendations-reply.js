@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test Recommendations Reply Script
+ *
+ * Tests the reply the recommendations workers build:
+ * - Vessel resolution by name or IMO (unknown identifiers kept as given)
+ * - Vessels outside the user's scope treated as not found
+ * - Markdown text reports with the follow-up menu and saved follow-up state
+ * - Text reports without sections sent truncated, without the menu
+ * - Structured recommendations as a digest with the follow-up menu
+ *
+ * Usage: node test/test-recommendations-reply.js
+ */
+
+process.env.USER_REGISTRY_JSON = JSON.stringify({
+  users: [
+    { phone: '+1234567890', fleets: ['*'] },
+    { phone: '+447700900123', imos: ['9481697'] },
+  ],
+});
+
+const recommendationsReply = require('../utils/recommendations-reply');
+const recommendationsFormatter = require('../utils/recommendations-formatter');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const sampleData = require('./sample-data.json');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const ADMIN = '+1234567890';
+const SCOPED = '+447700900123';
+
+// Vessel not in the mappings, so no dashboard lookup is made for its follow-up state
+const UNKNOWN_VESSEL = 'TEST VESSEL';
+
+const TEXT_REPORT = `PSC RISK REPORT - TEST VESSEL
+
+CRITICAL ISSUES
+Fire safety:
+- Test fire doors
+
+Moderate:
+- Navigation: Review ECDIS updates
+`;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test resolving by name, by IMO and for unknown vessels
+ */
+async function testResolveVessel() {
+  const byName = recommendationsReply.resolveVessel(ADMIN, 'ace eternity');
+  const byImo = recommendationsReply.resolveVessel(ADMIN, ' 9920679 ');
+  const unknown = recommendationsReply.resolveVessel(ADMIN, UNKNOWN_VESSEL);
+
+  return byName.imo === '9920679' && byName.vesselName === 'ACE ETERNITY' && byName.inScope &&
+         byImo.vesselName === 'ACE ETERNITY' &&
+         unknown.lookup === null && unknown.imo === UNKNOWN_VESSEL && unknown.vesselName === UNKNOWN_VESSEL;
+}
+
+/**
+ * Test that vessels outside the user's scope are reported as not found
+ */
+async function testOutOfScope() {
+  const vessel = recommendationsReply.resolveVessel(SCOPED, 'ACE ETERNITY');
+  const unregistered = recommendationsReply.resolveVessel('+19999999999', 'ACE ETERNITY');
+  const message = recommendationsReply.vesselNotFoundMessage('ACE ETERNITY');
+
+  return !vessel.inScope && !unregistered.inScope &&
+         message.includes("couldn't find a vessel named 'ACE ETERNITY'");
+}
+
+/**
+ * Test a markdown text report with sections
+ */
+async function testTextReport() {
+  await stateManager.clearState(ADMIN);
+  const vessel = recommendationsReply.resolveVessel(ADMIN, UNKNOWN_VESSEL);
+  const msg = await recommendationsReply.buildRecommendationsReply(ADMIN, vessel, { rawText: TEXT_REPORT });
+  const state = await stateManager.getState(ADMIN);
+
+  return msg.startsWith(`📋 Recommendations for ${UNKNOWN_VESSEL} (IMO ${UNKNOWN_VESSEL})\n\n`) &&
+         msg.endsWith(recommendationsFormatter.FOLLOW_UP_MENU) &&
+         state?.intent === 'recommendations' &&
+         state.waitingForFollowUp === true &&
+         state.recommendationsData?.rawText === TEXT_REPORT &&
+         state.vesselData?.name === UNKNOWN_VESSEL;
+}
+
+/**
+ * Test a text report without sections: no menu, no follow-up state
+ */
+async function testPlainTextReport() {
+  await stateManager.clearState(ADMIN);
+  const vessel = recommendationsReply.resolveVessel(ADMIN, UNKNOWN_VESSEL);
+  const longText = 'No issues found. '.repeat(500);
+  const msg = await recommendationsReply.buildRecommendationsReply(ADMIN, vessel, { rawText: longText });
+
+  return !msg.includes(recommendationsFormatter.FOLLOW_UP_MENU) &&
+         msg.endsWith('...[truncated]') &&
+         msg.length < longText.length &&
+         (await stateManager.getState(ADMIN)) === null;
+}
+
+/**
+ * Test structured recommendations sent as a digest
+ */
+async function testStructuredDigest() {
+  await stateManager.clearState(ADMIN);
+  const vessel = recommendationsReply.resolveVessel(ADMIN, UNKNOWN_VESSEL);
+  const msg = await recommendationsReply.buildRecommendationsReply(ADMIN, vessel, sampleData.recommendations);
+  const state = await stateManager.getState(ADMIN);
+  const digest = recommendationsFormatter.formatRecommendationsDigest(sampleData.recommendations, {
+    vesselName: UNKNOWN_VESSEL,
+    imo: UNKNOWN_VESSEL,
+  });
+
+  return msg === `${digest}\n\n${recommendationsFormatter.FOLLOW_UP_MENU}` &&
+         state?.recommendationsData === sampleData.recommendations;
+}
+
+async function main() {
+  console.log('\n🧪 Testing Recommendations Reply\n');
+  console.log('='.repeat(50));
+
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  await runTest('Vessel resolved by name or IMO', testResolveVessel);
+  await runTest('Out-of-scope vessel treated as not found', testOutOfScope);
+  await runTest('Text report with follow-up menu', testTextReport);
+  await runTest('Text report without sections', testPlainTextReport);
+  await runTest('Structured recommendations digest', testStructuredDigest);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
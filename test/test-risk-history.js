@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Test Risk History Script
+ *
+ * Tests historical risk score tracking:
+ * - Snapshots recorded per vessel, one per day (same-day fetches replace it)
+ * - Trend deltas over a requested period, with short histories flagged
+ * - The scheduled record-risk-history function records snapshots (dashboard fetches don't)
+ * - Excel reports get a Risk Trend sheet with an embedded line chart
+ *
+ * The dashboard API is stood in for by a tiny in-process server
+ * (DASHBOARD_API_URL points at it).
+ *
+ * Usage: node test/test-risk-history.js
+ */
+
+const http = require('http');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+const riskHistory = require('../utils/risk-history');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+const generateExcel = require('../netlify/functions/generate-excel');
+const sampleData = require('./sample-data.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 15, 12);
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build dashboard data for one vessel
+ * @param {number|null} riskScore
+ * @param {string} riskLevel
+ * @param {string} [inspectionDate]
+ */
+function dashboard(riskScore, riskLevel, inspectionDate = '2025-06-01') {
+  return {
+    vessels: [
+      {
+        name: 'GCL YAMUNA',
+        imo: '9481219',
+        riskScore,
+        riskLevel,
+        lastInspection: { date: inspectionDate, port: 'Port Hedland' },
+      },
+      { name: 'No IMO vessel', riskScore: 10, riskLevel: 'LOW' },
+    ],
+  };
+}
+
+/**
+ * Test snapshots are recorded once per vessel per day
+ */
+async function testRecordSnapshots() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  const first = await riskHistory.recordSnapshots(dashboard(40, 'MEDIUM'), NOW - 2 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(42, 'MEDIUM'), NOW - DAY_MS);
+  // Later fetch on the same day replaces that day's snapshot
+  await riskHistory.recordSnapshots(dashboard(44, 'MEDIUM'), NOW - DAY_MS + 3600000);
+  const history = await riskHistory.getHistory('9481219');
+
+  return first === 1 &&
+         history.length === 2 &&
+         history.map(entry => entry.riskScore).join(',') === '40,44' &&
+         history[1]?.date === '2025-10-14' &&
+         history[1]?.lastInspectionDate === '2025-06-01' &&
+         history[1]?.lastInspectionPort === 'Port Hedland' &&
+         (await riskHistory.getHistory('0000000')).length === 0;
+}
+
+/**
+ * Test trend deltas over the requested period
+ */
+async function testRiskTrend() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  await riskHistory.recordSnapshots(dashboard(30, 'LOW'), NOW - 90 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(38, 'MEDIUM'), NOW - 40 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(45, 'MEDIUM'), NOW - 10 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(52.5, 'HIGH', '2025-10-01'), NOW);
+
+  const month = await riskHistory.getRiskTrend('9481219', { now: NOW });
+  const sixMonths = await riskHistory.getRiskTrend('9481219', { months: 6, now: NOW });
+  const missing = await riskHistory.getRiskTrend('9481220', { now: NOW });
+
+  return month !== null && sixMonths !== null &&
+         month.months === riskHistory.DEFAULT_TREND_MONTHS &&
+         // Baseline is the last snapshot before the cutoff (40 days ago)
+         month.from.riskScore === 38 && month.to.riskScore === 52.5 &&
+         month.scoreDelta === 14.5 &&
+         month.levelChanged === true &&
+         month.inspectedSince === true &&
+         month.partial === false &&
+         month.snapshots.length === 3 &&
+         // History is shorter than six months: oldest snapshot, flagged as partial
+         sixMonths.from.riskScore === 30 &&
+         sixMonths.scoreDelta === 22.5 &&
+         sixMonths.partial === true &&
+         sixMonths.snapshots.length === 4 &&
+         missing === null;
+}
+
+/**
+ * Test the scheduled function records snapshots from fresh data, and dashboard fetches don't
+ */
+async function testScheduledRecording() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(dashboard(47, 'HIGH')));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  process.env.DASHBOARD_API_URL = `http://127.0.0.1:${address.port}/dashboard/`;
+
+  try {
+    delete require.cache[require.resolve('../utils/api-client')];
+    delete require.cache[require.resolve('../netlify/functions/record-risk-history')];
+    const apiClient = require('../utils/api-client');
+    const recordRiskHistory = require('../netlify/functions/record-risk-history');
+
+    // User requests only fetch (and cache) the dashboard
+    await apiClient.fetchDashboardData();
+    const afterFetch = await riskHistory.getHistory('9481219');
+
+    // The scheduled run fetches again, bypassing the cache
+    const result = await recordRiskHistory.recordRiskHistory();
+    const afterRun = await riskHistory.getHistory('9481219');
+    apiClient.clearCache();
+
+    return requests === 2 &&
+           afterFetch.length === 0 &&
+           result.recorded === 1 &&
+           afterRun.length === 1 &&
+           afterRun[0]?.riskScore === 47 &&
+           afterRun[0]?.riskLevel === 'HIGH';
+  } finally {
+    delete process.env.DASHBOARD_API_URL;
+    server.close();
+  }
+}
+
+/**
+ * Read the chart parts of a workbook
+ * @param {any} buffer
+ */
+async function chartParts(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const read = (/** @type {string} */ name) => zip.file(name)?.async('string') || Promise.resolve('');
+  return {
+    chart: await read('xl/charts/chart1.xml'),
+    drawing: await read('xl/drawings/drawing1.xml'),
+    contentTypes: await read('[Content_Types].xml'),
+  };
+}
+
+/**
+ * Test the Excel report gets a Risk Trend sheet with a line chart
+ */
+async function testExcelTrendSheet() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  await riskHistory.recordSnapshots(dashboard(40, 'MEDIUM'), NOW - 20 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(null, 'MEDIUM'), NOW - 10 * DAY_MS);
+  await riskHistory.recordSnapshots(dashboard(48, 'HIGH'), NOW);
+  const snapshots = await riskHistory.getHistory('9481219');
+
+  const buffer = await generateExcel.generateExcelFile(sampleData.vessel, sampleData.recommendations, { riskHistory: snapshots });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet('Risk Trend');
+  const parts = await chartParts(buffer);
+  // Risk Trend is the last sheet
+  const sheetXml = await (await JSZip.loadAsync(buffer))
+    .file(`xl/worksheets/sheet${workbook.worksheets.length}.xml`)?.async('string') || '';
+
+  const plain = await generateExcel.generateExcelFile(sampleData.vessel, sampleData.recommendations);
+  const plainWorkbook = new ExcelJS.Workbook();
+  await plainWorkbook.xlsx.load(plain);
+
+  return !!sheet &&
+         sheet.getCell('A1').value === 'Date' &&
+         sheet.getCell('A2').value === '2025-09-25' &&
+         sheet.getCell('B2').value === 40 &&
+         sheet.getCell('B3').value === null &&
+         sheet.getCell('C4').value === 'HIGH' &&
+         parts.chart.includes('<c:lineChart>') &&
+         parts.chart.includes("<c:f>&apos;Risk Trend&apos;!$B$2:$B$4</c:f>") &&
+         parts.chart.includes('<c:pt idx="2"><c:v>48</c:v></c:pt>') &&
+         // Missing score left out of the value cache (a gap in the line)
+         !/<c:numCache>.*<c:pt idx="1">/.test(parts.chart) &&
+         parts.chart.includes('Risk Score – GCL YAMUNA') &&
+         parts.drawing.includes('r:id="rId1"') &&
+         parts.contentTypes.includes('/xl/charts/chart1.xml') &&
+         sheetXml.includes('<drawing r:id="rId1"/>') &&
+         !plainWorkbook.getWorksheet('Risk Trend') &&
+         !(await chartParts(plain)).chart;
+}
+
+/**
+ * Test the risk trend workbook
+ */
+async function testRiskTrendWorkbook() {
+  const snapshots = [
+    { date: '2025-09-01', recordedAt: 1, riskScore: 30, riskLevel: 'LOW', lastInspectionDate: null, lastInspectionPort: null },
+    { date: '2025-10-01', recordedAt: 2, riskScore: 35, riskLevel: 'MEDIUM', lastInspectionDate: '2025-09-20', lastInspectionPort: 'Brisbane' },
+  ];
+  const buffer = await generateExcel.generateRiskTrendExcelFile({ name: "GCL O'NEILL", imo: '9481207' }, snapshots);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const parts = await chartParts(buffer);
+  const sheet = workbook.getWorksheet('Risk Trend');
+
+  return workbook.worksheets.length === 1 &&
+         !!sheet && sheet.rowCount === 3 &&
+         sheet.getCell('D2').value === 'Never' &&
+         sheet.getCell('E3').value === 'Brisbane' &&
+         parts.chart.includes('Risk Score – GCL O&apos;NEILL') &&
+         parts.chart.includes('<c:pt idx="1"><c:v>2025-10-01</c:v></c:pt>');
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Risk History\n');
+  console.log('='.repeat(50));
+
+  await runTest('Snapshots recorded once per vessel per day', testRecordSnapshots);
+  await runTest('Trend deltas over a period', testRiskTrend);
+  await runTest('Scheduled run records snapshots, dashboard fetches don\'t', testScheduledRecording);
+  await runTest('Excel report Risk Trend sheet with line chart', testExcelTrendSheet);
+  await runTest('Risk trend workbook', testRiskTrendWorkbook);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
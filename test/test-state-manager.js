@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+
+/**
+ * Test State Manager Script
+ *
+ * Tests the state-manager module and its storage adapters:
+ * - Save / get / clear through the async API
+ * - Per-user conversation history
+ * - Expiry handling
+ * - Memory, file and Redis-protocol adapters (AUTH handshake, malformed replies)
+ * - Warning for features that need a shared store
+ *
+ * The Redis adapter is exercised against a tiny in-process server that
+ * speaks the subset of RESP used by the adapter (GET, SET PX, DEL, SCAN).
+ *
+ * Usage: node test/test-state-manager.js
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const stateManager = require('../utils/state-manager');
+const storageAdapters = require('../utils/storage-adapters');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Start a minimal Redis-protocol server backed by a Map
+ * With a password, commands are refused until AUTH succeeds; authDelayMs holds
+ * back the AUTH reply. GET of a key containing "malformed" answers with a reply
+ * type the protocol doesn't have.
+ * @param {{ password?: string, authDelayMs?: number }} [options]
+ * @returns {Promise<{ server: net.Server, port: number }>}
+ */
+function startFakeRedis(options = {}) {
+  /** @type {Map<string, {value: string, expiresAt: number}>} */
+  const data = new Map();
+
+  /**
+   * @param {string[]} args
+   */
+  function execute(args) {
+    const [cmd, key, value, , ttl] = args;
+    if (String(key).includes('malformed')) {
+      return '?malformed\r\n';
+    }
+    switch ((cmd || '').toUpperCase()) {
+      case 'SET': {
+        const existing = data.get(String(key));
+        if (String(args[5] || '').toUpperCase() === 'NX' && existing && Date.now() <= existing.expiresAt) {
+          return '$-1\r\n';
+        }
+        data.set(String(key), { value: String(value), expiresAt: Date.now() + Number(ttl || 60000) });
+        return '+OK\r\n';
+      }
+      case 'GET': {
+        const entry = data.get(String(key));
+        if (!entry || Date.now() > entry.expiresAt) {
+          return '$-1\r\n';
+        }
+        return `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n`;
+      }
+      case 'DEL':
+        return `:${data.delete(String(key)) ? 1 : 0}\r\n`;
+      case 'SCAN': {
+        const pattern = String(args[3] || '*').replace(/\*$/, '');
+        const keys = [...data.keys()].filter(k => k.startsWith(pattern));
+        return `*2\r\n$1\r\n0\r\n*${keys.length}\r\n` + keys.map(k => `$${Buffer.byteLength(k)}\r\n${k}\r\n`).join('');
+      }
+      default:
+        return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let authenticated = !options.password;
+    // Replies go out in command order, even while an AUTH reply is held back
+    let replies = Promise.resolve();
+
+    /**
+     * @param {string[]} args
+     * @returns {Promise<string>}
+     */
+    async function reply(args) {
+      if ((args[0] || '').toUpperCase() === 'AUTH') {
+        await new Promise(resolve => setTimeout(resolve, options.authDelayMs || 0));
+        authenticated = args[args.length - 1] === options.password;
+        return authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      }
+      return authenticated ? execute(args) : '-NOAUTH Authentication required.\r\n';
+    }
+
+    socket.on('data', (/** @type {Buffer} */ chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed = storageAdapters.parseRedisReply(buffer, 0);
+      while (parsed) {
+        buffer = buffer.subarray(parsed.offset);
+        const args = parsed.value;
+        const answer = reply(args);
+        replies = replies.then(() => answer).then(text => { socket.write(text); });
+        parsed = buffer.length > 0 ? storageAdapters.parseRedisReply(buffer, 0) : null;
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      resolve({ server, port: typeof address === 'object' && address ? address.port : 0 });
+    });
+  });
+}
+
+/**
+ * Exercise an adapter with the basic get/set/setIfAbsent/delete/count contract
+ * @param {import('../utils/storage-adapters').StorageAdapter} adapter
+ */
+async function checkAdapterContract(adapter) {
+  await adapter.set('state:1', { intent: 'recommendations' }, 60000);
+  await adapter.set('other:1', { foo: 'bar' }, 60000);
+  const value = await adapter.get('state:1');
+  if (!value || value.intent !== 'recommendations') return false;
+  if (await adapter.count('state:') !== 1) return false;
+  if (!(await adapter.delete('state:1'))) return false;
+  if (await adapter.get('state:1') !== null) return false;
+  await adapter.delete('other:1');
+
+  // setIfAbsent only succeeds once per live key
+  if (!(await adapter.setIfAbsent('once:1', true, 60000))) return false;
+  if (await adapter.setIfAbsent('once:1', true, 60000)) return false;
+  await adapter.delete('once:1');
+  return true;
+}
+
+/**
+ * Test save/get/clear through the state manager
+ */
+async function testSaveGetClear() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  const phone = 'whatsapp:+1 (234) 567-890';
+
+  const saved = await stateManager.saveState(phone, { intent: 'recommendations', vesselName: 'GCL YAMUNA' });
+  if (!saved) return false;
+
+  // Same number in a different format resolves to the same state
+  const state = await stateManager.getState('+1234567890');
+  if (!state || state.vesselName !== 'GCL YAMUNA' || !state.timestamp || !state.expiresAt) return false;
+
+  if (await stateManager.getActiveStateCount() !== 1) return false;
+  if (!(await stateManager.clearState(phone))) return false;
+  return (await stateManager.getState(phone)) === null;
+}
+
+/**
+ * Test invalid phone numbers
+ */
+async function testInvalidPhone() {
+  if (await stateManager.saveState('', { intent: 'x' })) return false;
+  if (await stateManager.getState('') !== null) return false;
+  return (await stateManager.clearState('')) === false;
+}
+
+/**
+ * Test conversation history keeps the last vessel and a bounded number of turns
+ */
+async function testConversationHistory() {
+  stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  const phone = '+1234567890';
+
+  await stateManager.recordTurn(phone, {
+    message: 'Risk score for GCL YAMUNA',
+    intent: 'risk_score',
+    vessel: { name: 'GCL YAMUNA', imo: '9481219' },
+  });
+  // A turn without a vessel keeps the previous one
+  await stateManager.recordTurn(phone, { message: 'and its recommendations?', intent: 'recommendations' });
+
+  const conversation = await stateManager.getConversation(phone);
+  if (!conversation || conversation.lastVessel?.name !== 'GCL YAMUNA') return false;
+  if (conversation.lastIntent !== 'recommendations' || conversation.turns.length !== 2) return false;
+
+  // History is independent of follow-up state
+  if (await stateManager.getState(phone) !== null) return false;
+
+  for (let i = 0; i < stateManager.MAX_HISTORY_TURNS + 2; i++) {
+    await stateManager.recordTurn(phone, { message: `message ${i}` });
+  }
+  const trimmed = await stateManager.getConversation(phone);
+  if (!trimmed || trimmed.turns.length !== stateManager.MAX_HISTORY_TURNS) return false;
+
+  await stateManager.clearConversation(phone);
+  return (await stateManager.getConversation(phone)) === null;
+}
+
+/**
+ * Test expired entries are not returned
+ */
+async function testExpiry() {
+  const adapter = storageAdapters.createMemoryAdapter();
+  await adapter.set('state:expired', { intent: 'x' }, -1);
+  if (await adapter.get('state:expired') !== null) return false;
+  await adapter.set('state:expired', { intent: 'x' }, -1);
+  return (await adapter.cleanup()) === 1;
+}
+
+/**
+ * Test memory adapter contract
+ */
+async function testMemoryAdapter() {
+  return checkAdapterContract(storageAdapters.createMemoryAdapter());
+}
+
+/**
+ * Test file adapter contract and sharing between adapter instances
+ */
+async function testFileAdapter() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-state-test-'));
+  try {
+    const adapter = storageAdapters.createFileAdapter({ dir });
+    if (!(await checkAdapterContract(adapter))) return false;
+
+    // A second instance (e.g. another function) sees the same state
+    await adapter.set('state:shared', { vesselName: 'GCL TAPI' }, 60000);
+    const other = storageAdapters.createFileAdapter({ dir });
+    const shared = await other.get('state:shared');
+    if (!shared || shared.vesselName !== 'GCL TAPI') return false;
+
+    // Expired entries can be claimed again
+    await adapter.set('once:expired', true, -1);
+    if (!(await other.setIfAbsent('once:expired', true, 60000))) return false;
+
+    await adapter.set('state:old', { intent: 'x' }, -1);
+    return (await other.cleanup()) === 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Redis-protocol adapter contract against the fake server
+ */
+async function testRedisAdapter() {
+  const { server, port } = await startFakeRedis();
+  const adapter = storageAdapters.createRedisAdapter({ url: `redis://127.0.0.1:${port}` });
+  try {
+    if (!(await checkAdapterContract(adapter))) return false;
+
+    // State manager works end to end on top of the Redis adapter
+    stateManager.setStorageAdapter(adapter);
+    await stateManager.saveState('+1234567890', { intent: 'recommendations', vesselName: 'GCL GANGA' });
+    const state = await stateManager.getState('+1234567890');
+    return state !== null && state.vesselName === 'GCL GANGA';
+  } finally {
+    adapter.close();
+    server.close();
+    stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+  }
+}
+
+/**
+ * Test commands issued during AUTH wait for the handshake
+ */
+async function testRedisHandshake() {
+  const { server, port } = await startFakeRedis({ password: 'secret', authDelayMs: 50 });
+  const adapter = storageAdapters.createRedisAdapter({ url: `redis://:secret@127.0.0.1:${port}` });
+  try {
+    const first = adapter.set('handshake', { ok: true }, 60000);
+    // Connected, AUTH still in flight
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const [, value] = await Promise.all([first, adapter.get('handshake')]);
+    return value !== null && value.ok === true;
+  } finally {
+    adapter.close();
+    server.close();
+  }
+}
+
+/**
+ * Test an unparseable reply fails the command instead of crashing, and the adapter recovers
+ */
+async function testRedisMalformedReply() {
+  const { server, port } = await startFakeRedis();
+  const adapter = storageAdapters.createRedisAdapter({ url: `redis://127.0.0.1:${port}` });
+  try {
+    await adapter.set('healthy', 1, 60000);
+    const failed = await adapter.get('malformed').then(() => false, () => true);
+    const recovered = await adapter.get('healthy');
+    return failed && recovered === 1;
+  } finally {
+    adapter.close();
+    server.close();
+  }
+}
+
+/**
+ * Test adapter validation
+ */
+async function testInvalidAdapter() {
+  try {
+    stateManager.setStorageAdapter(/** @type {any} */ ({}));
+    return false;
+  } catch (_err) {
+    return true;
+  }
+}
+
+/**
+ * Test features needing a shared store warn on the memory adapter only
+ */
+async function testMemoryStoreWarning() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pscbot-state-warning-'));
+  try {
+    stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+    const onMemory = stateManager.warnIfMemoryStore('Test feature');
+    stateManager.setStorageAdapter(storageAdapters.createFileAdapter({ dir }));
+    const onFile = stateManager.warnIfMemoryStore('Test feature');
+    return onMemory && !onFile;
+  } finally {
+    stateManager.setStorageAdapter(storageAdapters.createMemoryAdapter());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing State Manager Module\n');
+  console.log('='.repeat(50));
+
+  await runTest('Save, get and clear state', testSaveGetClear);
+  await runTest('Invalid phone number handling', testInvalidPhone);
+  await runTest('Conversation history', testConversationHistory);
+  await runTest('Expired state handling', testExpiry);
+  await runTest('Memory adapter', testMemoryAdapter);
+  await runTest('File adapter', testFileAdapter);
+  await runTest('Redis-protocol adapter', testRedisAdapter);
+  await runTest('Redis handshake before commands', testRedisHandshake);
+  await runTest('Malformed Redis reply', testRedisMalformedReply);
+  await runTest('Invalid adapter rejected', testInvalidAdapter);
+  await runTest('Memory store warning', testMemoryStoreWarning);
+
+  stateManager.stopAutoCleanup();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
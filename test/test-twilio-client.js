@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Test Twilio Client Script
+ *
+ * Tests outbound WhatsApp messages:
+ * - Message fields and Basic auth
+ * - Media attachments (MediaUrl)
+ * - Splitting long bodies into numbered parts on paragraph boundaries
+ * - Multi-part sends with SIDs and status callbacks
+ * - Retries for 429/5xx, no retries for other client errors
+ * - No retries after timeouts or dropped connections; sends bounded by their time budget
+ * - API errors and missing configuration reported to the caller
+ *
+ * Messages are sent to a tiny in-process server standing in for the Twilio
+ * REST API (TWILIO_API_BASE_URL).
+ *
+ * Usage: node test/test-twilio-client.js
+ */
+
+const http = require('http');
+const twilioClient = require('../utils/twilio-client');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Async test function that returns true on success
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * @typedef {Object} FakeTwilio
+ * @property {http.Server} server
+ * @property {number} port
+ * @property {{path: string, auth: string, params: URLSearchParams}[]} requests - Received messages
+ * @property {Array<number|'reset'|'hang'>} statuses - Status codes to answer with, in order (201 once
+ *   exhausted); 'reset' drops the connection, 'hang' never answers
+ */
+
+/**
+ * Start a minimal stand-in for the Twilio Messages API
+ * @returns {Promise<FakeTwilio>}
+ */
+function startFakeTwilio() {
+  /** @type {FakeTwilio} */
+  const fake = /** @type {any} */ ({ requests: [], statuses: [] });
+
+  fake.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (/** @type {Buffer} */ chunk) => { body += chunk.toString(); });
+    req.on('end', () => {
+      fake.requests.push({ path: req.url || '', auth: String(req.headers.authorization || ''), params: new URLSearchParams(body) });
+      const status = fake.statuses.shift() || 201;
+      if (status === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      if (status === 'hang') {
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status < 300
+        ? { sid: `SM${fake.requests.length}`, status: 'queued' }
+        : { code: 20001, message: 'Error' }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    fake.server.listen(0, '127.0.0.1', () => {
+      const address = fake.server.address();
+      fake.port = typeof address === 'object' && address ? address.port : 0;
+      process.env.TWILIO_API_BASE_URL = `http://127.0.0.1:${fake.port}`;
+      resolve(fake);
+    });
+  });
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testSendMessage(fake) {
+  const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello');
+  const request = fake.requests[fake.requests.length - 1];
+  return result.ok &&
+         result.sid === `SM${fake.requests.length}` &&
+         request?.path === '/2010-04-01/Accounts/ACtest/Messages.json' &&
+         request.auth === `Basic ${Buffer.from('ACtest:test-token').toString('base64')}` &&
+         request.params.get('From') === 'whatsapp:+14155238886' &&
+         request.params.get('To') === 'whatsapp:+1234567890' &&
+         request.params.get('Body') === 'Hello' &&
+         !request.params.has('MediaUrl');
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testMediaMessage(fake) {
+  const mediaUrl = 'https://example.netlify.app/.netlify/functions/download-excel?token=abc.def';
+  const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', '📊 Report', { mediaUrl });
+  const request = fake.requests[fake.requests.length - 1];
+  return result.ok && request?.params.get('MediaUrl') === mediaUrl;
+}
+
+/**
+ * Build a report of numbered paragraphs
+ * @param {number} count
+ */
+function longReport(count) {
+  return Array.from({ length: count }, (_, i) => `Paragraph ${i + 1}\n${'• Check item '.repeat(20).trim()}`).join('\n\n');
+}
+
+/**
+ * Test long bodies are split on paragraph boundaries and numbered
+ */
+async function testSplitMessage() {
+  const short = twilioClient.splitMessage('Short message');
+  const text = longReport(20);
+  const parts = twilioClient.splitMessage(text);
+  const rejoined = parts.map(part => part.replace(/^\d+\/\d+\n/, '')).join('\n\n');
+  const hugeWord = twilioClient.splitMessage('x'.repeat(5000));
+
+  return short.length === 1 && short[0] === 'Short message' &&
+         parts.length > 1 &&
+         parts.every((part, i) => part.length <= twilioClient.MAX_BODY_LENGTH && part.startsWith(`${i + 1}/${parts.length}\n`)) &&
+         parts.every(part => /\nParagraph \d+\n/.test(part) && !/\n\n$/.test(part)) &&
+         rejoined === text &&
+         hugeWord.length === 4 && hugeWord.every(part => part.length <= twilioClient.MAX_BODY_LENGTH);
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testMultiPartSend(fake) {
+  const before = fake.requests.length;
+  const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', longReport(20), {
+    mediaUrl: 'https://example.netlify.app/report.xlsx',
+    statusCallback: 'https://example.netlify.app/.netlify/functions/message-status?requestId=r1',
+  });
+  const sent = fake.requests.slice(before);
+  return result.ok &&
+         result.parts === sent.length && sent.length > 1 &&
+         result.sids.length === sent.length &&
+         result.sid === result.sids[0] &&
+         sent.every((req, i) => (req.params.get('Body') || '').startsWith(`${i + 1}/${sent.length}\n`)) &&
+         sent.every(req => (req.params.get('StatusCallback') || '').endsWith('requestId=r1')) &&
+         sent[0]?.params.has('MediaUrl') === true &&
+         sent.slice(1).every(req => !req.params.has('MediaUrl'));
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testRetries(fake) {
+  const before = fake.requests.length;
+  fake.statuses.push(429, 503);
+  const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { retryDelayMs: 1 });
+  return result.ok && fake.requests.length - before === 3;
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testApiError(fake) {
+  const before = fake.requests.length;
+  fake.statuses.push(400);
+  const clientError = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { retryDelayMs: 1 });
+  const clientRequests = fake.requests.length - before;
+
+  fake.statuses.push(500, 500);
+  const serverError = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { maxRetries: 1, retryDelayMs: 1 });
+
+  return !clientError.ok && clientError.sid === null && (clientError.error || '').includes('400') &&
+         clientRequests === 1 &&
+         !serverError.ok && (serverError.error || '').includes('500');
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testAmbiguousFailures(fake) {
+  // Twilio may have accepted these, so a retry could deliver the message twice
+  let before = fake.requests.length;
+  fake.statuses.push('reset');
+  const reset = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { retryDelayMs: 1 });
+  const resetRequests = fake.requests.length - before;
+
+  before = fake.requests.length;
+  fake.statuses.push('hang');
+  const started = Date.now();
+  const timedOut = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { retryDelayMs: 1, timeoutMs: 300 });
+  const elapsedMs = Date.now() - started;
+  const timeoutRequests = fake.requests.length - before;
+
+  return !reset.ok && resetRequests === 1 &&
+         !timedOut.ok && timeoutRequests === 1 && elapsedMs < 2000;
+}
+
+/**
+ * @param {FakeTwilio} fake
+ */
+async function testTimeBudget(fake) {
+  // The backoff would run past the budget, so the send gives up instead
+  const before = fake.requests.length;
+  fake.statuses.push(503, 503);
+  const started = Date.now();
+  const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello', { retryDelayMs: 1000, timeoutMs: 500 });
+  const elapsedMs = Date.now() - started;
+  fake.statuses.length = 0;
+  return !result.ok && (result.error || '').includes('503') &&
+         fake.requests.length - before === 1 && elapsedMs < 1000;
+}
+
+/**
+ * Test missing configuration is reported instead of thrown
+ */
+async function testMissingConfig() {
+  const from = process.env.TWILIO_WHATSAPP_FROM;
+  delete process.env.TWILIO_WHATSAPP_FROM;
+  try {
+    const result = await twilioClient.sendWhatsAppMessage('whatsapp:+1234567890', 'Hello');
+    return !result.ok && result.sid === null;
+  } finally {
+    process.env.TWILIO_WHATSAPP_FROM = from;
+  }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+  console.log('\n🧪 Testing Twilio Client\n');
+  console.log('='.repeat(50));
+
+  process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+  process.env.TWILIO_AUTH_TOKEN = 'test-token';
+  process.env.TWILIO_WHATSAPP_FROM = 'whatsapp:+14155238886';
+  const fake = await startFakeTwilio();
+
+  await runTest('Send message', () => testSendMessage(fake));
+  await runTest('Media attachment', () => testMediaMessage(fake));
+  await runTest('Long messages split into numbered parts', testSplitMessage);
+  await runTest('Multi-part send with SIDs and status callback', () => testMultiPartSend(fake));
+  await runTest('429/5xx retried', () => testRetries(fake));
+  await runTest('API errors reported', () => testApiError(fake));
+  await runTest('Timeouts and dropped connections not retried', () => testAmbiguousFailures(fake));
+  await runTest('Retries stop at the time budget', () => testTimeBudget(fake));
+  await runTest('Missing configuration reported', testMissingConfig);
+
+  fake.server.closeAllConnections();
+  fake.server.close();
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Test Twilio Signature Script
+ *
+ * Tests X-Twilio-Signature validation:
+ * - Signature computation against Twilio's documented example
+ * - Default port variants
+ * - Tampered parameters and wrong tokens
+ * - Webhook URL reconstruction from Netlify events
+ * - Explicit opt-out for local development
+ *
+ * Usage: node test/test-twilio-signature.js
+ */
+
+const twilioSignature = require('../utils/twilio-signature');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+// Example from https://www.twilio.com/docs/usage/security#validating-requests
+const AUTH_TOKEN = '12345';
+const URL = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+const PARAMS = {
+  CallSid: 'CA1234567890ABCDE',
+  Caller: '+12349013030',
+  Digits: '1234',
+  From: '+12349013030',
+  To: '+18005551212',
+};
+const EXPECTED_SIGNATURE = '0/KCTR6DLpKmkAf8muzZqo1nDgQ=';
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build a Netlify-style event signed with the given token
+ * @param {string} token
+ * @param {Record<string, string>} params
+ */
+function signedEvent(token, params) {
+  const body = new URLSearchParams(params).toString();
+  return {
+    httpMethod: 'POST',
+    rawUrl: 'https://pscbot.netlify.app/.netlify/functions/whatsapp-webhook',
+    body,
+    headers: {
+      'X-Twilio-Signature': twilioSignature.computeSignature(
+        token,
+        'https://pscbot.netlify.app/.netlify/functions/whatsapp-webhook',
+        params
+      ),
+    },
+  };
+}
+
+/**
+ * Test signature computation matches Twilio's documented example
+ */
+function testComputeSignature() {
+  return twilioSignature.computeSignature(AUTH_TOKEN, URL, PARAMS) === EXPECTED_SIGNATURE &&
+         twilioSignature.computeSignature(AUTH_TOKEN, URL, new URLSearchParams(PARAMS)) === EXPECTED_SIGNATURE;
+}
+
+/**
+ * Test valid signatures, including the URL with an explicit default port
+ */
+function testValidSignature() {
+  return twilioSignature.validateSignature(AUTH_TOKEN, EXPECTED_SIGNATURE, URL, PARAMS) &&
+         twilioSignature.validateSignature(AUTH_TOKEN, EXPECTED_SIGNATURE, 'https://mycompany.com:443/myapp.php?foo=1&bar=2', PARAMS);
+}
+
+/**
+ * Test tampered requests are rejected
+ */
+function testInvalidSignature() {
+  const tampered = { ...PARAMS, From: '+19999999999' };
+  return !twilioSignature.validateSignature(AUTH_TOKEN, EXPECTED_SIGNATURE, URL, tampered) &&
+         !twilioSignature.validateSignature('wrong-token', EXPECTED_SIGNATURE, URL, PARAMS) &&
+         !twilioSignature.validateSignature(AUTH_TOKEN, EXPECTED_SIGNATURE, 'https://evil.example.com/myapp.php?foo=1&bar=2', PARAMS) &&
+         !twilioSignature.validateSignature(AUTH_TOKEN, '', URL, PARAMS);
+}
+
+/**
+ * Test full event validation
+ */
+function testValidateEvent() {
+  const params = { Body: 'Risk score for GCL YAMUNA', From: 'whatsapp:+1234567890' };
+  const event = signedEvent('secret', params);
+  const valid = twilioSignature.validateTwilioRequest(event, new URLSearchParams(event.body), 'secret');
+
+  const forged = signedEvent('not-the-token', params);
+  const invalid = twilioSignature.validateTwilioRequest(forged, new URLSearchParams(forged.body), 'secret');
+
+  const unsigned = { ...event, headers: {} };
+  const missing = twilioSignature.validateTwilioRequest(unsigned, new URLSearchParams(event.body), 'secret');
+
+  return valid.valid && !valid.skipped &&
+         !invalid.valid && invalid.reason === 'signature mismatch' &&
+         !missing.valid && missing.reason === 'missing signature header';
+}
+
+/**
+ * Test webhook URL reconstruction
+ */
+function testWebhookUrl() {
+  const fromHeaders = twilioSignature.getWebhookUrl({
+    path: '/.netlify/functions/whatsapp-webhook',
+    headers: { host: 'pscbot.netlify.app', 'x-forwarded-proto': 'https' },
+  });
+
+  process.env.TWILIO_WEBHOOK_URL = 'https://bot.example.com/api/whatsapp-webhook';
+  const overridden = twilioSignature.getWebhookUrl({ rawUrl: 'https://pscbot.netlify.app/x' });
+  delete process.env.TWILIO_WEBHOOK_URL;
+
+  return fromHeaders === 'https://pscbot.netlify.app/.netlify/functions/whatsapp-webhook' &&
+         overridden === 'https://bot.example.com/api/whatsapp-webhook';
+}
+
+/**
+ * Test the explicit opt-out
+ */
+function testOptOut() {
+  const event = { headers: {}, rawUrl: 'http://localhost:8888/.netlify/functions/whatsapp-webhook' };
+  const before = twilioSignature.validateTwilioRequest(event, new URLSearchParams(), 'secret');
+
+  process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+  const skipped = twilioSignature.validateTwilioRequest(event, new URLSearchParams(), 'secret');
+  delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+
+  return !before.valid && skipped.valid && skipped.skipped;
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Twilio Signature Validation\n');
+  console.log('='.repeat(50));
+
+  runTest('Signature computation', testComputeSignature);
+  runTest('Valid signatures accepted', testValidSignature);
+  runTest('Invalid signatures rejected', testInvalidSignature);
+  runTest('Netlify event validation', testValidateEvent);
+  runTest('Webhook URL reconstruction', testWebhookUrl);
+  runTest('Local development opt-out', testOptOut);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
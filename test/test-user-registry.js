@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Test User Registry Script
+ *
+ * Tests the user-registry module:
+ * - Phone number normalization
+ * - Vessel scope from IMOs, fleets and "*"
+ * - Dashboard filtering
+ * - Report email lookup
+ * - Unknown numbers
+ *
+ * Usage: node test/test-user-registry.js
+ */
+
+const userRegistry = require('../utils/user-registry');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const REGISTRY = {
+  fleets: {
+    GCL: ['9481219', '9481659'],
+  },
+  users: [
+    {
+      phone: '+1 (234) 567-890',
+      email: 'manager@example.com',
+      company: 'Example Shipping',
+      role: 'fleet_manager',
+      imos: ['9481697'],
+      fleets: ['gcl'],
+    },
+    {
+      phone: '+44 7700 900123',
+      company: 'Example Shipping',
+      role: 'admin',
+      fleets: ['*'],
+    },
+  ],
+};
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Test lookups ignore phone formatting
+ */
+function testGetUser() {
+  const user = userRegistry.getUser('whatsapp:+1234567890');
+  return user !== null &&
+         user.company === 'Example Shipping' &&
+         user.role === 'fleet_manager' &&
+         userRegistry.getUser('+1 234 567 890')?.phone === '1234567890';
+}
+
+/**
+ * Test unknown numbers are not registered
+ */
+function testUnknownUser() {
+  return userRegistry.getUser('whatsapp:+15550009999') === null &&
+         userRegistry.getUser('') === null &&
+         !userRegistry.canAccessVessel(null, '9481219');
+}
+
+/**
+ * Test scope combines IMOs and fleets
+ */
+function testVesselScope() {
+  const user = userRegistry.getUser('+1234567890');
+  return userRegistry.canAccessVessel(user, '9481219') &&
+         userRegistry.canAccessVessel(user, 9481659) &&
+         userRegistry.canAccessVessel(user, '9481697') &&
+         !userRegistry.canAccessVessel(user, '9481661') &&
+         !userRegistry.canAccessVessel(user, null);
+}
+
+/**
+ * Test "*" grants every vessel
+ */
+function testAllVessels() {
+  const admin = userRegistry.getUser('whatsapp:+447700900123');
+  return admin !== null &&
+         admin.allVessels &&
+         userRegistry.canAccessVessel(admin, '9481661') &&
+         userRegistry.canAccessVessel(admin, null);
+}
+
+/**
+ * Test dashboard filtering
+ */
+function testFilterVessels() {
+  const user = userRegistry.getUser('+1234567890');
+  const vessels = [
+    { name: 'GCL YAMUNA', imo: '9481219' },
+    { name: 'GCL SABARMATI', imo: '9481661' },
+    { name: 'GCL GANGA', imoNumber: 9481697 },
+  ];
+  const filtered = userRegistry.filterVesselsForUser(user, vessels);
+  return filtered.length === 2 &&
+         filtered.every(v => v.name !== 'GCL SABARMATI') &&
+         userRegistry.filterVesselsForUser(null, vessels).length === 0;
+}
+
+/**
+ * Test report email lookup with env fallback
+ */
+function testEmailForPhone() {
+  const previous = process.env.DEFAULT_RECIPIENT_EMAIL;
+  process.env.DEFAULT_RECIPIENT_EMAIL = 'fallback@example.com';
+  const registered = userRegistry.getEmailForPhone('+1234567890');
+  const fallback = userRegistry.getEmailForPhone('+447700900123');
+  if (previous === undefined) {
+    delete process.env.DEFAULT_RECIPIENT_EMAIL;
+  } else {
+    process.env.DEFAULT_RECIPIENT_EMAIL = previous;
+  }
+  return registered === 'manager@example.com' && fallback === 'fallback@example.com';
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing User Registry Module\n');
+  console.log('='.repeat(50));
+
+  process.env.USER_REGISTRY_JSON = JSON.stringify(REGISTRY);
+  userRegistry.clearCache();
+
+  runTest('Lookup by phone number', testGetUser);
+  runTest('Unknown numbers', testUnknownUser);
+  runTest('Vessel scope from IMOs and fleets', testVesselScope);
+  runTest('Access to all vessels', testAllVessels);
+  runTest('Dashboard filtering', testFilterVessels);
+  runTest('Report email lookup', testEmailForPhone);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  // Exit with appropriate code
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -8,10 +8,16 @@
  * - Partial matches
  * - Case insensitivity
  * - IMO number lookups
+ * - Ranked candidates and ambiguity detection
+ * - IMO validation of mapping rows
+ * - Aliases, former names, call signs and MMSIs
+ * - Short names of the GCL fleet in the bundled CSV and JSON mappings
  * 
  * Usage: node test/test-vessel-lookup.js
  */
 
+const fs = require('fs');
+const path = require('path');
 const vesselLookup = require('../utils/vessel-lookup');
 
 // Color codes for terminal output
@@ -78,7 +84,6 @@ function testCaseInsensitivity() {
 function testPartialMatches() {
   const testCases = [
     { input: 'YAMUNA', expected: 'GCL YAMUNA' },
-    { input: 'GCL', expected: 'GCL YAMUNA' }, // Should match first vessel starting with GCL
     { input: 'TAPI', expected: 'GCL TAPI' },
     { input: 'GANGA', expected: 'GCL GANGA' },
   ];
@@ -90,6 +95,14 @@ function testPartialMatches() {
       return false;
     }
   }
+
+  // "GCL" matches every GCL vessel about equally well, so the user is asked to pick
+  const gcl = vesselLookup.findVesselCandidates('GCL', { limit: Infinity });
+  if (!vesselLookup.isAmbiguous(gcl) || !gcl.some(candidate => candidate.name === 'GCL YAMUNA') ||
+      !gcl.slice(0, vesselLookup.DEFAULT_CANDIDATE_LIMIT).every(candidate => candidate.name.startsWith('GCL '))) {
+    console.log(`  Partial match failed: "GCL" should be ambiguous between GCL vessels, got ${gcl.slice(0, 3).map(c => c.name).join(', ')}`);
+    return false;
+  }
   return true;
 }
 
@@ -155,6 +168,191 @@ function testCache() {
          result1.imo === result2.imo;
 }
 
+/**
+ * Test ranked candidates for a name shared by several vessels
+ */
+function testRankedCandidates() {
+  const candidates = vesselLookup.findVesselCandidates('AMIS');
+  if (candidates.length !== vesselLookup.DEFAULT_CANDIDATE_LIMIT) return false;
+  if (!candidates.every(candidate => candidate.name.startsWith('AMIS') && candidate.score > 0 && candidate.score < 1)) return false;
+
+  // Best match first; the shortest name covers most of the search
+  const scores = candidates.map(candidate => candidate.score);
+  if (scores.some((score, i) => i > 0 && score > (scores[i - 1] ?? 1))) return false;
+  if (candidates[0]?.name !== 'AMIS ACE') return false;
+
+  // No limit returns every AMIS vessel, ahead of misspellings such as AMNS
+  const all = vesselLookup.findVesselCandidates('AMIS', { limit: Infinity });
+  return all.slice(0, 16).every(candidate => candidate.name.startsWith('AMIS ')) &&
+         all.slice(16).every(candidate => !candidate.name.startsWith('AMIS '));
+}
+
+/**
+ * Test exact and fuzzy candidate scores
+ */
+function testCandidateScores() {
+  const exact = vesselLookup.findVesselCandidates('amis wisdom i');
+  if (exact[0]?.name !== 'AMIS WISDOM I' || exact[0].score !== 1) return false;
+
+  // One typo still finds the vessel
+  const typo = vesselLookup.findVesselCandidates('GCL YAMNA');
+  if (typo[0]?.name !== 'GCL YAMUNA' || typo.length !== 1 || typo[0].score < 0.8) return false;
+
+  return vesselLookup.findVesselCandidates('NONEXISTENT VESSEL').length === 0 &&
+         vesselLookup.findVesselCandidates('').length === 0;
+}
+
+/**
+ * Test ambiguity detection
+ */
+function testAmbiguity() {
+  // Many vessels match about as well
+  if (!vesselLookup.isAmbiguous(vesselLookup.findVesselCandidates('AMIS'))) return false;
+  if (!vesselLookup.isAmbiguous(vesselLookup.findVesselCandidates('AMIS WISDOM'))) return false;
+
+  // An exact name wins even when similar names exist
+  if (vesselLookup.isAmbiguous(vesselLookup.findVesselCandidates('AMIS WISDOM I'))) return false;
+
+  // A single match, or a clear winner, is not ambiguous
+  if (vesselLookup.isAmbiguous(vesselLookup.findVesselCandidates('GCL YAMNA'))) return false;
+  if (vesselLookup.isAmbiguous([{ name: 'A', imo: '1', score: 0.9 }, { name: 'B', imo: '2', score: 0.6 }])) return false;
+  return !vesselLookup.isAmbiguous([]);
+}
+
+/**
+ * Test IMO validation of mapping rows
+ */
+function testMappingValidation() {
+  const csv = [
+    '\uFEFF# Vessel Name to IMO Mapping',
+    'vessel_name,imo',
+    'GCL YAMUNA,9481219',
+    '',
+    'BAD CHECK DIGIT,9481218',
+    'SHORT IMO,948121',
+    'NO IMO',
+    ',9481659',
+    'GCL YAMUNA AGAIN,9481219',
+    'GCL TAPI,9481659\r',
+  ].join('\n');
+
+  const { vessels, errors } = vesselLookup.parseVesselMappingsCsv(csv);
+  if (vessels.map(v => `${v.name}:${v.imo}`).join('|') !== 'GCL YAMUNA:9481219|GCL TAPI:9481659') return false;
+
+  // Every bad row is reported with its line number
+  const reported = errors.map(e => `${e.line}:${e.reason}`);
+  const expected = [
+    /^5:.*check digit/,
+    /^6:.*7 digits/,
+    /^7:missing IMO$/,
+    /^8:missing vessel name$/,
+    /^9:IMO already listed for GCL YAMUNA$/,
+  ];
+  if (reported.length !== expected.length || !expected.every((pattern, i) => pattern.test(reported[i] || ''))) return false;
+
+  // The bundled mappings are clean, and wrong check digits never match
+  const bundled = vesselLookup.parseVesselMappingsCsv(
+    require('fs').readFileSync(require('path').join(__dirname, '..', 'data', 'vessel-mappings.csv'), 'utf8')
+  );
+  return bundled.errors.length === 0 &&
+         bundled.vessels.length === vesselLookup.loadVesselMappings().length &&
+         vesselLookup.getVesselByIMO('9481218') === null &&
+         vesselLookup.getVesselByIMO('IMO 9481219')?.name === 'GCL YAMUNA';
+}
+
+/**
+ * Test aliases, former names, call signs and MMSIs
+ */
+function testVesselDetails() {
+  const csv = [
+    'vessel_name,imo,aliases,former_names,call_sign,mmsi',
+    'GCL YAMUNA,9481219,YAMUNA,STAR YAMUNA (until 2021-06-30),9V 1234,563012345',
+    'GCL TAPI,9481659,"TAPI|THE TAPI","OCEAN TAPI (2010-01-01 to 2015-05-31)|RIVER TAPI",,',
+    'GCL GANGA,9481697,,OLD GANGA (until 2021-02-30)|BAD (since then),TOO-LONG-SIGN,12345',
+    'GCL SABARMATI,9481661',
+  ].join('\n');
+
+  const { vessels, errors } = vesselLookup.parseVesselMappingsCsv(csv);
+  const [yamuna, tapi, ganga, sabarmati] = vessels;
+  if (vessels.length !== 4 ||
+      yamuna?.callSign !== '9V1234' || yamuna.mmsi !== '563012345' ||
+      JSON.stringify(yamuna.formerNames) !== JSON.stringify([{ name: 'STAR YAMUNA', from: null, until: '2021-06-30' }]) ||
+      tapi?.aliases?.join('|') !== 'TAPI|THE TAPI' ||
+      JSON.stringify(tapi.formerNames?.[0]) !== JSON.stringify({ name: 'OCEAN TAPI', from: '2010-01-01', until: '2015-05-31' }) ||
+      tapi.formerNames?.[1]?.name !== 'RIVER TAPI' ||
+      !ganga || ganga.formerNames !== undefined || ganga.callSign !== undefined || ganga.mmsi !== undefined ||
+      JSON.stringify(sabarmati) !== JSON.stringify({ name: 'GCL SABARMATI', imo: '9481661' })) return false;
+
+  // Unusable values are reported, but the row is kept
+  const reported = errors.map(e => `${e.line}:${e.skipped}:${e.reason}`);
+  const expected = [
+    /^4:false:unreadable former name "OLD GANGA/,
+    /^4:false:unreadable former name "BAD/,
+    /^4:false:invalid call sign/,
+    /^4:false:invalid MMSI/,
+  ];
+  if (reported.length !== expected.length || !expected.every((pattern, i) => pattern.test(reported[i] || ''))) return false;
+
+  // Lookups match every kind of name
+  const original = process.env.VESSEL_MAPPINGS_JSON;
+  process.env.VESSEL_MAPPINGS_JSON = JSON.stringify([
+    { name: 'GCL YAMUNA', imo: '9481219', aliases: ['YAMUNA'], former_names: ['STAR YAMUNA (until 2021-06-30)'], call_sign: '9V1234', mmsi: '563012345' },
+    { name: 'GCL TAPI', imo: '9481659', aliases: 'TAPI|THE TAPI', formerNames: [{ name: 'OCEAN TAPI', from: '2010-01-01', until: '2015-05-31' }] },
+  ]);
+  vesselLookup.clearCache();
+  try {
+    /** @param {string} query */
+    const best = query => vesselLookup.findVesselCandidates(query, { limit: 1 })[0];
+    const former = best('star yamuna');
+    return best('Yamuna')?.matchedBy === 'alias' &&
+           former?.name === 'GCL YAMUNA' && former.matchedBy === 'former_name' && former.matchedName === 'STAR YAMUNA' &&
+           former.score < 1 && !vesselLookup.isAmbiguous(vesselLookup.findVesselCandidates('star yamuna')) &&
+           best('9v 1234')?.matchedBy === 'call_sign' && best('9v 1234')?.score === 1 &&
+           vesselLookup.getVesselByName('ocean tapi')?.name === 'GCL TAPI' &&
+           vesselLookup.getVesselByName('GCL TAPI')?.name === 'GCL TAPI' &&
+           vesselLookup.getVesselByMMSI('563012345')?.imo === '9481219' &&
+           vesselLookup.getVesselByMMSI('9481219') === null &&
+           vesselLookup.getFormerName('9481659', 'Ocean Tapi')?.until === '2015-05-31';
+  } finally {
+    if (original === undefined) {
+      delete process.env.VESSEL_MAPPINGS_JSON;
+    } else {
+      process.env.VESSEL_MAPPINGS_JSON = original;
+    }
+    vesselLookup.clearCache();
+  }
+}
+
+/**
+ * Test the bundled mappings carry the GCL fleet's short names, in CSV and JSON alike
+ */
+function testBundledAliases() {
+  const csvText = fs.readFileSync(path.join(__dirname, '..', 'data', 'vessel-mappings.csv'), 'utf8');
+  const { vessels, errors } = vesselLookup.parseVesselMappingsCsv(csvText);
+  /** @type {Array<{name: string, aliases?: string[]}>} */
+  const json = require('../data/vessel-mappings.json');
+  /** @param {Array<{name: string, aliases?: string[]}>} list */
+  const aliasesOf = list => list
+    .filter(vessel => vessel.aliases)
+    .map(vessel => `${vessel.name}=${(vessel.aliases || []).join('|')}`)
+    .sort()
+    .join(',');
+
+  vesselLookup.clearCache();
+  /** @param {string} query */
+  const best = query => vesselLookup.findVesselCandidates(query, { limit: 1 })[0];
+  const yamuna = best('Yamuna');
+  const tapi = best('tapi');
+
+  return errors.length === 0 &&
+         vessels.length === json.length &&
+         aliasesOf(vessels) === 'GCL GANGA=GANGA,GCL NARMADA=NARMADA,GCL SABARMATI=SABARMATI,GCL TAPI=TAPI,GCL YAMUNA=YAMUNA' &&
+         aliasesOf(json) === aliasesOf(vessels) &&
+         yamuna?.name === 'GCL YAMUNA' && yamuna.matchedBy === 'alias' && yamuna.score === 0.99 &&
+         tapi?.name === 'GCL TAPI' && tapi.matchedBy === 'alias' &&
+         vesselLookup.getVesselByName('YAMUNA')?.imo === '9481219';
+}
+
 /**
  * Main test runner
  */
@@ -169,6 +367,12 @@ function main() {
   runTest('IMO number lookup', testIMOLookup);
   runTest('Invalid inputs handling', testInvalidInputs);
   runTest('Cache functionality', testCache);
+  runTest('Ranked candidates', testRankedCandidates);
+  runTest('Candidate scores', testCandidateScores);
+  runTest('Ambiguity detection', testAmbiguity);
+  runTest('Mapping row validation', testMappingValidation);
+  runTest('Aliases, former names, call signs and MMSIs', testVesselDetails);
+  runTest('Bundled GCL short names', testBundledAliases);
   
   // Print summary
   console.log('\n' + '='.repeat(50));
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Test Vessel Search Index
+ *
+ * Tests the vessel-search module:
+ * - Name normalisation (MV/MT prefixes, punctuation, hyphens)
+ * - Phonetic keys
+ * - Word order, spacing and typo variants
+ * - Sound-alike words ranked below real word matches
+ * - Search speed over the bundled mappings
+ *
+ * Usage: node test/test-vessel-search.js
+ */
+
+const vesselSearch = require('../utils/vessel-search');
+const vesselLookup = require('../utils/vessel-lookup');
+
+// Color codes for terminal output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run a test and report results
+ * @param {string} testName - Name of the test
+ * @param {Function} testFn - Test function that returns true on success
+ */
+function runTest(testName, testFn) {
+  try {
+    const result = testFn();
+    if (result) {
+      console.log(`${GREEN}✓${RESET} ${testName}`);
+      testsPassed++;
+    } else {
+      console.log(`${RED}✗${RESET} ${testName}`);
+      testsFailed++;
+    }
+  } catch (error) {
+    console.log(`${RED}✗${RESET} ${testName} - Error: ${error instanceof Error ? error.message : String(error)}`);
+    testsFailed++;
+  }
+}
+
+const VESSELS = [
+  { name: 'GCL YAMUNA', imo: '9481219' },
+  { name: 'GCL TAPI', imo: '9481659' },
+  { name: 'GCL GANGA', imo: '9481697' },
+  { name: 'GCL SABARMATI', imo: '9481661' },
+  { name: 'ST. JOHN\'S PRIDE', imo: '9000001' },
+];
+
+const index = vesselSearch.buildSearchIndex(VESSELS);
+
+/**
+ * Best match for a query against the small test index
+ * @param {string} query
+ */
+function best(query) {
+  return vesselSearch.searchVessels(index, query, { limit: 1 })[0] || null;
+}
+
+/**
+ * Test name normalisation
+ */
+function testNormalization() {
+  const cases = {
+    'M.V. Gcl Yamuna': 'GCL YAMUNA',
+    'MV GCL YAMUNA': 'GCL YAMUNA',
+    'm/t gcl-yamuna': 'GCL YAMUNA',
+    'MT. GCL_YAMUNA ': 'GCL YAMUNA',
+    'St. John\'s Pride': 'ST JOHNS PRIDE',
+    'Crème': 'CREME',
+  };
+  // Names that merely start with M and V/T keep their first word
+  const kept = ['MVULE STAR', 'MTS ALPHA'];
+  return Object.entries(cases).every(([input, expected]) => vesselSearch.normalizeVesselName(input) === expected) &&
+         kept.every(name => vesselSearch.normalizeVesselName(name) === name);
+}
+
+/**
+ * Test phonetic keys
+ */
+function testPhoneticKey() {
+  return vesselSearch.phoneticKey('YAMUNA') === vesselSearch.phoneticKey('YAMMUNA') &&
+         vesselSearch.phoneticKey('SABARMATI') === vesselSearch.phoneticKey('SABARMATY') &&
+         vesselSearch.phoneticKey('GANGA') !== vesselSearch.phoneticKey('TAPI') &&
+         vesselSearch.phoneticKey('2024') === '2024';
+}
+
+/**
+ * Test prefix, punctuation, word order and spacing variants
+ */
+function testNameVariants() {
+  const exact = ['GCL YAMUNA', 'M.V. GCL Yamuna', 'gcl-yamuna', 'GCLYAMUNA', 'MT GCL  YAMUNA'];
+  if (!exact.every(query => best(query)?.name === 'GCL YAMUNA' && best(query)?.score === 1)) return false;
+
+  // Reordered words match, but never count as exact
+  const reordered = best('YAMUNA GCL');
+  if (reordered?.name !== 'GCL YAMUNA' || reordered.score !== vesselSearch.MAX_INEXACT_SCORE) return false;
+
+  return best('st johns pride')?.name === 'ST. JOHN\'S PRIDE' &&
+         best('YAMUNA')?.name === 'GCL YAMUNA' &&
+         best('risk for gcl tapi')?.name === 'GCL TAPI';
+}
+
+/**
+ * Test typo and sound-alike matches
+ */
+function testFuzzyMatches() {
+  const typos = {
+    'GCL YAMNA': 'GCL YAMUNA',
+    'GCLYAMUN': 'GCL YAMUNA',
+    'Sabarmaty': 'GCL SABARMATI',
+    'gcl gangaa': 'GCL GANGA',
+  };
+  if (!Object.entries(typos).every(([query, name]) => {
+    const match = best(query);
+    return match?.name === name && match.score < 1 && match.score >= 0.6;
+  })) return false;
+
+  // Exact words outrank misspelt ones
+  const results = vesselSearch.searchVessels(
+    vesselSearch.buildSearchIndex([{ name: 'AMNS POLAR', imo: '1' }, { name: 'AMIS POLAR', imo: '2' }]),
+    'AMIS'
+  );
+  if (results[0]?.name !== 'AMIS POLAR' || (results[1]?.score ?? 1) >= results[0].score) return false;
+
+  // Unrelated names don't match
+  return best('NONEXISTENT VESSEL') === null && best('') === null && best('-') === null;
+}
+
+/**
+ * Test that words matching only by sound rank well below real word matches
+ */
+function testPhoneticOnlyMatches() {
+  vesselLookup.clearCache();
+
+  // GANGA ~ GENCO by sound only
+  const ganga = vesselLookup.findVesselCandidates('GANGA', { limit: Infinity });
+  const genco = ganga.find(candidate => candidate.name === 'GENCO LION');
+  if (ganga[0]?.name !== 'GCL GANGA' || vesselLookup.isAmbiguous(ganga) ||
+      (genco && genco.score > vesselSearch.PHONETIC_ONLY_MAX_SCORE)) return false;
+
+  // KALON ~ KYLIAN by sound only: every vessel with KALON in its name ranks first
+  const kalon = vesselLookup.findVesselCandidates('KALON', { limit: Infinity });
+  const kylian = kalon.findIndex(candidate => candidate.name === 'S KYLIAN');
+  const lastKalon = kalon.map(candidate => candidate.name.includes('KALON')).lastIndexOf(true);
+  return kalon[0]?.name === 'AMIS KALON' && (kylian === -1 || kylian > lastKalon);
+}
+
+/**
+ * Test search speed over the bundled mappings
+ */
+function testSearchSpeed() {
+  vesselLookup.clearCache();
+  const vesselCount = vesselLookup.loadVesselMappings().length;
+  const queries = ['AMIS', 'GCL YAMNA', 'M.V. EVER GIVN', 'XYZQ', 'YAMUNA GCL'];
+
+  const start = Date.now();
+  for (let i = 0; i < 500; i++) {
+    vesselLookup.findVesselCandidates(queries[i % queries.length] || '');
+  }
+  const elapsed = Date.now() - start;
+  console.log(`  500 searches over ${vesselCount} vessels in ${elapsed}ms`);
+
+  // Generous bound: well under the time of a WhatsApp round trip per message
+  return vesselCount > 100 && elapsed < 2500;
+}
+
+/**
+ * Main test runner
+ */
+function main() {
+  console.log('\n🧪 Testing Vessel Search Index\n');
+  console.log('='.repeat(50));
+
+  runTest('Name normalisation', testNormalization);
+  runTest('Phonetic keys', testPhoneticKey);
+  runTest('Prefix, punctuation, word order and spacing variants', testNameVariants);
+  runTest('Typo and sound-alike matches', testFuzzyMatches);
+  runTest('Sound-alikes rank below word matches', testPhoneticOnlyMatches);
+  runTest('Search speed', testSearchSpeed);
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:`);
+  console.log(`${GREEN}Passed: ${testsPassed}${RESET}`);
+  if (testsFailed > 0) {
+    console.log(`${RED}Failed: ${testsFailed}${RESET}`);
+  } else {
+    console.log(`${GREEN}Failed: ${testsFailed}${RESET}`);
+  }
+  console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+main();
@@ -0,0 +1,338 @@
+/**
+ * Alert Subscriptions
+ *
+ * Risk change alerts for vessels users subscribe to ("alert me on GCL GANGA").
+ * Subscriptions are kept per user in the shared state store under
+ * alerts:<phone>; storage adapters can't list keys, so the phones with
+ * subscriptions are also kept in an index under alerts:index. Index updates
+ * take a lock (alerts:index-lock, via setIfAbsent) so concurrent subscribers on
+ * different instances don't overwrite each other's index entry.
+ *
+ * The scheduled risk-alerts function compares each subscribed vessel with the
+ * snapshot it saved on its previous run (alert-snapshot:<imo>) and notifies
+ * subscribers when the risk level changes, the risk score crosses their
+ * threshold or a new inspection appears. If an alert can't be sent, the
+ * snapshot that subscriber last heard about is kept (alert-pending:<phone>:<imo>)
+ * so the next run retries it without repeating alerts to anyone else.
+ */
+
+const stateManager = require('./state-manager');
+const fleetAnalytics = require('./fleet-analytics');
+
+const ALERTS_PREFIX = 'alerts:';
+const INDEX_KEY = 'alerts:index';
+const INDEX_LOCK_KEY = 'alerts:index-lock';
+const INDEX_LOCK_TTL_MS = 5000; // Held only for one read and write of the index
+const INDEX_LOCK_WAIT_MS = 50;
+const INDEX_LOCK_ATTEMPTS = 60; // ~3 seconds
+const SNAPSHOT_PREFIX = 'alert-snapshot:';
+const PENDING_PREFIX = 'alert-pending:';
+const SUBSCRIPTION_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year since the last change
+const SNAPSHOT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days since the last run
+const MAX_SUBSCRIPTIONS = 20; // Vessels per user
+const DEFAULT_SCORE_THRESHOLD = Number(process.env.ALERT_SCORE_THRESHOLD) || 40;
+
+/**
+ * @typedef {Object} AlertSubscription
+ * @property {string} imo
+ * @property {string} name - Vessel name at the time of subscribing
+ * @property {number} threshold - Risk score that triggers an alert when crossed
+ * @property {number} subscribedAt - Epoch ms
+ */
+
+/**
+ * @typedef {Object} AlertSubscriber
+ * @property {string} to - Recipient as received by the webhook ('whatsapp:+...')
+ * @property {AlertSubscription[]} vessels
+ */
+
+/**
+ * @typedef {Object} VesselSnapshot
+ * @property {string} name
+ * @property {number|null} riskScore
+ * @property {string} riskLevel
+ * @property {string|null} lastInspectionDate - ISO date (YYYY-MM-DD) or null if never inspected
+ * @property {string|null} lastInspectionPort
+ */
+
+/**
+ * @typedef {Object} RiskChange
+ * @property {'risk_level'|'score_threshold'|'new_inspection'} type
+ * @property {string} message - One line describing the change
+ */
+
+/**
+ * Normalize a phone number to the key used for subscriptions
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {string} Digits only
+ */
+function phoneKey(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Get a user's subscriptions
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {Promise<AlertSubscription[]>}
+ */
+async function getSubscriptions(phoneNumber) {
+  const subscriber = await stateManager.getStorageAdapter().get(ALERTS_PREFIX + phoneKey(phoneNumber));
+  return subscriber && Array.isArray(subscriber.vessels) ? subscriber.vessels : [];
+}
+
+/**
+ * Get the phones in the subscriber index
+ * @returns {Promise<string[]>} Normalized phone numbers
+ */
+async function getIndex() {
+  const index = await stateManager.getStorageAdapter().get(INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+/**
+ * Update the subscriber index while holding the index lock
+ * @param {(index: string[]) => string[] | null} update - Returns the new index, or null to leave it as is
+ * @returns {Promise<void>}
+ * @throws {Error} If the lock can't be taken within ~3 seconds
+ */
+async function updateIndex(update) {
+  const adapter = stateManager.getStorageAdapter();
+  for (let attempt = 0; attempt < INDEX_LOCK_ATTEMPTS; attempt++) {
+    if (await adapter.setIfAbsent(INDEX_LOCK_KEY, Date.now(), INDEX_LOCK_TTL_MS)) {
+      try {
+        const index = update(await getIndex());
+        if (index) {
+          await adapter.set(INDEX_KEY, index, SUBSCRIPTION_TTL_MS);
+        }
+      } finally {
+        await adapter.delete(INDEX_LOCK_KEY);
+      }
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, INDEX_LOCK_WAIT_MS));
+  }
+  throw new Error('Alert subscription index is locked');
+}
+
+/**
+ * Save a user's subscriptions and keep the index in step
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {AlertSubscription[]} vessels
+ */
+async function saveSubscriptions(phoneNumber, vessels) {
+  const adapter = stateManager.getStorageAdapter();
+  const phone = phoneKey(phoneNumber);
+
+  if (vessels.length === 0) {
+    await adapter.delete(ALERTS_PREFIX + phone);
+    await updateIndex(index => (index.includes(phone) ? index.filter(entry => entry !== phone) : null));
+    return;
+  }
+
+  /** @type {AlertSubscriber} */
+  const subscriber = { to: phoneNumber, vessels };
+  await adapter.set(ALERTS_PREFIX + phone, subscriber, SUBSCRIPTION_TTL_MS);
+  // Always written, to refresh the index TTL along with the subscription
+  await updateIndex(index => (index.includes(phone) ? index : [...index, phone]));
+}
+
+/**
+ * Subscribe a user to a vessel (re-subscribing updates the threshold)
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {{name: string, imo: string}} vessel - Resolved vessel
+ * @param {{threshold?: number|null, now?: number}} [options]
+ * @returns {Promise<{status: 'added'|'updated'|'limit', subscription: AlertSubscription|null}>}
+ */
+async function subscribe(phoneNumber, vessel, options = {}) {
+  const vessels = await getSubscriptions(phoneNumber);
+  const existing = vessels.find(entry => entry.imo === vessel.imo);
+
+  if (!existing && vessels.length >= MAX_SUBSCRIPTIONS) {
+    return { status: 'limit', subscription: null };
+  }
+
+  /** @type {AlertSubscription} */
+  const subscription = {
+    imo: vessel.imo,
+    name: vessel.name,
+    threshold: options.threshold && options.threshold > 0 ? options.threshold : DEFAULT_SCORE_THRESHOLD,
+    subscribedAt: existing ? existing.subscribedAt : (options.now ?? Date.now()),
+  };
+  await saveSubscriptions(phoneNumber, [...vessels.filter(entry => entry.imo !== vessel.imo), subscription]);
+  return { status: existing ? 'updated' : 'added', subscription };
+}
+
+/**
+ * Unsubscribe a user from one vessel, or from every vessel
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {string|null} [imo] - Vessel IMO (null removes all subscriptions)
+ * @returns {Promise<AlertSubscription[]>} Subscriptions removed
+ */
+async function unsubscribe(phoneNumber, imo = null) {
+  const vessels = await getSubscriptions(phoneNumber);
+  const removed = imo ? vessels.filter(entry => entry.imo === imo) : vessels;
+  if (removed.length > 0) {
+    await saveSubscriptions(phoneNumber, vessels.filter(entry => !removed.includes(entry)));
+  }
+  return removed;
+}
+
+/**
+ * Get every user with subscriptions
+ * Index entries whose subscriptions have expired are skipped.
+ * @returns {Promise<AlertSubscriber[]>}
+ */
+async function listSubscribers() {
+  const adapter = stateManager.getStorageAdapter();
+  /** @type {AlertSubscriber[]} */
+  const subscribers = [];
+  for (const phone of await getIndex()) {
+    const subscriber = await adapter.get(ALERTS_PREFIX + phone);
+    if (subscriber && Array.isArray(subscriber.vessels) && subscriber.vessels.length > 0) {
+      subscribers.push(subscriber);
+    }
+  }
+  return subscribers;
+}
+
+/**
+ * Get the snapshot saved for a vessel on the previous alert run
+ * @param {string} imo
+ * @returns {Promise<VesselSnapshot|null>}
+ */
+async function getSnapshot(imo) {
+  return (await stateManager.getStorageAdapter().get(SNAPSHOT_PREFIX + imo)) || null;
+}
+
+/**
+ * Save a vessel's snapshot for the next alert run
+ * @param {string} imo
+ * @param {VesselSnapshot} snapshot
+ */
+async function saveSnapshot(imo, snapshot) {
+  await stateManager.getStorageAdapter().set(SNAPSHOT_PREFIX + imo, snapshot, SNAPSHOT_TTL_MS);
+}
+
+/**
+ * Get the snapshot a subscriber last heard about, if their last alert for the vessel failed
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {string} imo
+ * @returns {Promise<VesselSnapshot|null>}
+ */
+async function getPendingSnapshot(phoneNumber, imo) {
+  return (await stateManager.getStorageAdapter().get(`${PENDING_PREFIX}${phoneKey(phoneNumber)}:${imo}`)) || null;
+}
+
+/**
+ * Remember the snapshot a subscriber last heard about after their alert failed
+ * An existing pending snapshot is kept, so repeated failures still compare against the older state.
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {string} imo
+ * @param {VesselSnapshot} snapshot
+ */
+async function savePendingSnapshot(phoneNumber, imo, snapshot) {
+  await stateManager.getStorageAdapter().setIfAbsent(`${PENDING_PREFIX}${phoneKey(phoneNumber)}:${imo}`, snapshot, SNAPSHOT_TTL_MS);
+}
+
+/**
+ * Forget a subscriber's pending snapshot once they've been alerted
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {string} imo
+ */
+async function clearPendingSnapshot(phoneNumber, imo) {
+  await stateManager.getStorageAdapter().delete(`${PENDING_PREFIX}${phoneKey(phoneNumber)}:${imo}`);
+}
+
+/**
+ * Build a snapshot from a dashboard vessel
+ * @param {any} vessel - Raw dashboard vessel
+ * @returns {VesselSnapshot & {imo: string}}
+ */
+function snapshotVessel(vessel) {
+  const summary = fleetAnalytics.summarizeVessel(vessel);
+  return {
+    imo: summary.imo,
+    name: summary.name,
+    riskScore: summary.riskScore,
+    riskLevel: summary.riskLevel,
+    lastInspectionDate: summary.lastInspectionDate,
+    lastInspectionPort: summary.lastInspectionPort,
+  };
+}
+
+/**
+ * Compare a vessel's previous and current snapshots
+ * @param {VesselSnapshot} previous
+ * @param {VesselSnapshot} current
+ * @param {number} [threshold] - Risk score threshold
+ * @returns {RiskChange[]} Changes, empty if nothing worth alerting on
+ */
+function detectChanges(previous, current, threshold = DEFAULT_SCORE_THRESHOLD) {
+  /** @type {RiskChange[]} */
+  const changes = [];
+
+  if (previous.riskLevel !== current.riskLevel) {
+    changes.push({
+      type: 'risk_level',
+      message: `Risk level changed from ${previous.riskLevel} to ${current.riskLevel}`,
+    });
+  }
+
+  if (previous.riskScore !== null && current.riskScore !== null) {
+    const wasAbove = previous.riskScore >= threshold;
+    const isAbove = current.riskScore >= threshold;
+    if (wasAbove !== isAbove) {
+      changes.push({
+        type: 'score_threshold',
+        message: `Risk score ${isAbove ? 'rose above' : 'fell below'} ${threshold} ` +
+          `(${previous.riskScore} → ${current.riskScore})`,
+      });
+    }
+  }
+
+  if (current.lastInspectionDate && current.lastInspectionDate !== previous.lastInspectionDate) {
+    changes.push({
+      type: 'new_inspection',
+      message: `New inspection on ${current.lastInspectionDate}` +
+        (current.lastInspectionPort ? ` at ${current.lastInspectionPort}` : ''),
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Format an alert as a WhatsApp message
+ * @param {AlertSubscription} subscription
+ * @param {VesselSnapshot} current
+ * @param {RiskChange[]} changes
+ * @returns {string}
+ */
+function formatAlertMessage(subscription, current, changes) {
+  return `🔔 *Risk alert: ${current.name || subscription.name}* (IMO ${subscription.imo})\n\n` +
+    changes.map(change => `• ${change.message}`).join('\n') +
+    `\n\nCurrent risk: ${current.riskScore ?? 'N/A'} (${current.riskLevel})\n\n` +
+    `Reply 'list alerts' to see your alerts or 'unsubscribe ${subscription.name}' to stop them.`;
+}
+
+module.exports = {
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  listSubscribers,
+  getSnapshot,
+  saveSnapshot,
+  getPendingSnapshot,
+  savePendingSnapshot,
+  clearPendingSnapshot,
+  snapshotVessel,
+  detectChanges,
+  formatAlertMessage,
+  // Export constants for testing
+  ALERTS_PREFIX,
+  INDEX_KEY,
+  SNAPSHOT_PREFIX,
+  PENDING_PREFIX,
+  MAX_SUBSCRIPTIONS,
+  DEFAULT_SCORE_THRESHOLD,
+};
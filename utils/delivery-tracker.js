@@ -0,0 +1,322 @@
+/**
+ * Delivery Tracker
+ *
+ * Tracks outbound WhatsApp messages through Twilio status callbacks. Each
+ * tracked send gets a request id; Twilio posts status updates for every
+ * message part to the message-status function with that id, and the record
+ * (message SIDs, latest status per SID, status history) is kept in the shared
+ * state store under delivery:<requestId>.
+ *
+ * The record is saved before anything is sent, so even an immediate callback
+ * finds it. Long messages go out as numbered parts; when a part fails (failed /
+ * undelivered) only that part is re-sent, once; if it fails again the whole
+ * message is emailed to the user's registered address.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const stateManager = require('./state-manager');
+const twilioClient = require('./twilio-client');
+const userRegistry = require('./user-registry');
+
+const DELIVERY_PREFIX = 'delivery:';
+const FALLBACK_LOCK_PREFIX = 'delivery-fallback:';
+const DELIVERY_RECORD_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours (Twilio stops calling back well before)
+const MAX_SEND_ATTEMPTS = 2; // Per part: original send + one re-queue before falling back to email
+const FAILED_STATUSES = ['failed', 'undelivered'];
+
+// Progression of a healthy message; callbacks can arrive out of order, so a
+// later status never overwrites a more advanced one
+const STATUS_ORDER = ['accepted', 'queued', 'sending', 'sent', 'delivered', 'read'];
+
+/**
+ * @typedef {Object} MessageStatus
+ * @property {string} status - Latest status reported for the SID
+ * @property {number} attempt - Send attempt of its part the SID belongs to (1 = original send)
+ * @property {number} [part] - Index of the message part the SID carries
+ * @property {string|null} errorCode - Twilio error code for failed messages
+ */
+
+/**
+ * @typedef {Object} DeliveryRecord
+ * @property {string} requestId
+ * @property {string} to - Recipient ('whatsapp:+...')
+ * @property {string} body - Message content (kept so it can be re-sent or emailed)
+ * @property {string} subject - What the message is about (email subject on fallback)
+ * @property {string[]} parts - Message parts as sent (see twilioClient.splitMessage)
+ * @property {number[]} partAttempts - Send attempts so far, per part
+ * @property {number} attempts - Most send attempts of any part
+ * @property {Record<string, MessageStatus>} messages - Status per message SID
+ * @property {{sid: string, status: string, errorCode: string|null, at: number}[]} history - Callbacks in arrival order
+ * @property {string|null} fallback - Outcome of failure handling ('requeued', 'emailed', ...)
+ * @property {number} createdAt
+ */
+
+/**
+ * Get the site base URL
+ * @returns {string}
+ */
+function getBaseUrl() {
+  return process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
+}
+
+/**
+ * Build the status callback URL Twilio posts delivery updates to
+ * @param {string} requestId - Originating request id
+ * @returns {string}
+ */
+function buildStatusCallbackUrl(requestId) {
+  return `${getBaseUrl()}/.netlify/functions/message-status?requestId=${encodeURIComponent(requestId)}`;
+}
+
+/**
+ * Get a delivery record
+ * @param {string} requestId
+ * @returns {Promise<DeliveryRecord|null>}
+ */
+async function getDeliveryRecord(requestId) {
+  return stateManager.getStorageAdapter().get(DELIVERY_PREFIX + requestId);
+}
+
+/**
+ * Save a delivery record
+ * @param {DeliveryRecord} record
+ */
+async function saveDeliveryRecord(record) {
+  await stateManager.getStorageAdapter().set(DELIVERY_PREFIX + record.requestId, record, DELIVERY_RECORD_TTL_MS);
+}
+
+/**
+ * Send some of the record's parts through Twilio with the status callback registered
+ * Parts are sent in order and sending stops at the first one Twilio refuses.
+ * The accepted SIDs are added to the stored record, keeping any callbacks that
+ * arrived meanwhile.
+ * @param {DeliveryRecord} record - Updated in place with the new SIDs
+ * @param {number[]} partIndexes - Parts to send
+ * @returns {Promise<import('./twilio-client').SendResult>}
+ */
+async function sendAttempt(record, partIndexes) {
+  /** @type {Record<string, MessageStatus>} */
+  const sent = {};
+  /** @type {import('./twilio-client').SendResult} */
+  let result = { ok: true, sid: null, sids: [], parts: partIndexes.length };
+
+  for (const part of partIndexes) {
+    const partResult = await twilioClient.sendWhatsAppMessage(record.to, record.parts[part] || '', {
+      statusCallback: buildStatusCallbackUrl(record.requestId),
+    });
+    partResult.sids.forEach(sid => {
+      sent[sid] = { status: 'queued', attempt: record.partAttempts[part] || 1, part, errorCode: null };
+    });
+    result = {
+      ...partResult,
+      sid: result.sid || partResult.sid,
+      sids: [...result.sids, ...partResult.sids],
+      parts: partIndexes.length,
+    };
+    if (!partResult.ok) {
+      break;
+    }
+  }
+
+  const stored = await getDeliveryRecord(record.requestId);
+  record.messages = { ...sent, ...(stored ? stored.messages : record.messages) };
+  record.history = stored ? stored.history : record.history;
+  await saveDeliveryRecord(record);
+  return result;
+}
+
+/**
+ * Send a WhatsApp message and track its delivery
+ * @param {string} toNumber - Recipient (e.g. 'whatsapp:+1234567890')
+ * @param {string} body - Message text
+ * @param {{ requestId?: string | undefined, subject?: string | undefined }} [meta] - requestId of the
+ *   originating request (generated if missing); subject is used if the message has to be emailed
+ * @returns {Promise<import('./twilio-client').SendResult & {requestId: string}>}
+ */
+async function sendTrackedMessage(toNumber, body, meta = {}) {
+  const parts = twilioClient.splitMessage(body);
+  /** @type {DeliveryRecord} */
+  const record = {
+    requestId: meta.requestId || crypto.randomUUID(),
+    to: toNumber,
+    body,
+    subject: meta.subject || 'PSC Bot message',
+    parts,
+    partAttempts: parts.map(() => 1),
+    attempts: 1,
+    messages: {},
+    history: [],
+    fallback: null,
+    createdAt: Date.now(),
+  };
+
+  // Saved first: Twilio can call back before the send returns
+  await saveDeliveryRecord(record);
+  const result = await sendAttempt(record, parts.map((_, index) => index));
+
+  // Twilio never accepted (some of) the message, so no callback will report the failure
+  if (!result.ok) {
+    await handleDeliveryFailure(record.requestId, String(result.error));
+  }
+  return { ...result, parts: parts.length, requestId: record.requestId };
+}
+
+/**
+ * Record a status callback against its request
+ * @param {string} requestId - Originating request id
+ * @param {{ sid: string, status: string, errorCode?: string | null | undefined }} update - MessageSid, MessageStatus, ErrorCode
+ * @returns {Promise<DeliveryRecord|null>} Updated record, or null if the request is unknown (expired)
+ */
+async function recordStatus(requestId, update) {
+  const record = await getDeliveryRecord(requestId);
+  if (!record) {
+    return null;
+  }
+
+  const status = String(update.status || '').toLowerCase();
+  const errorCode = update.errorCode || null;
+  const previous = record.messages[update.sid];
+  // Failures are final; otherwise keep the most advanced status
+  const isRegression = previous !== undefined && STATUS_ORDER.includes(status) &&
+    (FAILED_STATUSES.includes(previous.status) ||
+      STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(previous.status));
+
+  if (!isRegression) {
+    record.messages[update.sid] = {
+      status,
+      attempt: previous ? previous.attempt : record.attempts,
+      // Keep the part so a later failure re-sends only that part
+      ...(previous && previous.part !== undefined ? { part: previous.part } : {}),
+      errorCode,
+    };
+  }
+  record.history.push({ sid: update.sid, status, errorCode, at: Date.now() });
+  await saveDeliveryRecord(record);
+  return record;
+}
+
+/**
+ * Check whether a status means the message will not reach the user
+ * @param {string} status - Twilio MessageStatus
+ * @returns {boolean}
+ */
+function isFailedStatus(status) {
+  return FAILED_STATUSES.includes(String(status || '').toLowerCase());
+}
+
+/**
+ * Email the message content to the user
+ * @param {DeliveryRecord} record
+ * @returns {Promise<string>} 'emailed', 'email-failed' or 'no-email'
+ */
+async function emailFallback(record) {
+  const recipientEmail = userRegistry.getEmailForPhone(record.to);
+  if (!recipientEmail) {
+    console.warn('No email on file for undelivered message', { requestId: record.requestId });
+    return 'no-email';
+  }
+
+  try {
+    const response = await fetch(`${getBaseUrl()}/.netlify/functions/send-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        reportType: 'message',
+        recipientEmail,
+        reportTitle: record.subject,
+        messageText: record.body,
+      }),
+    });
+    if (!response.ok) {
+      console.error('Email fallback failed', { requestId: record.requestId, status: response.status });
+      return 'email-failed';
+    }
+    return 'emailed';
+  } catch (err) {
+    console.error('Email fallback failed', err instanceof Error ? err.message : String(err));
+    return 'email-failed';
+  }
+}
+
+/**
+ * Check whether a part has a message in its latest attempt that hasn't failed
+ * @param {DeliveryRecord} record
+ * @param {number} part
+ * @returns {boolean}
+ */
+function isPartLive(record, part) {
+  return Object.values(record.messages).some(message =>
+    (message.part ?? 0) === part &&
+    message.attempt === record.partAttempts[part] &&
+    !FAILED_STATUSES.includes(message.status));
+}
+
+/**
+ * Handle a message that failed: re-send its failed parts once, then fall back to email.
+ * Each part's attempt is handled at most once however many callbacks report it,
+ * and failures of an attempt that has already been superseded are ignored.
+ * @param {string} requestId - Originating request id
+ * @param {string} reason - Failure reason (for logs)
+ * @param {number} [attempt] - Send attempt the failed message belongs to (defaults to each part's latest)
+ * @param {number} [part] - Part the failed message carries (defaults to every part without a live message)
+ * @returns {Promise<string>} 'requeued', 'emailed', 'email-failed', 'no-email', 'duplicate' or 'unknown'
+ */
+async function handleDeliveryFailure(requestId, reason, attempt, part) {
+  const record = await getDeliveryRecord(requestId);
+  if (!record) {
+    return 'unknown';
+  }
+
+  const adapter = stateManager.getStorageAdapter();
+  /** @type {number[]} */
+  const failedParts = [];
+  const candidates = part !== undefined ? [part] : record.parts.map((_, index) => index);
+  for (const index of candidates) {
+    const partAttempt = record.partAttempts[index];
+    if (partAttempt === undefined || (attempt && attempt !== partAttempt) || isPartLive(record, index)) {
+      continue;
+    }
+    if (await adapter.setIfAbsent(`${FALLBACK_LOCK_PREFIX}${requestId}:${index}:${partAttempt}`, Date.now(), DELIVERY_RECORD_TTL_MS)) {
+      failedParts.push(index);
+    }
+  }
+  if (failedParts.length === 0) {
+    return 'duplicate';
+  }
+
+  console.warn('Message delivery failed', { requestId, parts: failedParts.map(index => index + 1), attempt, reason });
+
+  // Parts out of attempts: email the whole message, once
+  if (failedParts.some(index => (record.partAttempts[index] || 0) >= MAX_SEND_ATTEMPTS)) {
+    if (!(await adapter.setIfAbsent(`${FALLBACK_LOCK_PREFIX}${requestId}:email`, Date.now(), DELIVERY_RECORD_TTL_MS))) {
+      return 'duplicate';
+    }
+    record.fallback = await emailFallback(record);
+    await saveDeliveryRecord(record);
+    return record.fallback;
+  }
+
+  failedParts.forEach(index => {
+    record.partAttempts[index] = (record.partAttempts[index] || 0) + 1;
+  });
+  record.attempts = Math.max(...record.partAttempts);
+  record.fallback = 'requeued';
+  const result = await sendAttempt(record, failedParts);
+  if (!result.ok) {
+    return handleDeliveryFailure(requestId, String(result.error));
+  }
+  return 'requeued';
+}
+
+module.exports = {
+  buildStatusCallbackUrl,
+  sendTrackedMessage,
+  getDeliveryRecord,
+  recordStatus,
+  isFailedStatus,
+  handleDeliveryFailure,
+  // Export constants for testing
+  MAX_SEND_ATTEMPTS,
+  DELIVERY_RECORD_TTL_MS,
+};
@@ -0,0 +1,153 @@
+/**
+ * Download Tokens
+ *
+ * Signed, single-use tokens for report download links. A token carries the
+ * report file id, an expiry time and the phone number that requested it:
+ *
+ *   base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+ *
+ * The secret is DOWNLOAD_TOKEN_SECRET (falls back to TWILIO_AUTH_TOKEN so
+ * existing deployments keep working). Single use is enforced by recording
+ * each token's nonce in the shared state store when it is redeemed, so it
+ * needs STATE_STORE=redis across function instances.
+ *
+ * Links are opened from a browser (or fetched by Twilio), which can't prove
+ * which phone is asking, so the phone claim is an audit record (download-excel
+ * logs it on redemption) rather than a check: anyone holding an unused,
+ * unexpired link can download the report.
+ */
+
+const crypto = require('crypto');
+const stateManager = require('./state-manager');
+
+const DEFAULT_TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes (matches report file lifetime)
+const USED_TOKEN_PREFIX = 'download-token:';
+
+/**
+ * @typedef {Object} DownloadTokenPayload
+ * @property {string} file - Report file id (filename in temp storage)
+ * @property {string} phone - Requesting phone number (digits only)
+ * @property {number} exp - Expiry time (epoch ms)
+ * @property {string} nonce - Random id used to enforce single use
+ * @property {boolean} [keep] - Leave the file in storage after serving (media fetches by Twilio)
+ */
+
+/**
+ * Get the signing secret
+ * @returns {string}
+ */
+function getSecret() {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN;
+  if (!secret) {
+    throw new Error('DOWNLOAD_TOKEN_SECRET (or TWILIO_AUTH_TOKEN) must be set to sign download links');
+  }
+  return secret;
+}
+
+/**
+ * Sign an encoded payload
+ * @param {string} encodedPayload
+ * @returns {string} base64url signature
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed download token
+ * @param {string} fileId - Report filename
+ * @param {string} phoneNumber - Phone number the report was generated for
+ * @param {{ ttlMs?: number, now?: number, keepFile?: boolean }} [options] - keepFile leaves the report
+ *   in storage after this token is redeemed, so another link to the same file keeps working
+ * @returns {string} Token for the download URL
+ */
+function createDownloadToken(fileId, phoneNumber, options = {}) {
+  /** @type {DownloadTokenPayload} */
+  const payload = {
+    file: String(fileId),
+    phone: String(phoneNumber || '').replace(/\D/g, ''),
+    exp: (options.now ?? Date.now()) + (options.ttlMs ?? DEFAULT_TOKEN_TTL_MS),
+    nonce: crypto.randomBytes(12).toString('base64url'),
+  };
+  if (options.keepFile) {
+    payload.keep = true;
+  }
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a token's signature and expiry (does not consume it)
+ * @param {string} token
+ * @param {{ now?: number }} [options]
+ * @returns {{ valid: boolean, reason?: 'malformed'|'signature'|'expired', payload?: DownloadTokenPayload }}
+ */
+function verifyDownloadToken(token, options = {}) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [encodedPayload, signature, ...rest] = token.split('.');
+  if (!encodedPayload || !signature || rest.length > 0) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  /** @type {DownloadTokenPayload} */
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (_err) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!payload || typeof payload.file !== 'string' || typeof payload.exp !== 'number' || !payload.nonce) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if ((options.now ?? Date.now()) > payload.exp) {
+    return { valid: false, reason: 'expired', payload };
+  }
+
+  return { valid: true, payload };
+}
+
+/**
+ * Mark a verified token as used
+ * @param {DownloadTokenPayload} payload - Payload from verifyDownloadToken
+ * @returns {Promise<boolean>} True the first time, false if the token was already used
+ */
+async function consumeDownloadToken(payload) {
+  // Keep the marker until the token would have expired anyway
+  const ttlMs = Math.max(1000, payload.exp - Date.now());
+  return stateManager.getStorageAdapter().setIfAbsent(`${USED_TOKEN_PREFIX}${payload.nonce}`, {
+    file: payload.file,
+    usedAt: Date.now(),
+  }, ttlMs);
+}
+
+/**
+ * Build the public download URL for a report file
+ * @param {string} fileId - Report filename
+ * @param {string} phoneNumber - Phone number the report was generated for
+ * @param {{ keepFile?: boolean }} [options] - See createDownloadToken
+ * @returns {string}
+ */
+function buildDownloadUrl(fileId, phoneNumber, options = {}) {
+  const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || 'https://your-site.netlify.app';
+  const token = createDownloadToken(fileId, phoneNumber, options);
+  return `${baseUrl}/.netlify/functions/download-excel?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  createDownloadToken,
+  verifyDownloadToken,
+  consumeDownloadToken,
+  buildDownloadUrl,
+  // Export constants for testing
+  DEFAULT_TOKEN_TTL_MS,
+};
@@ -0,0 +1,272 @@
+/**
+ * Excel Charts
+ *
+ * ExcelJS cannot write charts, so line charts are added to a finished workbook
+ * buffer: the DrawingML parts (chart, drawing, relationships and content types)
+ * are written straight into the .xlsx package with JSZip.
+ */
+
+const JSZip = require('jszip');
+
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DRAWING_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing';
+const CHART_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart';
+const DRAWING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+const CHART_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+
+// Worksheet elements that must follow <drawing> (CT_Worksheet sequence)
+const AFTER_DRAWING = ['<legacyDrawing', '<legacyDrawingHF', '<picture', '<oleObjects', '<controls', '<webPublishItems', '<tableParts', '<extLst', '</worksheet>'];
+
+// Line colours for successive series
+const SERIES_COLORS = ['1F4E78', 'C00000', 'ED7D31', '00B050'];
+
+/**
+ * @typedef {Object} LineSeries
+ * @property {string} name - Series name (legend)
+ * @property {string} ref - Values range, e.g. from rangeRef()
+ * @property {Array<number|null>} values - Cached values, shown until the workbook is recalculated
+ */
+
+/**
+ * @typedef {Object} LineChartOptions
+ * @property {string} sheetName - Worksheet the chart is drawn on
+ * @property {string} title - Chart title
+ * @property {string} categoriesRef - Category (x axis) range
+ * @property {string[]} categories - Cached category labels
+ * @property {LineSeries[]} series
+ * @property {{col: number, row: number}} from - Top-left anchor cell (0-based)
+ * @property {{col: number, row: number}} to - Bottom-right anchor cell (0-based)
+ * @property {string} [xAxisTitle]
+ * @property {string} [yAxisTitle]
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build an absolute single-column range reference
+ * @param {string} sheetName - Worksheet name
+ * @param {string} column - Column letter(s)
+ * @param {number} firstRow
+ * @param {number} lastRow
+ * @returns {string} e.g. 'Risk Trend'!$B$2:$B$9
+ */
+function rangeRef(sheetName, column, firstRow, lastRow) {
+  return `'${sheetName.replace(/'/g, "''")}'!$${column}$${firstRow}:$${column}$${lastRow}`;
+}
+
+/**
+ * Read the attributes of an XML start tag
+ * @param {string} tag - Start tag, e.g. <sheet name="A" r:id="rId1"/>
+ * @returns {Record<string, string>}
+ */
+function readAttributes(tag) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[match[1] || ''] = match[2] || '';
+  }
+  return attributes;
+}
+
+/**
+ * Add a relationship to a .rels part
+ * @param {string|null} relsXml - Existing part, or null to start a new one
+ * @param {string} type - Relationship type URI
+ * @param {string} target - Target path, relative to the source part
+ * @returns {{xml: string, id: string}} Updated part and the new relationship id
+ */
+function addRelationship(relsXml, type, target) {
+  const xml = relsXml ||
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${RELATIONSHIPS_NS}"></Relationships>`;
+  const ids = [...xml.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+  const id = `rId${Math.max(0, ...ids) + 1}`;
+  return {
+    xml: xml.replace('</Relationships>', `<Relationship Id="${id}" Type="${type}" Target="${target}"/></Relationships>`),
+    id,
+  };
+}
+
+/**
+ * Build the chart part
+ * @param {LineChartOptions} options
+ * @returns {string}
+ */
+function buildChartXml(options) {
+  /** @param {string|undefined} text */
+  const title = text => (text
+    ? `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(text)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>`
+    : '');
+
+  const categoryCache = `<c:ptCount val="${options.categories.length}"/>` +
+    options.categories.map((label, index) => `<c:pt idx="${index}"><c:v>${escapeXml(label)}</c:v></c:pt>`).join('');
+
+  const series = options.series.map((entry, index) => {
+    const points = entry.values
+      .map((value, pointIndex) => (value === null || value === undefined || isNaN(value)
+        ? ''
+        : `<c:pt idx="${pointIndex}"><c:v>${value}</c:v></c:pt>`))
+      .join('');
+    const color = SERIES_COLORS[index % SERIES_COLORS.length];
+    return `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>` +
+      `<c:tx><c:v>${escapeXml(entry.name)}</c:v></c:tx>` +
+      `<c:spPr><a:ln w="28575" cap="rnd"><a:solidFill><a:srgbClr val="${color}"/></a:solidFill><a:round/></a:ln></c:spPr>` +
+      `<c:marker><c:symbol val="circle"/><c:size val="6"/></c:marker>` +
+      `<c:cat><c:strRef><c:f>${escapeXml(options.categoriesRef)}</c:f><c:strCache>${categoryCache}</c:strCache></c:strRef></c:cat>` +
+      `<c:val><c:numRef><c:f>${escapeXml(entry.ref)}</c:f><c:numCache><c:formatCode>General</c:formatCode>` +
+      `<c:ptCount val="${entry.values.length}"/>${points}</c:numCache></c:numRef></c:val>` +
+      `<c:smooth val="0"/></c:ser>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<c:roundedCorners val="0"/>' +
+    `<c:chart>${title(options.title)}<c:autoTitleDeleted val="0"/>` +
+    '<c:plotArea><c:layout/>' +
+    `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}` +
+    '<c:marker val="1"/><c:axId val="500000001"/><c:axId val="500000002"/></c:lineChart>' +
+    '<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+    `<c:axPos val="b"/>${title(options.xAxisTitle)}<c:numFmt formatCode="General" sourceLinked="1"/>` +
+    '<c:tickLblPos val="nextTo"/><c:crossAx val="500000002"/><c:crosses val="autoZero"/>' +
+    '<c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>' +
+    '<c:valAx><c:axId val="500000002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+    `<c:axPos val="l"/><c:majorGridlines/>${title(options.yAxisTitle)}<c:numFmt formatCode="General" sourceLinked="1"/>` +
+    '<c:tickLblPos val="nextTo"/><c:crossAx val="500000001"/><c:crosses val="autoZero"/>' +
+    '<c:crossBetween val="between"/></c:valAx>' +
+    '</c:plotArea>' +
+    '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>' +
+    '<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/>' +
+    '</c:chart></c:chartSpace>';
+}
+
+/**
+ * Build the drawing part that anchors a chart to worksheet cells
+ * @param {LineChartOptions} options
+ * @param {string} chartRelId - Relationship id of the chart in the drawing's .rels
+ * @returns {string}
+ */
+function buildDrawingXml(options, chartRelId) {
+  /** @param {string} tag @param {{col: number, row: number}} cell */
+  const anchor = (tag, cell) => `<xdr:${tag}><xdr:col>${cell.col}</xdr:col><xdr:colOff>0</xdr:colOff>` +
+    `<xdr:row>${cell.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    `<xdr:twoCellAnchor>${anchor('from', options.from)}${anchor('to', options.to)}` +
+    '<xdr:graphicFrame macro="">' +
+    `<xdr:nvGraphicFramePr><xdr:cNvPr id="2" name="${escapeXml(options.title)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+    '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+    '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="${chartRelId}"/>` +
+    '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor></xdr:wsDr>';
+}
+
+/**
+ * Find the package path of a worksheet by name
+ * @param {JSZip} zip - Workbook package
+ * @param {string} sheetName
+ * @returns {Promise<string>} e.g. xl/worksheets/sheet2.xml
+ */
+async function findSheetPath(zip, sheetName) {
+  const workbookXml = await zip.file('xl/workbook.xml')?.async('string') || '';
+  const sheet = (workbookXml.match(/<sheet\s[^>]*>/g) || [])
+    .map(readAttributes)
+    .find(attributes => attributes.name === escapeXml(sheetName) || attributes.name === sheetName);
+  if (!sheet) {
+    throw new Error(`Worksheet "${sheetName}" not found`);
+  }
+
+  const relsXml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string') || '';
+  const relationship = (relsXml.match(/<Relationship\s[^>]*>/g) || [])
+    .map(readAttributes)
+    .find(attributes => attributes.Id === sheet['r:id']);
+  if (!relationship || !relationship.Target) {
+    throw new Error(`Worksheet "${sheetName}" has no package part`);
+  }
+  return relationship.Target.startsWith('/')
+    ? relationship.Target.slice(1)
+    : `xl/${relationship.Target}`;
+}
+
+/**
+ * Return the first unused part number for a part name pattern
+ * @param {JSZip} zip
+ * @param {(n: number) => string} partPath
+ * @returns {number}
+ */
+function nextPartNumber(zip, partPath) {
+  let n = 1;
+  while (zip.file(partPath(n))) {
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Add a line chart to a worksheet of a generated workbook
+ * @param {any} buffer - .xlsx file contents (e.g. from ExcelJS writeBuffer)
+ * @param {LineChartOptions} options
+ * @returns {Promise<Buffer>} Updated .xlsx file contents
+ */
+async function addLineChart(buffer, options) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const sheetPath = await findSheetPath(zip, options.sheetName);
+  const sheetFile = sheetPath.split('/').pop();
+  const sheetRelsPath = sheetPath.replace(/[^/]+$/, `_rels/${sheetFile}.rels`);
+  let sheetXml = await zip.file(sheetPath)?.async('string') || '';
+  if (sheetXml.includes('<drawing ')) {
+    throw new Error(`Worksheet "${options.sheetName}" already has a drawing`);
+  }
+
+  const chartNumber = nextPartNumber(zip, n => `xl/charts/chart${n}.xml`);
+  const drawingNumber = nextPartNumber(zip, n => `xl/drawings/drawing${n}.xml`);
+
+  // Chart part, referenced from a drawing, referenced from the worksheet
+  const drawingRels = addRelationship(null, CHART_REL_TYPE, `../charts/chart${chartNumber}.xml`);
+  zip.file(`xl/charts/chart${chartNumber}.xml`, buildChartXml(options), { createFolders: false });
+  zip.file(`xl/drawings/drawing${drawingNumber}.xml`, buildDrawingXml(options, drawingRels.id), { createFolders: false });
+  zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, drawingRels.xml, { createFolders: false });
+
+  const existingSheetRels = await zip.file(sheetRelsPath)?.async('string') || null;
+  const sheetRels = addRelationship(existingSheetRels, DRAWING_REL_TYPE, `../drawings/drawing${drawingNumber}.xml`);
+  zip.file(sheetRelsPath, sheetRels.xml, { createFolders: false });
+
+  if (!/<worksheet[^>]*xmlns:r=/.test(sheetXml)) {
+    sheetXml = sheetXml.replace('<worksheet', '<worksheet xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"');
+  }
+  const insertAt = AFTER_DRAWING
+    .map(tag => sheetXml.indexOf(tag))
+    .filter(index => index !== -1)
+    .reduce((first, index) => Math.min(first, index), sheetXml.length);
+  sheetXml = `${sheetXml.slice(0, insertAt)}<drawing r:id="${sheetRels.id}"/>${sheetXml.slice(insertAt)}`;
+  zip.file(sheetPath, sheetXml, { createFolders: false });
+
+  const contentTypes = await zip.file('[Content_Types].xml')?.async('string') || '';
+  zip.file('[Content_Types].xml', contentTypes.replace('</Types>',
+    `<Override PartName="/xl/charts/chart${chartNumber}.xml" ContentType="${CHART_CONTENT_TYPE}"/>` +
+    `<Override PartName="/xl/drawings/drawing${drawingNumber}.xml" ContentType="${DRAWING_CONTENT_TYPE}"/>` +
+    '</Types>'));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  addLineChart,
+  rangeRef,
+};
@@ -0,0 +1,229 @@
+/**
+ * Fleet Analytics
+ *
+ * Filters, sorts and aggregates the dashboard vessel list for fleet-wide
+ * questions ("which of my vessels are high risk?").
+ * Works on the raw dashboard data returned by apiClient.fetchDashboardData().
+ */
+
+const DEFAULT_TOP_LIMIT = 5;
+const MAX_TOP_LIMIT = 20;
+const DEFAULT_NOT_INSPECTED_MONTHS = 6;
+
+// Display order for risk levels (unknown levels sort last)
+const RISK_LEVEL_ORDER = ['CRITICAL', 'VERY HIGH', 'HIGH', 'MEDIUM', 'MODERATE', 'LOW', 'VERY LOW'];
+
+const FLEET_QUERY_TYPES = ['top_risk', 'risk_counts', 'not_inspected', 'risk_level'];
+
+/**
+ * @typedef {Object} FleetVessel
+ * @property {string} name
+ * @property {string} imo
+ * @property {number|null} riskScore
+ * @property {string} riskLevel
+ * @property {string|null} lastInspectionDate - ISO date (YYYY-MM-DD) or null if never inspected
+ * @property {string|null} lastInspectionPort
+ */
+
+/**
+ * Extract the vessel array from dashboard data
+ * The dashboard API may return an array or an object with a vessels/data array
+ * @param {any} dashboardData - Raw dashboard data
+ * @returns {any[]}
+ */
+function getDashboardVessels(dashboardData) {
+  if (Array.isArray(dashboardData)) {
+    return dashboardData;
+  }
+  if (dashboardData && typeof dashboardData === 'object') {
+    const vessels = dashboardData.vessels || dashboardData.data || [];
+    return Array.isArray(vessels) ? vessels : [];
+  }
+  return [];
+}
+
+/**
+ * Parse an inspection date value (ISO string or epoch ms)
+ * @param {any} value
+ * @returns {Date|null}
+ */
+function parseInspectionDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalize a dashboard vessel into a compact summary
+ * @param {any} vessel - Vessel object from dashboard API
+ * @returns {FleetVessel}
+ */
+function summarizeVessel(vessel) {
+  const lastInspection = vessel.lastInspection || vessel.last_inspection || {};
+  const inspectionDate = parseInspectionDate(lastInspection.date || lastInspection.inspectionDate || lastInspection.timestamp);
+  const rawScore = vessel.riskScore ?? vessel.risk_score;
+  const riskScore = rawScore === null || rawScore === undefined || rawScore === '' ? NaN : Number(rawScore);
+
+  return {
+    name: String(vessel.name || vessel.vesselName || vessel.vessel_name || 'Unknown Vessel'),
+    imo: String(vessel.imo || vessel.imoNumber || 'N/A'),
+    riskScore: isNaN(riskScore) ? null : riskScore,
+    riskLevel: String(vessel.riskLevel || vessel.risk_level || 'UNKNOWN').toUpperCase(),
+    lastInspectionDate: inspectionDate ? inspectionDate.toISOString().split('T')[0] || null : null,
+    lastInspectionPort: lastInspection.port || lastInspection.portName || lastInspection.port_name || null,
+  };
+}
+
+/**
+ * Sort vessels by risk score, highest first (vessels without a score last)
+ * @param {FleetVessel[]} vessels
+ * @returns {FleetVessel[]}
+ */
+function sortByRiskScore(vessels) {
+  return [...vessels].sort((a, b) => (b.riskScore ?? -Infinity) - (a.riskScore ?? -Infinity));
+}
+
+/**
+ * Get the N vessels with the highest risk score
+ * @param {FleetVessel[]} vessels
+ * @param {number} [limit]
+ * @returns {FleetVessel[]}
+ */
+function getTopRiskVessels(vessels, limit = DEFAULT_TOP_LIMIT) {
+  return sortByRiskScore(vessels.filter(v => v.riskScore !== null)).slice(0, limit);
+}
+
+/**
+ * Count vessels per risk level
+ * @param {FleetVessel[]} vessels
+ * @returns {Array<{riskLevel: string, count: number}>} Counts ordered from highest to lowest risk
+ */
+function countByRiskLevel(vessels) {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  vessels.forEach(v => {
+    counts[v.riskLevel] = (counts[v.riskLevel] || 0) + 1;
+  });
+
+  /** @param {string} level */
+  const rank = (level) => {
+    const index = RISK_LEVEL_ORDER.indexOf(level);
+    return index === -1 ? RISK_LEVEL_ORDER.length : index;
+  };
+
+  return Object.keys(counts)
+    .sort((a, b) => rank(a) - rank(b))
+    .map(riskLevel => ({ riskLevel, count: counts[riskLevel] || 0 }));
+}
+
+/**
+ * Get vessels whose last inspection is older than N months (or that were never inspected)
+ * @param {FleetVessel[]} vessels
+ * @param {number} [months]
+ * @param {Date} [now]
+ * @returns {FleetVessel[]} Oldest inspection first, never-inspected vessels first of all
+ */
+function getVesselsNotInspectedSince(vessels, months = DEFAULT_NOT_INSPECTED_MONTHS, now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  const cutoffDate = cutoff.toISOString().split('T')[0] || '';
+
+  return vessels
+    .filter(v => !v.lastInspectionDate || v.lastInspectionDate < cutoffDate)
+    .sort((a, b) => (a.lastInspectionDate || '').localeCompare(b.lastInspectionDate || ''));
+}
+
+/**
+ * Get vessels at a given risk level, highest score first
+ * @param {FleetVessel[]} vessels
+ * @param {string} riskLevel
+ * @returns {FleetVessel[]}
+ */
+function getVesselsByRiskLevel(vessels, riskLevel) {
+  const wanted = String(riskLevel || '').toUpperCase();
+  return sortByRiskScore(vessels.filter(v => v.riskLevel === wanted));
+}
+
+/**
+ * Clamp a user-supplied positive integer
+ * @param {any} value
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number}
+ */
+function clampPositiveInt(value, fallback, max) {
+  const n = parseInt(value, 10);
+  if (isNaN(n) || n <= 0) {
+    return fallback;
+  }
+  return Math.min(n, max);
+}
+
+/**
+ * Run a fleet query against dashboard data
+ * @param {any} dashboardData - Raw dashboard data
+ * @param {{type?: string, limit?: number, months?: number, risk_level?: string}} [query] - Query extracted by intent detection
+ * @returns {{type: string, title: string, vessels: FleetVessel[], counts: Array<{riskLevel: string, count: number}>, total: number}}
+ */
+function runFleetQuery(dashboardData, query = {}) {
+  const allVessels = getDashboardVessels(dashboardData).map(summarizeVessel);
+  const counts = countByRiskLevel(allVessels);
+  const type = FLEET_QUERY_TYPES.includes(query.type || '') ? String(query.type) : 'risk_counts';
+
+  switch (type) {
+    case 'top_risk': {
+      const limit = clampPositiveInt(query.limit, DEFAULT_TOP_LIMIT, MAX_TOP_LIMIT);
+      return {
+        type,
+        title: `Top ${limit} highest-risk vessels`,
+        vessels: getTopRiskVessels(allVessels, limit),
+        counts,
+        total: allVessels.length,
+      };
+    }
+    case 'not_inspected': {
+      const months = clampPositiveInt(query.months, DEFAULT_NOT_INSPECTED_MONTHS, 120);
+      return {
+        type,
+        title: `Vessels not inspected in the last ${months} month${months === 1 ? '' : 's'}`,
+        vessels: getVesselsNotInspectedSince(allVessels, months),
+        counts,
+        total: allVessels.length,
+      };
+    }
+    case 'risk_level': {
+      const riskLevel = String(query.risk_level || 'HIGH').toUpperCase();
+      return {
+        type,
+        title: `${riskLevel} risk vessels`,
+        vessels: getVesselsByRiskLevel(allVessels, riskLevel),
+        counts,
+        total: allVessels.length,
+      };
+    }
+    default:
+      return {
+        type,
+        title: 'Fleet risk overview',
+        vessels: sortByRiskScore(allVessels),
+        counts,
+        total: allVessels.length,
+      };
+  }
+}
+
+module.exports = {
+  getDashboardVessels,
+  summarizeVessel,
+  getTopRiskVessels,
+  countByRiskLevel,
+  getVesselsNotInspectedSince,
+  getVesselsByRiskLevel,
+  runFleetQuery,
+  // Export constants for testing
+  FLEET_QUERY_TYPES,
+  DEFAULT_TOP_LIMIT,
+  DEFAULT_NOT_INSPECTED_MONTHS,
+};
@@ -0,0 +1,256 @@
+/**
+ * Fleet Digest
+ *
+ * Scheduled summary of a user's vessels: risk level changes over the period,
+ * the top-risk vessels and upcoming PSC campaigns. Users opt in on WhatsApp
+ * ("send me a weekly digest") and choose daily or weekly delivery and their
+ * time zone; settings are kept in the shared state store under
+ * digest:<phone>.
+ *
+ * The fleet-digest function runs hourly and sends each opted-in user's digest
+ * once the local time reaches DIGEST_HOUR (08:00 by default), on Mondays for
+ * weekly digests.
+ */
+
+const stateManager = require('./state-manager');
+const fleetAnalytics = require('./fleet-analytics');
+const riskHistory = require('./risk-history');
+const userRegistry = require('./user-registry');
+const pscCampaigns = require('./psc-campaigns');
+
+const SETTINGS_PREFIX = 'digest:';
+const SETTINGS_TTL_MS = 400 * 24 * 60 * 60 * 1000; // 400 days since the last change or digest
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['daily', 'weekly'];
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const WEEKLY_DAY = 'Mon';
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR) || 8; // Local hour digests go out from
+const DEFAULT_TIME_ZONE = process.env.DIGEST_DEFAULT_TIME_ZONE || 'UTC';
+const TOP_RISK_LIMIT = 5;
+
+/**
+ * @typedef {Object} DigestSettings
+ * @property {boolean} enabled
+ * @property {'daily'|'weekly'} frequency
+ * @property {string} timeZone - IANA time zone (e.g. "Asia/Singapore")
+ * @property {string|null} lastSentDate - Local date (YYYY-MM-DD) of the last digest sent
+ */
+
+/**
+ * @typedef {Object} RiskLevelChange
+ * @property {string} name
+ * @property {string} imo
+ * @property {string} fromLevel
+ * @property {string} toLevel
+ * @property {number|null} fromScore
+ * @property {number|null} toScore
+ */
+
+/**
+ * @typedef {Object} FleetDigest
+ * @property {'daily'|'weekly'} frequency
+ * @property {import('./fleet-analytics').FleetVessel[]} vessels - The user's vessels (for the workbook)
+ * @property {Array<{riskLevel: string, count: number}>} riskLevelCounts
+ * @property {RiskLevelChange[]} riskChanges - Vessels whose risk level changed during the period
+ * @property {import('./fleet-analytics').FleetVessel[]} topRisk - Highest risk scores first
+ * @property {import('./psc-campaigns').PscCampaign[]} campaigns - Running now or starting soon
+ */
+
+/**
+ * Normalize a phone number to the key used for settings
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {string} Digits only
+ */
+function phoneKey(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Check whether a string is a time zone the runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return !!timeZone;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get a user's digest settings
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {Promise<DigestSettings|null>} Settings, or null if the user never opted in
+ */
+async function getSettings(phoneNumber) {
+  return (await stateManager.getStorageAdapter().get(SETTINGS_PREFIX + phoneKey(phoneNumber))) || null;
+}
+
+/**
+ * Update a user's digest settings
+ * Unset fields keep their current value (or the default for new settings).
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @param {{enabled?: boolean, frequency?: string|null, timeZone?: string|null, lastSentDate?: string|null}} changes
+ * @returns {Promise<DigestSettings>} Saved settings
+ */
+async function updateSettings(phoneNumber, changes) {
+  const current = await getSettings(phoneNumber);
+  const frequency = changes.frequency || current?.frequency || 'weekly';
+  const timeZone = changes.timeZone || current?.timeZone || DEFAULT_TIME_ZONE;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unsupported digest frequency: ${frequency}`);
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  /** @type {DigestSettings} */
+  const settings = {
+    enabled: changes.enabled ?? current?.enabled ?? false,
+    frequency: /** @type {'daily'|'weekly'} */ (frequency),
+    timeZone,
+    lastSentDate: changes.lastSentDate !== undefined ? changes.lastSentDate : (current?.lastSentDate ?? null),
+  };
+  await stateManager.getStorageAdapter().set(SETTINGS_PREFIX + phoneKey(phoneNumber), settings, SETTINGS_TTL_MS);
+  return settings;
+}
+
+/**
+ * Get the local date, weekday and hour in a time zone
+ * @param {number} now - Epoch ms
+ * @param {string} timeZone
+ * @returns {{date: string, weekday: string, hour: number}}
+ */
+function localTime(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(now));
+  /** @param {string} type */
+  const part = type => parts.find(p => p.type === type)?.value || '';
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: part('weekday'),
+    hour: Number(part('hour')),
+  };
+}
+
+/**
+ * Check whether a user's digest should go out now
+ * A run missed at DIGEST_HOUR is caught up later the same local day.
+ * @param {DigestSettings} settings
+ * @param {number} now - Epoch ms
+ * @returns {{due: boolean, localDate: string}}
+ */
+function isDue(settings, now) {
+  const local = localTime(now, settings.timeZone);
+  const due = settings.enabled &&
+    local.hour >= DIGEST_HOUR &&
+    settings.lastSentDate !== local.date &&
+    (settings.frequency === 'daily' || local.weekday === WEEKLY_DAY);
+  return { due, localDate: local.date };
+}
+
+/**
+ * Find the user's vessels whose risk level changed since a point in time
+ * @param {import('./fleet-analytics').FleetVessel[]} vessels
+ * @param {number} since - Start of the period (epoch ms)
+ * @returns {Promise<RiskLevelChange[]>}
+ */
+async function findRiskLevelChanges(vessels, since) {
+  /** @type {RiskLevelChange[]} */
+  const changes = [];
+  for (const vessel of vessels) {
+    const history = await riskHistory.getHistory(vessel.imo);
+    const latest = history[history.length - 1];
+    // Baseline: the last snapshot at or before the start of the period, else the oldest one
+    const before = history.filter(entry => entry.recordedAt <= since);
+    const baseline = before[before.length - 1] || history[0];
+    if (latest && baseline && baseline.riskLevel !== latest.riskLevel) {
+      changes.push({
+        name: vessel.name,
+        imo: vessel.imo,
+        fromLevel: baseline.riskLevel,
+        toLevel: latest.riskLevel,
+        fromScore: baseline.riskScore,
+        toScore: latest.riskScore,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Build a user's digest from the dashboard data
+ * @param {import('./user-registry').RegisteredUser} user - Scopes the digest to the user's vessels
+ * @param {any} dashboardData - Raw dashboard data from apiClient.fetchDashboardData()
+ * @param {{frequency?: 'daily'|'weekly', now?: number}} [options]
+ * @returns {Promise<FleetDigest>}
+ */
+async function buildDigest(user, dashboardData, options = {}) {
+  const frequency = options.frequency || 'weekly';
+  const now = options.now ?? Date.now();
+  const vessels = userRegistry.filterVesselsForUser(user, fleetAnalytics.getDashboardVessels(dashboardData))
+    .map(fleetAnalytics.summarizeVessel);
+
+  return {
+    frequency,
+    vessels,
+    riskLevelCounts: fleetAnalytics.countByRiskLevel(vessels),
+    riskChanges: await findRiskLevelChanges(vessels, now - PERIOD_DAYS[frequency] * DAY_MS),
+    topRisk: fleetAnalytics.getTopRiskVessels(vessels, TOP_RISK_LIMIT),
+    campaigns: pscCampaigns.getUpcomingCampaigns({ now }),
+  };
+}
+
+/**
+ * Format the short WhatsApp teaser for a digest
+ * @param {FleetDigest} digest
+ * @param {string|null} emailedTo - Address the full digest was emailed to (null if it wasn't)
+ * @returns {string}
+ */
+function formatDigestTeaser(digest, emailedTo) {
+  const period = digest.frequency === 'daily' ? 'today' : 'this week';
+  const top = digest.topRisk[0];
+  const campaign = digest.campaigns[0];
+
+  let message = `📬 *Your ${digest.frequency} fleet digest* (${digest.vessels.length} vessels)\n\n`;
+  message += digest.riskChanges.length > 0
+    ? `• ${digest.riskChanges.length} risk level change${digest.riskChanges.length === 1 ? '' : 's'} ${period}: ` +
+      digest.riskChanges.slice(0, 3).map(change => `${change.name} ${change.fromLevel} → ${change.toLevel}`).join(', ') +
+      (digest.riskChanges.length > 3 ? ', ...' : '') + '\n'
+    : `• No risk level changes ${period}\n`;
+  if (top) {
+    message += `• Highest risk: ${top.name} (${top.riskScore}, ${top.riskLevel})\n`;
+  }
+  if (campaign) {
+    message += `• PSC campaign: ${campaign.name} (${campaign.start} to ${campaign.end})\n`;
+  }
+  message += emailedTo
+    ? `\nThe full digest and fleet workbook have been emailed to ${emailedTo}.`
+    : `\nAsk 'Which of my vessels are high risk?' for details.`;
+  message += `\n\nSend 'stop digest' to unsubscribe.`;
+  return message;
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  isValidTimeZone,
+  isDue,
+  buildDigest,
+  formatDigestTeaser,
+  // Export constants for testing
+  SETTINGS_PREFIX,
+  FREQUENCIES,
+  DIGEST_HOUR,
+  DEFAULT_TIME_ZONE,
+  TOP_RISK_LIMIT,
+};
@@ -0,0 +1,80 @@
+/**
+ * IMO Numbers
+ *
+ * IMO ship identification numbers have 7 digits, the last being a check digit:
+ * the first six digits are multiplied by 7, 6, 5, 4, 3 and 2 and the last
+ * digit of the sum must equal the seventh.
+ * e.g. 9481219: 9×7 + 4×6 + 8×5 + 1×4 + 2×3 + 1×2 = 139 -> check digit 9
+ */
+
+const IMO_LENGTH = 7;
+
+// "IMO 9481219", "IMO:9481219", "IMO no. 9481219", "imo#9481219", "IMO9481219".
+// Only 6-8 digit runs count (7, or one digit off for typos): "IMO 2020" is a regulation
+const IMO_MENTION = /\bIMO(?:\s*(?:NO|NUMBER|NR)\b\.?)?[\s:#.-]*(\d{6,8})(?!\d)/gi;
+
+/**
+ * @typedef {Object} ImoCheck
+ * @property {string} imo - Digits checked
+ * @property {boolean} valid
+ * @property {'format'|'checksum'|null} reason - Why it's invalid: not 7 digits, or wrong check digit
+ */
+
+/**
+ * Check an IMO number
+ * Accepts the bare digits or an "IMO 9481219" style string.
+ * @param {string|number|null|undefined} value
+ * @returns {ImoCheck}
+ */
+function validateImo(value) {
+  const imo = String(value ?? '').trim().replace(/^IMO[\s:#.-]*/i, '');
+  if (!new RegExp(`^\\d{${IMO_LENGTH}}$`).test(imo)) {
+    return { imo, valid: false, reason: 'format' };
+  }
+
+  let sum = 0;
+  for (let i = 0; i < IMO_LENGTH - 1; i++) {
+    sum += Number(imo[i]) * (IMO_LENGTH - i);
+  }
+  const valid = sum % 10 === Number(imo[IMO_LENGTH - 1]);
+  return { imo, valid, reason: valid ? null : 'checksum' };
+}
+
+/**
+ * Whether a value is a well-formed IMO number with a correct check digit
+ * @param {string|number|null|undefined} value
+ * @returns {boolean}
+ */
+function isValidImo(value) {
+  return validateImo(value).valid;
+}
+
+/**
+ * Find IMO numbers written as "IMO 9481219" / "IMO:9481219" in free text
+ * Bare numbers aren't picked up; they could be anything. Neither are "IMO"
+ * followed by fewer than 6 or more than 8 digits, such as "IMO 2020 sulphur cap".
+ * @param {string} text
+ * @returns {ImoCheck[]} One check per mention, in order
+ */
+function extractImos(text) {
+  return Array.from(String(text || '').matchAll(IMO_MENTION), match => validateImo(match[1]));
+}
+
+/**
+ * Explain why an IMO number was rejected
+ * @param {ImoCheck} check - Failed check from validateImo
+ * @returns {string} e.g. "IMO numbers have 7 digits"
+ */
+function describeImoError(check) {
+  return check.reason === 'checksum'
+    ? 'its last digit doesn\'t match the IMO check digit'
+    : `IMO numbers have ${IMO_LENGTH} digits`;
+}
+
+module.exports = {
+  validateImo,
+  isValidImo,
+  extractImos,
+  describeImoError,
+  IMO_LENGTH,
+};
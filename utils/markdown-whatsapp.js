@@ -0,0 +1,221 @@
+/**
+ * Markdown to WhatsApp
+ *
+ * Converts markdown (as returned by the recommendations API in rawText
+ * responses) into WhatsApp's native formatting:
+ *
+ * - Headings             -> *Heading*
+ * - **bold** / __bold__  -> *bold*
+ * - *italic* / _italic_  -> _italic_
+ * - ***bold italic***    -> *_bold italic_*
+ * - ~~strike~~           -> ~strike~
+ * - `code` and fences    -> ```monospace```
+ * - Bullets / checkboxes -> •, ◦ (nested), ☐ / ☑
+ * - Tables               -> aligned monospace block
+ * - [text](url)          -> text (url)
+ *
+ * truncateWhatsApp shortens converted text without leaving a monospace block open.
+ */
+
+// Placeholder for bold markers while single-star italics are rewritten
+const BOLD_MARK = '\u0001';
+const MAX_TABLE_CELL_WIDTH = 30;
+
+/**
+ * Convert inline markdown in one line of text
+ * @param {string} text
+ * @returns {string}
+ */
+function convertInline(text) {
+  // Inline code first so its contents are left alone
+  const codeSpans = /** @type {string[]} */ ([]);
+  let result = text.replace(/`([^`]+)`/g, (_match, code) => {
+    codeSpans.push(code);
+    return `\u0002${codeSpans.length - 1}\u0002`;
+  });
+
+  result = result
+    .replace(/!?\[([^\]]+)\]\(([^)\s]+)\)/g, (_match, label, url) => (label === url ? url : `${label} (${url})`))
+    // Bold italic nests italics inside bold, so WhatsApp renders both
+    .replace(/(\*\*\*|___)(?=\S)(.+?\S)\1/g, `${BOLD_MARK}_$2_${BOLD_MARK}`)
+    .replace(/\*\*(?=\S)(.+?\S)\*\*/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/__(?=\S)(.+?\S)__/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1_$2_')
+    .replace(/~~(?=\S)(.+?\S)~~/g, '~$1~')
+    .replace(new RegExp(BOLD_MARK, 'g'), '*');
+
+  return result.replace(/\u0002(\d+)\u0002/g, (_match, index) => `\`\`\`${codeSpans[Number(index)]}\`\`\``);
+}
+
+/**
+ * Remove inline markdown markers (for table cells and headings)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInline(text) {
+  return text
+    .replace(/!?\[([^\]]+)\]\(([^)\s]+)\)/g, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, '$1$2')
+    .trim();
+}
+
+/**
+ * Check whether a line is a markdown table row
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isTableRow(line) {
+  return /^\s*\|.*\|\s*$/.test(line);
+}
+
+/**
+ * Split a table row into cells
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => stripInline(cell.trim()));
+}
+
+/**
+ * Render table rows as an aligned monospace block
+ * @param {string[]} rows - Raw table lines (including the |---| separator)
+ * @returns {string}
+ */
+function renderTable(rows) {
+  const cells = rows
+    .filter(row => !/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(row))
+    .map(row => tableCells(row).map(cell => (cell.length > MAX_TABLE_CELL_WIDTH
+      ? `${cell.slice(0, MAX_TABLE_CELL_WIDTH - 1)}…`
+      : cell)));
+  const columnCount = Math.max(...cells.map(row => row.length));
+  const widths = Array.from({ length: columnCount }, (_, column) =>
+    Math.max(...cells.map(row => (row[column] || '').length)));
+
+  const lines = cells.map(row =>
+    widths.map((width, column) => (row[column] || '').padEnd(width)).join(' | ').trimEnd());
+  return ['```', ...lines, '```'].join('\n');
+}
+
+/**
+ * Convert one non-table, non-code line
+ * @param {string} line
+ * @returns {string}
+ */
+function convertLine(line) {
+  const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+  if (heading) {
+    const text = stripInline(heading[1] || '');
+    return text ? `*${text}*` : '';
+  }
+
+  // Horizontal rules become paragraph breaks
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+    return '';
+  }
+
+  const checkbox = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+  if (checkbox) {
+    const indent = (checkbox[1] || '').length >= 2 ? '  ' : '';
+    return `${indent}${checkbox[2] === ' ' ? '☐' : '☑'} ${convertInline(checkbox[3] || '')}`;
+  }
+
+  const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+  if (bullet) {
+    const nested = (bullet[1] || '').length >= 2;
+    return `${nested ? '  ◦' : '•'} ${convertInline(bullet[2] || '')}`;
+  }
+
+  const numbered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+  if (numbered) {
+    const nested = (numbered[1] || '').length >= 2;
+    return `${nested ? '  ' : ''}${numbered[2]}. ${convertInline(numbered[3] || '')}`;
+  }
+
+  const quote = line.match(/^\s*>\s?(.*)$/);
+  if (quote) {
+    return `> ${convertInline(quote[1] || '')}`;
+  }
+
+  return convertInline(line.trim());
+}
+
+/**
+ * Convert markdown to WhatsApp formatting
+ * @param {string} markdown - Markdown text
+ * @returns {string} WhatsApp-formatted text
+ */
+function markdownToWhatsApp(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  /** @type {string[]} */
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i] || '';
+
+    // Fenced code block: keep contents verbatim in a monospace block
+    if (/^\s*(```|~~~)/.test(line)) {
+      /** @type {string[]} */
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*(```|~~~)/.test(lines[i] || '')) {
+        code.push(lines[i] || '');
+        i++;
+      }
+      output.push(['```', ...code, '```'].join('\n'));
+      continue;
+    }
+
+    if (isTableRow(line)) {
+      /** @type {string[]} */
+      const rows = [];
+      while (i < lines.length && isTableRow(lines[i] || '')) {
+        rows.push(lines[i] || '');
+        i++;
+      }
+      i--;
+      output.push(renderTable(rows));
+      continue;
+    }
+
+    output.push(convertLine(line));
+  }
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Shorten converted text to about maxLength characters
+ * Cuts at a line break where possible, and never inside a ``` block: the cut
+ * moves back before the block's opening fence, or the block is closed if that
+ * would drop too much.
+ * @param {string} text - WhatsApp-formatted text
+ * @param {number} maxLength - Characters to keep (the closing fence and marker are added on top)
+ * @param {string} [marker] - Appended when the text was shortened
+ * @returns {string}
+ */
+function truncateWhatsApp(text, maxLength, marker = '\n\n...[truncated]') {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  let cut = text.slice(0, maxLength);
+  const lineEnd = cut.lastIndexOf('\n');
+  if (lineEnd > maxLength / 2) {
+    cut = cut.slice(0, lineEnd);
+  }
+
+  // An odd number of fences means the cut landed inside a monospace block
+  if ((cut.match(/```/g) || []).length % 2 === 1) {
+    const fence = cut.lastIndexOf('```');
+    cut = fence > maxLength / 2 ? cut.slice(0, fence) : `${cut}\n\`\`\``;
+  }
+  return cut.trimEnd() + marker;
+}
+
+module.exports = {
+  markdownToWhatsApp,
+  truncateWhatsApp,
+  stripInline,
+};
@@ -0,0 +1,430 @@
+/**
+ * PDF Report
+ *
+ * Renders the vessel recommendations report as a PDF with the same content as
+ * the Excel workbook from generate-excel:
+ * - Cover page with the vessel summary, a risk badge and item counts
+ * - CRITICAL / MODERATE / RECOMMENDED sections in the workbook's red/yellow/green
+ * - Internal/external/general checklists as tick boxes
+ * - Campaigns, and the Raw Report lines for raw-text reports
+ *
+ * The built-in Helvetica fonts only cover WinAnsi (Windows-1252), so text is
+ * mapped onto it first: accented letters outside it lose their accent, emoji
+ * are dropped and other scripts print as '?', rather than as garbage glyphs.
+ */
+
+const PDFDocument = require('pdfkit');
+const { parseRecommendationsText } = require('./recommendations-parser');
+
+const HEADER_COLOR = '#1F4E78'; // Dark blue, as the workbook header rows
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#666666';
+const PAGE_MARGIN = 50;
+// Start a new page rather than begin a block this close to the bottom
+const MIN_BLOCK_SPACE = 80;
+const CHECKBOX_SIZE = 8;
+
+// Characters Windows-1252 adds in 0x80-0x9F on top of Latin-1
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+// Letters with no decomposition to a base letter
+const LETTER_FALLBACKS = { 'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ħ': 'H', 'ħ': 'h', 'ı': 'i' };
+// Emoji, flags, keycaps and the joiners/selectors that build them
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0e\ufe0f\u20e3]/u;
+
+// Severity sections, in report order, with the workbook's row colours
+const SECTIONS = [
+  { key: 'CRITICAL', title: 'CRITICAL Recommendations', fill: '#FFC7CE', accent: '#9C0006' },
+  { key: 'MODERATE', title: 'MODERATE Recommendations', fill: '#FFEB9C', accent: '#9C5700' },
+  { key: 'RECOMMENDED', title: 'RECOMMENDED', fill: '#C6EFCE', accent: '#006100' },
+];
+
+const CHECKLISTS = [
+  { label: 'Internal Checklist', keys: ['internalChecklist', 'internal_checklist'] },
+  { label: 'External Checklist', keys: ['externalChecklist', 'external_checklist'] },
+  { label: 'General Checklist', keys: ['generalChecklist', 'general_checklist'] },
+];
+
+/**
+ * Normalize a value to a list of non-empty strings
+ * @param {any} value - Array, string or missing
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).filter(item => item).map(item => String(item));
+}
+
+/**
+ * Check whether the standard PDF fonts can draw a character
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+function isWinAnsi(char) {
+  const code = char.codePointAt(0) || 0;
+  return char === '\n' || char === '\t' ||
+         (code >= 0x20 && code <= 0x7e) ||
+         (code >= 0xa0 && code <= 0xff) ||
+         WIN_ANSI_EXTRAS.includes(char);
+}
+
+/**
+ * Map text onto the characters the standard PDF fonts can draw
+ * @param {any} value
+ * @returns {string}
+ */
+function toWinAnsi(value) {
+  return Array.from(String(value ?? '').normalize('NFC'), (char) => {
+    if (isWinAnsi(char)) {
+      return char;
+    }
+    const base = LETTER_FALLBACKS[/** @type {keyof typeof LETTER_FALLBACKS} */ (char)] ||
+      char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    if (base && Array.from(base).every(isWinAnsi)) {
+      return base;
+    }
+    return EMOJI_PATTERN.test(char) ? '' : '?';
+  }).join('');
+}
+
+/**
+ * Pick the risk badge colour for a risk level
+ * @param {string} riskLevel
+ * @returns {string} Hex colour
+ */
+function riskBadgeColor(riskLevel) {
+  const level = String(riskLevel || '').toUpperCase();
+  if (/CRITICAL|HIGH/.test(level)) {
+    return '#C00000';
+  }
+  if (/MEDIUM|MODERATE/.test(level)) {
+    return '#ED7D31';
+  }
+  if (/LOW/.test(level)) {
+    return '#00B050';
+  }
+  return '#7F7F7F';
+}
+
+/**
+ * Extract the vessel summary rows shown on the cover page (the workbook's
+ * Vessel Summary sheet)
+ * @param {any} vesselData
+ * @returns {{vesselName: string, imo: string, riskScore: string, riskLevel: string, rows: Array<[string, string]>}}
+ */
+function summarizeVessel(vesselData) {
+  const vesselName = String(vesselData.name || vesselData.vesselName || 'Unknown Vessel');
+  const imo = String(vesselData.imo || vesselData.imoNumber || 'N/A');
+  const riskScore = String(vesselData.riskScore || vesselData.risk_score || 'N/A');
+  const riskLevel = String(vesselData.riskLevel || vesselData.risk_level || 'N/A');
+  const riskLabel = String(vesselData.riskLabel || vesselData.risk_label || riskLevel);
+
+  const lastInspection = vesselData.lastInspection || vesselData.last_inspection || {};
+  const dateValue = lastInspection.date || lastInspection.inspectionDate || lastInspection.timestamp;
+  let lastInspectionDate = 'N/A';
+  if (typeof dateValue === 'number') {
+    lastInspectionDate = new Date(dateValue).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  } else if (typeof dateValue === 'string') {
+    lastInspectionDate = dateValue;
+  }
+  const lastInspectionPort = String(lastInspection.port || lastInspection.portName || lastInspection.port_name || 'N/A');
+
+  const reportGenerated = new Date().toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  return {
+    vesselName,
+    imo,
+    riskScore,
+    riskLevel,
+    rows: [
+      ['Vessel Name', vesselName],
+      ['IMO Number', imo],
+      ['Risk Score', riskScore],
+      ['Risk Level', riskLevel],
+      ['Risk Label', riskLabel],
+      ['Last Inspection Date', lastInspectionDate],
+      ['Last Inspection Port', lastInspectionPort],
+      ['Report Generated', reportGenerated],
+    ],
+  };
+}
+
+/**
+ * Normalize campaigns (array of campaigns or object keyed by campaign name)
+ * @param {any} recommendationsData
+ * @returns {Array<{name: string, recommendations: string[]}>}
+ */
+function normalizeCampaigns(recommendationsData) {
+  const campaigns = recommendationsData.campaigns || recommendationsData.Campaigns || [];
+  if (Array.isArray(campaigns)) {
+    return campaigns.map((/** @type {any} */ campaign) => ({
+      name: String(campaign.name || campaign.campaignName || campaign.campaign_name || 'Unknown Campaign'),
+      recommendations: toList(campaign.recommendations || campaign.description),
+    }));
+  }
+  if (typeof campaigns === 'object' && campaigns !== null) {
+    return Object.keys(campaigns).map(name => {
+      const campaignData = campaigns[name];
+      return {
+        name,
+        recommendations: toList(Array.isArray(campaignData) ? campaignData : campaignData?.recommendations),
+      };
+    });
+  }
+  return [];
+}
+
+/**
+ * Create a PDF renderer with helpers that keep track of page space
+ * @param {any} doc - PDFKit document
+ */
+function createRenderer(doc) {
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  /**
+   * Add a page if fewer than `space` points remain
+   * @param {number} [space]
+   */
+  function ensureSpace(space = MIN_BLOCK_SPACE) {
+    if (doc.y + space > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Coloured band with a section title
+   * @param {string} title
+   * @param {string} fill - Band colour
+   * @param {string} color - Title colour
+   */
+  function sectionHeader(title, fill, color) {
+    ensureSpace(MIN_BLOCK_SPACE + 30);
+    const y = doc.y;
+    doc.rect(left, y, width, 26).fill(fill);
+    doc.fillColor(color).font('Helvetica-Bold').fontSize(14).text(toWinAnsi(title), left + 10, y + 7, { width: width - 20 });
+    doc.y = y + 36;
+  }
+
+  /**
+   * Paragraph of body text
+   * @param {string} text
+   * @param {{font?: string, size?: number, color?: string, indent?: number}} [options]
+   */
+  function paragraph(text, options = {}) {
+    const indent = options.indent || 0;
+    doc.fillColor(options.color || TEXT_COLOR)
+      .font(options.font || 'Helvetica')
+      .fontSize(options.size || 10)
+      .text(toWinAnsi(text), left + indent, doc.y, { width: width - indent });
+  }
+
+  /**
+   * Bulleted line
+   * @param {string} text
+   * @param {number} indent
+   */
+  function bullet(text, indent) {
+    ensureSpace(20);
+    paragraph(`•  ${text}`, { indent });
+  }
+
+  /**
+   * Checklist line with an empty tick box
+   * @param {string} text
+   * @param {number} indent
+   */
+  function checkbox(text, indent) {
+    ensureSpace(20);
+    const y = doc.y;
+    doc.lineWidth(0.8).strokeColor(MUTED_COLOR).rect(left + indent, y + 1, CHECKBOX_SIZE, CHECKBOX_SIZE).stroke();
+    paragraph(text, { indent: indent + CHECKBOX_SIZE + 6 });
+    doc.moveDown(0.15);
+  }
+
+  /**
+   * Vertical gap
+   * @param {number} lines - Gap in lines of the current font
+   */
+  function space(lines) {
+    doc.moveDown(lines);
+  }
+
+  return { left, width, ensureSpace, sectionHeader, paragraph, bullet, checkbox, space };
+}
+
+/**
+ * Render the cover page: title band, vessel summary, risk badge and counts
+ * @param {any} doc
+ * @param {ReturnType<typeof createRenderer>} render
+ * @param {ReturnType<typeof summarizeVessel>} summary
+ * @param {Record<string, any[]>} sections - Items per severity key
+ */
+function renderCoverPage(doc, render, summary, sections) {
+  const { left, width } = render;
+
+  doc.rect(0, 0, doc.page.width, 120).fill(HEADER_COLOR);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(24)
+    .text('PSC Recommendations Report', left, 40, { width });
+  doc.font('Helvetica').fontSize(14).text(toWinAnsi(`${summary.vesselName} (IMO ${summary.imo})`), left, 75, { width });
+
+  // Risk badge
+  const badgeY = 150;
+  doc.roundedRect(left, badgeY, 180, 60, 8).fill(riskBadgeColor(summary.riskLevel));
+  doc.fillColor('#FFFFFF').font('Helvetica').fontSize(10).text('RISK LEVEL', left + 12, badgeY + 10);
+  doc.font('Helvetica-Bold').fontSize(18).text(toWinAnsi(summary.riskLevel.toUpperCase()), left + 12, badgeY + 26, { width: 160 });
+  doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(10).text('Risk score', left + 200, badgeY + 10);
+  doc.font('Helvetica-Bold').fontSize(18).text(toWinAnsi(summary.riskScore), left + 200, badgeY + 26);
+
+  // Vessel summary table
+  let y = badgeY + 90;
+  summary.rows.forEach(([field, value], index) => {
+    if (index % 2 === 0) {
+      doc.rect(left, y - 4, width, 20).fill('#F2F2F2');
+    }
+    doc.fillColor(HEADER_COLOR).font('Helvetica-Bold').fontSize(10).text(field, left + 8, y, { width: 150 });
+    doc.fillColor(TEXT_COLOR).font('Helvetica').text(toWinAnsi(value), left + 170, y, { width: width - 178 });
+    y += 20;
+  });
+
+  // Item counts per severity
+  y += 20;
+  const boxWidth = (width - 20) / SECTIONS.length;
+  SECTIONS.forEach((section, index) => {
+    const x = left + index * (boxWidth + 10);
+    doc.rect(x, y, boxWidth, 56).fill(section.fill);
+    doc.fillColor(section.accent).font('Helvetica-Bold').fontSize(22)
+      .text(String((sections[section.key] || []).length), x, y + 8, { width: boxWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(section.key, x, y + 36, { width: boxWidth, align: 'center' });
+  });
+}
+
+/**
+ * Render one recommendation item
+ * @param {ReturnType<typeof createRenderer>} render
+ * @param {any} rec - Recommendation (object or category string)
+ * @param {number} number - Position within its section
+ * @param {string} accent - Section colour
+ */
+function renderItem(render, rec, number, accent) {
+  const data = typeof rec === 'object' && rec !== null ? rec : {};
+  const category = typeof rec === 'string' ? rec : (data.category || data.name || 'General');
+  const issueType = data.issueType || data.issue_type || '';
+  const campaignTrend = data.campaignTrend || data.campaign_trend || data.trend || '';
+  const recommendations = toList(data.recommendations || data.generalRecommendations ||
+    data.general_recommendations || data.description || data.recommendation || data.text);
+
+  render.ensureSpace();
+  render.paragraph(`${number}. ${category}`, { font: 'Helvetica-Bold', size: 12, color: accent });
+  if (issueType) {
+    render.paragraph(`Issue type: ${issueType}`, { size: 9, color: MUTED_COLOR, indent: 14 });
+  }
+  if (campaignTrend) {
+    render.paragraph(`Campaign trend: ${campaignTrend}`, { size: 9, color: MUTED_COLOR, indent: 14 });
+  }
+  recommendations.forEach(text => render.bullet(text, 14));
+
+  CHECKLISTS.forEach(({ label, keys }) => {
+    const items = toList(keys.map(key => data[key]).find(value => value));
+    if (items.length === 0) {
+      return;
+    }
+    render.ensureSpace(30);
+    render.paragraph(label, { font: 'Helvetica-Bold', size: 10, indent: 14 });
+    items.forEach(text => render.checkbox(text, 24));
+  });
+  render.space(0.6);
+}
+
+/**
+ * Generate the recommendations report as a PDF
+ * @param {any} vesselData - Vessel record (same as generateExcelFile)
+ * @param {any} recommendationsData - Structured or { rawText } recommendations (same as generateExcelFile)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generatePdfFile(vesselData, recommendationsData) {
+  // Raw-text reports are parsed like the workbook does
+  /** @type {string[]} */
+  let unparsedLines = [];
+  let data = recommendationsData || {};
+  if (typeof data.rawText === 'string') {
+    const parsed = parseRecommendationsText(data.rawText);
+    unparsedLines = parsed.unparsed;
+    data = { ...data, ...parsed };
+  }
+
+  /** @type {Record<string, any[]>} */
+  const sections = {};
+  SECTIONS.forEach(({ key }) => {
+    const items = data[key] || data[key.toLowerCase()] || [];
+    sections[key] = Array.isArray(items) ? items : [];
+  });
+  const summary = summarizeVessel(vesselData || {});
+  const campaigns = normalizeCampaigns(data);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `PSC Recommendations Report - ${summary.vesselName}`,
+      Subject: `IMO ${summary.imo}`,
+    },
+  });
+  const render = createRenderer(doc);
+
+  return new Promise((resolve, reject) => {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    doc.on('data', (/** @type {Buffer} */ chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    renderCoverPage(doc, render, summary, sections);
+
+    doc.addPage();
+    SECTIONS.forEach(section => {
+      render.sectionHeader(section.title, section.fill, section.accent);
+      const items = sections[section.key] || [];
+      if (items.length === 0) {
+        render.paragraph('No items.', { font: 'Helvetica-Oblique', color: MUTED_COLOR });
+      }
+      items.forEach((rec, index) => renderItem(render, rec, index + 1, section.accent));
+      render.space(1);
+    });
+
+    render.sectionHeader('Campaigns', HEADER_COLOR, '#FFFFFF');
+    if (campaigns.length === 0) {
+      render.paragraph('No campaigns.', { font: 'Helvetica-Oblique', color: MUTED_COLOR });
+    }
+    campaigns.forEach(campaign => {
+      render.ensureSpace();
+      render.paragraph(campaign.name, { font: 'Helvetica-Bold', size: 12, color: HEADER_COLOR });
+      campaign.recommendations.forEach(text => render.bullet(text, 14));
+      render.space(0.5);
+    });
+
+    if (unparsedLines.length > 0) {
+      render.space(1);
+      render.sectionHeader('Raw Report', HEADER_COLOR, '#FFFFFF');
+      unparsedLines.forEach(line => {
+        render.ensureSpace(20);
+        render.paragraph(line, { size: 9 });
+      });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  generatePdfFile,
+  riskBadgeColor,
+  toWinAnsi,
+};
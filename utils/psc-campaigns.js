@@ -0,0 +1,130 @@
+/**
+ * PSC Campaigns
+ *
+ * Calendar of Concentrated Inspection Campaigns (CICs) announced by the PSC
+ * regimes, used to warn fleet managers about upcoming campaigns in the fleet
+ * digest. Campaigns are announced a few months ahead, so the calendar is kept
+ * by hand.
+ *
+ * Calendar format:
+ * {
+ *   "campaigns": [
+ *     { "name": "CIC on STCW", "regimes": ["Paris MoU", "Tokyo MoU"], "start": "2025-09-01", "end": "2025-11-30" }
+ *   ]
+ * }
+ *
+ * Sources, in order: PSC_CAMPAIGNS_JSON env var, bundled data/psc-campaigns.json.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKAHEAD_DAYS = 90;
+
+// Attempt to inline/bundle the calendar JSON
+/** @type {any} */
+let BUILT_IN_CAMPAIGNS = null;
+try {
+  // This require will get bundled by esbuild if the file exists
+  BUILT_IN_CAMPAIGNS = require('../data/psc-campaigns.json');
+} catch (_e) {
+  BUILT_IN_CAMPAIGNS = null;
+}
+
+/**
+ * @typedef {Object} PscCampaign
+ * @property {string} name
+ * @property {string[]} regimes - PSC regimes running the campaign (e.g. "Paris MoU")
+ * @property {string} start - First day (YYYY-MM-DD)
+ * @property {string} end - Last day (YYYY-MM-DD)
+ */
+
+/** @type {PscCampaign[] | null} */
+let campaignsCache = null;
+
+/**
+ * Normalize a calendar date to YYYY-MM-DD
+ * @param {string} value - Parseable date
+ * @returns {string}
+ */
+function toIsoDate(value) {
+  return new Date(Date.parse(value)).toISOString().split('T')[0] || '';
+}
+
+/**
+ * Build the campaign list from raw calendar data
+ * Entries without a name or with unparseable dates are skipped.
+ * @param {any} data - Parsed calendar JSON
+ * @returns {PscCampaign[]} Campaigns ordered by start date
+ */
+function buildCampaigns(data) {
+  const entries = Array.isArray(data) ? data : (data && data.campaigns) || [];
+  /** @type {PscCampaign[]} */
+  const campaigns = [];
+  entries.forEach((/** @type {any} */ entry) => {
+    const start = String((entry && entry.start) || '');
+    const end = String((entry && entry.end) || start);
+    if (!entry || !entry.name || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+      console.warn('Warning: skipping PSC campaign entry without name or valid dates');
+      return;
+    }
+    campaigns.push({
+      name: String(entry.name),
+      regimes: Array.isArray(entry.regimes) ? entry.regimes.map(String) : [],
+      start: toIsoDate(start),
+      end: toIsoDate(end),
+    });
+  });
+  return campaigns.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Load the campaign calendar
+ * @returns {PscCampaign[]}
+ */
+function loadCampaigns() {
+  if (campaignsCache !== null) {
+    return campaignsCache;
+  }
+
+  // 1) Env var JSON (lets the calendar be updated without a deploy)
+  const envJson = process.env.PSC_CAMPAIGNS_JSON;
+  if (envJson) {
+    try {
+      campaignsCache = buildCampaigns(JSON.parse(envJson));
+      console.log(`PSC campaigns loaded from env JSON (${campaignsCache.length} campaigns)`);
+      return campaignsCache;
+    } catch (err) {
+      console.warn('Warning: failed to parse PSC_CAMPAIGNS_JSON env var:', err);
+    }
+  }
+
+  // 2) Bundled calendar
+  campaignsCache = buildCampaigns(BUILT_IN_CAMPAIGNS || {});
+  console.log(`PSC campaigns loaded from bundled psc-campaigns.json (${campaignsCache.length} campaigns)`);
+  return campaignsCache;
+}
+
+/**
+ * Get campaigns that are running now or start within the lookahead window
+ * @param {{now?: number, days?: number}} [options] - Lookahead in days (default 90)
+ * @returns {PscCampaign[]} Campaigns ordered by start date
+ */
+function getUpcomingCampaigns(options = {}) {
+  const now = options.now ?? Date.now();
+  const today = new Date(now).toISOString().split('T')[0] || '';
+  const horizon = new Date(now + (options.days ?? DEFAULT_LOOKAHEAD_DAYS) * DAY_MS).toISOString().split('T')[0] || '';
+  return loadCampaigns().filter(campaign => campaign.end >= today && campaign.start <= horizon);
+}
+
+/**
+ * Clear the calendar cache (useful for testing or after updating the calendar)
+ */
+function clearCache() {
+  campaignsCache = null;
+}
+
+module.exports = {
+  getUpcomingCampaigns,
+  clearCache,
+  // Export constants for testing
+  DEFAULT_LOOKAHEAD_DAYS,
+};
@@ -0,0 +1,170 @@
+/**
+ * Recommendations Formatter
+ *
+ * Turns structured recommendations (the CRITICAL / MODERATE / RECOMMENDED
+ * shape consumed by generateExcelFile) into a WhatsApp digest: counts per
+ * severity, then the top items of each severity with their category, first
+ * recommendation and first checklist actions. Used by the recommendations
+ * workers' reply (recommendations-reply.js); the follow-up menu text is shared
+ * with the webhook.
+ */
+
+const DEFAULT_ITEMS_PER_SEVERITY = 3;
+const MAX_ACTIONS_PER_ITEM = 2;
+
+const SEVERITIES = [
+  { key: 'CRITICAL', label: 'Critical', emoji: '🔴', aliases: ['CRITICAL', 'HIGH'] },
+  { key: 'MODERATE', label: 'Moderate', emoji: '🟡', aliases: ['MODERATE', 'MEDIUM'] },
+  { key: 'RECOMMENDED', label: 'Recommended', emoji: '🟢', aliases: ['RECOMMENDED', 'LOW'] },
+];
+
+/**
+ * Follow-up menu offered with every recommendations report
+ */
+const FOLLOW_UP_MENU =
+  'Report ready! How would you like to receive it?\n\n' +
+  '1️⃣ Download as Excel file\n' +
+  '2️⃣ Receive via email\n' +
+  '3️⃣ Download as PDF\n' +
+  '4️⃣ Download as inspection checklist\n\n' +
+  'Reply with "1" or "download" for Excel, "2" or "email" for email delivery, "3" or "pdf" for a PDF, ' +
+  'or "4" or "checklist" for a tickable checklist workbook.';
+
+/**
+ * Normalize a value to a list of non-empty strings
+ * @param {any} value - Array, string or missing
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => String(item || '').trim()).filter(Boolean);
+}
+
+/**
+ * Group recommendations by severity. Accepts the CRITICAL / MODERATE /
+ * RECOMMENDED keys (either case) or a flat list with a priority/severity field.
+ * @param {any} recommendationsData - Recommendations API response
+ * @returns {{CRITICAL: any[], MODERATE: any[], RECOMMENDED: any[]}}
+ */
+function groupBySeverity(recommendationsData) {
+  const data = recommendationsData || {};
+  /** @type {{CRITICAL: any[], MODERATE: any[], RECOMMENDED: any[]}} */
+  const groups = { CRITICAL: [], MODERATE: [], RECOMMENDED: [] };
+
+  SEVERITIES.forEach(({ key }) => {
+    const items = data[key] || data[key.toLowerCase()];
+    if (Array.isArray(items)) {
+      groups[/** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'} */ (key)] = items;
+    }
+  });
+
+  // Flat list with a priority/severity per item
+  const flat = data.recommendations || data.data;
+  if (!groups.CRITICAL.length && !groups.MODERATE.length && !groups.RECOMMENDED.length && Array.isArray(flat)) {
+    flat.forEach((/** @type {any} */ rec) => {
+      const priority = String(rec?.priority || rec?.severity || '').toUpperCase();
+      const severity = SEVERITIES.find(({ aliases }) => aliases.includes(priority));
+      if (severity) {
+        groups[/** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'} */ (severity.key)].push(rec);
+      }
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Check whether a response has the structured shape (as opposed to rawText)
+ * @param {any} recommendationsData
+ * @returns {boolean}
+ */
+function isStructured(recommendationsData) {
+  if (!recommendationsData || typeof recommendationsData !== 'object' || typeof recommendationsData.rawText === 'string') {
+    return false;
+  }
+  const groups = groupBySeverity(recommendationsData);
+  return groups.CRITICAL.length + groups.MODERATE.length + groups.RECOMMENDED.length > 0;
+}
+
+/**
+ * Format one recommendation item
+ * @param {any} rec - Recommendation (object, or a bare category string)
+ * @param {number} index - Position within its severity (0-based)
+ * @returns {string}
+ */
+function formatItem(rec, index) {
+  const item = typeof rec === 'object' && rec ? rec : {};
+  const category = typeof rec === 'string' ? rec : (item.category || item.name || 'General');
+  const lines = [`${index + 1}. *${category}*`];
+
+  const recommendation = toList(
+    item.recommendations || item.generalRecommendations || item.general_recommendations ||
+    item.description || item.recommendation || item.text
+  )[0];
+  if (recommendation) {
+    lines.push(`   ${recommendation}`);
+  }
+
+  // First action from each checklist, internal first
+  const actions = [
+    toList(item.internalChecklist || item.internal_checklist)[0],
+    toList(item.externalChecklist || item.external_checklist)[0],
+    toList(item.generalChecklist || item.general_checklist)[0],
+  ].filter(Boolean).slice(0, MAX_ACTIONS_PER_ITEM);
+  actions.forEach(action => lines.push(`   ☐ ${action}`));
+
+  return lines.join('\n');
+}
+
+/**
+ * Format structured recommendations as a WhatsApp digest
+ * @param {any} recommendationsData - Recommendations API response
+ * @param {{ vesselName?: string, imo?: string, itemsPerSeverity?: number }} [options]
+ * @returns {string} Digest text (without the follow-up menu)
+ */
+function formatRecommendationsDigest(recommendationsData, options = {}) {
+  const itemsPerSeverity = options.itemsPerSeverity || DEFAULT_ITEMS_PER_SEVERITY;
+  const groups = groupBySeverity(recommendationsData);
+  const vessel = options.vesselName
+    ? ` for ${options.vesselName}${options.imo ? ` (IMO ${options.imo})` : ''}`
+    : '';
+
+  const total = groups.CRITICAL.length + groups.MODERATE.length + groups.RECOMMENDED.length;
+  if (total === 0) {
+    return `📋 No recommendations available${vessel} at this time.`;
+  }
+
+  const sections = [
+    `📋 *Recommendations${vessel}*\n` +
+    SEVERITIES.map(({ key, label, emoji }) =>
+      `${emoji} ${label}: ${groups[/** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'} */ (key)].length}`
+    ).join('  '),
+  ];
+
+  SEVERITIES.forEach(({ key, emoji }) => {
+    const items = groups[/** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'} */ (key)];
+    if (!items.length) {
+      return;
+    }
+    const lines = [`${emoji} *${key}*`];
+    items.slice(0, itemsPerSeverity).forEach((rec, index) => lines.push(formatItem(rec, index)));
+    if (items.length > itemsPerSeverity) {
+      lines.push(`... and ${items.length - itemsPerSeverity} more ${key.toLowerCase()} item(s) in the full report.`);
+    }
+    sections.push(lines.join('\n'));
+  });
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  groupBySeverity,
+  isStructured,
+  formatRecommendationsDigest,
+  FOLLOW_UP_MENU,
+  // Export constants for testing
+  DEFAULT_ITEMS_PER_SEVERITY,
+};
@@ -0,0 +1,412 @@
+/**
+ * Recommendations Parser
+ *
+ * Parses markdown or plain-text recommendation reports (rawText responses
+ * from the recommendations API) into the structured shape used everywhere else:
+ *
+ *   { CRITICAL: [item], MODERATE: [item], RECOMMENDED: [item], campaigns: [campaign], unparsed: [line] }
+ *   item = { category, issueType, campaignTrend, recommendations[],
+ *            internalChecklist[], externalChecklist[], generalChecklist[] }
+ *   campaign = { name, recommendations[] }
+ *
+ * Severity sections are headings, bold lines or plain heading lines naming
+ * the severity ("## CRITICAL", "**Moderate issues**", "LOW PRIORITY");
+ * items are the deeper headings or bold lines inside them; "Label:" lines pick
+ * the field that following list items go to. List items under a severity with
+ * no item heading become one item each ("- Fire safety: check extinguishers").
+ * A section whose heading mentions campaigns or CIC is read into `campaigns`
+ * from its sub-headings, list items or table.
+ *
+ * Lines that fit none of this (title, intro, notes, stray tables) are kept in
+ * `unparsed` so reports can show them rather than drop them.
+ */
+
+const { stripInline } = require('./markdown-whatsapp');
+
+// A severity word opens a section only on its own or followed by one of these
+// words, then optionally ": ...", "(...)" or " – ...", so ordinary headings
+// such as "High-level summary" or "Low sulphur fuel compliance" stay headings
+const SEVERITY_SUFFIX = String.raw`(\s+(priority|risks?|severity|issues?|findings?|items?|deficienc(y|ies)|recommendations?|actions?))?(\s*[:(].*|\s+[–—-]\s.*)?$`;
+
+const SEVERITY_KEYWORDS = [
+  { key: 'CRITICAL', pattern: new RegExp(`^(critical|high)${SEVERITY_SUFFIX}`, 'i') },
+  { key: 'MODERATE', pattern: new RegExp(`^(moderate|medium)${SEVERITY_SUFFIX}`, 'i') },
+  { key: 'RECOMMENDED', pattern: new RegExp(`^(recommended|recommendations?\\s+only|low)${SEVERITY_SUFFIX}`, 'i') },
+];
+
+// Headings that open the campaigns section
+const CAMPAIGN_HEADING = /\b(campaigns?|cic)\b|concentrated inspection/i;
+
+// Headings that never belong to a severity section, even at the same level as its items
+const SECTION_BREAK_HEADING = /^(notes?|summary|overview|disclaimer|references?|appendix|conclusions?|general information)\b/i;
+
+// "Label:" lines and the item field they fill
+const FIELD_LABELS = [
+  { field: 'issueType', pattern: /^issue\s*type$/i },
+  { field: 'campaignTrend', pattern: /^(campaign\s*)?trend$/i },
+  { field: 'internalChecklist', pattern: /^internal(\s*checklist)?$/i },
+  { field: 'externalChecklist', pattern: /^external(\s*checklist)?$/i },
+  { field: 'generalChecklist', pattern: /^(general\s*)?checklist$/i },
+  { field: 'recommendations', pattern: /^(general\s*)?(recommendations?|actions?)$/i },
+];
+
+const LIST_FIELDS = ['recommendations', 'internalChecklist', 'externalChecklist', 'generalChecklist'];
+
+// Bold-only and plain heading lines rank below every markdown heading level,
+// numbered ones ("1. **Fire safety**", "1. FIRE SAFETY") below those
+const BOLD_LINE_LEVEL = 7;
+const NUMBERED_BOLD_LINE_LEVEL = 8;
+const MAX_PLAIN_HEADING_LENGTH = 60;
+
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+/**
+ * @typedef {Object} RecommendationItem
+ * @property {string} category
+ * @property {string} issueType
+ * @property {string} campaignTrend
+ * @property {string[]} recommendations
+ * @property {string[]} internalChecklist
+ * @property {string[]} externalChecklist
+ * @property {string[]} generalChecklist
+ */
+
+/**
+ * @typedef {Object} Campaign
+ * @property {string} name
+ * @property {string[]} recommendations
+ */
+
+/**
+ * @typedef {Object} ParsedRecommendations
+ * @property {RecommendationItem[]} CRITICAL
+ * @property {RecommendationItem[]} MODERATE
+ * @property {RecommendationItem[]} RECOMMENDED
+ * @property {Campaign[]} campaigns
+ * @property {string[]} unparsed - Report lines that could not be placed, in order
+ */
+
+/**
+ * @param {string} category
+ * @returns {RecommendationItem}
+ */
+function createItem(category) {
+  return {
+    category,
+    issueType: '',
+    campaignTrend: '',
+    recommendations: [],
+    internalChecklist: [],
+    externalChecklist: [],
+    generalChecklist: [],
+  };
+}
+
+/**
+ * Strip emoji, numbering and trailing punctuation from a heading
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanHeading(text) {
+  return stripInline(text)
+    .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '')
+    .replace(/^\s*(\d+[.)]|[-–•])\s*/, '')
+    .replace(/[\s:–-]+$/, '')
+    .trim();
+}
+
+/**
+ * Get the severity a heading opens, if any
+ * @param {string} text - Cleaned heading text
+ * @returns {'CRITICAL'|'MODERATE'|'RECOMMENDED'|null}
+ */
+function severityOf(text) {
+  const entry = SEVERITY_KEYWORDS.find(({ pattern }) => pattern.test(text));
+  return entry ? /** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'} */ (entry.key) : null;
+}
+
+/**
+ * Check whether a plain-text line reads as a heading: ALL CAPS ("FIRE SAFETY",
+ * "CRITICAL") or a short title ending in a colon ("Moderate issues:")
+ * @param {string} text - Line without numbering
+ * @returns {boolean}
+ */
+function isPlainHeading(text) {
+  const trimmed = text.trim();
+  if (!trimmed || trimmed.length > MAX_PLAIN_HEADING_LENGTH || /[*_`[|]/.test(trimmed)) {
+    return false;
+  }
+  const words = trimmed.split(/\s+/).length;
+  const cleaned = cleanHeading(trimmed);
+  // Single capitalised words are usually acronyms ("SOLAS") unless they name a section
+  const allCaps = /[A-Z]{2}/.test(trimmed) && !/[a-z]/.test(trimmed) && words <= 6 &&
+    (words > 1 || severityOf(cleaned) !== null || CAMPAIGN_HEADING.test(cleaned));
+  const title = /:$/.test(trimmed) && words <= 4;
+  return allCaps || title;
+}
+
+/**
+ * Parse a heading: "## Text", a line that is entirely bold ("**Text**") or a
+ * plain heading line ("CRITICAL ISSUES", "Moderate:")
+ * @param {string} line
+ * @returns {{level: number, text: string} | null}
+ */
+function parseHeading(line) {
+  const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+  if (heading) {
+    return { level: (heading[1] || '').length, text: cleanHeading(heading[2] || '') };
+  }
+  const boldLine = line.match(/^\s*(\d+[.)]\s*)?(\*\*|__)([^*_]+?)\2\s*:?\s*$/);
+  if (boldLine) {
+    return {
+      level: boldLine[1] ? NUMBERED_BOLD_LINE_LEVEL : BOLD_LINE_LEVEL,
+      text: cleanHeading(boldLine[3] || ''),
+    };
+  }
+  const plain = line.match(/^\s*(\d+[.)]\s+)?([^-*+•>\s].*)$/);
+  if (plain && isPlainHeading(plain[2] || '')) {
+    return {
+      level: plain[1] ? NUMBERED_BOLD_LINE_LEVEL : BOLD_LINE_LEVEL,
+      text: cleanHeading(plain[2] || ''),
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse a "Label: value" line
+ * @param {string} line
+ * @returns {{field: string, value: string} | null}
+ */
+function parseFieldLabel(line) {
+  const match = stripInline(line.replace(/^\s*[-*+]\s+/, '')).match(/^([A-Za-z ]{3,30}):\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const label = (match[1] || '').trim();
+  const entry = FIELD_LABELS.find(({ pattern }) => pattern.test(label));
+  return entry ? { field: entry.field, value: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Parse a list item line ("- x", "* x", "1. x", "- [ ] x")
+ * @param {string} line
+ * @returns {{text: string, nested: boolean} | null} Item text without the marker
+ */
+function parseListItem(line) {
+  const match = line.match(/^(\s*)(?:[-*+•]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+  return match ? { text: stripInline(match[2] || ''), nested: (match[1] || '').length >= 2 } : null;
+}
+
+/**
+ * Split a table row into cells
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => stripInline(cell.trim()));
+}
+
+/**
+ * Read campaigns from a table: one campaign per row, named by the
+ * campaign/name column (or the first), other cells as "Header: value"
+ * @param {string[]} rows - Table lines
+ * @returns {Campaign[]}
+ */
+function campaignsFromTable(rows) {
+  const hasHeader = rows.length > 1 && TABLE_SEPARATOR.test(rows[1] || '');
+  const header = hasHeader ? tableCells(rows[0] || '') : [];
+  const nameColumn = Math.max(header.findIndex(cell => /campaign|name|title/i.test(cell)), 0);
+
+  return rows
+    .slice(hasHeader ? 2 : 0)
+    .filter(row => !TABLE_SEPARATOR.test(row))
+    .map(row => {
+      const cells = tableCells(row);
+      return {
+        name: cells[nameColumn] || '',
+        recommendations: cells
+          .map((cell, column) => (header[column] && cell ? `${header[column]}: ${cell}` : cell))
+          .filter((cell, column) => column !== nameColumn && cell),
+      };
+    })
+    .filter(campaign => campaign.name);
+}
+
+/**
+ * Parse a markdown or plain-text recommendations report
+ * @param {string} text - Report text
+ * @returns {ParsedRecommendations}
+ */
+function parseRecommendationsText(text) {
+  /** @type {ParsedRecommendations} */
+  const result = { CRITICAL: [], MODERATE: [], RECOMMENDED: [], campaigns: [], unparsed: [] };
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  /** @type {'CRITICAL'|'MODERATE'|'RECOMMENDED'|null} */
+  let severity = null;
+  let sectionLevel = 0;
+  let inCampaigns = false;
+  /** @type {RecommendationItem|null} */
+  let item = null;
+  /** @type {RecommendationItem|null} */
+  let flatItem = null;
+  /** @type {Campaign|null} */
+  let campaign = null;
+  let campaignFromHeading = false;
+  let field = 'recommendations';
+
+  const endSection = () => {
+    severity = null;
+    inCampaigns = false;
+    item = null;
+    flatItem = null;
+    campaign = null;
+    campaignFromHeading = false;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i] || '';
+
+    if (!line.trim() || HORIZONTAL_RULE.test(line)) {
+      continue;
+    }
+
+    // Code blocks carry no recommendation fields; keep their contents as unparsed
+    if (CODE_FENCE.test(line)) {
+      for (i++; i < lines.length && !CODE_FENCE.test(lines[i] || ''); i++) {
+        const code = (lines[i] || '').trim();
+        if (code) {
+          result.unparsed.push(code);
+        }
+      }
+      continue;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      /** @type {string[]} */
+      const rows = [];
+      for (; i < lines.length && TABLE_ROW.test(lines[i] || ''); i++) {
+        rows.push((lines[i] || '').trim());
+      }
+      i--;
+      // A table with a "Campaign" column lists campaigns wherever it appears
+      if (inCampaigns || tableCells(rows[0] || '').some(cell => CAMPAIGN_HEADING.test(cell))) {
+        result.campaigns.push(...campaignsFromTable(rows));
+      } else {
+        result.unparsed.push(...rows.filter(row => !TABLE_SEPARATOR.test(row)));
+      }
+      continue;
+    }
+
+    const label = parseFieldLabel(line);
+    if (label && item) {
+      field = label.field;
+      if (label.value) {
+        if (LIST_FIELDS.includes(field)) {
+          /** @type {any} */ (item)[field].push(label.value);
+        } else {
+          /** @type {any} */ (item)[field] = label.value;
+          // One-line field done; following list items are recommendations again
+          field = 'recommendations';
+        }
+      }
+      continue;
+    }
+
+    const heading = parseHeading(line);
+    if (heading) {
+      const headingSeverity = severityOf(heading.text);
+      const isCampaignHeading = CAMPAIGN_HEADING.test(heading.text);
+      // Bold and plain severity lines have no deeper level for their items,
+      // so same-level lines are items unless they start another section
+      const opensItem = severity !== null && (heading.level > sectionLevel ||
+        (heading.level === sectionLevel && sectionLevel >= BOLD_LINE_LEVEL &&
+          !isCampaignHeading && !SECTION_BREAK_HEADING.test(heading.text)));
+
+      if (headingSeverity) {
+        endSection();
+        severity = headingSeverity;
+        sectionLevel = heading.level;
+      } else if (opensItem && severity) {
+        item = createItem(heading.text || 'General');
+        field = 'recommendations';
+        result[severity].push(item);
+      } else if (inCampaigns && heading.level > sectionLevel) {
+        campaign = { name: heading.text, recommendations: [] };
+        campaignFromHeading = true;
+        result.campaigns.push(campaign);
+      } else if (isCampaignHeading) {
+        endSection();
+        inCampaigns = true;
+        sectionLevel = heading.level;
+      } else {
+        // A sibling or parent heading ends the section
+        endSection();
+        result.unparsed.push(line.trim());
+      }
+      continue;
+    }
+
+    const listItem = parseListItem(line);
+
+    if (inCampaigns) {
+      if (listItem && !campaignFromHeading && !(listItem.nested && campaign)) {
+        // Bulleted campaigns: "CIC on Fire Safety: focus on fire doors"
+        const named = listItem.text.match(/^([^:]{2,80}?)(?::|\s[-–—]\s)\s*(.+)$/);
+        campaign = {
+          name: named ? (named[1] || '').trim() : listItem.text,
+          recommendations: named ? [(named[2] || '').trim()] : [],
+        };
+        result.campaigns.push(campaign);
+      } else if (campaign) {
+        campaign.recommendations.push(listItem ? listItem.text : stripInline(line));
+      } else {
+        result.unparsed.push(line.trim());
+      }
+      continue;
+    }
+
+    if (!severity) {
+      result.unparsed.push(line.trim());
+      continue;
+    }
+
+    if (listItem && !item) {
+      if (listItem.nested && flatItem) {
+        flatItem.recommendations.push(listItem.text);
+        continue;
+      }
+      // Flat list under a severity: "Category: recommendation" per line
+      const flat = listItem.text.match(/^([^:]{2,60}):\s*(.+)$/);
+      flatItem = createItem(flat ? (flat[1] || '').trim() : 'General');
+      flatItem.recommendations.push(flat ? (flat[2] || '').trim() : listItem.text);
+      result[severity].push(flatItem);
+      continue;
+    }
+
+    if (!item) {
+      result.unparsed.push(line.trim());
+      continue;
+    }
+    const value = listItem ? listItem.text : stripInline(line);
+    if (!value) {
+      continue;
+    }
+    if (LIST_FIELDS.includes(field)) {
+      /** @type {any} */ (item)[field].push(value);
+    } else {
+      // Continuation of a one-line field
+      /** @type {any} */ (item)[field] = `${/** @type {any} */ (item)[field]} ${value}`.trim();
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseRecommendationsText,
+};
@@ -0,0 +1,123 @@
+/**
+ * Recommendations Reply
+ *
+ * The parts of a recommendations reply shared by the recommendations workers:
+ * resolving the requested vessel against the user's scope, building the
+ * WhatsApp message (markdown text reports or a structured digest, with the
+ * follow-up menu when the report can also go out as Excel/email/PDF) and
+ * saving the state the webhook's follow-up ("1"/"2"/...) reads.
+ */
+
+const apiClient = require('./api-client');
+const vesselLookup = require('./vessel-lookup');
+const userRegistry = require('./user-registry');
+const stateManager = require('./state-manager');
+const recommendationsFormatter = require('./recommendations-formatter');
+const recommendationsParser = require('./recommendations-parser');
+const markdownWhatsApp = require('./markdown-whatsapp');
+
+// Longest markdown text report sent before truncation
+const MAX_TEXT_REPORT_LENGTH = 5000;
+
+/**
+ * @typedef {Object} ResolvedVessel
+ * @property {any} lookup - Vessel mapping entry (null if the vessel wasn't in the mappings)
+ * @property {string} imo - IMO (the identifier as given if not in the mappings)
+ * @property {string} vesselName - Vessel name (the identifier as given if not in the mappings)
+ * @property {boolean} inScope - Whether the user may see this vessel
+ */
+
+/**
+ * Resolve the requested vessel and check it against the user's fleet scope
+ * @param {string} fromNumber - User's phone number
+ * @param {string} vesselIdentifier - Vessel name or IMO as requested
+ * @returns {ResolvedVessel}
+ */
+function resolveVessel(fromNumber, vesselIdentifier) {
+  const identifier = vesselIdentifier.trim();
+  const lookup = /^\d+$/.test(identifier)
+    ? vesselLookup.getVesselByIMO(identifier)
+    : vesselLookup.getVesselByName(vesselIdentifier);
+
+  return {
+    lookup,
+    imo: lookup?.imo || vesselIdentifier,
+    vesselName: lookup?.name || vesselIdentifier,
+    // Vessels outside the user's scope are treated as not found
+    inScope: userRegistry.canAccessVessel(userRegistry.getUser(fromNumber), lookup?.imo),
+  };
+}
+
+/**
+ * Message sent for vessels that can't be found (or are outside the user's scope)
+ * @param {string} vesselIdentifier - Vessel name or IMO as requested
+ * @returns {string}
+ */
+function vesselNotFoundMessage(vesselIdentifier) {
+  return `I couldn't find a vessel named '${vesselIdentifier}'. Please check the spelling or try using the IMO number.`;
+}
+
+/**
+ * Save the recommendations for the webhook's Excel/email follow-up ("1"/"2")
+ * @param {string} fromNumber - User's phone number
+ * @param {any} lookup - Vessel mapping entry (null if the vessel wasn't in the mappings)
+ * @param {string} vesselName
+ * @param {string} imo
+ * @param {any} recData - Structured recommendations (parsed from the text for rawText reports)
+ */
+async function saveFollowUpState(fromNumber, lookup, vesselName, imo, recData) {
+  // Dashboard data fills the report's vessel summary; fall back to name and IMO
+  const vesselData = (lookup && await apiClient.fetchVesselByName(lookup.name)) || { name: vesselName, imo };
+  await stateManager.saveState(fromNumber, {
+    intent: 'recommendations',
+    vesselData,
+    recommendationsData: recData,
+    vesselName,
+    vesselIMO: imo,
+    lastQuery: `recommendations for ${vesselName}`,
+    waitingForFollowUp: true,
+  });
+}
+
+/**
+ * Build the recommendations message, saving the follow-up state when the
+ * report is structured enough for the follow-up menu
+ * @param {string} fromNumber - User's phone number
+ * @param {ResolvedVessel} vessel - Resolved vessel
+ * @param {any} recData - Recommendations as returned by the API
+ * @returns {Promise<string>} WhatsApp message
+ */
+async function buildRecommendationsReply(fromNumber, vessel, recData) {
+  const { lookup, vesselName, imo } = vessel;
+
+  if (typeof recData.rawText === 'string') {
+    const header = `📋 Recommendations for ${vesselName} (IMO ${imo})\n\n`;
+    const body = markdownWhatsApp.truncateWhatsApp(
+      markdownWhatsApp.markdownToWhatsApp(recData.rawText),
+      MAX_TEXT_REPORT_LENGTH
+    );
+    let msg = header + body;
+
+    // Sections parsed from the markdown let Excel and email work for text reports too
+    const parsed = recommendationsParser.parseRecommendationsText(recData.rawText);
+    if (recommendationsFormatter.isStructured(parsed)) {
+      msg += `\n\n${recommendationsFormatter.FOLLOW_UP_MENU}`;
+      await saveFollowUpState(fromNumber, lookup, vesselName, imo, { ...parsed, rawText: recData.rawText });
+    }
+    return msg;
+  }
+
+  let msg = recommendationsFormatter.formatRecommendationsDigest(recData, { vesselName, imo });
+  if (recommendationsFormatter.isStructured(recData)) {
+    msg += `\n\n${recommendationsFormatter.FOLLOW_UP_MENU}`;
+    await saveFollowUpState(fromNumber, lookup, vesselName, imo, recData);
+  }
+  return msg;
+}
+
+module.exports = {
+  resolveVessel,
+  vesselNotFoundMessage,
+  saveFollowUpState,
+  buildRecommendationsReply,
+};
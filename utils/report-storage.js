@@ -0,0 +1,521 @@
+/**
+ * Report Storage
+ *
+ * Durable storage for generated report files (Excel workbooks, PDFs), shared by
+ * the webhook, generate-excel, download-excel and send-email functions so a
+ * download can be served by a different function instance than the one that
+ * generated it. Every store implements the same async interface:
+ *
+ *   put(key, body, { contentType })  -> stores a Buffer under key
+ *   get(key)                         -> { body, size, lastModified } or null
+ *   delete(key)                      -> true if the object was removed (S3 always reports true)
+ *   listByAge({ olderThanMs })       -> [{ key, size, lastModified }], oldest first
+ *   cleanupOldFiles(maxAgeMs)        -> number of reports older than maxAgeMs removed
+ *
+ * Available backends:
+ * - local: one file per report in a directory (default /tmp/pscbot-reports)
+ * - s3:    any S3-compatible object store (AWS S3, MinIO, Cloudflare R2, ...),
+ *          signed with AWS Signature Version 4
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const DEFAULT_LOCAL_REPORT_DIR = '/tmp/pscbot-reports';
+const DEFAULT_S3_PREFIX = 'reports/';
+const DEFAULT_S3_REGION = 'us-east-1';
+const S3_REQUEST_TIMEOUT_MS = 15000;
+
+// Report keys are plain filenames: no directories, no leading dot
+const VALID_KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+// Content types of the report formats, by file extension
+const REPORT_CONTENT_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pdf': 'application/pdf',
+};
+
+/**
+ * @typedef {Object} StoredReport
+ * @property {Buffer} body
+ * @property {number} size - Size in bytes
+ * @property {number} lastModified - Epoch ms
+ */
+
+/**
+ * @typedef {Object} ReportListing
+ * @property {string} key
+ * @property {number} size
+ * @property {number} lastModified - Epoch ms
+ */
+
+/**
+ * @typedef {Object} ReportStore
+ * @property {string} name - Backend name (local, s3)
+ * @property {(key: string, body: Buffer, options?: {contentType?: string}) => Promise<void>} put
+ * @property {(key: string) => Promise<StoredReport|null>} get
+ * @property {(key: string) => Promise<boolean>} delete
+ * @property {(options?: {olderThanMs?: number}) => Promise<ReportListing[]>} listByAge
+ * @property {(maxAgeMs: number) => Promise<number>} cleanupOldFiles
+ */
+
+/**
+ * Get the content type for a report key from its extension
+ * @param {string} key - Report filename
+ * @returns {string}
+ */
+function contentTypeForKey(key) {
+  const extension = path.extname(String(key || '')).toLowerCase();
+  return REPORT_CONTENT_TYPES[/** @type {keyof typeof REPORT_CONTENT_TYPES} */ (extension)] || 'application/octet-stream';
+}
+
+/**
+ * Validate a report key
+ * @param {string} key
+ */
+function assertValidKey(key) {
+  if (!key || typeof key !== 'string' || !VALID_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid report key: ${key}`);
+  }
+}
+
+/**
+ * Filter and sort listings, oldest first
+ * @param {ReportListing[]} listings
+ * @param {number} [olderThanMs] - Only include reports at least this old
+ * @returns {ReportListing[]}
+ */
+function sortByAge(listings, olderThanMs) {
+  const cutoff = olderThanMs === undefined ? Infinity : Date.now() - olderThanMs;
+  return listings
+    .filter(item => item.lastModified <= cutoff)
+    .sort((a, b) => a.lastModified - b.lastModified);
+}
+
+/**
+ * Shared cleanup sweep built on listByAge/delete
+ * @param {ReportStore} store
+ * @param {number} maxAgeMs
+ * @returns {Promise<number>}
+ */
+async function sweepOldReports(store, maxAgeMs) {
+  let removedCount = 0;
+  const expired = await store.listByAge({ olderThanMs: maxAgeMs });
+  for (const item of expired) {
+    try {
+      if (await store.delete(item.key)) {
+        removedCount++;
+        console.log(`Cleaned up expired report: ${item.key}`);
+      }
+    } catch (err) {
+      // Ignore errors for individual reports (may have been deleted already)
+      const errorMessage = err instanceof Error ? err.message : String(err);
+      console.warn(`Error cleaning up report ${item.key}:`, errorMessage);
+    }
+  }
+  return removedCount;
+}
+
+/**
+ * Create a store that keeps reports as files in a local directory
+ * Works on a single instance (netlify dev, tests, persistent disks).
+ * @param {{ dir?: string }} [options]
+ * @returns {ReportStore & { dir: string }}
+ */
+function createLocalReportStore(options = {}) {
+  const dir = options.dir || DEFAULT_LOCAL_REPORT_DIR;
+
+  /**
+   * @param {string} key
+   */
+  function fileForKey(key) {
+    assertValidKey(key);
+    return path.join(dir, key);
+  }
+
+  /** @type {ReportStore & { dir: string }} */
+  const store = {
+    name: 'local',
+    dir,
+
+    async put(key, body) {
+      const filepath = fileForKey(key);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      // Write to a temp file and rename so readers never see a partial report
+      const tempPath = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      fs.writeFileSync(tempPath, body);
+      fs.renameSync(tempPath, filepath);
+    },
+
+    async get(key) {
+      const filepath = fileForKey(key);
+      try {
+        const stats = fs.statSync(filepath);
+        return { body: fs.readFileSync(filepath), size: stats.size, lastModified: stats.mtimeMs };
+      } catch (_err) {
+        return null;
+      }
+    },
+
+    async delete(key) {
+      try {
+        fs.unlinkSync(fileForKey(key));
+        return true;
+      } catch (_err) {
+        return false;
+      }
+    },
+
+    async listByAge(listOptions = {}) {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+      /** @type {ReportListing[]} */
+      const listings = [];
+      fs.readdirSync(dir)
+        .filter((/** @type {string} */ file) => VALID_KEY_PATTERN.test(file) && !file.endsWith('.tmp'))
+        .forEach((/** @type {string} */ file) => {
+          try {
+            const stats = fs.statSync(path.join(dir, file));
+            if (stats.isFile()) {
+              listings.push({ key: file, size: stats.size, lastModified: stats.mtimeMs });
+            }
+          } catch (_err) {
+            // Removed while listing
+          }
+        });
+      return sortByAge(listings, listOptions.olderThanMs);
+    },
+
+    async cleanupOldFiles(maxAgeMs) {
+      return sweepOldReports(store, maxAgeMs);
+    },
+  };
+
+  return store;
+}
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} data
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key
+ * @param {string} data
+ * @returns {Buffer}
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * RFC 3986 encoding as required by Signature Version 4
+ * @param {string} value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {{
+ *   method: string,
+ *   url: URL,
+ *   headers?: Record<string, string> | undefined,
+ *   payloadHash: string,
+ *   region: string,
+ *   accessKeyId: string,
+ *   secretAccessKey: string,
+ *   date?: Date
+ * }} request
+ * @returns {Record<string, string>} Headers to send (including Authorization)
+ */
+function signS3Request(request) {
+  const date = request.date || new Date();
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  /** @type {Record<string, string>} */
+  const headers = {
+    ...(request.headers || {}),
+    host: request.url.host,
+    'x-amz-content-sha256': request.payloadHash,
+    'x-amz-date': amzDate,
+  };
+
+  const canonicalHeaderNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  /** @type {Record<string, string>} */
+  const lowerHeaders = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    lowerHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  });
+
+  const canonicalUri = request.url.pathname
+    .split('/')
+    .map(segment => uriEncode(decodeURIComponent(segment)))
+    .join('/');
+  const canonicalQuery = [...request.url.searchParams.entries()]
+    .map(([k, v]) => `${uriEncode(k)}=${uriEncode(v)}`)
+    .sort()
+    .join('&');
+
+  const signedHeaders = canonicalHeaderNames.join(';');
+  const canonicalRequest = [
+    request.method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaderNames.map(h => `${h}:${lowerHeaders[h]}\n`).join(''),
+    signedHeaders,
+    request.payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${request.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${request.secretAccessKey}`, dateStamp), request.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${request.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Decode the XML entities S3 uses in listings
+ * @param {string} text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read one tag's text from an XML fragment
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function xmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1] || '') : null;
+}
+
+/**
+ * Create a store backed by an S3-compatible object store
+ * @param {{
+ *   bucket: string,
+ *   endpoint?: string | undefined,
+ *   region?: string | undefined,
+ *   accessKeyId: string,
+ *   secretAccessKey: string,
+ *   prefix?: string | undefined
+ * }} options - Without endpoint, AWS virtual-hosted URLs are used; with endpoint, path-style URLs
+ * @returns {ReportStore}
+ */
+function createS3ReportStore(options) {
+  if (!options || !options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+    throw new Error('S3 report store requires bucket, accessKeyId and secretAccessKey');
+  }
+  const region = options.region || DEFAULT_S3_REGION;
+  const prefix = options.prefix ?? DEFAULT_S3_PREFIX;
+  const baseUrl = options.endpoint
+    ? `${options.endpoint.replace(/\/+$/, '')}/${options.bucket}`
+    : `https://${options.bucket}.s3.${region}.amazonaws.com`;
+
+  /**
+   * @param {string} [key]
+   * @param {Record<string, string>} [query]
+   */
+  function urlFor(key, query) {
+    const url = new URL(key === undefined ? `${baseUrl}/` : `${baseUrl}/${uriEncode(prefix + key).replace(/%2F/g, '/')}`);
+    Object.entries(query || {}).forEach(([k, v]) => url.searchParams.set(k, v));
+    return url;
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method
+   * @param {URL} url
+   * @param {{ body?: Buffer, headers?: Record<string, string> }} [request]
+   */
+  async function s3Request(method, url, request = {}) {
+    const body = request.body;
+    const headers = signS3Request({
+      method,
+      url,
+      headers: request.headers,
+      payloadHash: sha256Hex(body || ''),
+      region,
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+    });
+    return fetch(url.toString(), { method, headers, body, timeout: S3_REQUEST_TIMEOUT_MS });
+  }
+
+  /**
+   * @param {any} resp
+   * @param {string} action
+   */
+  async function failure(resp, action) {
+    const text = await resp.text().catch(() => '');
+    return new Error(`S3 ${action} failed: ${resp.status} ${xmlTag(text, 'Code') || resp.statusText || ''}`.trim());
+  }
+
+  /** @type {ReportStore} */
+  const store = {
+    name: 's3',
+
+    async put(key, body, putOptions = {}) {
+      assertValidKey(key);
+      const resp = await s3Request('PUT', urlFor(key), {
+        body,
+        headers: { 'content-type': putOptions.contentType || 'application/octet-stream' },
+      });
+      if (!resp.ok) {
+        throw await failure(resp, `put ${key}`);
+      }
+    },
+
+    async get(key) {
+      assertValidKey(key);
+      const resp = await s3Request('GET', urlFor(key));
+      if (resp.status === 404) {
+        return null;
+      }
+      if (!resp.ok) {
+        throw await failure(resp, `get ${key}`);
+      }
+      const body = await resp.buffer();
+      const lastModified = Date.parse(resp.headers.get('last-modified') || '');
+      return { body, size: body.length, lastModified: isNaN(lastModified) ? Date.now() : lastModified };
+    },
+
+    async delete(key) {
+      assertValidKey(key);
+      const resp = await s3Request('DELETE', urlFor(key));
+      if (!resp.ok && resp.status !== 404) {
+        throw await failure(resp, `delete ${key}`);
+      }
+      return resp.ok;
+    },
+
+    async listByAge(listOptions = {}) {
+      /** @type {ReportListing[]} */
+      const listings = [];
+      /** @type {string|null} */
+      let continuationToken = null;
+      do {
+        /** @type {Record<string, string>} */
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) {
+          query['continuation-token'] = continuationToken;
+        }
+        const resp = await s3Request('GET', urlFor(undefined, query));
+        if (!resp.ok) {
+          throw await failure(resp, 'list');
+        }
+        const xml = await resp.text();
+        (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(entry => {
+          const fullKey = xmlTag(entry, 'Key') || '';
+          const key = fullKey.startsWith(prefix) ? fullKey.slice(prefix.length) : fullKey;
+          if (!VALID_KEY_PATTERN.test(key)) {
+            return;
+          }
+          listings.push({
+            key,
+            size: parseInt(xmlTag(entry, 'Size') || '0', 10),
+            lastModified: Date.parse(xmlTag(entry, 'LastModified') || '') || 0,
+          });
+        });
+        continuationToken = xmlTag(xml, 'IsTruncated') === 'true' ? xmlTag(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+      return sortByAge(listings, listOptions.olderThanMs);
+    },
+
+    async cleanupOldFiles(maxAgeMs) {
+      return sweepOldReports(store, maxAgeMs);
+    },
+  };
+
+  return store;
+}
+
+/**
+ * Create the report store selected by environment variables
+ * - REPORT_STORE=local (default) | s3
+ * - REPORT_STORE_DIR: directory for the local store
+ * - REPORT_S3_BUCKET, REPORT_S3_ACCESS_KEY_ID, REPORT_S3_SECRET_ACCESS_KEY (required for s3)
+ * - REPORT_S3_ENDPOINT (MinIO, R2, ...), REPORT_S3_REGION, REPORT_S3_PREFIX (optional)
+ * @returns {ReportStore}
+ */
+function createReportStoreFromEnv() {
+  const backend = (process.env.REPORT_STORE || 'local').toLowerCase();
+
+  if (backend === 's3') {
+    try {
+      return createS3ReportStore({
+        bucket: process.env.REPORT_S3_BUCKET || '',
+        endpoint: process.env.REPORT_S3_ENDPOINT,
+        region: process.env.REPORT_S3_REGION,
+        accessKeyId: process.env.REPORT_S3_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.REPORT_S3_SECRET_ACCESS_KEY || '',
+        prefix: process.env.REPORT_S3_PREFIX,
+      });
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : String(err);
+      console.warn(`Warning: ${errorMessage}; falling back to local report store`);
+    }
+  } else if (backend !== 'local') {
+    console.warn(`Warning: unknown REPORT_STORE "${backend}"; using local report store`);
+  }
+
+  return createLocalReportStore({ dir: process.env.REPORT_STORE_DIR || DEFAULT_LOCAL_REPORT_DIR });
+}
+
+/** @type {ReportStore | null} */
+let activeStore = null;
+
+/**
+ * Get the report store used by the functions (created from env on first use)
+ * @returns {ReportStore}
+ */
+function getReportStore() {
+  if (!activeStore) {
+    activeStore = createReportStoreFromEnv();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the report store (useful for testing)
+ * @param {ReportStore | null} store - Store to use, or null to re-read env on next use
+ */
+function setReportStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  contentTypeForKey,
+  createLocalReportStore,
+  createS3ReportStore,
+  createReportStoreFromEnv,
+  getReportStore,
+  setReportStore,
+  // Export for testing
+  signS3Request,
+  DEFAULT_LOCAL_REPORT_DIR,
+};
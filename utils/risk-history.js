@@ -0,0 +1,148 @@
+/**
+ * Risk History
+ *
+ * Records each vessel's risk score, risk level and last inspection from the
+ * scheduled record-risk-history function, so trend questions ("has YAMUNA's
+ * risk gone up since last month?") can be answered. Snapshots are kept per
+ * vessel in the shared state store under risk-history:<imo>, one per UTC day
+ * (a later run on the same day replaces that day's snapshot).
+ */
+
+const stateManager = require('./state-manager');
+const fleetAnalytics = require('./fleet-analytics');
+
+const HISTORY_PREFIX = 'risk-history:';
+const HISTORY_TTL_MS = 400 * 24 * 60 * 60 * 1000; // 400 days since the last snapshot
+const MAX_SNAPSHOTS = 400; // About a year of daily snapshots per vessel
+const DEFAULT_TREND_MONTHS = 1;
+const REPORT_TREND_MONTHS = 12; // Period of the Risk Trend sheet in Excel reports
+const RECORD_CONCURRENCY = 20; // Vessels recorded in parallel (each is a read and a write)
+
+/**
+ * @typedef {Object} RiskSnapshot
+ * @property {string} date - UTC day the snapshot belongs to (YYYY-MM-DD)
+ * @property {number} recordedAt - Epoch ms of the fetch that recorded it
+ * @property {number|null} riskScore
+ * @property {string} riskLevel
+ * @property {string|null} lastInspectionDate - ISO date (YYYY-MM-DD) or null if never inspected
+ * @property {string|null} lastInspectionPort
+ */
+
+/**
+ * @typedef {Object} RiskTrend
+ * @property {string} imo
+ * @property {number} months - Requested period in months
+ * @property {RiskSnapshot} from - Snapshot at the start of the period (or the oldest one, if history is shorter)
+ * @property {RiskSnapshot} to - Latest snapshot
+ * @property {number|null} scoreDelta - to.riskScore - from.riskScore (null if either score is missing)
+ * @property {boolean} levelChanged
+ * @property {boolean} inspectedSince - True if the last inspection changed during the period
+ * @property {boolean} partial - True if history does not reach back to the start of the period
+ * @property {RiskSnapshot[]} snapshots - Snapshots from `from` to `to`, oldest first
+ */
+
+/**
+ * Get the recorded snapshots for a vessel
+ * @param {string|number} imo - IMO number
+ * @returns {Promise<RiskSnapshot[]>} Snapshots, oldest first
+ */
+async function getHistory(imo) {
+  const history = await stateManager.getStorageAdapter().get(HISTORY_PREFIX + String(imo).trim());
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Record a snapshot for every vessel in the dashboard data
+ * @param {any} dashboardData - Raw dashboard data from apiClient.fetchDashboardData()
+ * @param {number} [now] - Fetch time (epoch ms)
+ * @returns {Promise<number>} Number of vessels recorded
+ */
+async function recordSnapshots(dashboardData, now = Date.now()) {
+  const date = new Date(now).toISOString().split('T')[0] || '';
+  // One entry per IMO (the last one listed wins), so parallel writes never share a key
+  const byImo = new Map(fleetAnalytics.getDashboardVessels(dashboardData)
+    .map(vessel => fleetAnalytics.summarizeVessel(vessel))
+    .filter(summary => /^\d+$/.test(summary.imo))
+    .map(summary => [summary.imo, summary]));
+  const summaries = Array.from(byImo.values());
+
+  for (let i = 0; i < summaries.length; i += RECORD_CONCURRENCY) {
+    await Promise.all(summaries.slice(i, i + RECORD_CONCURRENCY).map(summary => recordSnapshot(summary, date, now)));
+  }
+  return summaries.length;
+}
+
+/**
+ * Add one vessel's snapshot to its history
+ * @param {ReturnType<typeof fleetAnalytics.summarizeVessel>} summary
+ * @param {string} date - UTC day (YYYY-MM-DD)
+ * @param {number} now - Fetch time (epoch ms)
+ */
+async function recordSnapshot(summary, date, now) {
+  /** @type {RiskSnapshot} */
+  const snapshot = {
+    date,
+    recordedAt: now,
+    riskScore: summary.riskScore,
+    riskLevel: summary.riskLevel,
+    lastInspectionDate: summary.lastInspectionDate,
+    lastInspectionPort: summary.lastInspectionPort,
+  };
+
+  const history = (await getHistory(summary.imo)).filter(entry => entry.date !== date);
+  history.push(snapshot);
+  history.sort((a, b) => a.recordedAt - b.recordedAt);
+  await stateManager.getStorageAdapter().set(
+    HISTORY_PREFIX + summary.imo,
+    history.slice(-MAX_SNAPSHOTS),
+    HISTORY_TTL_MS
+  );
+}
+
+/**
+ * Compare a vessel's latest snapshot with the one at the start of a period
+ * @param {string|number} imo - IMO number
+ * @param {{months?: number|null, now?: number}} [options] - Period in months back from now (default 1)
+ * @returns {Promise<RiskTrend|null>} Trend, or null if nothing has been recorded for the vessel
+ */
+async function getRiskTrend(imo, options = {}) {
+  const history = await getHistory(imo);
+  const to = history[history.length - 1];
+  if (!to) {
+    return null;
+  }
+
+  const months = options.months && options.months > 0 ? Math.floor(options.months) : DEFAULT_TREND_MONTHS;
+  const cutoff = new Date(options.now ?? Date.now());
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+
+  // Baseline: the last snapshot on or before the cutoff, else the oldest one
+  const before = history.filter(entry => entry.recordedAt <= cutoff.getTime());
+  const from = before[before.length - 1] || history[0] || to;
+  const snapshots = history.filter(entry => entry.recordedAt >= from.recordedAt);
+
+  return {
+    imo: String(imo).trim(),
+    months,
+    from,
+    to,
+    scoreDelta: from.riskScore !== null && to.riskScore !== null
+      ? Math.round((to.riskScore - from.riskScore) * 100) / 100
+      : null,
+    levelChanged: from.riskLevel !== to.riskLevel,
+    inspectedSince: from.lastInspectionDate !== to.lastInspectionDate,
+    partial: before.length === 0,
+    snapshots,
+  };
+}
+
+module.exports = {
+  getHistory,
+  recordSnapshots,
+  getRiskTrend,
+  // Export constants for testing
+  HISTORY_PREFIX,
+  MAX_SNAPSHOTS,
+  DEFAULT_TREND_MONTHS,
+  REPORT_TREND_MONTHS,
+};
@@ -2,16 +2,31 @@
  * Conversation State Manager
  * 
  * Manages conversation states for WhatsApp chatbot in a serverless environment.
- * Uses in-memory storage with automatic expiration and cleanup.
+ * State is persisted through a pluggable storage adapter (see utils/storage-adapters.js)
+ * so the webhook and workers can share it across function instances.
+ * The in-memory adapter is used unless STATE_STORE selects another backend.
  */
 
-// In-memory storage: Map<phoneNumber, state>
-/** @type {Map<string, any>} */
-const stateStore = new Map();
+const storageAdapters = require('./storage-adapters');
+
+/** @type {import('./storage-adapters').StorageAdapter} */
+let storageAdapter = storageAdapters.createAdapterFromEnv();
+
+// Key prefix for conversation states in the shared store
+const STATE_KEY_PREFIX = 'state:';
+
+// Key prefix for per-user conversation history (kept separate from follow-up state)
+const HISTORY_KEY_PREFIX = 'history:';
 
 // State expiry duration: 5 minutes
 const STATE_EXPIRY_MS = 300000;
 
+// Conversation history expiry: 30 minutes since the last turn
+const HISTORY_EXPIRY_MS = 1800000;
+
+// Number of recent turns kept per user
+const MAX_HISTORY_TURNS = 6;
+
 // Cleanup interval: 60 seconds
 const CLEANUP_INTERVAL_MS = 60000;
 
@@ -33,9 +48,9 @@ function normalizePhoneNumber(phoneNumber) {
  * Automatically sets expiry timestamp
  * @param {string} phoneNumber - User's phone number
  * @param {any} stateData - State data object (intent, vesselName, etc.)
- * @returns {boolean} - True if saved successfully
+ * @returns {Promise<boolean>} - True if saved successfully
  */
-function saveState(phoneNumber, stateData) {
+async function saveState(phoneNumber, stateData) {
   if (!phoneNumber) {
     console.warn('Cannot save state: phone number is required');
     return false;
@@ -54,7 +69,13 @@ function saveState(phoneNumber, stateData) {
     expiresAt: now + STATE_EXPIRY_MS,
   };
 
-  stateStore.set(normalizedPhone, state);
+  try {
+    await storageAdapter.set(STATE_KEY_PREFIX + normalizedPhone, state, STATE_EXPIRY_MS);
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error(`Failed to save state (${storageAdapter.name} store):`, errorMessage);
+    return false;
+  }
   console.log(`State saved for phone: ${normalizedPhone.substring(0, 4)}****`);
   return true;
 }
@@ -63,9 +84,9 @@ function saveState(phoneNumber, stateData) {
  * Get conversation state for a phone number
  * Returns null if state doesn't exist or has expired
  * @param {string} phoneNumber - User's phone number
- * @returns {any|null} - State object or null if not found/expired
+ * @returns {Promise<any|null>} - State object or null if not found/expired
  */
-function getState(phoneNumber) {
+async function getState(phoneNumber) {
   if (!phoneNumber) {
     return null;
   }
@@ -75,16 +96,23 @@ function getState(phoneNumber) {
     return null;
   }
 
-  const state = stateStore.get(normalizedPhone);
+  let state;
+  try {
+    state = await storageAdapter.get(STATE_KEY_PREFIX + normalizedPhone);
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error(`Failed to read state (${storageAdapter.name} store):`, errorMessage);
+    return null;
+  }
   if (!state) {
     return null;
   }
 
-  // Check if state has expired
+  // Check if state has expired (adapters expire entries too; this guards clock skew)
   const now = Date.now();
   if (now > state.expiresAt) {
     // State expired, remove it
-    stateStore.delete(normalizedPhone);
+    await storageAdapter.delete(STATE_KEY_PREFIX + normalizedPhone).catch(() => false);
     console.log(`State expired for phone: ${normalizedPhone.substring(0, 4)}****`);
     return null;
   }
@@ -95,9 +123,9 @@ function getState(phoneNumber) {
 /**
  * Clear conversation state for a phone number
  * @param {string} phoneNumber - User's phone number
- * @returns {boolean} - True if state was removed, false if not found
+ * @returns {Promise<boolean>} - True if state was removed, false if not found
  */
-function clearState(phoneNumber) {
+async function clearState(phoneNumber) {
   if (!phoneNumber) {
     return false;
   }
@@ -107,36 +135,105 @@ function clearState(phoneNumber) {
     return false;
   }
 
-  const deleted = stateStore.delete(normalizedPhone);
+  let deleted = false;
+  try {
+    deleted = await storageAdapter.delete(STATE_KEY_PREFIX + normalizedPhone);
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error(`Failed to clear state (${storageAdapter.name} store):`, errorMessage);
+  }
   if (deleted) {
     console.log(`State cleared for phone: ${normalizedPhone.substring(0, 4)}****`);
   }
   return deleted;
 }
 
+/**
+ * Get conversation history for a phone number
+ * Holds the last vessel and intent discussed plus the most recent turns,
+ * so follow-up questions ("and its recommendations?") can be resolved.
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<{lastVessel: {name: string, imo: string} | null, lastIntent: string | null, turns: Array<{message: string, intent: string | null, vesselName: string | null, timestamp: number}>} | null>}
+ */
+async function getConversation(phoneNumber) {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+  if (!normalizedPhone) {
+    return null;
+  }
+
+  try {
+    return await storageAdapter.get(HISTORY_KEY_PREFIX + normalizedPhone);
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error(`Failed to read conversation history (${storageAdapter.name} store):`, errorMessage);
+    return null;
+  }
+}
+
+/**
+ * Record a conversation turn for a phone number
+ * Updates the last vessel/intent when provided and keeps the last MAX_HISTORY_TURNS turns
+ * @param {string} phoneNumber - User's phone number
+ * @param {{message: string, intent?: string | null, vessel?: {name: string, imo: string} | null}} turn - Turn details
+ * @returns {Promise<boolean>} - True if recorded successfully
+ */
+async function recordTurn(phoneNumber, turn) {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+  if (!normalizedPhone || !turn || !turn.message) {
+    return false;
+  }
+
+  const existing = await getConversation(phoneNumber);
+  const history = {
+    lastVessel: turn.vessel || existing?.lastVessel || null,
+    lastIntent: turn.intent || existing?.lastIntent || null,
+    turns: [
+      ...(existing?.turns || []),
+      {
+        message: turn.message,
+        intent: turn.intent || null,
+        vesselName: turn.vessel?.name || null,
+        timestamp: Date.now(),
+      },
+    ].slice(-MAX_HISTORY_TURNS),
+  };
+
+  try {
+    await storageAdapter.set(HISTORY_KEY_PREFIX + normalizedPhone, history, HISTORY_EXPIRY_MS);
+    return true;
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error(`Failed to record conversation turn (${storageAdapter.name} store):`, errorMessage);
+    return false;
+  }
+}
+
+/**
+ * Clear conversation history for a phone number
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<boolean>} - True if history was removed
+ */
+async function clearConversation(phoneNumber) {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+  if (!normalizedPhone) {
+    return false;
+  }
+  return storageAdapter.delete(HISTORY_KEY_PREFIX + normalizedPhone).catch(() => false);
+}
+
 /**
  * Cleanup all expired states
  * Removes states that have passed their expiry time
- * @returns {number} - Number of expired states removed
+ * @returns {Promise<number>} - Number of expired states removed
  */
-function cleanupExpiredStates() {
-  const now = Date.now();
+async function cleanupExpiredStates() {
   let removedCount = 0;
-  /** @type {string[]} */
-  const expiredPhones = [];
-
-  // Find all expired states
-  stateStore.forEach((state, phoneNumber) => {
-    if (now > state.expiresAt) {
-      expiredPhones.push(phoneNumber);
-    }
-  });
-
-  // Remove expired states
-  expiredPhones.forEach(phoneNumber => {
-    stateStore.delete(phoneNumber);
-    removedCount++;
-  });
+  try {
+    removedCount = await storageAdapter.cleanup();
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.warn(`State cleanup failed (${storageAdapter.name} store):`, errorMessage);
+  }
 
   if (removedCount > 0) {
     console.log(`Cleaned up ${removedCount} expired conversation state(s)`);
@@ -147,10 +244,44 @@ function cleanupExpiredStates() {
 
 /**
  * Get all active states (for debugging/monitoring)
- * @returns {number} - Number of active states
+ * @returns {Promise<number>} - Number of active states
  */
-function getActiveStateCount() {
-  return stateStore.size;
+async function getActiveStateCount() {
+  return storageAdapter.count(STATE_KEY_PREFIX);
+}
+
+/**
+ * Replace the storage adapter (e.g. a shared backend, or a fresh store in tests)
+ * @param {import('./storage-adapters').StorageAdapter} adapter - Adapter implementing get/set/delete/cleanup/count
+ */
+function setStorageAdapter(adapter) {
+  if (!adapter || typeof adapter.get !== 'function' || typeof adapter.set !== 'function' || typeof adapter.delete !== 'function') {
+    throw new Error('Storage adapter must implement get, set and delete');
+  }
+  storageAdapter = adapter;
+}
+
+/**
+ * Get the active storage adapter
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+function getStorageAdapter() {
+  return storageAdapter;
+}
+
+/**
+ * Warn that a feature won't work reliably on the in-memory store
+ * Each function instance has its own memory store, so state written by one
+ * (a redeemed download token, an alert subscription) is invisible to the others.
+ * @param {string} feature - Feature that needs state shared across instances
+ * @returns {boolean} True if the warning was logged
+ */
+function warnIfMemoryStore(feature) {
+  if (storageAdapter.name !== 'memory') {
+    return false;
+  }
+  console.warn(`Warning: STATE_STORE=memory keeps state per function instance, so ${feature} won't work reliably; set STATE_STORE=redis`);
+  return true;
 }
 
 // Auto-cleanup: Run cleanup every 60 seconds
@@ -169,6 +300,8 @@ function startAutoCleanup() {
   cleanupInterval = setInterval(() => {
     cleanupExpiredStates();
   }, CLEANUP_INTERVAL_MS);
+  // Don't keep the process alive just for cleanup (scripts, tests)
+  cleanupInterval.unref();
 
   console.log('State manager: Auto-cleanup started (every 60 seconds)');
 }
@@ -191,12 +324,20 @@ module.exports = {
   saveState,
   getState,
   clearState,
+  getConversation,
+  recordTurn,
+  clearConversation,
   cleanupExpiredStates,
   getActiveStateCount,
+  setStorageAdapter,
+  getStorageAdapter,
+  warnIfMemoryStore,
   startAutoCleanup,
   stopAutoCleanup,
   // Export constants for testing
   STATE_EXPIRY_MS,
+  HISTORY_EXPIRY_MS,
+  MAX_HISTORY_TURNS,
   CLEANUP_INTERVAL_MS,
 };
 
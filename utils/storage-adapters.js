@@ -0,0 +1,576 @@
+/**
+ * Storage Adapters
+ *
+ * Small key/value storage backends shared by the serverless functions.
+ * Every adapter implements the same async interface:
+ *
+ *   get(key)                 -> value or null (expired entries are treated as missing)
+ *   set(key, value, ttlMs)   -> stores a JSON-serialisable value with an expiry
+ *   setIfAbsent(key, value, ttlMs) -> like set, but only if no live entry exists; true if stored
+ *   delete(key)              -> true if an entry was removed
+ *   cleanup()                -> number of expired entries removed
+ *   count(prefix)            -> number of live entries whose key starts with prefix
+ *
+ * Available backends:
+ * - memory: module-level Map (default, per function instance)
+ * - file:   one JSON file per key in a directory
+ * - redis:  any server speaking the Redis protocol (Redis, Valkey, Upstash, ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const DEFAULT_FILE_STORE_DIR = '/tmp/pscbot-state';
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+const REDIS_IDLE_TIMEOUT_MS = 30000;
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name (memory, file, redis)
+ * @property {(key: string) => Promise<any>} get
+ * @property {(key: string, value: any, ttlMs: number) => Promise<void>} set
+ * @property {(key: string, value: any, ttlMs: number) => Promise<boolean>} setIfAbsent
+ * @property {(key: string) => Promise<boolean>} delete
+ * @property {() => Promise<number>} cleanup
+ * @property {(prefix?: string) => Promise<number>} count
+ */
+
+/**
+ * Create an in-memory adapter backed by a Map
+ * @returns {StorageAdapter}
+ */
+function createMemoryAdapter() {
+  /** @type {Map<string, {value: any, expiresAt: number}>} */
+  const store = new Map();
+
+  /**
+   * @param {string} key
+   */
+  function readEntry(key) {
+    const entry = store.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() > entry.expiresAt) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = readEntry(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      store.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (readEntry(key)) {
+        return false;
+      }
+      store.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async delete(key) {
+      return store.delete(key);
+    },
+
+    async cleanup() {
+      const now = Date.now();
+      let removedCount = 0;
+      store.forEach((entry, key) => {
+        if (now > entry.expiresAt) {
+          store.delete(key);
+          removedCount++;
+        }
+      });
+      return removedCount;
+    },
+
+    async count(prefix = '') {
+      let total = 0;
+      store.forEach((_entry, key) => {
+        if (key.startsWith(prefix) && readEntry(key)) {
+          total++;
+        }
+      });
+      return total;
+    },
+  };
+}
+
+/**
+ * Create a file-backed adapter (one JSON file per key)
+ * Useful for `netlify dev` and single-instance deployments with a persistent disk.
+ * @param {{ dir?: string }} [options]
+ * @returns {StorageAdapter}
+ */
+function createFileAdapter(options = {}) {
+  const dir = options.dir || DEFAULT_FILE_STORE_DIR;
+
+  function ensureDir() {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Keys may contain characters that are not safe in filenames, so encode them
+   * @param {string} key
+   */
+  function fileForKey(key) {
+    return path.join(dir, `${Buffer.from(key).toString('base64url')}.json`);
+  }
+
+  /**
+   * @param {string} filename
+   */
+  function keyForFile(filename) {
+    return Buffer.from(filename.slice(0, -5), 'base64url').toString();
+  }
+
+  /**
+   * @param {string} filepath
+   * @returns {{value: any, expiresAt: number} | null}
+   */
+  function readEntry(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (_err) {
+      // Missing or partially written file - treat as absent
+      return null;
+    }
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const filepath = fileForKey(key);
+      const entry = readEntry(filepath);
+      if (!entry) {
+        return null;
+      }
+      if (Date.now() > entry.expiresAt) {
+        try {
+          fs.unlinkSync(filepath);
+        } catch (_err) {
+          // Already removed by a concurrent cleanup
+        }
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      ensureDir();
+      const filepath = fileForKey(key);
+      // Write to a temp file and rename so readers never see a partial write
+      const tempPath = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+      fs.renameSync(tempPath, filepath);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      ensureDir();
+      const filepath = fileForKey(key);
+      const data = JSON.stringify({ value, expiresAt: Date.now() + ttlMs });
+      // The 'wx' flag makes creation atomic: it fails if the file already exists
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          fs.writeFileSync(filepath, data, { flag: 'wx' });
+          return true;
+        } catch (err) {
+          if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'EEXIST') {
+            throw err;
+          }
+          // Replace only entries that have expired; unreadable entries count as live
+          const entry = readEntry(filepath);
+          if (!entry || Date.now() <= entry.expiresAt) {
+            return false;
+          }
+          try {
+            fs.unlinkSync(filepath);
+          } catch (_err) {
+            // Removed concurrently - retry the create
+          }
+        }
+      }
+      return false;
+    },
+
+    async delete(key) {
+      try {
+        fs.unlinkSync(fileForKey(key));
+        return true;
+      } catch (_err) {
+        return false;
+      }
+    },
+
+    async cleanup() {
+      if (!fs.existsSync(dir)) {
+        return 0;
+      }
+      const now = Date.now();
+      let removedCount = 0;
+      fs.readdirSync(dir)
+        .filter((/** @type {string} */ file) => file.endsWith('.json'))
+        .forEach((/** @type {string} */ file) => {
+          const filepath = path.join(dir, file);
+          const entry = readEntry(filepath);
+          if (entry && now > entry.expiresAt) {
+            try {
+              fs.unlinkSync(filepath);
+              removedCount++;
+            } catch (_err) {
+              // Ignore - may have been deleted already
+            }
+          }
+        });
+      return removedCount;
+    },
+
+    async count(prefix = '') {
+      if (!fs.existsSync(dir)) {
+        return 0;
+      }
+      const now = Date.now();
+      return fs.readdirSync(dir)
+        .filter((/** @type {string} */ file) => file.endsWith('.json'))
+        .filter((/** @type {string} */ file) => keyForFile(file).startsWith(prefix))
+        .filter((/** @type {string} */ file) => {
+          const entry = readEntry(path.join(dir, file));
+          return entry !== null && now <= entry.expiresAt;
+        })
+        .length;
+    },
+  };
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args
+ * @returns {string}
+ */
+function encodeRedisCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: any, offset: number } | null} Parsed reply, or null if more data is needed
+ */
+function parseRedisReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(/** @type {number} */ (buffer[offset]));
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      /** @type {any[]} */
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, cursor);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+/**
+ * Create an adapter for a server speaking the Redis protocol
+ * Uses a single lazily-opened connection with pipelined request/response ordering.
+ * Expiry is delegated to the server (SET ... PX).
+ * @param {{ url?: string, keyPrefix?: string }} [options]
+ * @returns {StorageAdapter & { close: () => void }}
+ */
+function createRedisAdapter(options = {}) {
+  const redisUrl = new URL(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  const keyPrefix = options.keyPrefix ?? 'pscbot:';
+
+  /** @type {net.Socket | null} */
+  let socket = null;
+  /** @type {Promise<net.Socket> | null} */
+  let connecting = null;
+  /** @type {Array<{resolve: (value: any) => void, reject: (err: Error) => void}>} */
+  let pending = [];
+  let buffer = Buffer.alloc(0);
+
+  /**
+   * @param {Error} err
+   */
+  function failPending(err) {
+    const waiting = pending;
+    pending = [];
+    waiting.forEach(p => p.reject(err));
+  }
+
+  /**
+   * @param {net.Socket} conn - Connection the data arrived on
+   * @param {Buffer} chunk
+   */
+  function onData(conn, chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let parsed = parseRedisReply(buffer, 0);
+      while (parsed) {
+        buffer = buffer.subarray(parsed.offset);
+        const waiter = pending.shift();
+        if (waiter) {
+          if (parsed.value instanceof Error) {
+            waiter.reject(parsed.value);
+          } else {
+            waiter.resolve(parsed.value);
+          }
+        }
+        parsed = buffer.length > 0 ? parseRedisReply(buffer, 0) : null;
+      }
+    } catch (err) {
+      // Replies can't be matched to commands any more: fail them and start over on a new connection
+      failPending(err instanceof Error ? err : new Error(String(err)));
+      buffer = Buffer.alloc(0);
+      socket = null;
+      connecting = null;
+      conn.destroy();
+    }
+  }
+
+  /**
+   * @param {net.Socket} conn - Open connection
+   * @param {Array<string|number>} args
+   * @returns {Promise<any>}
+   */
+  function send(conn, args) {
+    return new Promise((resolve, reject) => {
+      if (conn.destroyed) {
+        reject(new Error('Redis connection is not open'));
+        return;
+      }
+      pending.push({ resolve, reject });
+      conn.write(encodeRedisCommand(args));
+    });
+  }
+
+  /**
+   * @returns {Promise<net.Socket>}
+   */
+  function connect() {
+    if (socket) {
+      return Promise.resolve(socket);
+    }
+    if (connecting) {
+      return connecting;
+    }
+
+    /** @type {Promise<net.Socket>} */
+    const attempt = new Promise((resolve, reject) => {
+      const useTls = redisUrl.protocol === 'rediss:';
+      const port = parseInt(redisUrl.port || '6379', 10);
+      const host = redisUrl.hostname;
+      const conn = useTls
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+
+      const connectTimer = setTimeout(() => {
+        conn.destroy(new Error(`Redis connection timed out after ${REDIS_CONNECT_TIMEOUT_MS}ms`));
+      }, REDIS_CONNECT_TIMEOUT_MS);
+
+      conn.on('data', (/** @type {Buffer} */ chunk) => onData(conn, chunk));
+      conn.on('error', (err) => {
+        clearTimeout(connectTimer);
+        failPending(err);
+        socket = null;
+        connecting = null;
+        reject(err);
+      });
+      conn.on('close', () => {
+        // Already replaced (protocol error): don't fail its successor's commands
+        if (socket !== conn && connecting !== attempt) {
+          return;
+        }
+        failPending(new Error('Redis connection closed'));
+        socket = null;
+        connecting = null;
+        buffer = Buffer.alloc(0);
+      });
+      // Close idle connections so warm function instances don't hold sockets forever
+      conn.setTimeout(REDIS_IDLE_TIMEOUT_MS, () => conn.end());
+
+      conn.once(useTls ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(connectTimer);
+        // Don't keep the Node process alive just for this connection
+        conn.unref();
+        try {
+          if (redisUrl.password) {
+            const password = decodeURIComponent(redisUrl.password);
+            await send(conn, redisUrl.username
+              ? ['AUTH', decodeURIComponent(redisUrl.username), password]
+              : ['AUTH', password]);
+          }
+          const db = redisUrl.pathname.replace('/', '');
+          if (db) {
+            await send(conn, ['SELECT', db]);
+          }
+          // Published only now, so other commands wait for AUTH/SELECT instead of racing them
+          socket = conn;
+          resolve(conn);
+        } catch (err) {
+          connecting = null;
+          conn.destroy();
+          reject(err);
+        }
+      });
+    });
+
+    connecting = attempt;
+    return attempt;
+  }
+
+  /**
+   * @param {Array<string|number>} args
+   */
+  async function command(args) {
+    return send(await connect(), args);
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await command(['GET', keyPrefix + key]);
+      if (raw === null || raw === undefined) {
+        return null;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (_err) {
+        return null;
+      }
+    },
+
+    async set(key, value, ttlMs) {
+      await command(['SET', keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs))]);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const reply = await command(['SET', keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)), 'NX']);
+      return reply === 'OK';
+    },
+
+    async delete(key) {
+      const removed = await command(['DEL', keyPrefix + key]);
+      return removed > 0;
+    },
+
+    async cleanup() {
+      // Redis expires keys itself
+      return 0;
+    },
+
+    async count(prefix = '') {
+      let cursor = '0';
+      let total = 0;
+      do {
+        const reply = await command(['SCAN', cursor, 'MATCH', `${keyPrefix}${prefix}*`, 'COUNT', 100]);
+        cursor = reply[0];
+        total += reply[1].length;
+      } while (cursor !== '0');
+      return total;
+    },
+
+    close() {
+      if (socket) {
+        socket.end();
+        socket = null;
+      }
+    },
+  };
+}
+
+/**
+ * Create the adapter selected by environment variables
+ * - STATE_STORE=memory (default) | file | redis
+ * - STATE_STORE_DIR: directory for the file adapter
+ * - REDIS_URL: connection URL for the redis adapter (redis:// or rediss://)
+ * @returns {StorageAdapter}
+ */
+function createAdapterFromEnv() {
+  const backend = (process.env.STATE_STORE || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return createFileAdapter({ dir: process.env.STATE_STORE_DIR || DEFAULT_FILE_STORE_DIR });
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        console.warn('Warning: STATE_STORE=redis but REDIS_URL is not set; falling back to memory store');
+        return createMemoryAdapter();
+      }
+      return createRedisAdapter({ url: process.env.REDIS_URL });
+    case 'memory':
+      return createMemoryAdapter();
+    default:
+      console.warn(`Warning: unknown STATE_STORE "${backend}"; using memory store`);
+      return createMemoryAdapter();
+  }
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createFileAdapter,
+  createRedisAdapter,
+  createAdapterFromEnv,
+  // Export for testing
+  encodeRedisCommand,
+  parseRedisReply,
+  DEFAULT_FILE_STORE_DIR,
+};
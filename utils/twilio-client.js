@@ -0,0 +1,295 @@
+/**
+ * Twilio Client
+ *
+ * Outbound WhatsApp messages through the Twilio REST API, shared by the
+ * webhook (media delivery) and the recommendations workers.
+ *
+ * - Bodies longer than WhatsApp's 1600-character limit are split on
+ *   paragraph boundaries and sent as numbered parts ("1/3", "2/3", ...)
+ * - 429 and 5xx responses (and connections that never reached Twilio) are
+ *   retried with exponential backoff, honouring Retry-After. Timeouts and
+ *   dropped connections are not: Twilio may already have accepted the
+ *   message, and a retry would deliver it twice
+ * - The whole send (every part, retry and backoff) fits in a time budget, so
+ *   callers running inside a function's execution window can bound it
+ * - Every accepted part's message SID is returned so callers can track delivery
+ * - Optional media URL (attached to the first part) and status callback URL
+ *
+ * Requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_WHATSAPP_FROM
+ * (e.g. 'whatsapp:+14155238886'). TWILIO_API_BASE_URL overrides the API host
+ * (regional edge locations, tests).
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_API_BASE_URL = 'https://api.twilio.com';
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_BODY_LENGTH = 1600; // WhatsApp body limit enforced by Twilio
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500; // doubled on each retry
+const MAX_RETRY_DELAY_MS = 8000;
+const DEFAULT_TIME_BUDGET_MS = 20000;
+
+// Network errors raised before the request reached Twilio; anything else is ambiguous
+const UNSENT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+/**
+ * @typedef {Object} SendResult
+ * @property {boolean} ok - True if Twilio accepted every part
+ * @property {string|null} sid - SID of the first part (null if it was not accepted)
+ * @property {string[]} sids - SIDs of the accepted parts, in order
+ * @property {number} parts - Number of parts the body was split into
+ * @property {string} [error] - Failure reason
+ */
+
+/**
+ * @typedef {Object} SendOptions
+ * @property {string} [mediaUrl] - Public URL of a file to attach (first part only)
+ * @property {string} [statusCallback] - URL Twilio posts delivery status updates to
+ * @property {number} [maxRetries] - Retries for 429/5xx/connection errors (default 3)
+ * @property {number} [retryDelayMs] - Initial backoff delay (default 500ms)
+ * @property {number} [timeoutMs] - Time budget for the whole send, retries included (default 20s)
+ */
+
+/**
+ * Split text into chunks of at most maxLength characters, preferring
+ * paragraph, then line, then word boundaries
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitText(text, maxLength) {
+  /** @type {string[]} */
+  const chunks = [];
+  let current = '';
+
+  /**
+   * @param {string} piece
+   * @param {string} separator
+   */
+  const append = (piece, separator) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.length <= maxLength) {
+      current += separator + piece;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  };
+
+  text.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).forEach(paragraph => {
+    if (paragraph.length <= maxLength) {
+      append(paragraph, '\n\n');
+      return;
+    }
+    // Oversized paragraph: fall back to lines, then words, then a hard cut
+    paragraph.split('\n').forEach((line, index) => {
+      const lineSeparator = index === 0 ? '\n\n' : '\n';
+      if (line.length <= maxLength) {
+        append(line, lineSeparator);
+        return;
+      }
+      line.split(' ').forEach((word, wordIndex) => {
+        const wordSeparator = wordIndex === 0 ? lineSeparator : ' ';
+        for (let start = 0; start < word.length; start += maxLength) {
+          append(word.slice(start, start + maxLength), start === 0 ? wordSeparator : '');
+        }
+      });
+    });
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Split a message body into WhatsApp-sized parts numbered "1/3", "2/3", ...
+ * @param {string} body - Message text
+ * @param {number} [maxLength] - Maximum characters per part (default 1600)
+ * @returns {string[]} Parts (a single unnumbered part if the body fits)
+ */
+function splitMessage(body, maxLength = MAX_BODY_LENGTH) {
+  const text = String(body || '').trim();
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  // Reserve room for the "n/N\n" prefix; grow the reservation if the part count needs more digits
+  let reserve = 4;
+  let chunks = splitText(text, maxLength - reserve);
+  while (`${chunks.length}/${chunks.length}\n`.length > reserve) {
+    reserve = `${chunks.length}/${chunks.length}\n`.length;
+    chunks = splitText(text, maxLength - reserve);
+  }
+  return chunks.map((chunk, index) => `${index + 1}/${chunks.length}\n${chunk}`);
+}
+
+/**
+ * Delay before the next retry
+ * @param {any} resp - Response (may carry Retry-After), or null for network errors
+ * @param {number} attempt - Retry number (0-based)
+ * @param {number} baseDelayMs
+ * @returns {number}
+ */
+function retryDelay(resp, attempt, baseDelayMs) {
+  const retryAfter = resp && resp.headers && typeof resp.headers.get === 'function'
+    ? Number(resp.headers.get('retry-after'))
+    : NaN;
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  return Math.min(baseDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request certainly never reached Twilio (safe to retry)
+ * @param {unknown} err - Error thrown by fetch
+ * @returns {boolean}
+ */
+function isUnsentError(err) {
+  const code = err && typeof err === 'object' && 'code' in err ? String(err.code) : '';
+  return UNSENT_ERROR_CODES.has(code);
+}
+
+/**
+ * POST one message to Twilio, retrying 429/5xx and connection errors
+ * @param {string} url - Messages endpoint
+ * @param {string} auth - Basic auth credentials
+ * @param {URLSearchParams} params - Message parameters
+ * @param {number} maxRetries
+ * @param {number} baseDelayMs
+ * @param {number} deadline - Time (ms since epoch) the send must finish by
+ * @returns {Promise<{ok: boolean, sid: string|null, error?: string}>} error is set when ok is false
+ */
+async function postMessage(url, auth, params, maxRetries, baseDelayMs, deadline) {
+  let lastError = 'Send time budget exhausted';
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      break;
+    }
+
+    /** @type {any} */
+    let resp = null;
+    try {
+      resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: params.toString(),
+        timeout: Math.min(REQUEST_TIMEOUT_MS, remainingMs),
+      });
+
+      if (resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        return { ok: true, sid: data.sid || null };
+      }
+
+      const text = await resp.text();
+      lastError = `Twilio HTTP ${resp.status}`;
+      console.error('Twilio send error', resp.status, text.substring(0, 200));
+
+      // Client errors (bad number, unverified sender, ...) won't succeed on retry
+      if (resp.status !== 429 && resp.status < 500) {
+        return { ok: false, sid: null, error: lastError };
+      }
+    } catch (err) {
+      lastError = err instanceof Error ? err.message : String(err);
+      console.error('Twilio send failed', lastError);
+
+      // Timed out or dropped mid-request: Twilio may have queued the message already
+      if (!isUnsentError(err)) {
+        return { ok: false, sid: null, error: lastError };
+      }
+    }
+
+    if (attempt < maxRetries) {
+      const delayMs = retryDelay(resp, attempt, baseDelayMs);
+      if (Date.now() + delayMs >= deadline) {
+        console.warn('Not retrying Twilio send: time budget exhausted');
+        break;
+      }
+      console.warn(`Retrying Twilio send in ${delayMs}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+      await sleep(delayMs);
+    }
+  }
+  return { ok: false, sid: null, error: lastError };
+}
+
+/**
+ * Send a WhatsApp message (split into numbered parts if it is too long)
+ * @param {string} toNumber - Recipient (e.g. 'whatsapp:+1234567890')
+ * @param {string} body - Message text
+ * @param {SendOptions} [options]
+ * @returns {Promise<SendResult>}
+ */
+async function sendWhatsAppMessage(toNumber, body, options = {}) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const fromNumber = process.env.TWILIO_WHATSAPP_FROM;
+
+  if (!accountSid || !authToken || !fromNumber) {
+    console.error('Missing Twilio env vars for outbound message');
+    return { ok: false, sid: null, sids: [], parts: 0, error: 'Missing Twilio env vars' };
+  }
+
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+  const baseUrl = (process.env.TWILIO_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  const url = `${baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const baseDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  const deadline = Date.now() + (options.timeoutMs ?? DEFAULT_TIME_BUDGET_MS);
+
+  const parts = splitMessage(body);
+  /** @type {string[]} */
+  const sids = [];
+
+  // Send parts in order; stop at the first failure so the user never gets a gap
+  for (let index = 0; index < parts.length; index++) {
+    const params = new URLSearchParams();
+    params.append('From', fromNumber);
+    params.append('To', toNumber);
+    params.append('Body', parts[index] || '');
+    if (options.mediaUrl && index === 0) {
+      params.append('MediaUrl', options.mediaUrl);
+    }
+    if (options.statusCallback) {
+      params.append('StatusCallback', options.statusCallback);
+    }
+
+    const result = await postMessage(url, auth, params, maxRetries, baseDelayMs, deadline);
+    if (!result.ok) {
+      return {
+        ok: false,
+        sid: sids[0] || null,
+        sids,
+        parts: parts.length,
+        error: parts.length > 1 ? `Part ${index + 1}/${parts.length}: ${result.error}` : String(result.error),
+      };
+    }
+    if (result.sid) {
+      sids.push(result.sid);
+    }
+  }
+
+  return { ok: true, sid: sids[0] || null, sids, parts: parts.length };
+}
+
+module.exports = {
+  sendWhatsAppMessage,
+  splitMessage,
+  // Export constants for testing
+  MAX_BODY_LENGTH,
+};
@@ -0,0 +1,171 @@
+/**
+ * Twilio Request Signature Validation
+ *
+ * Verifies the X-Twilio-Signature header Twilio attaches to every webhook:
+ * base64(HMAC-SHA1(authToken, url + sorted POST params as key+value)).
+ * See https://www.twilio.com/docs/usage/security#validating-requests
+ *
+ * Validation can be switched off for local development (netlify dev,
+ * test-webhook-local.js) with TWILIO_SKIP_SIGNATURE_VALIDATION=true.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-twilio-signature';
+
+/**
+ * Compute the expected signature for a request
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full webhook URL as configured in Twilio (including query string)
+ * @param {URLSearchParams|Record<string, string|string[]>} params - POST form parameters
+ * @returns {string} Base64-encoded HMAC-SHA1 signature
+ */
+function computeSignature(authToken, url, params) {
+  /** @type {Array<[string, string]>} */
+  const entries = params instanceof URLSearchParams
+    ? [...params.entries()]
+    : Object.entries(params || {}).flatMap(([key, value]) =>
+      (Array.isArray(value) ? value : [value]).map(v => /** @type {[string, string]} */ ([key, String(v)])));
+
+  // Sort by key, then value, so repeated keys are stable
+  const data = entries
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) : (keyA < keyB ? -1 : 1))
+    .reduce((acc, [key, value]) => acc + key + value, url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+/**
+ * Compare two signatures in constant time
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {boolean}
+ */
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Twilio may sign the URL with or without the default port, so accept both forms
+ * @param {string} url
+ * @returns {string[]}
+ */
+function urlVariants(url) {
+  try {
+    const parsed = new URL(url);
+    // URL drops an explicit default port, so an empty port means "default or none"
+    if (parsed.port) {
+      return [url];
+    }
+    const defaultPort = parsed.protocol === 'https:' ? '443' : '80';
+    const rest = `${parsed.pathname}${parsed.search}`;
+    return [
+      url,
+      `${parsed.protocol}//${parsed.hostname}${rest}`,
+      `${parsed.protocol}//${parsed.hostname}:${defaultPort}${rest}`,
+    ];
+  } catch (_err) {
+    return [url];
+  }
+}
+
+/**
+ * Validate a Twilio signature
+ * @param {string} authToken - Twilio auth token
+ * @param {string} signature - Value of the X-Twilio-Signature header
+ * @param {string} url - Full webhook URL
+ * @param {URLSearchParams|Record<string, string|string[]>} params - POST form parameters
+ * @returns {boolean} True if the signature matches
+ */
+function validateSignature(authToken, signature, url, params) {
+  if (!authToken || !signature || !url) {
+    return false;
+  }
+  return urlVariants(url).some(candidate => signaturesMatch(computeSignature(authToken, candidate, params), signature));
+}
+
+/**
+ * Read a header case-insensitively from a Netlify event
+ * @param {any} event - Netlify function event
+ * @param {string} name - Lower-case header name
+ * @returns {string} Header value or empty string
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+}
+
+/**
+ * Reconstruct the public URL Twilio posted to
+ * TWILIO_WEBHOOK_URL wins when set (useful behind proxies or custom domains)
+ * @param {any} event - Netlify function event
+ * @returns {string} Webhook URL, or empty string if it can't be determined
+ */
+function getWebhookUrl(event) {
+  if (process.env.TWILIO_WEBHOOK_URL) {
+    return process.env.TWILIO_WEBHOOK_URL;
+  }
+  if (event && event.rawUrl) {
+    return String(event.rawUrl);
+  }
+
+  const host = getHeader(event, 'x-forwarded-host') || getHeader(event, 'host');
+  if (!host || !event.path) {
+    return '';
+  }
+  const protocol = getHeader(event, 'x-forwarded-proto') || 'https';
+  const query = event.rawQuery ? `?${event.rawQuery}` : '';
+  return `${protocol}://${host}${event.path}${query}`;
+}
+
+/**
+ * Whether signature validation has been explicitly disabled
+ * @returns {boolean}
+ */
+function isValidationDisabled() {
+  return String(process.env.TWILIO_SKIP_SIGNATURE_VALIDATION || '').toLowerCase() === 'true';
+}
+
+/**
+ * Validate an incoming Netlify event against its X-Twilio-Signature header
+ * @param {any} event - Netlify function event
+ * @param {URLSearchParams} params - Parsed form body
+ * @param {string} [authToken] - Twilio auth token (defaults to TWILIO_AUTH_TOKEN)
+ * @param {string|null} [url] - URL Twilio signed (defaults to the webhook URL; status callbacks
+ *   are signed against the callback URL they were registered with)
+ * @returns {{valid: boolean, skipped: boolean, reason?: string}}
+ */
+function validateTwilioRequest(event, params, authToken = process.env.TWILIO_AUTH_TOKEN, url = getWebhookUrl(event)) {
+  if (isValidationDisabled()) {
+    return { valid: true, skipped: true };
+  }
+
+  const signature = getHeader(event, SIGNATURE_HEADER);
+  if (!signature) {
+    return { valid: false, skipped: false, reason: 'missing signature header' };
+  }
+  if (!authToken) {
+    return { valid: false, skipped: false, reason: 'TWILIO_AUTH_TOKEN not set' };
+  }
+
+  if (!url) {
+    return { valid: false, skipped: false, reason: 'could not determine webhook URL' };
+  }
+
+  return validateSignature(authToken, signature, url, params)
+    ? { valid: true, skipped: false }
+    : { valid: false, skipped: false, reason: 'signature mismatch' };
+}
+
+module.exports = {
+  computeSignature,
+  validateSignature,
+  validateTwilioRequest,
+  getWebhookUrl,
+  isValidationDisabled,
+  SIGNATURE_HEADER,
+};
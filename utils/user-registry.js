@@ -0,0 +1,256 @@
+/**
+ * User Registry
+ *
+ * Allow-list of WhatsApp users. Each phone number maps to a company, a role,
+ * a report email and the vessels the user may see (individual IMOs and/or
+ * named fleets). Numbers that aren't registered are refused by the webhook.
+ *
+ * Registry format:
+ * {
+ *   "fleets": { "GCL": ["9481219", "9481659"] },
+ *   "users": [
+ *     {
+ *       "phone": "+1234567890",
+ *       "name": "Jane Doe",
+ *       "email": "jane@example.com",
+ *       "company": "Example Shipping",
+ *       "role": "fleet_manager",
+ *       "imos": ["9481697"],
+ *       "fleets": ["GCL"]
+ *     }
+ *   ]
+ * }
+ * Use "*" in a user's imos or fleets to grant access to every vessel.
+ *
+ * Sources, in order: USER_REGISTRY_JSON env var, USER_REGISTRY_FILE path,
+ * bundled data/user-registry.json.
+ */
+
+const fs = require('fs');
+
+const ALL_VESSELS = '*';
+
+// Attempt to inline/bundle the registry JSON
+/** @type {any} */
+let BUILT_IN_REGISTRY = null;
+try {
+  // This require will get bundled by esbuild if the file exists
+  BUILT_IN_REGISTRY = require('../data/user-registry.json');
+} catch (_e) {
+  BUILT_IN_REGISTRY = null;
+}
+
+/**
+ * @typedef {Object} RegisteredUser
+ * @property {string} phone - Normalized phone number (digits only)
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {string} company
+ * @property {string} role
+ * @property {boolean} allVessels - True if the user may see every vessel
+ * @property {string[]} imos - IMOs the user may see (own IMOs plus fleet members)
+ * @property {string[]} fleets - Fleet names assigned to the user
+ */
+
+/** @type {Map<string, RegisteredUser> | null} */
+let registryCache = null;
+
+/**
+ * Normalize phone number for lookups (same rules as the state manager)
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {string} Digits only
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return '';
+  }
+  return phoneNumber.replace(/\D/g, '');
+}
+
+/**
+ * Normalize a list of IMOs / names from the registry
+ * @param {any} list
+ * @returns {string[]}
+ */
+function toStringList(list) {
+  return Array.isArray(list)
+    ? list.map(item => String(item).trim().replace(/\r$/, '')).filter(Boolean)
+    : [];
+}
+
+/**
+ * Build the user map from raw registry data
+ * @param {any} data - Parsed registry JSON
+ * @returns {Map<string, RegisteredUser>}
+ */
+function buildRegistry(data) {
+  /** @type {Record<string, string[]>} */
+  const fleets = {};
+  Object.entries((data && data.fleets) || {}).forEach(([fleetName, imos]) => {
+    fleets[fleetName.toUpperCase()] = toStringList(imos);
+  });
+
+  /** @type {Map<string, RegisteredUser>} */
+  const users = new Map();
+  ((data && data.users) || []).forEach((/** @type {any} */ entry) => {
+    const phone = normalizePhoneNumber(String((entry && entry.phone) || ''));
+    if (!phone) {
+      console.warn('Warning: skipping user registry entry without phone number');
+      return;
+    }
+
+    const userFleets = toStringList(entry.fleets).map(f => f.toUpperCase());
+    const ownImos = toStringList(entry.imos);
+    const allVessels = ownImos.includes(ALL_VESSELS) || userFleets.includes(ALL_VESSELS);
+
+    const imos = new Set(ownImos.filter(imo => imo !== ALL_VESSELS));
+    userFleets.filter(f => f !== ALL_VESSELS).forEach(fleetName => {
+      if (!fleets[fleetName]) {
+        console.warn(`Warning: user registry references unknown fleet "${fleetName}"`);
+        return;
+      }
+      fleets[fleetName].forEach(imo => imos.add(imo));
+    });
+
+    users.set(phone, {
+      phone,
+      name: entry.name ? String(entry.name) : null,
+      email: entry.email ? String(entry.email).trim() : null,
+      company: String(entry.company || 'Unknown'),
+      role: String(entry.role || 'viewer'),
+      allVessels,
+      imos: [...imos],
+      fleets: userFleets,
+    });
+  });
+
+  return users;
+}
+
+/**
+ * Load the user registry
+ * @returns {Map<string, RegisteredUser>}
+ */
+function loadRegistry() {
+  if (registryCache !== null) {
+    return registryCache;
+  }
+
+  // 1) Env var JSON (keeps phone numbers out of the repo)
+  const envJson = process.env.USER_REGISTRY_JSON;
+  if (envJson) {
+    try {
+      registryCache = buildRegistry(JSON.parse(envJson));
+      console.log(`User registry loaded from env JSON (${registryCache.size} users)`);
+      return registryCache;
+    } catch (err) {
+      console.warn('Warning: failed to parse USER_REGISTRY_JSON env var:', err);
+    }
+  }
+
+  // 2) Registry file on disk
+  const registryFile = process.env.USER_REGISTRY_FILE;
+  if (registryFile) {
+    try {
+      registryCache = buildRegistry(JSON.parse(fs.readFileSync(registryFile, 'utf8')));
+      console.log(`User registry loaded from ${registryFile} (${registryCache.size} users)`);
+      return registryCache;
+    } catch (err) {
+      console.warn(`Warning: failed to read USER_REGISTRY_FILE ${registryFile}:`, err);
+    }
+  }
+
+  // 3) Bundled registry
+  registryCache = buildRegistry(BUILT_IN_REGISTRY || {});
+  if (registryCache.size === 0) {
+    console.warn('Warning: user registry is empty; all WhatsApp users will be refused');
+  } else {
+    console.log(`User registry loaded from bundled user-registry.json (${registryCache.size} users)`);
+  }
+  return registryCache;
+}
+
+/**
+ * Get the registered user for a phone number
+ * @param {string} phoneNumber - Phone number (may include whatsapp: prefix)
+ * @returns {RegisteredUser|null} User or null if not registered
+ */
+function getUser(phoneNumber) {
+  const phone = normalizePhoneNumber(phoneNumber);
+  if (!phone) {
+    return null;
+  }
+  return loadRegistry().get(phone) || null;
+}
+
+/**
+ * Get every registered user
+ * @returns {RegisteredUser[]}
+ */
+function listUsers() {
+  return [...loadRegistry().values()];
+}
+
+/**
+ * Check whether a user may see a vessel
+ * @param {RegisteredUser|null} user
+ * @param {string|number|null|undefined} imo - Vessel IMO
+ * @returns {boolean}
+ */
+function canAccessVessel(user, imo) {
+  if (!user) {
+    return false;
+  }
+  if (user.allVessels) {
+    return true;
+  }
+  const wanted = String(imo || '').trim();
+  return wanted !== '' && user.imos.includes(wanted);
+}
+
+/**
+ * Keep only the dashboard vessels a user may see
+ * @param {RegisteredUser|null} user
+ * @param {any[]} vessels - Vessel objects with imo / imoNumber
+ * @returns {any[]}
+ */
+function filterVesselsForUser(user, vessels) {
+  if (!Array.isArray(vessels)) {
+    return [];
+  }
+  return vessels.filter(v => v && canAccessVessel(user, v.imo || v.imoNumber));
+}
+
+/**
+ * Get the report email for a phone number
+ * Falls back to DEFAULT_RECIPIENT_EMAIL / TEST_RECIPIENT_EMAIL for testing
+ * @param {string} phoneNumber - Phone number
+ * @returns {string|null} Email address or null if not found
+ */
+function getEmailForPhone(phoneNumber) {
+  const user = getUser(phoneNumber);
+  if (user && user.email) {
+    return user.email;
+  }
+
+  const defaultEmail = process.env.DEFAULT_RECIPIENT_EMAIL || process.env.TEST_RECIPIENT_EMAIL;
+  return defaultEmail || null;
+}
+
+/**
+ * Clear the registry cache (useful for testing or after updating the registry)
+ */
+function clearCache() {
+  registryCache = null;
+}
+
+module.exports = {
+  getUser,
+  listUsers,
+  canAccessVessel,
+  filterVesselsForUser,
+  getEmailForPhone,
+  clearCache,
+  // Export constants for testing
+  ALL_VESSELS,
+};
@@ -1,13 +1,15 @@
 const fs = require('fs');
 const path = require('path');
+const vesselSearch = require('./vessel-search');
+const imoUtils = require('./imo');
 
 // Built-in fallback mappings so Netlify bundle works even without CSV
 // Keep this small; extend with env var VESSEL_MAPPINGS_JSON if needed.
 const DEFAULT_VESSELS = [
-  { name: 'GCL YAMUNA', imo: '9481219' },
-  { name: 'GCL TAPI', imo: '9481659' },
-  { name: 'GCL GANGA', imo: '9481697' },
-  { name: 'GCL SABARMATI', imo: '9481661' },
+  { name: 'GCL YAMUNA', imo: '9481219', aliases: ['YAMUNA'] },
+  { name: 'GCL TAPI', imo: '9481659', aliases: ['TAPI'] },
+  { name: 'GCL GANGA', imo: '9481697', aliases: ['GANGA'] },
+  { name: 'GCL SABARMATI', imo: '9481661', aliases: ['SABARMATI'] },
 ];
 
 // Attempt to inline/bundle the full mappings JSON
@@ -19,13 +21,343 @@ try {
   BUILT_IN_VESSELS = null;
 }
 
+// Candidates returned by findVesselCandidates unless a limit is given
+const DEFAULT_CANDIDATE_LIMIT = 5;
+// Score gap under which the top two candidates count as a tie
+const AMBIGUITY_MARGIN = 0.1;
+
+// CSV locations: next to this module, and under the working directory for
+// bundled functions (netlify.toml includes data/**)
+const CSV_PATHS = [
+  path.join(__dirname, '..', 'data', 'vessel-mappings.csv'),
+  path.join(process.cwd(), 'data', 'vessel-mappings.csv'),
+];
+
+// Former name with its dates: "STAR YAMUNA (until 2021-06-30)" or "STAR YAMUNA (2015-01-10 to 2021-06-30)"
+const FORMER_NAME_DATES = /^(.*?)\s*\((?:(\d{4}-\d{2}-\d{2})\s+to\s+|until\s+)(\d{4}-\d{2}-\d{2})\)$/i;
+
+/**
+ * @typedef {Object} FormerName
+ * @property {string} name
+ * @property {string|null} from - First day the name was used (YYYY-MM-DD), if known
+ * @property {string|null} until - Last day the name was used (YYYY-MM-DD), if known
+ */
+
+/**
+ * @typedef {Object} VesselMapping
+ * @property {string} name - Current name
+ * @property {string} imo
+ * @property {string[]} [aliases] - Other names crews use, e.g. "YAMUNA"
+ * @property {FormerName[]} [formerNames]
+ * @property {string} [callSign]
+ * @property {string} [mmsi]
+ */
+
 // Cache for loaded vessel data
-/** @type {Array<{name: string, imo: string}> | null} */
+/** @type {VesselMapping[] | null} */
 let vesselCache = null;
 
+// Indexes over vesselCache, built on first search
+/** @type {{search: import('./vessel-search').VesselSearchIndex, byRadioId: Map<string, VesselMapping>} | null} */
+let searchIndex = null;
+
 /**
- * Load and parse the vessel mappings CSV file
- * @returns {Array<{name: string, imo: string}>}
+ * @typedef {Object} MappingError
+ * @property {number} line - CSV line number, or position in a JSON list (from 1)
+ * @property {string} name
+ * @property {string} imo
+ * @property {string} reason
+ * @property {boolean} skipped - True if the whole row was dropped, false if only a field was ignored
+ */
+
+/**
+ * @typedef {Object} MappingRow
+ * @property {number} line
+ * @property {any} name
+ * @property {any} imo
+ * @property {any} [aliases] - "A|B" or an array
+ * @property {any} [formerNames] - "A (until 2021-06-30)|B" or an array of strings / {name, from, until}
+ * @property {any} [callSign]
+ * @property {any} [mmsi]
+ */
+
+/**
+ * Split a list column ("A|B") or JSON array into trimmed values
+ * @param {any} value
+ * @returns {any[]}
+ */
+function listValues(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split('|');
+  return items.map(item => (typeof item === 'string' ? item.trim() : item)).filter(Boolean);
+}
+
+/**
+ * Whether a string is a real YYYY-MM-DD date
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+/**
+ * Parse a former name
+ * Accepts "NAME", "NAME (until YYYY-MM-DD)", "NAME (YYYY-MM-DD to YYYY-MM-DD)" or {name, from, until}.
+ * @param {any} value
+ * @returns {FormerName | null} null if the name is missing or its dates can't be read
+ */
+function parseFormerName(value) {
+  let name;
+  let from = null;
+  let until = null;
+  if (value && typeof value === 'object') {
+    name = String(value.name ?? '').trim();
+    from = value.from ?? null;
+    until = value.until ?? null;
+  } else {
+    const text = String(value).trim();
+    const match = FORMER_NAME_DATES.exec(text);
+    if (!match && text.includes('(')) {
+      return null;
+    }
+    name = match ? (match[1] || '').trim() : text;
+    from = match?.[2] || null;
+    until = match?.[3] || null;
+  }
+
+  if (!name || (from !== null && !isIsoDate(from)) || (until !== null && !isIsoDate(until)) ||
+      (from !== null && until !== null && from > until)) {
+    return null;
+  }
+  return { name, from, until };
+}
+
+/**
+ * Read a row's aliases, former names, call sign and MMSI
+ * Values that can't be used are reported and left out.
+ * @param {MappingRow} row
+ * @param {string} name - Current name
+ * @param {string} imo
+ * @param {MappingError[]} errors - Receives ignored values
+ * @returns {VesselMapping}
+ */
+function readVesselDetails(row, name, imo, errors) {
+  /** @type {VesselMapping} */
+  const vessel = { name, imo };
+  /** @param {string} reason */
+  const ignore = reason => errors.push({ line: row.line, name, imo, reason, skipped: false });
+
+  const aliases = listValues(row.aliases)
+    .map(alias => String(alias))
+    .filter(alias => alias.toUpperCase() !== name.toUpperCase());
+  if (aliases.length > 0) {
+    vessel.aliases = aliases;
+  }
+
+  /** @type {FormerName[]} */
+  const formerNames = [];
+  for (const value of listValues(row.formerNames)) {
+    const former = parseFormerName(value);
+    if (former) {
+      formerNames.push(former);
+    } else {
+      ignore(`unreadable former name "${typeof value === 'string' ? value : JSON.stringify(value)}"`);
+    }
+  }
+  if (formerNames.length > 0) {
+    vessel.formerNames = formerNames;
+  }
+
+  const callSign = String(row.callSign ?? '').replace(/\s+/g, '').toUpperCase();
+  if (/^[A-Z0-9]{3,7}$/.test(callSign)) {
+    vessel.callSign = callSign;
+  } else if (callSign) {
+    ignore(`invalid call sign "${callSign}"`);
+  }
+
+  const mmsi = String(row.mmsi ?? '').trim();
+  if (/^\d{9}$/.test(mmsi)) {
+    vessel.mmsi = mmsi;
+  } else if (mmsi) {
+    ignore(`invalid MMSI "${mmsi}" (MMSIs have 9 digits)`);
+  }
+
+  return vessel;
+}
+
+/**
+ * Check mapping rows, keeping the usable ones
+ * Rows without a name, with a malformed IMO or a wrong check digit, and
+ * repeats of an IMO already listed are returned as errors instead. Unusable
+ * aliases, former names, call signs and MMSIs are reported and left out.
+ * @param {MappingRow[]} rows
+ * @returns {{vessels: VesselMapping[], errors: MappingError[]}}
+ */
+function checkMappingRows(rows) {
+  /** @type {VesselMapping[]} */
+  const vessels = [];
+  /** @type {MappingError[]} */
+  const errors = [];
+  /** @type {Map<string, string>} */
+  const seen = new Map();
+
+  for (const row of rows) {
+    const name = String(row.name ?? '').trim();
+    const imo = String(row.imo ?? '').trim();
+    const check = imoUtils.validateImo(imo);
+
+    let reason = null;
+    if (!name) {
+      reason = 'missing vessel name';
+    } else if (!check.valid) {
+      reason = imo ? imoUtils.describeImoError(check) : 'missing IMO';
+    } else if (seen.has(imo)) {
+      reason = `IMO already listed for ${seen.get(imo)}`;
+    }
+
+    if (reason) {
+      errors.push({ line: row.line, name, imo, reason, skipped: true });
+    } else {
+      seen.set(imo, name);
+      vessels.push(readVesselDetails(row, name, imo, errors));
+    }
+  }
+
+  return { vessels, errors };
+}
+
+/**
+ * Split a CSV line into values; quoted values may contain commas
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  /** @type {string[]} */
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      value += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+/**
+ * Parse vessel-mappings.csv
+ * Blank lines and # comments are skipped. The header names the columns:
+ * vessel_name and imo, optionally followed by aliases, former_names,
+ * call_sign and mmsi (see data/README.md).
+ * @param {string} text - CSV contents
+ * @returns {{vessels: VesselMapping[], errors: MappingError[]}}
+ */
+function parseVesselMappingsCsv(text) {
+  /** @type {MappingRow[]} */
+  const rows = [];
+  /** @type {string[]} */
+  let columns = ['vessel_name', 'imo'];
+  String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    if (/^vessel_name\s*,/i.test(line)) {
+      columns = splitCsvLine(line).map(column => column.trim().toLowerCase());
+      return;
+    }
+
+    if (columns.length <= 2) {
+      // Names may contain commas; the IMO is always the last column
+      const comma = line.lastIndexOf(',');
+      rows.push({
+        line: i + 1,
+        name: comma === -1 ? line : line.slice(0, comma),
+        imo: comma === -1 ? '' : line.slice(comma + 1),
+      });
+      return;
+    }
+
+    const values = splitCsvLine(line);
+    /** @param {string} column */
+    const get = column => {
+      const position = columns.indexOf(column);
+      return position === -1 ? '' : (values[position] || '');
+    };
+    rows.push({
+      line: i + 1,
+      name: get('vessel_name'),
+      imo: get('imo'),
+      aliases: get('aliases'),
+      formerNames: get('former_names'),
+      callSign: get('call_sign'),
+      mmsi: get('mmsi'),
+    });
+  });
+  return checkMappingRows(rows);
+}
+
+/**
+ * Log mapping rows that were skipped and values that were ignored
+ * @param {MappingError[]} errors
+ * @param {string} source - File or variable the rows came from
+ */
+function reportMappingErrors(errors, source) {
+  const where = source.endsWith('.csv') ? 'line' : 'entry';
+  const skipped = errors.filter(error => error.skipped);
+  const ignored = errors.filter(error => !error.skipped);
+  if (skipped.length > 0) {
+    console.warn(`Warning: skipped ${skipped.length} invalid vessel mapping row(s) in ${source}:`);
+    for (const error of skipped) {
+      console.warn(`  ${where} ${error.line}: "${error.name}", IMO "${error.imo}" – ${error.reason}`);
+    }
+  }
+  if (ignored.length > 0) {
+    console.warn(`Warning: ignored ${ignored.length} invalid vessel mapping value(s) in ${source}:`);
+    for (const error of ignored) {
+      console.warn(`  ${where} ${error.line}: "${error.name}" – ${error.reason}`);
+    }
+  }
+}
+
+/**
+ * Check a JSON list of {name, imo, aliases?, formerNames?, callSign?, mmsi?} mappings
+ * @param {any[]} list
+ * @param {string} source - Where the list came from, for warnings
+ * @returns {VesselMapping[]}
+ */
+function loadMappingList(list, source) {
+  const { vessels, errors } = checkMappingRows(list.map((v, i) => ({
+    line: i + 1,
+    name: v?.name,
+    // The bundled JSON was generated from a CRLF file
+    imo: v?.imo === undefined ? '' : String(v.imo).replace(/\r$/, ''),
+    aliases: v?.aliases,
+    formerNames: v?.formerNames ?? v?.former_names,
+    callSign: v?.callSign ?? v?.call_sign,
+    mmsi: v?.mmsi,
+  })));
+  reportMappingErrors(errors, source);
+  return vessels;
+}
+
+/**
+ * Load the vessel mappings
+ * From VESSEL_MAPPINGS_JSON if set, else data/vessel-mappings.csv, else the
+ * bundled vessel-mappings.json, else a small default list. Invalid rows are
+ * reported and skipped.
+ * @returns {VesselMapping[]}
  */
 function loadVesselMappings() {
   if (vesselCache !== null) {
@@ -38,12 +370,7 @@ function loadVesselMappings() {
     try {
       const parsed = JSON.parse(envJson);
       if (Array.isArray(parsed)) {
-        vesselCache = parsed
-          .filter(v => v && v.name && v.imo)
-          .map(v => ({
-            name: String(v.name).trim(),
-            imo: String(v.imo).trim(),
-          }));
+        vesselCache = loadMappingList(parsed, 'VESSEL_MAPPINGS_JSON');
         console.log('Vessel mappings loaded from env JSON');
         return vesselCache;
       }
@@ -52,131 +379,203 @@ function loadVesselMappings() {
     }
   }
 
-  // 2) Try bundled JSON (required above)
+  // 2) The CSV, where it's deployed alongside the code
+  for (const csvPath of CSV_PATHS) {
+    if (!fs.existsSync(csvPath)) {
+      continue;
+    }
+    try {
+      const { vessels, errors } = parseVesselMappingsCsv(fs.readFileSync(csvPath, 'utf8'));
+      reportMappingErrors(errors, 'vessel-mappings.csv');
+      vesselCache = vessels;
+      console.log('Vessel mappings loaded from vessel-mappings.csv');
+      return vesselCache;
+    } catch (err) {
+      console.warn('Warning: failed to read vessel-mappings.csv:', err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  // 3) Try bundled JSON (required above)
   if (Array.isArray(BUILT_IN_VESSELS)) {
-    vesselCache = BUILT_IN_VESSELS
-      .filter(v => v && v.name && v.imo)
-      .map(v => ({
-        name: String(v.name).trim(),
-        imo: String(v.imo).trim().replace(/\r$/, ''),
-      }));
+    vesselCache = loadMappingList(BUILT_IN_VESSELS, 'vessel-mappings.json');
     console.log('Vessel mappings loaded from bundled vessel-mappings.json');
     return vesselCache;
   }
 
-  // 3) Fallback defaults (small)
+  // 4) Fallback defaults (small)
   console.warn('Warning: No vessel mappings JSON found; using default list only');
   vesselCache = DEFAULT_VESSELS;
   return vesselCache;
 }
 
 /**
- * Get vessel by name (case-insensitive, supports partial matches)
- * @param {string} name - Vessel name to search for
- * @returns {{name: string, imo: string} | null}
+ * @typedef {Object} VesselCandidate
+ * @property {string} name - Current vessel name
+ * @property {string} imo
+ * @property {number} score - Match quality from 0 to 1 (1 = exact current name, call sign or MMSI)
+ * @property {'name'|'alias'|'former_name'|'call_sign'|'mmsi'} matchedBy - What the search matched
+ * @property {string} matchedName - The name, call sign or MMSI that matched
  */
-function getVesselByName(name) {
-  if (!name || typeof name !== 'string') {
-    return null;
-  }
-
-  const vessels = loadVesselMappings();
-  const searchName = name.trim().toUpperCase();
-  
-  if (!searchName) {
-    return null;
-  }
 
-  // First try exact match (case-insensitive)
-  for (const vessel of vessels) {
-    if (vessel.name.toUpperCase() === searchName) {
-      return { name: vessel.name, imo: vessel.imo };
+/**
+ * Build the search indexes on first use
+ * @returns {{search: import('./vessel-search').VesselSearchIndex, byRadioId: Map<string, VesselMapping>}}
+ */
+function getSearchIndex() {
+  if (searchIndex === null) {
+    const vessels = loadVesselMappings();
+    /** @type {Map<string, VesselMapping>} */
+    const byRadioId = new Map();
+    for (const vessel of vessels) {
+      if (vessel.callSign) byRadioId.set(vessel.callSign, vessel);
+      if (vessel.mmsi) byRadioId.set(vessel.mmsi, vessel);
     }
+    searchIndex = { search: vesselSearch.buildSearchIndex(vessels), byRadioId };
   }
+  return searchIndex;
+}
 
-  // Then try partial match
-  for (const vessel of vessels) {
-    const vesselNameUpper = vessel.name.toUpperCase();
-    if (vesselNameUpper.includes(searchName) || searchName.includes(vesselNameUpper)) {
-      return { name: vessel.name, imo: vessel.imo };
-    }
+/**
+ * Find a vessel by call sign or MMSI
+ * @param {string} value
+ * @returns {VesselCandidate | null}
+ */
+function findByRadioId(value) {
+  const key = String(value || '').replace(/\s+/g, '').toUpperCase();
+  const vessel = key ? getSearchIndex().byRadioId.get(key) : undefined;
+  if (!vessel) {
+    return null;
   }
-
-  // Finally, fuzzy match (Levenshtein distance) to handle minor typos
-  const distance = (a, b) => {
-    const m = a.length;
-    const n = b.length;
-    const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-    for (let i = 0; i <= m; i++) dp[i][0] = i;
-    for (let j = 0; j <= n; j++) dp[0][j] = j;
-    for (let i = 1; i <= m; i++) {
-      for (let j = 1; j <= n; j++) {
-        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-        dp[i][j] = Math.min(
-          dp[i - 1][j] + 1,     // deletion
-          dp[i][j - 1] + 1,     // insertion
-          dp[i - 1][j - 1] + cost // substitution
-        );
-      }
-    }
-    return dp[m][n];
+  return {
+    name: vessel.name,
+    imo: vessel.imo,
+    score: 1,
+    matchedBy: vessel.mmsi === key ? 'mmsi' : 'call_sign',
+    matchedName: key,
   };
+}
 
-  let best = null;
-  let bestDist = Infinity;
-  for (const vessel of vessels) {
-    const d = distance(searchName, vessel.name.toUpperCase());
-    if (d < bestDist) {
-      bestDist = d;
-      best = vessel;
-    }
+/**
+ * Find vessels matching a name, best match first
+ * Matches current names, aliases and former names through the search index
+ * (normalised names, word, phonetic and trigram matching; see vessel-search.js),
+ * and call signs and MMSIs exactly. Candidates with the same score keep their
+ * order in the mappings.
+ * @param {string} name - Vessel name, alias, former name, call sign or MMSI to search for
+ * @param {{limit?: number}} [options] - Maximum number of candidates (default 5)
+ * @returns {VesselCandidate[]}
+ */
+function findVesselCandidates(name, options = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return [];
   }
 
-  // Accept near-miss matches with small edit distance
-  if (best && bestDist <= 2) {
-    return { name: best.name, imo: best.imo };
+  const limit = options.limit ?? DEFAULT_CANDIDATE_LIMIT;
+  const byRadioId = findByRadioId(name);
+  /** @type {VesselCandidate[]} */
+  const candidates = vesselSearch.searchVessels(getSearchIndex().search, name, { limit });
+  if (!byRadioId) {
+    return candidates;
   }
+  return [byRadioId, ...candidates.filter(candidate => candidate.imo !== byRadioId.imo)].slice(0, limit);
+}
 
-  return null;
+/**
+ * Check whether the best candidates are too close to pick one without asking
+ * @param {Array<{name: string, imo: string, score: number}>} candidates - Candidates from findVesselCandidates, best first
+ * @returns {boolean} True if the top match isn't exact and the runner-up is within AMBIGUITY_MARGIN
+ */
+function isAmbiguous(candidates) {
+  const [best, runnerUp] = candidates;
+  return !!best && !!runnerUp && best.score < 1 && best.score - runnerUp.score <= AMBIGUITY_MARGIN;
+}
+
+/**
+ * Get vessel by name (case-insensitive, supports partial matches)
+ * Also matches aliases, former names, call signs and MMSIs.
+ * Returns the best-scoring candidate; use findVesselCandidates to see the alternatives.
+ * @param {string} name - Vessel name to search for
+ * @returns {{name: string, imo: string} | null}
+ */
+function getVesselByName(name) {
+  const [best] = findVesselCandidates(name, { limit: 1 });
+  return best ? { name: best.name, imo: best.imo } : null;
 }
 
 /**
  * Get vessel by IMO number
  * @param {string|number} imo - IMO number to search for
- * @returns {{name: string, imo: string} | null}
+ * @returns {VesselMapping | null} Name and IMO, plus aliases, former names, call sign and MMSI where known
  */
 function getVesselByIMO(imo) {
   if (!imo) {
     return null;
   }
 
-  const imoStr = String(imo).trim();
-  if (!imoStr) {
+  // Malformed numbers can't be in the mappings, which are checked on load
+  const check = imoUtils.validateImo(imo);
+  if (!check.valid) {
     return null;
   }
+  const imoStr = check.imo;
 
   const vessels = loadVesselMappings();
   
   for (const vessel of vessels) {
     if (vessel.imo === imoStr) {
-      return { name: vessel.name, imo: vessel.imo };
+      return { ...vessel };
     }
   }
 
   return null;
 }
 
+/**
+ * Get vessel by MMSI (Maritime Mobile Service Identity, 9 digits)
+ * @param {string|number} mmsi
+ * @returns {{name: string, imo: string} | null}
+ */
+function getVesselByMMSI(mmsi) {
+  const mmsiStr = String(mmsi ?? '').trim();
+  if (!/^\d{9}$/.test(mmsiStr)) {
+    return null;
+  }
+  const match = findByRadioId(mmsiStr);
+  return match ? { name: match.name, imo: match.imo } : null;
+}
+
+/**
+ * Find the former name of a vessel that a search matched
+ * @param {string} imo - Vessel IMO
+ * @param {string} formerName - Name as matched (matchedName of a candidate)
+ * @returns {FormerName | null}
+ */
+function getFormerName(imo, formerName) {
+  const vessel = getVesselByIMO(imo);
+  const wanted = vesselSearch.normalizeVesselName(formerName);
+  return vessel?.formerNames?.find(former => vesselSearch.normalizeVesselName(former.name) === wanted) || null;
+}
+
 /**
  * Clear the vessel cache (useful for testing or reloading data)
  */
 function clearCache() {
   vesselCache = null;
+  searchIndex = null;
 }
 
 module.exports = {
   loadVesselMappings,
+  parseVesselMappingsCsv,
   getVesselByName,
+  findVesselCandidates,
+  isAmbiguous,
   getVesselByIMO,
+  getVesselByMMSI,
+  getFormerName,
   clearCache,
+  // Export constants for testing
+  DEFAULT_CANDIDATE_LIMIT,
+  AMBIGUITY_MARGIN,
 };
 
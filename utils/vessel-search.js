@@ -0,0 +1,403 @@
+/**
+ * Vessel Search Index
+ *
+ * Fuzzy vessel name search used by the vessel lookup. Names are normalised
+ * (MV/MT/M.V. prefixes, punctuation and hyphens removed) and indexed once by
+ * token, phonetic key and trigram, so a query only scores the vessels that
+ * share something with it instead of every vessel in the mappings. A vessel's
+ * aliases and former names are indexed alongside its current name.
+ *
+ * A query matches a vessel when:
+ * - every query word matches one of the vessel's words, or every vessel word
+ *   matches one of the query's (exactly, as a prefix, with a small typo or by
+ *   sound), in any order; or
+ * - the names without spaces have similar trigrams ("GCLYAMUNA")
+ */
+
+// Prefixes that aren't part of the name: MV, MT, M.V., M/T, M V ...
+const SHIP_PREFIX = /^M[\s./]*[VT]\b\.?\s*/;
+
+// Shortest query word matched as the prefix of a vessel word ("YAM" -> YAMUNA)
+const MIN_PREFIX_LENGTH = 3;
+// Shortest word compared with typos; shorter words must match exactly
+const MIN_FUZZY_TOKEN_LENGTH = 4;
+// Shortest word compared by sound; short words share keys too easily
+const MIN_PHONETIC_TOKEN_LENGTH = 5;
+// Similarity credited to words that only sound alike
+const PHONETIC_SIMILARITY = 0.8;
+// Highest word-match score for names where no word matched by spelling; keeps
+// sound-alikes (GANGA ~ GENCO) more than AMBIGUITY_MARGIN below real word matches
+const PHONETIC_ONLY_MAX_SCORE = 0.6;
+// Trigram (Dice) similarity a name needs before it counts as a match
+const MIN_TRIGRAM_SIMILARITY = 0.6;
+// Highest score for anything but the exact (normalised) current name
+const MAX_INEXACT_SCORE = 0.99;
+
+// Soundex digit per consonant; vowels and H, W, Y carry no digit
+/** @type {Record<string, string>} */
+const SOUNDEX_CODES = {
+  B: '1', F: '1', P: '1', V: '1',
+  C: '2', G: '2', J: '2', K: '2', Q: '2', S: '2', X: '2', Z: '2',
+  D: '3', T: '3',
+  L: '4',
+  M: '5', N: '5',
+  R: '6',
+};
+
+/**
+ * @typedef {'name'|'alias'|'former_name'} NameKind
+ */
+
+/**
+ * @typedef {Object} IndexedVessel
+ * @property {import('./vessel-lookup').VesselMapping} vessel
+ * @property {number} position - Position of the vessel in the mappings
+ * @property {string} label - Name indexed: the vessel's name, an alias or a former name
+ * @property {NameKind} kind
+ * @property {string[]} tokens - Normalised words
+ * @property {string[]} phonetics - Phonetic key per word
+ * @property {string} compact - Normalised name without spaces
+ * @property {Set<string>} trigrams - Trigrams of the compact name
+ */
+
+/**
+ * @typedef {Object} VesselSearchIndex
+ * @property {IndexedVessel[]} entries - One entry per vessel name, in mapping order
+ * @property {Map<string, Set<number>>} byTrigram - Trigram -> entry positions
+ * @property {Map<string, Set<number>>} byPhonetic - Phonetic key -> entry positions
+ */
+
+/**
+ * Normalise a vessel name for matching
+ * Upper case, accents, ship-type prefixes, punctuation and hyphens removed.
+ * @param {string} name
+ * @returns {string} e.g. "M.V. Gcl-Yamuna" -> "GCL YAMUNA"
+ */
+function normalizeVesselName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .trim()
+    .replace(SHIP_PREFIX, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Phonetic key of a word (Soundex without the 4-character cut-off)
+ * @param {string} token - Normalised word
+ * @returns {string} e.g. "YAMUNA" and "YAMMUNA" -> "Y55"
+ */
+function phoneticKey(token) {
+  if (!token || /\d/.test(token)) {
+    return token;
+  }
+  let key = token[0] || '';
+  let previous = SOUNDEX_CODES[key] || '';
+  for (const letter of token.slice(1)) {
+    const code = SOUNDEX_CODES[letter] || '';
+    if (code && code !== previous) {
+      key += code;
+    }
+    // H and W don't separate consonants with the same code
+    if (letter !== 'H' && letter !== 'W') {
+      previous = code;
+    }
+  }
+  return key;
+}
+
+/**
+ * Trigrams of a string padded with spaces
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function trigramsOf(text) {
+  const padded = ` ${text} `;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  // Only the previous row of the DP table is needed
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(Math.min(
+        (previous[j] ?? 0) + 1,       // deletion
+        (current[j - 1] ?? 0) + 1,    // insertion
+        (previous[j - 1] ?? 0) + cost // substitution
+      ));
+    }
+    previous = current;
+  }
+  return previous[b.length] ?? 0;
+}
+
+/**
+ * Split a name into what the index and the scorer need
+ * @param {string} name
+ * @returns {{tokens: string[], phonetics: string[], compact: string, trigrams: Set<string>}}
+ */
+function analyze(name) {
+  const normalized = normalizeVesselName(name);
+  const tokens = normalized ? normalized.split(' ') : [];
+  const compact = tokens.join('');
+  return {
+    tokens,
+    phonetics: tokens.map(phoneticKey),
+    compact,
+    trigrams: compact ? trigramsOf(compact) : new Set(),
+  };
+}
+
+/**
+ * @typedef {Object} VesselSearchResult
+ * @property {string} name - Current vessel name
+ * @property {string} imo
+ * @property {number} score - Match quality from 0 to 1 (1 = exact current name)
+ * @property {NameKind} matchedBy - Which of the vessel's names matched
+ * @property {string} matchedName - The name that matched
+ */
+
+/**
+ * Build the search index for a list of vessels
+ * @param {import('./vessel-lookup').VesselMapping[]} vessels
+ * @returns {VesselSearchIndex}
+ */
+function buildSearchIndex(vessels) {
+  /** @type {VesselSearchIndex} */
+  const index = { entries: [], byTrigram: new Map(), byPhonetic: new Map() };
+
+  /**
+   * @param {Map<string, Set<number>>} map
+   * @param {string} key
+   * @param {number} position
+   */
+  const add = (map, key, position) => {
+    const positions = map.get(key) || new Set();
+    positions.add(position);
+    map.set(key, positions);
+  };
+
+  vessels.forEach((vessel, position) => {
+    /** @type {Array<{label: string, kind: NameKind}>} */
+    const names = [
+      { label: vessel.name, kind: 'name' },
+      ...(vessel.aliases || []).map(alias => ({ label: alias, kind: /** @type {NameKind} */ ('alias') })),
+      ...(vessel.formerNames || []).map(former => ({ label: former.name, kind: /** @type {NameKind} */ ('former_name') })),
+    ];
+    for (const { label, kind } of names) {
+      const entry = { vessel, position, label, kind, ...analyze(label) };
+      const entryIndex = index.entries.push(entry) - 1;
+      entry.trigrams.forEach(trigram => add(index.byTrigram, trigram, entryIndex));
+      entry.phonetics.forEach(key => add(index.byPhonetic, key, entryIndex));
+    }
+  });
+
+  return index;
+}
+
+/**
+ * How well one word matches another
+ * @param {string} token - Word looked for
+ * @param {string} phonetic - Its phonetic key
+ * @param {string} other - Word it's compared with
+ * @param {string} otherPhonetic - Its phonetic key
+ * @returns {{similarity: number, literal: boolean}} Similarity from 0 to 1, and
+ *   whether the words match by spelling (exactly, as a prefix or with a typo)
+ *   rather than only by sound
+ */
+function tokenSimilarity(token, phonetic, other, otherPhonetic) {
+  if (token === other) {
+    return { similarity: 1, literal: true };
+  }
+  if (token.length >= MIN_PREFIX_LENGTH && other.startsWith(token)) {
+    return { similarity: 1, literal: true };
+  }
+  if (token.length < MIN_FUZZY_TOKEN_LENGTH || other.length < MIN_FUZZY_TOKEN_LENGTH) {
+    return { similarity: 0, literal: false };
+  }
+
+  // One typo per word, two in long words; each costs twice its share of the
+  // word so exact words rank above misspelt ones
+  const longer = Math.max(token.length, other.length);
+  const allowed = longer >= 7 ? 2 : 1;
+  let similarity = 0;
+  if (Math.abs(token.length - other.length) <= allowed) {
+    const distance = editDistance(token, other);
+    if (distance <= allowed) {
+      similarity = 1 - (2 * distance) / longer;
+    }
+  }
+  const literal = similarity > 0;
+  if (phonetic === otherPhonetic && Math.min(token.length, other.length) >= MIN_PHONETIC_TOKEN_LENGTH) {
+    similarity = Math.max(similarity, PHONETIC_SIMILARITY);
+  }
+  return { similarity, literal };
+}
+
+/**
+ * Characters of `from` matched by words of `to`, weighted by similarity
+ * @param {string[]} fromTokens
+ * @param {string[]} fromPhonetics
+ * @param {string[]} toTokens
+ * @param {string[]} toPhonetics
+ * @returns {{matched: number, literal: boolean}} Matched characters (0 unless every
+ *   word of `from` matches), and whether any word matched by spelling
+ */
+function matchedCharacters(fromTokens, fromPhonetics, toTokens, toPhonetics) {
+  let matched = 0;
+  let literal = false;
+  for (let i = 0; i < fromTokens.length; i++) {
+    const token = fromTokens[i] || '';
+    let best = 0;
+    for (let j = 0; j < toTokens.length; j++) {
+      const match = tokenSimilarity(token, fromPhonetics[i] || '', toTokens[j] || '', toPhonetics[j] || '');
+      best = Math.max(best, match.similarity);
+      literal = literal || match.literal;
+    }
+    if (best === 0) {
+      return { matched: 0, literal: false };
+    }
+    matched += best * token.length;
+  }
+  return { matched, literal };
+}
+
+/**
+ * Word-match score for a matchedCharacters result
+ * @param {{matched: number, literal: boolean}} match
+ * @param {number} longer - Length of the longer compact name
+ * @returns {number} 0.5 to 1 by coverage, at most PHONETIC_ONLY_MAX_SCORE if only sounds matched; 0 if no match
+ */
+function wordMatchScore(match, longer) {
+  if (match.matched === 0) {
+    return 0;
+  }
+  const score = 0.5 + 0.5 * Math.min(match.matched / longer, 1);
+  return match.literal ? score : Math.min(score, PHONETIC_ONLY_MAX_SCORE);
+}
+
+/**
+ * Dice similarity of two trigram sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function trigramSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach(trigram => {
+    if (b.has(trigram)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Score a query against an indexed vessel name
+ * - same normalised name: 1 (0.99 for aliases and former names)
+ * - word match: 0.5 to 0.99, by how much of the longer name the matched words cover;
+ *   at most PHONETIC_ONLY_MAX_SCORE when the words only sound alike
+ * - trigram match: the trigram similarity, from MIN_TRIGRAM_SIMILARITY to 0.99
+ * @param {ReturnType<typeof analyze>} query
+ * @param {IndexedVessel} entry
+ * @returns {number} Score, 0 if the vessel doesn't match
+ */
+function scoreEntry(query, entry) {
+  if (query.compact === entry.compact) {
+    return entry.kind === 'name' ? 1 : MAX_INEXACT_SCORE;
+  }
+
+  const longer = Math.max(query.compact.length, entry.compact.length);
+  let score = Math.max(
+    wordMatchScore(matchedCharacters(query.tokens, query.phonetics, entry.tokens, entry.phonetics), longer),
+    wordMatchScore(matchedCharacters(entry.tokens, entry.phonetics, query.tokens, query.phonetics), longer)
+  );
+
+  const trigrams = trigramSimilarity(query.trigrams, entry.trigrams);
+  if (trigrams >= MIN_TRIGRAM_SIMILARITY) {
+    score = Math.max(score, trigrams);
+  }
+
+  return Math.round(Math.min(score, MAX_INEXACT_SCORE) * 1000) / 1000;
+}
+
+/**
+ * Search the index
+ * Only names sharing a trigram or a word sound with the query are scored, and
+ * each vessel is listed once, under its best-matching name. Results with the
+ * same score keep their mapping order.
+ * @param {VesselSearchIndex} index
+ * @param {string} name - Vessel name as typed
+ * @param {{limit?: number}} [options] - Maximum number of results (default: all)
+ * @returns {VesselSearchResult[]} Best match first
+ */
+function searchVessels(index, name, options = {}) {
+  const query = analyze(name);
+  if (!query.compact) {
+    return [];
+  }
+
+  /** @type {Set<number>} */
+  const entryIndexes = new Set();
+  query.trigrams.forEach(trigram => {
+    index.byTrigram.get(trigram)?.forEach(entryIndex => entryIndexes.add(entryIndex));
+  });
+  query.phonetics.forEach(key => {
+    index.byPhonetic.get(key)?.forEach(entryIndex => entryIndexes.add(entryIndex));
+  });
+
+  // Best entry per vessel; on equal scores the current name (indexed first) wins
+  /** @type {Map<number, {entry: IndexedVessel, score: number, entryIndex: number}>} */
+  const best = new Map();
+  entryIndexes.forEach(entryIndex => {
+    const entry = index.entries[entryIndex];
+    const score = entry ? scoreEntry(query, entry) : 0;
+    if (!entry || score === 0) {
+      return;
+    }
+    const current = best.get(entry.position);
+    if (!current || score > current.score || (score === current.score && entryIndex < current.entryIndex)) {
+      best.set(entry.position, { entry, score, entryIndex });
+    }
+  });
+
+  const results = Array.from(best.values())
+    .sort((a, b) => b.score - a.score || a.entry.position - b.entry.position);
+  return results
+    .slice(0, options.limit ?? results.length)
+    .map(({ entry, score }) => ({
+      name: entry.vessel.name,
+      imo: entry.vessel.imo,
+      score,
+      matchedBy: entry.kind,
+      matchedName: entry.label,
+    }));
+}
+
+module.exports = {
+  normalizeVesselName,
+  phoneticKey,
+  buildSearchIndex,
+  searchVessels,
+  // Export constants for testing
+  MIN_TRIGRAM_SIMILARITY,
+  MAX_INEXACT_SCORE,
+  PHONETIC_ONLY_MAX_SCORE,
+};